@@ -0,0 +1,766 @@
+#!/usr/bin/env node
+/**
+ * Command-line front-end for the OTA core.
+ *
+ * Usage:
+ *   ota inspect <file> [--image N] [--json] [--ca-key HEX] [--gbl-public-key FILE] [--force]
+ *   ota edit <file> --output <file> [--image N] [--manufacturer-code N] [--image-type N] [--file-version N]
+ *            [--zigbee-stack-version N] [--header-string S] [--min-hw N] [--max-hw N]
+ *            [--security-credential-version N] [--upgrade-file-destination HEX] [--update-integrity]
+ *            [--gbl-signing-key FILE] [--strip-wrapper] [--ignore-lint] [--force]
+ *   ota index <file> [--image N] [--file-name NAME] [--base-url URL] [--merge INDEX] [--output FILE]
+ *             [--model-id ID] [--manufacturer-name NAMES] [--release-notes TEXT] [--original-url URL]
+ *             [--min-file-version N] [--max-file-version N] [--min-hw N] [--max-hw N] [--strip-wrapper] [--force]
+ *   ota diff <file> <other-file> [--image N] [--json]
+ *
+ * Files holding several concatenated OTA images are supported: `--image` selects one (1-based),
+ * `inspect` lists all of them by default and `edit` rewrites the selected one (default: first) in place within the bundle.
+ * Bytes outside the images (vendor prefix/suffix) are re-emitted by `edit` unless `--strip-wrapper` is given.
+ * `inspect` lists the lint findings of each image (see lib/lint.js); `edit` refuses to write an image with lint errors
+ * unless `--ignore-lint` is given.
+ * `index` prints the index.json entry of the selected image, or with `--merge` the given index with that entry
+ * updated or inserted (written to `--output` when given); `--min-hw` / `--max-hw` override the header hardware range there.
+ * Its `sha512` and `fileSize` cover the whole file, or with `--strip-wrapper` the file `edit --strip-wrapper` writes.
+ * `diff` compares the selected image of both files (default: first): header fields, elements, stack and changed byte regions.
+ * `--ca-key` verifies Smart Energy ECDSA signatures against a CA public key (22 bytes for Crypto Suite 1, 37 for Crypto Suite 2).
+ * `--gbl-public-key` / `--gbl-signing-key` verify / re-sign the ECDSA-P256 signature of GBL payloads (PEM, DER or hex key files).
+ *
+ * Exit codes: 0 success, 1 usage or parse error, 2 protection tags present (bypass with --force),
+ * 3 lint errors in the edited image (bypass with --ignore-lint).
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+
+import {
+    buildBundle,
+    buildIndexMetadata,
+    createElement,
+    describeProtectionTags,
+    detectProtectionTags,
+    formatHex,
+    formatIeeeAddress,
+    formatKeyUsage,
+    formatMetadata,
+    formatTagLabel,
+    getImageSignatures,
+    getTrailingBytes,
+    getWrapperBytes,
+    hasWrapperBytes,
+    parseHexBlob,
+    parseHexInput,
+    parseImage,
+    parseImages,
+    rebuildImage,
+    updateImageIntegrity,
+    verifyImageIntegrity,
+    verifyImageSignature,
+    TELINK_AES_TAG_ID,
+} from "../lib/ota.js";
+import {
+    importGblPrivateKey,
+    importGblPublicKey,
+    isGbl,
+    parseGbl,
+    signGbl,
+    verifyGblSignature,
+} from "../lib/gbl.js";
+import { describeImageDiff, diffImages } from "../lib/diff.js";
+import { isEbl, parseEbl } from "../lib/ebl.js";
+import { describeLintFinding, hasLintErrors, lintImage } from "../lib/lint.js";
+import { getManufacturerName } from "../lib/manufacturers.js";
+import { isMcubootImage, isNrf5Dfu, parseMcubootImage, parseNrf5Dfu } from "../lib/nordic.js";
+import { isOad, parseOad } from "../lib/oad.js";
+import { describeIndexMerge, mergeIndexEntry, parseOtaIndex } from "../lib/otaindex.js";
+import { detectZigbeeStacks } from "../lib/stack.js";
+import { describeTelinkElementInfo, isTelinkFirmware, parseTelinkFirmware } from "../lib/telink.js";
+import { checkFileVersion } from "../lib/version.js";
+
+/**
+ * @typedef {import("../lib/ota.js").ImageHeader} ImageHeader
+ * @typedef {import("../lib/ota.js").ParsedImage} ParsedImage
+ * @typedef {import("../lib/ota.js").BundleEntry} BundleEntry
+ * @typedef {import("../lib/ota.js").WrapperBytes} WrapperBytes
+ * @typedef {import("../lib/ota.js").IndexOptions} IndexOptions
+ * @typedef {import("../lib/gbl.js").GblFile} GblFile
+ * @typedef {import("../lib/gbl.js").GblSignatureCheck} GblSignatureCheck
+ * @typedef {import("../lib/ebl.js").EblFile} EblFile
+ * @typedef {import("../lib/nordic.js").McubootImage} McubootImage
+ * @typedef {import("../lib/nordic.js").Nrf5DfuImage} Nrf5DfuImage
+ * @typedef {import("../lib/oad.js").OadImage} OadImage
+ * @typedef {import("../lib/telink.js").TelinkFirmware} TelinkFirmware
+ * @typedef {ReturnType<typeof parseArgs>["values"]} CliValues
+ */
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_PROTECTED = 2;
+const EXIT_LINT = 3;
+
+const USAGE = `Usage:
+  ota inspect <file> [--image N] [--json] [--ca-key HEX] [--gbl-public-key FILE] [--force]
+  ota edit <file> --output <file> [--image N] [--manufacturer-code N] [--image-type N] [--file-version N]
+           [--zigbee-stack-version N] [--header-string S] [--min-hw N] [--max-hw N]
+           [--security-credential-version N] [--upgrade-file-destination HEX] [--update-integrity]
+           [--gbl-signing-key FILE] [--strip-wrapper] [--ignore-lint] [--force]
+  ota index <file> [--image N] [--file-name NAME] [--base-url URL] [--merge INDEX] [--output FILE]
+            [--model-id ID] [--manufacturer-name NAMES] [--release-notes TEXT] [--original-url URL]
+            [--min-file-version N] [--max-file-version N] [--min-hw N] [--max-hw N] [--strip-wrapper] [--force]
+  ota diff <file> <other-file> [--image N] [--json]
+
+--image N selects one image (1-based) of a file holding several concatenated OTA images.
+Bytes outside the OTA image(s) are kept by edit unless --strip-wrapper is given.
+edit refuses to write an image with lint errors (listed by inspect) unless --ignore-lint is given.
+--ca-key verifies ECDSA signatures (tags 0x0001/0x0005) against a compressed CA public key.
+--gbl-public-key verifies, --gbl-signing-key re-signs the ECDSA-P256 signature of GBL payloads (PEM, DER or hex).
+--update-integrity regenerates the Image Integrity Code (tag 0x0003) of the edited image.
+index --merge updates or inserts the image entry in an existing index.json and prints (or writes) the whole index;
+--manufacturer-name takes comma-separated names, --min-hw/--max-hw default to the header hardware version range.
+The entry sha512 and fileSize cover the whole file, or the file without wrapper bytes with --strip-wrapper.
+Numbers accept decimal or 0x-prefixed hex.
+Exit codes: 0 success, 1 usage or parse error, 2 protection tags present (bypass with --force),
+3 lint errors in the edited image (bypass with --ignore-lint).`;
+
+/** @type {import("node:util").ParseArgsConfig["options"]} */
+const OPTIONS = {
+    json: { type: "boolean", default: false },
+    force: { type: "boolean", default: false },
+    "strip-wrapper": { type: "boolean", default: false },
+    "update-integrity": { type: "boolean", default: false },
+    "ignore-lint": { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+    output: { type: "string", short: "o" },
+    "file-name": { type: "string" },
+    image: { type: "string" },
+    "manufacturer-code": { type: "string" },
+    "image-type": { type: "string" },
+    "file-version": { type: "string" },
+    "zigbee-stack-version": { type: "string" },
+    "header-string": { type: "string" },
+    "min-hw": { type: "string" },
+    "max-hw": { type: "string" },
+    "security-credential-version": { type: "string" },
+    "upgrade-file-destination": { type: "string" },
+    "ca-key": { type: "string" },
+    "gbl-public-key": { type: "string" },
+    "gbl-signing-key": { type: "string" },
+    "base-url": { type: "string" },
+    merge: { type: "string" },
+    "model-id": { type: "string" },
+    "manufacturer-name": { type: "string" },
+    "release-notes": { type: "string" },
+    "original-url": { type: "string" },
+    "min-file-version": { type: "string" },
+    "max-file-version": { type: "string" },
+};
+
+process.exitCode = await main(process.argv.slice(2));
+
+/**
+ * CLI entry point.
+ * @param {string[]} argv
+ * @returns {Promise<number>}
+ */
+async function main(argv) {
+    /** @type {ReturnType<typeof parseArgs>} */
+    let args;
+
+    try {
+        args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${/** @type {Error} */ (error).message}\n\n${USAGE}`);
+
+        return EXIT_ERROR;
+    }
+
+    const { values, positionals } = args;
+    const [command, filePath, otherPath] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+
+        return values.help ? EXIT_OK : EXIT_ERROR;
+    }
+
+    if (!filePath) {
+        console.error(`Missing <file> argument.\n\n${USAGE}`);
+
+        return EXIT_ERROR;
+    }
+
+    try {
+        const buffer = await readArrayBuffer(filePath);
+        const bundle = parseImages(buffer);
+        const wrapper = getWrapperBytes(buffer, bundle);
+        const selected = getSelectedImage(bundle, values);
+
+        switch (command) {
+            case "inspect": {
+                return await inspect(selected === undefined ? bundle : [bundle[selected]], wrapper, filePath, values);
+            }
+            case "edit": {
+                return await edit(bundle, wrapper, selected ?? 0, values);
+            }
+            case "index": {
+                return await index(bundle, wrapper, selected ?? 0, filePath, values);
+            }
+            case "diff": {
+                return await diff(bundle[selected ?? 0].parsed, otherPath, values);
+            }
+            default: {
+                console.error(`Unknown command "${command}".\n\n${USAGE}`);
+
+                return EXIT_ERROR;
+            }
+        }
+    } catch (error) {
+        console.error(`Error: ${/** @type {Error} */ (error).message}`);
+
+        return EXIT_ERROR;
+    }
+}
+
+/**
+ * Print the parsed metadata as text or JSON, one block (or array item) per image when there are several.
+ * @param {BundleEntry[]} entries
+ * @param {WrapperBytes} wrapper
+ * @param {string} filePath
+ * @param {CliValues} values
+ * @returns {Promise<number>}
+ */
+async function inspect(entries, wrapper, filePath, values) {
+    const fileName = basename(filePath);
+    const caKeyValue = /** @type {string | undefined} */ (values["ca-key"]);
+    const caPublicKey = caKeyValue === undefined ? undefined : parseHexBlob(caKeyValue);
+
+    if (caKeyValue !== undefined && !caPublicKey) {
+        console.error(`--ca-key must be hex bytes.\n\n${USAGE}`);
+
+        return EXIT_ERROR;
+    }
+
+    const gblKeyPath = /** @type {string | undefined} */ (values["gbl-public-key"]);
+    const gblPublicKey = gblKeyPath ? await importGblPublicKey(new Uint8Array(await readArrayBuffer(gblKeyPath))) : undefined;
+    const gblChecks = await Promise.all(entries.map((entry) => verifyGblPayloads(entry.parsed, gblPublicKey)));
+
+    if (values.json) {
+        const images = entries.map((entry, index) => imageToJSON(entry, fileName, caPublicKey, gblChecks[index]));
+
+        console.log(JSON.stringify(images.length > 1 ? images : images[0], null, 2));
+    } else if (entries.length > 1) {
+        console.log(
+            entries
+                .map(({ offset, parsed }, index) => `Image #${index + 1} at offset 0x${offset.toString(16)}\n${formatImageText(parsed, caPublicKey, gblChecks[index])}`)
+                .join("\n\n"),
+        );
+    } else {
+        console.log(formatImageText(entries[0].parsed, caPublicKey, gblChecks[0]));
+    }
+
+    if (hasWrapperBytes(wrapper)) {
+        const gaps = wrapper.gaps.reduce((size, gap) => size + gap.length, 0);
+
+        console.error(`Note: bytes outside the OTA image(s): prefix ${wrapper.prefix.length}, between images ${gaps}, suffix ${wrapper.suffix.length}.`);
+    }
+
+    return entries.reduce((status, entry) => Math.max(status, checkProtection(entry.parsed, values)), EXIT_OK);
+}
+
+/**
+ * Rewrite header fields of one image and write the rebuilt file (the whole bundle when there are several images).
+ * Bytes the header and elements do not cover are kept, so an edit without options writes the file unchanged.
+ * @param {BundleEntry[]} bundle
+ * @param {WrapperBytes} wrapper
+ * @param {number} selected
+ * @param {CliValues} values
+ * @returns {Promise<number>}
+ */
+async function edit(bundle, wrapper, selected, values) {
+    const { parsed } = bundle[selected];
+    const output = /** @type {string | undefined} */ (values.output);
+
+    if (!output) {
+        console.error(`Missing --output <file>.\n\n${USAGE}`);
+
+        return EXIT_ERROR;
+    }
+
+    const protectedStatus = checkProtection(parsed, values);
+
+    if (protectedStatus !== EXIT_OK) {
+        console.error("Refusing to write a modified protected image without --force.");
+
+        return protectedStatus;
+    }
+
+    const header = applyHeaderOptions(parsed.header, values);
+    const signingKeyPath = /** @type {string | undefined} */ (values["gbl-signing-key"]);
+    let elements = parsed.elements;
+
+    if (signingKeyPath) {
+        const privateKey = await importGblPrivateKey(new Uint8Array(await readArrayBuffer(signingKeyPath)));
+
+        elements = await Promise.all(
+            elements.map(async (element) => (isGbl(element.data) ? createElement(element.tagID, await signGbl(element.data, privateKey), element.tagMeta) : element)),
+        );
+    }
+
+    if (values["update-integrity"]) {
+        elements = updateImageIntegrity(header, elements, getTrailingBytes(parsed));
+    }
+
+    const image = rebuildImage(parsed, header, elements);
+    const findings = lintImage(parseImage(image));
+
+    if (hasLintErrors(findings) && !values["ignore-lint"]) {
+        console.error(`Refusing to write an image with lint errors without --ignore-lint:\n${findings.map((finding) => `  ${describeLintFinding(finding)}`).join("\n")}`);
+
+        return EXIT_LINT;
+    }
+
+    const rebuilt = buildBundle(
+        bundle.map((entry, index) => (index === selected ? image : entry.parsed.raw)),
+        values["strip-wrapper"] ? undefined : wrapper,
+    );
+
+    await writeFile(output, new Uint8Array(rebuilt));
+    console.error(`Wrote ${output} (${rebuilt.byteLength} bytes).`);
+
+    return EXIT_OK;
+}
+
+/**
+ * Print the index metadata JSON for the selected image, or merge it into an existing index.json.
+ * @param {BundleEntry[]} bundle
+ * @param {WrapperBytes} wrapper
+ * @param {number} selected
+ * @param {string} filePath
+ * @param {CliValues} values
+ * @returns {Promise<number>}
+ */
+async function index(bundle, wrapper, selected, filePath, values) {
+    const { parsed } = bundle[selected];
+    const fileName = /** @type {string | undefined} */ (values["file-name"]) ?? basename(filePath);
+    const file = buildBundle(
+        bundle.map((entry) => entry.parsed.raw),
+        values["strip-wrapper"] ? undefined : wrapper,
+    );
+    const metadata = await buildIndexMetadata(parsed, fileName, getIndexOptions(values), file);
+
+    if (bundle.length > 1) {
+        console.error(`Warning: ${filePath} holds ${bundle.length} images; the entry describes image #${selected + 1}, its sha512 and fileSize the whole file.`);
+    }
+    const indexPath = /** @type {string | undefined} */ (values.merge);
+
+    if (!indexPath) {
+        console.log(JSON.stringify(metadata, null, 2));
+
+        return checkProtection(parsed, values);
+    }
+
+    const { entries, problems } = parseOtaIndex(await readFile(indexPath, "utf8"));
+
+    for (const problem of problems) {
+        console.error(`Warning: ${indexPath}: ${problem}`);
+    }
+
+    if (!entries.length && problems.length) {
+        return EXIT_ERROR;
+    }
+
+    const merge = mergeIndexEntry(entries, metadata);
+    const output = /** @type {string | undefined} */ (values.output);
+    const json = JSON.stringify(merge.entries, null, 2);
+
+    console.error(describeIndexMerge(merge));
+
+    if (output) {
+        await writeFile(output, `${json}\n`);
+        console.error(`Wrote ${output} (${merge.entries.length} entries).`);
+    } else {
+        console.log(json);
+    }
+
+    return checkProtection(parsed, values);
+}
+
+/**
+ * Compare an image with the same image of another file and print the differences as text or JSON.
+ * @param {ParsedImage} parsed
+ * @param {string | undefined} otherPath
+ * @param {CliValues} values
+ * @returns {Promise<number>}
+ */
+async function diff(parsed, otherPath, values) {
+    if (!otherPath) {
+        console.error(`Missing <other-file> argument.\n\n${USAGE}`);
+
+        return EXIT_ERROR;
+    }
+
+    const other = parseImages(await readArrayBuffer(otherPath));
+    const result = diffImages(parsed, other[getSelectedImage(other, values) ?? 0].parsed);
+
+    console.log(values.json ? JSON.stringify(result, null, 2) : describeImageDiff(result));
+
+    return EXIT_OK;
+}
+
+/**
+ * Report protection tags on stderr and pick the matching exit code.
+ * @param {ParsedImage} parsed
+ * @param {CliValues} values
+ * @returns {number}
+ */
+function checkProtection(parsed, values) {
+    const tags = detectProtectionTags(parsed.elements);
+
+    if (!tags.length) {
+        return EXIT_OK;
+    }
+
+    console.error(`Warning: image includes signature, integrity, or encryption data: ${describeProtectionTags(tags).join(", ")}.`);
+
+    return values.force ? EXIT_OK : EXIT_PROTECTED;
+}
+
+/**
+ * Resolve the 0-based index selected with `--image`, if any.
+ * @param {BundleEntry[]} bundle
+ * @param {CliValues} values
+ * @returns {number | undefined}
+ */
+function getSelectedImage(bundle, values) {
+    if (typeof values.image !== "string") {
+        return undefined;
+    }
+
+    const index = Number(values.image);
+
+    if (!Number.isInteger(index) || index < 1 || index > bundle.length) {
+        throw new Error(`--image must be between 1 and ${bundle.length}`);
+    }
+
+    return index - 1;
+}
+
+/**
+ * Merge header-related CLI options over a parsed header.
+ * @param {ImageHeader} header
+ * @param {CliValues} values
+ * @returns {ImageHeader}
+ */
+function applyHeaderOptions(header, values) {
+    /** @type {(name: string, max: number) => number | undefined} */
+    const num = (name, max) => getNumberOption(values, name, max);
+    const headerString = /** @type {string | undefined} */ (values["header-string"]);
+    const destination = /** @type {string | undefined} */ (values["upgrade-file-destination"]);
+    const updated = {
+        ...header,
+        manufacturerCode: num("manufacturer-code", 0xffff) ?? header.manufacturerCode,
+        imageType: num("image-type", 0xffff) ?? header.imageType,
+        fileVersion: num("file-version", 0xffffffff) ?? header.fileVersion,
+        zigbeeStackVersion: num("zigbee-stack-version", 0xffff) ?? header.zigbeeStackVersion,
+        otaHeaderString: headerString ?? header.otaHeaderString,
+        securityCredentialVersion: num("security-credential-version", 0xff) ?? header.securityCredentialVersion,
+        upgradeFileDestination: destination === undefined ? header.upgradeFileDestination : parseHexInput(destination),
+        minimumHardwareVersion: num("min-hw", 0xffff) ?? header.minimumHardwareVersion,
+        maximumHardwareVersion: num("max-hw", 0xffff) ?? header.maximumHardwareVersion,
+    };
+
+    if ((updated.minimumHardwareVersion === undefined) !== (updated.maximumHardwareVersion === undefined)) {
+        throw new Error("--min-hw and --max-hw must both be set when the image has no hardware version range");
+    }
+
+    return updated;
+}
+
+/**
+ * Index entry options from the CLI.
+ * @param {CliValues} values
+ * @returns {IndexOptions}
+ */
+function getIndexOptions(values) {
+    /** @type {(name: string) => string | undefined} */
+    const str = (name) => /** @type {string | undefined} */ (values[name]);
+
+    return {
+        baseUrl: str("base-url"),
+        hardwareVersionMin: getNumberOption(values, "min-hw", 0xffff),
+        hardwareVersionMax: getNumberOption(values, "max-hw", 0xffff),
+        minFileVersion: getNumberOption(values, "min-file-version", 0xffffffff),
+        maxFileVersion: getNumberOption(values, "max-file-version", 0xffffffff),
+        modelId: str("model-id"),
+        manufacturerName: str("manufacturer-name")
+            ?.split(",")
+            .map((name) => name.trim())
+            .filter(Boolean),
+        releaseNotes: str("release-notes"),
+        originalUrl: str("original-url"),
+    };
+}
+
+/**
+ * Read a numeric CLI option (decimal or 0x-prefixed hex).
+ * @param {CliValues} values
+ * @param {string} name
+ * @param {number} max
+ * @returns {number | undefined}
+ */
+function getNumberOption(values, name, max) {
+    const value = values[name];
+
+    if (typeof value !== "string") {
+        return undefined;
+    }
+
+    const parsed = Number(value.trim());
+
+    if (!Number.isInteger(parsed) || parsed < 0 || parsed > max) {
+        throw new Error(`--${name} must be an integer between 0 and ${max}`);
+    }
+
+    return parsed;
+}
+
+/**
+ * Verify the GBL signature of each GBL element payload.
+ * @param {ParsedImage} parsed
+ * @param {CryptoKey} [publicKey]
+ * @returns {Promise<(GblSignatureCheck | undefined)[]>} one entry per element, undefined for non-GBL payloads
+ */
+async function verifyGblPayloads(parsed, publicKey) {
+    return await Promise.all(parsed.elements.map((element) => (isGbl(element.data) ? verifyGblSignature(element.data, publicKey) : undefined)));
+}
+
+/**
+ * Metadata text for one image with its lint findings, and the Image Integrity Code and signature status when present.
+ * @param {ParsedImage} parsed
+ * @param {Uint8Array} [caPublicKey]
+ * @param {(GblSignatureCheck | undefined)[]} [gblChecks] as returned by `verifyGblPayloads`
+ * @returns {string}
+ */
+function formatImageText(parsed, caPublicKey, gblChecks = []) {
+    const integrity = verifyImageIntegrity(parsed);
+    const findings = lintImage(parsed);
+    let content = formatMetadata(parsed);
+
+    content += `\nLint:${findings.length ? findings.map((finding) => `\n  ${describeLintFinding(finding)}`).join("") : " no findings"}`;
+
+    if (integrity) {
+        content += `\nImage integrity code: ${integrity.valid ? "valid" : `MISMATCH (stored ${formatHex(integrity.stored)}, computed ${formatHex(integrity.computed)})`}`;
+    }
+
+    for (const { signature, certificate, verification } of getSignatureReports(parsed, caPublicKey)) {
+        content += `\nSignature (element #${signature.elementIndex}, Crypto Suite ${signature.suite}): signer ${signature.signer}`;
+
+        if (certificate) {
+            content += `\n  Certificate: subject ${certificate.subject}, issuer ${certificate.issuer}`;
+
+            if (certificate.validFrom) {
+                content += `\n  Validity: ${certificate.validFrom} to ${certificate.validTo ?? "no expiry"}, key usage ${certificate.keyUsage}`;
+            }
+        }
+
+        content += `\n  Verification: ${verification.valid === undefined ? "not run" : verification.valid ? "valid" : "INVALID"}${verification.reason ? ` (${verification.reason})` : ""}`;
+    }
+
+    gblChecks.forEach((check, elementIndex) => {
+        if (check?.signed) {
+            content += `\nGBL signature (element #${elementIndex}): ${check.valid === undefined ? "not verified" : check.valid ? "valid" : "INVALID"}${check.reason ? ` (${check.reason})` : ""}`;
+        }
+    });
+
+    return content;
+}
+
+/**
+ * Decode and verify the ECDSA signatures of an image, with addresses and dates formatted for output.
+ * @param {ParsedImage} parsed
+ * @param {Uint8Array} [caPublicKey]
+ */
+function getSignatureReports(parsed, caPublicKey) {
+    return getImageSignatures(parsed).map((signature) => {
+        const { certificate } = signature;
+        const { digest, valid, reason } = verifyImageSignature(signature, caPublicKey);
+
+        return {
+            signature: {
+                elementIndex: signature.elementIndex,
+                suite: signature.suite,
+                signer: formatIeeeAddress(signature.signer.slice().reverse()),
+                signerMatchesSubject: signature.signerMatchesSubject,
+                r: formatHex(signature.r),
+                s: formatHex(signature.s),
+            },
+            certificate: certificate && {
+                subject: formatIeeeAddress(certificate.subject),
+                issuer: formatIeeeAddress(certificate.issuer),
+                serialNumber: certificate.serialNumber && formatHex(certificate.serialNumber),
+                validFrom: certificate.validFrom?.toISOString(),
+                validTo: certificate.validTo === undefined ? undefined : (certificate.validTo?.toISOString() ?? null),
+                keyUsage: certificate.keyUsage === undefined ? undefined : formatKeyUsage(certificate.keyUsage),
+                publicKeyReconstruction: formatHex(certificate.publicKeyReconstruction),
+            },
+            verification: { digest: formatHex(digest), valid, reason },
+        };
+    });
+}
+
+/**
+ * JSON-friendly view of the parsed metadata (bytes as spaced hex).
+ * @param {BundleEntry} entry
+ * @param {string} fileName
+ * @param {Uint8Array} [caPublicKey]
+ * @param {(GblSignatureCheck | undefined)[]} [gblChecks] as returned by `verifyGblPayloads`
+ */
+function imageToJSON({ offset, parsed }, fileName, caPublicKey, gblChecks = []) {
+    const { header, elements, stack } = parsed;
+    const integrity = verifyImageIntegrity(parsed);
+
+    return {
+        fileName,
+        offset,
+        header: {
+            ...header,
+            otaUpgradeFileIdentifier: formatHex(header.otaUpgradeFileIdentifier),
+            upgradeFileDestination: header.upgradeFileDestination ? formatHex(header.upgradeFileDestination) : undefined,
+        },
+        manufacturerCodeName: getManufacturerName(header.manufacturerCode),
+        stack,
+        stackCandidates: detectZigbeeStacks(elements),
+        versionCheck: checkFileVersion(header.fileVersion, elements),
+        elements: elements.map(({ tagID, length, tagMeta, data }, elementIndex) => ({
+            tagID,
+            label: formatTagLabel(tagID),
+            length,
+            tagMeta: tagMeta ? formatHex(tagMeta) : undefined,
+            gbl: isGbl(data) ? { ...gblToJSON(parseGbl(data)), signature: gblChecks[elementIndex] } : undefined,
+            ebl: isEbl(data) ? eblToJSON(parseEbl(data)) : undefined,
+            oad: isOad(data) ? oadToJSON(parseOad(data)) : undefined,
+            telink: isTelinkFirmware(data) ? telinkToJSON(parseTelinkFirmware(data)) : undefined,
+            telinkInfo: tagID === TELINK_AES_TAG_ID ? describeTelinkElementInfo(tagMeta, data) : undefined,
+            mcuboot: isMcubootImage(data) ? mcubootToJSON(parseMcubootImage(data)) : undefined,
+            nrf5Dfu: isNrf5Dfu(data) ? nrf5DfuToJSON(parseNrf5Dfu(data)) : undefined,
+        })),
+        protectionTags: detectProtectionTags(elements),
+        integrity: integrity && { stored: formatHex(integrity.stored), computed: formatHex(integrity.computed), valid: integrity.valid },
+        signatures: getSignatureReports(parsed, caPublicKey),
+        lint: lintImage(parsed),
+    };
+}
+
+/**
+ * JSON-friendly view of a GBL tag stream.
+ * @param {GblFile} gbl
+ */
+function gblToJSON({ tags, version, type, crc, trailingLength, problems }) {
+    return {
+        version,
+        type,
+        crc,
+        trailingLength,
+        problems,
+        tags: tags.map(({ id, name, offset, length, fields }) => ({
+            id,
+            name,
+            offset,
+            length,
+            fields: Object.fromEntries(fields.map((field) => [field.label, field.value])),
+        })),
+    };
+}
+
+/**
+ * JSON-friendly view of an EBL tag stream.
+ * @param {EblFile} ebl
+ */
+function eblToJSON({ tags, encrypted, header, crc, trailingLength, problems }) {
+    return {
+        encrypted,
+        header: header && { ...header, timestamp: header.timestamp.toISOString() },
+        crc,
+        trailingLength,
+        problems,
+        tags: tags.map(({ id, name, offset, length, fields }) => ({
+            id,
+            name,
+            offset,
+            length,
+            fields: Object.fromEntries(fields.map((field) => [field.label, field.value])),
+        })),
+    };
+}
+
+/**
+ * JSON-friendly view of a TI OAD image.
+ * @param {OadImage} oad
+ */
+function oadToJSON({ header, segments, crc, trailingLength, problems }) {
+    return {
+        header,
+        crc,
+        trailingLength,
+        problems,
+        segments: segments.map(({ type, name, offset, length, fields }) => ({
+            type,
+            name,
+            offset,
+            length,
+            fields: Object.fromEntries(fields.map((field) => [field.label, field.value])),
+        })),
+    };
+}
+
+/**
+ * JSON-friendly view of a Telink firmware binary.
+ * @param {TelinkFirmware} firmware
+ */
+function telinkToJSON({ buildVersion, bootFlag, size, chip, crc, trailingLength, problems }) {
+    return { buildVersion, bootFlag, size, chip, crc, trailingLength, problems };
+}
+
+/**
+ * JSON-friendly view of an MCUboot image.
+ * @param {McubootImage} image
+ */
+function mcubootToJSON({ loadAddress, headerSize, protectedTlvSize, imageSize, flags, version, tlvs, hash, trailingLength, problems }) {
+    return {
+        loadAddress,
+        headerSize,
+        protectedTlvSize,
+        imageSize,
+        flags,
+        version,
+        hash: hash && { stored: formatHex(hash.stored), computed: formatHex(hash.computed), valid: hash.valid },
+        trailingLength,
+        problems,
+        tlvs: tlvs.map(({ type, name, offset, length, protected: isProtected }) => ({ type, name, offset, length, protected: isProtected })),
+    };
+}
+
+/**
+ * JSON-friendly view of an nRF5 SDK DFU package.
+ * @param {Nrf5DfuImage} dfu
+ */
+function nrf5DfuToJSON({ init, initLength, firmwareLength, hash, problems }) {
+    return {
+        init: { ...init, hash: init.hash && formatHex(init.hash) },
+        initLength,
+        firmwareLength,
+        hash: hash && { stored: formatHex(hash.stored), computed: formatHex(hash.computed), valid: hash.valid },
+        problems,
+    };
+}
+
+/**
+ * Read a file into a standalone ArrayBuffer.
+ * @param {string} filePath
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function readArrayBuffer(filePath) {
+    const data = await readFile(filePath);
+
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
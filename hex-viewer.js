@@ -0,0 +1,178 @@
+/**
+ * @typedef {Object} HexViewer
+ * @property {(bytes: Uint8Array, baseline?: Uint8Array) => void} setData
+ * @property {(start: number, end: number, scroll?: boolean) => void} select
+ * @property {() => void} clear
+ */
+
+const ROW_BYTES = 16;
+/** Must match `.hex-row` height in style.css. */
+const ROW_HEIGHT = 20;
+/** Extra rows rendered above and below the viewport to avoid flicker while scrolling. */
+const OVERSCAN_ROWS = 8;
+/** Used when the container has no layout yet (hidden panel). */
+const FALLBACK_VISIBLE_ROWS = 32;
+/**
+ * Spacer height cap, well below the element height limits of browsers (about 17.9 million px in Firefox).
+ * Past it (about 6 MB of bytes) scroll positions are scaled to the rows.
+ */
+const MAX_SPACER_HEIGHT = 8_000_000;
+
+/**
+ * Create a virtualized hex/ASCII viewer: only the rows in view are in the DOM, so multi-megabyte images stay smooth.
+ * Bytes that differ from `baseline` (or lie past its end) are flagged as changed.
+ * @param {HTMLElement} container scrollable element with a fixed height
+ * @param {(offset: number) => void} onByteClick
+ * @returns {HexViewer}
+ */
+export function createHexViewer(container, onByteClick) {
+    const spacer = document.createElement("div");
+    const rows = document.createElement("div");
+    /** @type {Uint8Array} */
+    let bytes = new Uint8Array(0);
+    /** @type {Uint8Array | undefined} */
+    let baseline;
+    /** @type {{start: number, end: number} | null} */
+    let selection = null;
+    /** @type {number | null} */
+    let frameHandle = null;
+
+    spacer.className = "hex-spacer";
+    rows.className = "hex-rows";
+
+    spacer.appendChild(rows);
+    container.replaceChildren(spacer);
+    container.classList.add("hex-viewer");
+
+    container.addEventListener("scroll", scheduleRender);
+    rows.addEventListener("click", (event) => {
+        const target = /** @type {HTMLElement} */ (event.target).closest("[data-offset]");
+
+        if (target instanceof HTMLElement) {
+            onByteClick(Number(target.dataset.offset));
+        }
+    });
+
+    function scheduleRender() {
+        if (frameHandle === null) {
+            frameHandle = requestAnimationFrame(() => {
+                frameHandle = null;
+                render();
+            });
+        }
+    }
+
+    /**
+     * Ratio of the full rows height to the scrollable spacer height, above 1 when the spacer is capped.
+     * @returns {number}
+     */
+    function getScrollScale() {
+        const contentHeight = Math.ceil(bytes.length / ROW_BYTES) * ROW_HEIGHT;
+        const scrollRange = Math.min(contentHeight, MAX_SPACER_HEIGHT) - container.clientHeight;
+
+        return scrollRange > 0 ? Math.max(1, (contentHeight - container.clientHeight) / scrollRange) : 1;
+    }
+
+    function render() {
+        const totalRows = Math.ceil(bytes.length / ROW_BYTES);
+        const visibleRows = container.clientHeight ? Math.ceil(container.clientHeight / ROW_HEIGHT) : FALLBACK_VISIBLE_ROWS;
+        const contentTop = container.scrollTop * getScrollScale();
+        const firstRow = Math.max(0, Math.floor(contentTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+        const lastRow = Math.min(totalRows, firstRow + visibleRows + OVERSCAN_ROWS * 2);
+        let html = "";
+
+        for (let row = firstRow; row < lastRow; row += 1) {
+            const rowStart = row * ROW_BYTES;
+            const rowEnd = Math.min(rowStart + ROW_BYTES, bytes.length);
+            let hex = "";
+            let ascii = "";
+
+            for (let offset = rowStart; offset < rowEnd; offset += 1) {
+                const byte = bytes[offset];
+                const classes = getByteClasses(offset);
+                const attrs = `data-offset="${offset}"${classes ? ` class="${classes}"` : ""}`;
+
+                hex += `<span ${attrs}>${byte.toString(16).padStart(2, "0")}</span>`;
+                ascii += `<span ${attrs}>${byte >= 0x20 && byte < 0x7f ? escapeChar(byte) : "."}</span>`;
+            }
+
+            html += `<div class="hex-row"><span class="hex-offset">${rowStart.toString(16).padStart(8, "0")}</span><span class="hex-bytes">${hex}</span><span class="hex-ascii">${ascii}</span></div>`;
+        }
+
+        // rows are placed relative to the viewport, so that scaled scrolling still moves them row by row
+        spacer.style.height = `${Math.min(totalRows * ROW_HEIGHT, MAX_SPACER_HEIGHT)}px`;
+        rows.style.transform = `translateY(${container.scrollTop + firstRow * ROW_HEIGHT - contentTop}px)`;
+        rows.innerHTML = html;
+    }
+
+    /**
+     * @param {number} offset
+     * @returns {string}
+     */
+    function getByteClasses(offset) {
+        let classes = "";
+
+        if (selection && offset >= selection.start && offset < selection.end) {
+            classes += "sel";
+        }
+
+        if (baseline && (offset >= baseline.length || baseline[offset] !== bytes[offset])) {
+            classes += classes ? " chg" : "chg";
+        }
+
+        return classes;
+    }
+
+    return {
+        setData(nextBytes, nextBaseline) {
+            bytes = nextBytes;
+            baseline = nextBaseline;
+
+            render();
+        },
+        select(start, end, scroll = true) {
+            selection = { start, end };
+
+            if (scroll) {
+                const scale = getScrollScale();
+                const top = Math.floor(start / ROW_BYTES) * ROW_HEIGHT;
+                const contentTop = container.scrollTop * scale;
+
+                if (top < contentTop || top >= contentTop + container.clientHeight - ROW_HEIGHT) {
+                    container.scrollTop = top / scale;
+                }
+            }
+
+            render();
+        },
+        clear() {
+            bytes = new Uint8Array(0);
+            baseline = undefined;
+            selection = null;
+
+            render();
+        },
+    };
+}
+
+/**
+ * Escape a printable ASCII byte for HTML.
+ * @param {number} byte
+ * @returns {string}
+ */
+function escapeChar(byte) {
+    switch (byte) {
+        case 0x26: {
+            return "&amp;";
+        }
+        case 0x3c: {
+            return "&lt;";
+        }
+        case 0x3e: {
+            return "&gt;";
+        }
+        default: {
+            return String.fromCharCode(byte);
+        }
+    }
+}
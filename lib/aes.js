@@ -0,0 +1,321 @@
+/**
+ * Minimal AES block encryption (FIPS-197), forward direction only, with the CCM modes built on it.
+ * Web Crypto has no raw block (ECB) mode and no CCM, and AES-MMO needs a new key per block,
+ * which would mean one async key import per 16 bytes; a synchronous table-based cipher is much faster here.
+ */
+
+const AES_BLOCK_SIZE = 16;
+
+const SBOX = new Uint8Array(256);
+const T0 = new Uint32Array(256);
+const T1 = new Uint32Array(256);
+const T2 = new Uint32Array(256);
+const T3 = new Uint32Array(256);
+
+initTables();
+
+/**
+ * Expand a 128/192/256-bit key and return a block encryption function.
+ * @param {Uint8Array} key
+ * @returns {(input: Uint8Array, output?: Uint8Array) => Uint8Array}
+ */
+export function createAesEncryptor(key) {
+    if (key.length !== 16 && key.length !== 24 && key.length !== 32) {
+        throw new Error("AES key must be 16, 24 or 32 bytes");
+    }
+
+    const roundKeys = expandKey(key);
+    const rounds = key.length / 4 + 6;
+
+    return (input, output = new Uint8Array(AES_BLOCK_SIZE)) => encryptBlock(roundKeys, rounds, input, output);
+}
+
+/**
+ * Zigbee AES-MMO hash (Matyas-Meyer-Oseas over AES-128, Zigbee specification Annex B.6).
+ * The message is the concatenation of `parts`, which avoids copying large images.
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+export function aesMmoHash(...parts) {
+    let hash = new Uint8Array(AES_BLOCK_SIZE);
+    const block = new Uint8Array(AES_BLOCK_SIZE);
+    const cipherText = new Uint8Array(AES_BLOCK_SIZE);
+    let blockLength = 0;
+    let messageLength = 0;
+
+    const compress = () => {
+        encryptBlock(expandKey(hash), 10, block, cipherText);
+
+        for (let i = 0; i < AES_BLOCK_SIZE; i += 1) {
+            cipherText[i] ^= block[i];
+        }
+
+        hash = cipherText.slice();
+        blockLength = 0;
+    };
+
+    for (const part of parts) {
+        messageLength += part.length;
+
+        for (let i = 0; i < part.length; i += 1) {
+            block[blockLength] = part[i];
+            blockLength += 1;
+
+            if (blockLength === AES_BLOCK_SIZE) {
+                compress();
+            }
+        }
+    }
+
+    const bitLength = messageLength * 8;
+    // messages under 2^16 bits end with a 16-bit length, longer ones with a 32-bit length followed by 16 zero bits
+    const trailerLength = bitLength < 0x10000 ? 2 : 6;
+
+    block[blockLength] = 0x80;
+    block.fill(0, blockLength + 1);
+
+    if (blockLength + 1 > AES_BLOCK_SIZE - trailerLength) {
+        compress();
+        block.fill(0);
+    }
+
+    const view = new DataView(block.buffer);
+
+    if (trailerLength === 2) {
+        view.setUint16(14, bitLength, false);
+    } else {
+        view.setUint32(10, bitLength, false);
+    }
+
+    compress();
+
+    return hash;
+}
+
+/**
+ * AES-CCM (RFC 3610) counter mode: XOR `data` with the key stream of counter blocks
+ * flags(L - 1) || nonce || i, where L = 15 - nonce length and i starts at `initialCounter`.
+ * Encryption and decryption are the same operation.
+ * @param {Uint8Array} key
+ * @param {Uint8Array} nonce 7 to 13 bytes
+ * @param {Uint8Array} data
+ * @param {number} [initialCounter] 1 for the payload, 0 is reserved for the authentication tag
+ * @returns {Uint8Array}
+ */
+export function aesCcmCrypt(key, nonce, data, initialCounter = 1) {
+    const encrypt = createAesEncryptor(key);
+    const counter = createCcmBlock(nonce, 15 - nonce.length - 1, initialCounter);
+    const stream = new Uint8Array(AES_BLOCK_SIZE);
+    const output = new Uint8Array(data.length);
+
+    for (let offset = 0; offset < data.length; offset += AES_BLOCK_SIZE) {
+        encrypt(counter, stream);
+
+        for (let i = 0; i < AES_BLOCK_SIZE && offset + i < data.length; i += 1) {
+            output[offset + i] = data[offset + i] ^ stream[i];
+        }
+
+        // big-endian increment of the L-byte counter field
+        for (let i = AES_BLOCK_SIZE - 1; i > nonce.length; i -= 1) {
+            counter[i] = (counter[i] + 1) & 0xff;
+
+            if (counter[i]) {
+                break;
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * AES-CCM (RFC 3610) authentication tag: CBC-MAC over the formatted plaintext and associated data,
+ * encrypted with counter block 0.
+ * @param {Uint8Array} key
+ * @param {Uint8Array} nonce 7 to 13 bytes
+ * @param {Uint8Array} plaintext
+ * @param {Uint8Array} associatedData
+ * @param {number} tagLength 4 to 16, even
+ * @returns {Uint8Array}
+ */
+export function aesCcmTag(key, nonce, plaintext, associatedData, tagLength) {
+    const encrypt = createAesEncryptor(key);
+    const lengthSize = 15 - nonce.length;
+    const b0 = createCcmBlock(nonce, (associatedData.length ? 0x40 : 0) | (((tagLength - 2) / 2) << 3) | (lengthSize - 1), plaintext.length);
+    let mac = encrypt(b0);
+    /** @type {(bytes: Uint8Array) => void} */
+    const absorb = (bytes) => {
+        for (let offset = 0; offset < bytes.length; offset += AES_BLOCK_SIZE) {
+            const block = mac.slice();
+
+            for (let i = 0; i < AES_BLOCK_SIZE && offset + i < bytes.length; i += 1) {
+                block[i] ^= bytes[offset + i];
+            }
+
+            mac = encrypt(block);
+        }
+    };
+
+    if (associatedData.length) {
+        // lengths below 0xff00 are encoded on two bytes
+        const encoded = new Uint8Array(2 + associatedData.length);
+
+        encoded[0] = associatedData.length >> 8;
+        encoded[1] = associatedData.length & 0xff;
+        encoded.set(associatedData, 2);
+        absorb(encoded);
+    }
+
+    absorb(plaintext);
+
+    return aesCcmCrypt(key, nonce, mac.subarray(0, tagLength), 0);
+}
+
+/**
+ * A CCM block: flags byte, nonce, then `value` big-endian in the remaining bytes.
+ * @param {Uint8Array} nonce
+ * @param {number} flags
+ * @param {number} value
+ * @returns {Uint8Array}
+ */
+function createCcmBlock(nonce, flags, value) {
+    const block = new Uint8Array(AES_BLOCK_SIZE);
+    let rest = value;
+
+    block[0] = flags;
+    block.set(nonce, 1);
+
+    for (let i = AES_BLOCK_SIZE - 1; i > nonce.length; i -= 1) {
+        block[i] = rest & 0xff;
+        rest = Math.floor(rest / 256);
+    }
+
+    return block;
+}
+
+/**
+ * @param {Uint8Array} key
+ * @returns {Uint32Array}
+ */
+function expandKey(key) {
+    const nk = key.length / 4;
+    const total = (nk + 7) * 4;
+    const words = new Uint32Array(total);
+    let rcon = 1;
+
+    for (let i = 0; i < nk; i += 1) {
+        words[i] = ((key[i * 4] << 24) | (key[i * 4 + 1] << 16) | (key[i * 4 + 2] << 8) | key[i * 4 + 3]) >>> 0;
+    }
+
+    for (let i = nk; i < total; i += 1) {
+        let temp = words[i - 1];
+
+        if (i % nk === 0) {
+            temp = subWord(((temp << 8) | (temp >>> 24)) >>> 0) ^ (rcon << 24);
+            rcon = xtime(rcon);
+        } else if (nk > 6 && i % nk === 4) {
+            temp = subWord(temp);
+        }
+
+        words[i] = (words[i - nk] ^ temp) >>> 0;
+    }
+
+    return words;
+}
+
+/**
+ * @param {Uint32Array} rk
+ * @param {number} rounds
+ * @param {Uint8Array} input
+ * @param {Uint8Array} output
+ * @returns {Uint8Array}
+ */
+function encryptBlock(rk, rounds, input, output) {
+    let s0 = (((input[0] << 24) | (input[1] << 16) | (input[2] << 8) | input[3]) ^ rk[0]) >>> 0;
+    let s1 = (((input[4] << 24) | (input[5] << 16) | (input[6] << 8) | input[7]) ^ rk[1]) >>> 0;
+    let s2 = (((input[8] << 24) | (input[9] << 16) | (input[10] << 8) | input[11]) ^ rk[2]) >>> 0;
+    let s3 = (((input[12] << 24) | (input[13] << 16) | (input[14] << 8) | input[15]) ^ rk[3]) >>> 0;
+    let k = 4;
+
+    for (let round = 1; round < rounds; round += 1) {
+        const t0 = T0[s0 >>> 24] ^ T1[(s1 >>> 16) & 0xff] ^ T2[(s2 >>> 8) & 0xff] ^ T3[s3 & 0xff] ^ rk[k];
+        const t1 = T0[s1 >>> 24] ^ T1[(s2 >>> 16) & 0xff] ^ T2[(s3 >>> 8) & 0xff] ^ T3[s0 & 0xff] ^ rk[k + 1];
+        const t2 = T0[s2 >>> 24] ^ T1[(s3 >>> 16) & 0xff] ^ T2[(s0 >>> 8) & 0xff] ^ T3[s1 & 0xff] ^ rk[k + 2];
+        const t3 = T0[s3 >>> 24] ^ T1[(s0 >>> 16) & 0xff] ^ T2[(s1 >>> 8) & 0xff] ^ T3[s2 & 0xff] ^ rk[k + 3];
+        s0 = t0 >>> 0;
+        s1 = t1 >>> 0;
+        s2 = t2 >>> 0;
+        s3 = t3 >>> 0;
+        k += 4;
+    }
+
+    const columns = [s0, s1, s2, s3];
+
+    for (let c = 0; c < 4; c += 1) {
+        const word =
+            ((SBOX[columns[c] >>> 24] << 24) |
+                (SBOX[(columns[(c + 1) % 4] >>> 16) & 0xff] << 16) |
+                (SBOX[(columns[(c + 2) % 4] >>> 8) & 0xff] << 8) |
+                SBOX[columns[(c + 3) % 4] & 0xff]) ^
+            rk[k + c];
+
+        output[c * 4] = word >>> 24;
+        output[c * 4 + 1] = (word >>> 16) & 0xff;
+        output[c * 4 + 2] = (word >>> 8) & 0xff;
+        output[c * 4 + 3] = word & 0xff;
+    }
+
+    return output;
+}
+
+/**
+ * @param {number} word
+ * @returns {number}
+ */
+function subWord(word) {
+    return ((SBOX[word >>> 24] << 24) | (SBOX[(word >>> 16) & 0xff] << 16) | (SBOX[(word >>> 8) & 0xff] << 8) | SBOX[word & 0xff]) >>> 0;
+}
+
+/**
+ * Multiply by x in GF(2^8).
+ * @param {number} value
+ * @returns {number}
+ */
+function xtime(value) {
+    return ((value << 1) ^ (value & 0x80 ? 0x11b : 0)) & 0xff;
+}
+
+function initTables() {
+    // generate the S-box from multiplicative inverses, walking GF(2^8) with generator 3
+    let p = 1;
+    let q = 1;
+
+    do {
+        p = p ^ xtime(p);
+        q ^= q << 1;
+        q ^= q << 2;
+        q ^= q << 4;
+        q &= 0xff;
+
+        if (q & 0x80) {
+            q ^= 0x09;
+        }
+
+        const x = q ^ ((q << 1) | (q >>> 7)) ^ ((q << 2) | (q >>> 6)) ^ ((q << 3) | (q >>> 5)) ^ ((q << 4) | (q >>> 4));
+        SBOX[p] = (x ^ 0x63) & 0xff;
+    } while (p !== 1);
+
+    SBOX[0] = 0x63;
+
+    for (let i = 0; i < 256; i += 1) {
+        const s = SBOX[i];
+        const s2 = xtime(s);
+        const s3 = s2 ^ s;
+        const word = ((s2 << 24) | (s << 16) | (s << 8) | s3) >>> 0;
+
+        T0[i] = word;
+        T1[i] = ((word >>> 8) | (word << 24)) >>> 0;
+        T2[i] = ((word >>> 16) | (word << 16)) >>> 0;
+        T3[i] = ((word >>> 24) | (word << 8)) >>> 0;
+    }
+}
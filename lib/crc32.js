@@ -0,0 +1,41 @@
+/** @type {Uint32Array | undefined} */
+let crc32Table;
+
+/**
+ * CRC-32 (IEEE 802.3, reflected polynomial 0xedb88320) as used by ZIP, GBL and most firmware formats.
+ * @param {Uint8Array} bytes
+ * @param {number} [crc] running value from a previous call, for incremental computation
+ * @returns {number}
+ */
+export function crc32(bytes, crc = 0) {
+    const table = getCRC32Table();
+    let value = ~crc >>> 0;
+
+    for (let i = 0; i < bytes.length; i += 1) {
+        value = table[(value ^ bytes[i]) & 0xff] ^ (value >>> 8);
+    }
+
+    return ~value >>> 0;
+}
+
+/**
+ * Lazily build the CRC-32 lookup table.
+ * @returns {Uint32Array}
+ */
+function getCRC32Table() {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+
+        for (let n = 0; n < 256; n += 1) {
+            let c = n;
+
+            for (let k = 0; k < 8; k += 1) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    return crc32Table;
+}
@@ -0,0 +1,274 @@
+/**
+ * Comparison of two parsed OTA images: header fields, elements (paired by tag, in order of appearance),
+ * stack identification and changed byte regions of each element payload.
+ */
+
+import { sha256 } from "./sha256.js";
+
+/**
+ * @typedef {import("./ota.js").ImageHeader} ImageHeader
+ * @typedef {import("./ota.js").ImageElement} ImageElement
+ * @typedef {import("./ota.js").ParsedImage} ParsedImage
+ *
+ * @typedef {Object} HeaderFieldDiff
+ * @property {keyof ImageHeader} field
+ * @property {string} before
+ * @property {string} after
+ * @property {boolean} changed
+ *
+ * @typedef {Object} ElementSummary
+ * @property {number} index // element index in its image
+ * @property {number} length
+ * @property {string} sha256 // hex digest of the element data
+ *
+ * @typedef {Object} ByteRegion
+ * @property {number} start // inclusive byte offset in the element data
+ * @property {number} end // exclusive byte offset in the element data
+ *
+ * @typedef {Object} ElementDiff
+ * @property {number} tagID
+ * @property {"same" | "changed" | "added" | "removed"} status
+ * @property {ElementSummary | undefined} before // undefined when added
+ * @property {ElementSummary | undefined} after // undefined when removed
+ * @property {ByteRegion[]} regions // changed regions, including bytes past the end of the shorter payload
+ * @property {number} changedBytes
+ *
+ * @typedef {Object} ImageDiff
+ * @property {HeaderFieldDiff[]} header
+ * @property {ElementDiff[]} elements
+ * @property {{ before: string, after: string, changed: boolean }} stack
+ * @property {boolean} headerChanged
+ * @property {boolean} payloadIdentical // same elements with the same data, in the same order
+ * @property {boolean} headerOnly // payload identical, header changed: e.g. a re-versioned re-release
+ */
+
+/** @type {(keyof ImageHeader)[]} */
+const HEADER_FIELDS = [
+    "otaUpgradeFileIdentifier",
+    "otaHeaderVersion",
+    "otaHeaderLength",
+    "otaHeaderFieldControl",
+    "manufacturerCode",
+    "imageType",
+    "fileVersion",
+    "zigbeeStackVersion",
+    "otaHeaderString",
+    "totalImageSize",
+    "securityCredentialVersion",
+    "upgradeFileDestination",
+    "minimumHardwareVersion",
+    "maximumHardwareVersion",
+];
+/** Changed regions closer than this many unchanged bytes are reported as one. */
+const REGION_MERGE_GAP = 16;
+const MAX_LISTED_REGIONS = 8;
+
+/**
+ * Compare two parsed images.
+ * @param {ParsedImage} before
+ * @param {ParsedImage} after
+ * @returns {ImageDiff}
+ */
+export function diffImages(before, after) {
+    const header = HEADER_FIELDS.map((field) => {
+        const beforeValue = formatHeaderValue(before.header[field]);
+        const afterValue = formatHeaderValue(after.header[field]);
+
+        return { field, before: beforeValue, after: afterValue, changed: beforeValue !== afterValue };
+    });
+    const elements = diffElements(before.elements, after.elements);
+    const headerChanged = header.some((field) => field.changed);
+    const payloadIdentical =
+        before.elements.length === after.elements.length &&
+        elements.every((element) => element.status === "same" && element.before?.index === element.after?.index);
+
+    return {
+        header,
+        elements,
+        stack: { before: before.stack, after: after.stack, changed: before.stack !== after.stack },
+        headerChanged,
+        payloadIdentical,
+        headerOnly: payloadIdentical && headerChanged,
+    };
+}
+
+/**
+ * Multi-line text report of an image comparison.
+ * @param {ImageDiff} diff
+ * @returns {string}
+ */
+export function describeImageDiff(diff) {
+    const lines = [];
+
+    if (diff.headerOnly) {
+        lines.push("Identical payload, header-only changes (re-release of the same firmware).");
+    } else if (diff.payloadIdentical) {
+        lines.push("Images are identical.");
+    } else {
+        const changed = diff.elements.filter((element) => element.status !== "same").length;
+
+        lines.push(`Payload differs: ${changed} of ${diff.elements.length} elements changed, added or removed.`);
+    }
+
+    lines.push("Header:");
+
+    for (const field of diff.header) {
+        lines.push(field.changed ? `  * ${field.field}: ${field.before} -> ${field.after}` : `    ${field.field}: ${field.before}`);
+    }
+
+    lines.push(diff.stack.changed ? `Stack: ${diff.stack.before} -> ${diff.stack.after}` : `Stack: ${diff.stack.before} (unchanged)`);
+    lines.push("Elements:");
+
+    for (const element of diff.elements) {
+        lines.push(`  ${describeElementDiff(element)}`);
+    }
+
+    return lines.join("\n");
+}
+
+/**
+ * Pair the elements of both images by tag, in order of appearance, and compare their data.
+ * @param {ImageElement[]} before
+ * @param {ImageElement[]} after
+ * @returns {ElementDiff[]}
+ */
+function diffElements(before, after) {
+    /** @type {ElementDiff[]} */
+    const diffs = [];
+    const unmatched = after.map((_, index) => index);
+
+    before.forEach((element, index) => {
+        const position = unmatched.findIndex((candidate) => after[candidate].tagID === element.tagID);
+
+        if (position === -1) {
+            diffs.push({ tagID: element.tagID, status: "removed", before: summarizeElement(element, index), after: undefined, regions: [], changedBytes: 0 });
+            return;
+        }
+
+        const [afterIndex] = unmatched.splice(position, 1);
+        const regions = findChangedRegions(element.data, after[afterIndex].data);
+        const changedBytes = countChangedBytes(element.data, after[afterIndex].data);
+
+        diffs.push({
+            tagID: element.tagID,
+            status: regions.length ? "changed" : "same",
+            before: summarizeElement(element, index),
+            after: summarizeElement(after[afterIndex], afterIndex),
+            regions,
+            changedBytes,
+        });
+    });
+
+    for (const index of unmatched) {
+        diffs.push({ tagID: after[index].tagID, status: "added", before: undefined, after: summarizeElement(after[index], index), regions: [], changedBytes: 0 });
+    }
+
+    return diffs;
+}
+
+/**
+ * @param {ElementDiff} element
+ * @returns {string}
+ */
+function describeElementDiff(element) {
+    const tag = `[0x${element.tagID.toString(16).padStart(4, "0")}]`;
+    /** @type {(summary: ElementSummary) => string} */
+    const summary = ({ index, length, sha256: hash }) => `#${index + 1}, ${length} bytes, SHA-256 ${hash.slice(0, 16)}…`;
+
+    switch (element.status) {
+        case "added":
+            return `${tag} added: ${element.after && summary(element.after)}`;
+        case "removed":
+            return `${tag} removed: ${element.before && summary(element.before)}`;
+        case "same":
+            return `${tag} identical: ${element.before && summary(element.before)}`;
+        default: {
+            const listed = element.regions.slice(0, MAX_LISTED_REGIONS).map(({ start, end }) => `0x${start.toString(16)}-0x${end.toString(16)}`);
+            const more = element.regions.length > MAX_LISTED_REGIONS ? `, and ${element.regions.length - MAX_LISTED_REGIONS} more` : "";
+
+            return `${tag} changed: ${element.before && summary(element.before)} -> ${element.after && summary(element.after)}; ${element.changedBytes} bytes differ in ${element.regions.length} regions (${listed.join(", ")}${more})`;
+        }
+    }
+}
+
+/**
+ * @param {ImageElement} element
+ * @param {number} index
+ * @returns {ElementSummary}
+ */
+function summarizeElement(element, index) {
+    return { index, length: element.data.length, sha256: Array.from(sha256(element.data), (b) => b.toString(16).padStart(2, "0")).join("") };
+}
+
+/**
+ * Changed byte regions between two payloads; bytes past the end of the shorter one count as changed.
+ * @param {Uint8Array} before
+ * @param {Uint8Array} after
+ * @returns {ByteRegion[]}
+ */
+function findChangedRegions(before, after) {
+    /** @type {ByteRegion[]} */
+    const regions = [];
+    const common = Math.min(before.length, after.length);
+    const longest = Math.max(before.length, after.length);
+
+    for (let i = 0; i < common; i += 1) {
+        if (before[i] === after[i]) {
+            continue;
+        }
+
+        const last = regions.at(-1);
+
+        if (last && i - last.end < REGION_MERGE_GAP) {
+            last.end = i + 1;
+        } else {
+            regions.push({ start: i, end: i + 1 });
+        }
+    }
+
+    if (longest > common) {
+        const last = regions.at(-1);
+
+        if (last && common - last.end < REGION_MERGE_GAP) {
+            last.end = longest;
+        } else {
+            regions.push({ start: common, end: longest });
+        }
+    }
+
+    return regions;
+}
+
+/**
+ * @param {Uint8Array} before
+ * @param {Uint8Array} after
+ * @returns {number}
+ */
+function countChangedBytes(before, after) {
+    const common = Math.min(before.length, after.length);
+    let count = Math.max(before.length, after.length) - common;
+
+    for (let i = 0; i < common; i += 1) {
+        if (before[i] !== after[i]) {
+            count += 1;
+        }
+    }
+
+    return count;
+}
+
+/**
+ * @param {ImageHeader[keyof ImageHeader]} value
+ * @returns {string}
+ */
+function formatHeaderValue(value) {
+    if (value === undefined) {
+        return "—";
+    }
+
+    if (value instanceof Uint8Array) {
+        return Array.from(value, (b) => b.toString(16).padStart(2, "0")).join(" ");
+    }
+
+    return typeof value === "number" ? `${value} (0x${value.toString(16)})` : JSON.stringify(value);
+}
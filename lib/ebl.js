@@ -0,0 +1,506 @@
+/**
+ * Silicon Labs legacy Ember bootloader (EBL) file parsing, as used by EM35x devices.
+ * An EBL file is a stream of tags: tag ID (uint16 BE), data length (uint16 BE), data.
+ * It starts with a header tag holding a copy of the application address table (AAT) and ends with an end tag
+ * holding the CRC-32 of every preceding byte.
+ * An encrypted EBL file wraps a complete plain EBL file into AES-CCM encrypted data tags, authenticated by a MAC tag.
+ */
+
+import { aesCcmCrypt, aesCcmTag } from "./aes.js";
+import { crc32 } from "./crc32.js";
+
+/**
+ * @typedef {Object} EblTag
+ * @property {number} id
+ * @property {string} name
+ * @property {number} offset // byte offset of the tag ID in the EBL file
+ * @property {number} length // declared data length
+ * @property {Uint8Array} data // may be shorter than `length` when the file is truncated
+ * @property {EblField[]} fields
+ *
+ * @typedef {Object} EblField
+ * @property {string} label
+ * @property {string} value
+ * @property {number} start // inclusive byte offset in the EBL file
+ * @property {number} end // exclusive byte offset in the EBL file
+ *
+ * @typedef {Object} EblHeader
+ * @property {number} version // EBL format version
+ * @property {number} aatAddress // flash address of the AAT
+ * @property {number} aatCrc
+ * @property {number} platform
+ * @property {number} micro
+ * @property {number} phy
+ * @property {number} aatSize
+ * @property {number} softwareVersion // EmberZNet version, one nibble per digit
+ * @property {number} softwareBuild
+ * @property {Date} timestamp // set when the EBL file was generated
+ * @property {string} imageInfo
+ * @property {number} imageCrc // CRC-32 of the application flash pages
+ * @property {number | undefined} customerApplicationVersion // undefined when the AAT is too short
+ *
+ * @typedef {Object} EblCrc
+ * @property {number} stored
+ * @property {number} computed
+ * @property {boolean} valid
+ *
+ * @typedef {Object} EblFile
+ * @property {EblTag[]} tags
+ * @property {boolean} encrypted // starts with an encryption header tag
+ * @property {EblHeader | undefined} header // undefined when encrypted or without a complete header tag
+ * @property {EblCrc | undefined} crc // undefined when encrypted or without a complete end tag
+ * @property {number} trailingLength // bytes after the end (or MAC) tag, usually 0xff padding
+ * @property {string[]} problems // truncation, unknown tags...
+ *
+ * @typedef {Object} EblDecryption
+ * @property {Uint8Array} file // the plain EBL file
+ * @property {EblFile} decrypted
+ * @property {boolean} authentic // the MAC tag matches
+ * @property {string[]} problems // message length or MAC mismatch
+ */
+
+const EBL_TAG_HEADER_LENGTH = 4;
+const EBL_MAX_TAG_LENGTH = 0xffff;
+const EBL_IMAGE_SIGNATURE = 0xe350;
+/** Offset of the AAT copy in the header tag data, after version, signature, AAT address and AAT CRC. */
+const EBL_HEADER_AAT_OFFSET = 12;
+/** Header tag data length up to the AAT image CRC, the last field needed for `EblHeader`. */
+const EBL_HEADER_MIN_LENGTH = EBL_HEADER_AAT_OFFSET + 0x48;
+const EBL_IMAGE_INFO_LENGTH = 32;
+const AES_CCM_NONCE_LENGTH = 12;
+const AES_CCM_MAC_LENGTH = 16;
+export const EBL_TAG_ID_HEADER = 0x0000;
+export const EBL_TAG_ID_PROG = 0xfe01;
+export const EBL_TAG_ID_MFGPROG = 0x02fe;
+export const EBL_TAG_ID_ERASEPROG = 0xfd03;
+export const EBL_TAG_ID_END = 0xfc04;
+export const EBL_TAG_ID_ENC_HEADER = 0xfb05;
+export const EBL_TAG_ID_ENC_INIT = 0xfa06;
+export const EBL_TAG_ID_ENC_EBL_DATA = 0xf907;
+export const EBL_TAG_ID_ENC_MAC = 0xf709;
+
+/** @type {Record<number, string>} */
+const EBL_TAG_NAMES = {
+    [EBL_TAG_ID_HEADER]: "Header",
+    [EBL_TAG_ID_PROG]: "Program data",
+    [EBL_TAG_ID_MFGPROG]: "Manufacturing program data",
+    [EBL_TAG_ID_ERASEPROG]: "Erase & program data",
+    [EBL_TAG_ID_END]: "End",
+    [EBL_TAG_ID_ENC_HEADER]: "Encryption header",
+    [EBL_TAG_ID_ENC_INIT]: "Encryption init",
+    [EBL_TAG_ID_ENC_EBL_DATA]: "Encrypted EBL data",
+    [EBL_TAG_ID_ENC_MAC]: "Encryption MAC",
+};
+
+/** @type {Record<number, string>} */
+const EBL_PLATFORM_NAMES = { 1: "AVR", 2: "XAP2b", 4: "Cortex-M3" };
+/** Micro names of the Cortex-M3 platform. @type {Record<number, string>} */
+const EBL_MICRO_NAMES = { 1: "STM32F103RET", 2: "EM357", 3: "EM367", 4: "EM351", 5: "EM35x", 6: "STM32W108" };
+/** @type {Record<number, string>} */
+const EBL_PHY_NAMES = { 1: "EM2420", 2: "EM2420B", 3: "EM250", 4: "EM3xx" };
+
+/**
+ * Whether the bytes start like a plain or an encrypted EBL file.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isEbl(bytes) {
+    return isEncryptedEbl(bytes) || (bytes.length >= 8 && ((bytes[0] << 8) | bytes[1]) === EBL_TAG_ID_HEADER && ((bytes[6] << 8) | bytes[7]) === EBL_IMAGE_SIGNATURE);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isEncryptedEbl(bytes) {
+    return bytes.length >= 2 && ((bytes[0] << 8) | bytes[1]) === EBL_TAG_ID_ENC_HEADER;
+}
+
+/**
+ * Walk the tag stream of an EBL file, up to its end tag (MAC tag when encrypted), decoding the header AAT fields
+ * and checking the end-tag CRC-32.
+ * Never throws on malformed input: problems are collected in `problems` instead.
+ * @param {Uint8Array} bytes
+ * @returns {EblFile}
+ */
+export function parseEbl(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const encrypted = isEncryptedEbl(bytes);
+    const lastTagID = encrypted ? EBL_TAG_ID_ENC_MAC : EBL_TAG_ID_END;
+    /** @type {EblFile} */
+    const ebl = { tags: [], encrypted, header: undefined, crc: undefined, trailingLength: 0, problems: [] };
+    let position = 0;
+
+    while (position < bytes.length) {
+        if (position + EBL_TAG_HEADER_LENGTH > bytes.length) {
+            ebl.problems.push(`Truncated tag header at offset 0x${position.toString(16)}`);
+            break;
+        }
+
+        const id = view.getUint16(position, false);
+        const length = view.getUint16(position + 2, false);
+        const dataStart = position + EBL_TAG_HEADER_LENGTH;
+        const data = bytes.subarray(dataStart, Math.min(dataStart + length, bytes.length));
+        const name = EBL_TAG_NAMES[id];
+
+        if (!name) {
+            ebl.problems.push(`Unknown tag 0x${id.toString(16).padStart(4, "0")} at offset 0x${position.toString(16)}`);
+        }
+
+        if (data.length < length) {
+            ebl.problems.push(`Truncated ${name ?? "Unknown"} tag at offset 0x${position.toString(16)}: ${data.length} of ${length} bytes`);
+        }
+
+        /** @type {EblTag} */
+        const tag = { id, name: name ?? "Unknown", offset: position, length, data, fields: decodeTagFields(id, data, dataStart) };
+
+        ebl.tags.push(tag);
+
+        if (id === EBL_TAG_ID_HEADER && data.length >= EBL_HEADER_MIN_LENGTH) {
+            ebl.header = decodeHeader(data);
+        }
+
+        if (id === EBL_TAG_ID_END && data.length >= 4) {
+            // covers everything up to the CRC value itself, including the end tag ID and length
+            const stored = view.getUint32(dataStart, true);
+            const computed = crc32(bytes.subarray(0, dataStart));
+
+            ebl.crc = { stored, computed, valid: stored === computed };
+            tag.fields.push({ label: "Computed CRC-32", value: formatEblHex(computed), start: dataStart, end: dataStart + 4 });
+
+            if (!ebl.crc.valid) {
+                ebl.problems.push(`End tag CRC-32 mismatch: stored ${formatEblHex(stored)}, computed ${formatEblHex(computed)}`);
+            }
+        }
+
+        if (id === lastTagID) {
+            ebl.trailingLength = Math.max(0, bytes.length - dataStart - length);
+            break;
+        }
+
+        if (data.length < length) {
+            break;
+        }
+
+        position = dataStart + length;
+    }
+
+    if (ebl.tags[0] && ebl.tags[0].id !== (encrypted ? EBL_TAG_ID_ENC_HEADER : EBL_TAG_ID_HEADER)) {
+        ebl.problems.unshift("File does not start with an EBL header tag");
+    }
+
+    if (!ebl.tags.some((tag) => tag.id === lastTagID)) {
+        ebl.problems.push(encrypted ? "Missing MAC tag" : "Missing end tag");
+    }
+
+    return ebl;
+}
+
+/**
+ * One-line description of a parsed EBL file.
+ * @param {EblFile} ebl
+ * @returns {string}
+ */
+export function describeEbl(ebl) {
+    const parts = [`${ebl.tags.length} tags`];
+
+    if (ebl.encrypted) {
+        parts.push("AES-CCM encrypted");
+    }
+
+    if (ebl.header) {
+        parts.push(`EmberZNet ${formatEmberVersion(ebl.header.softwareVersion, ebl.header.softwareBuild)}`, `built ${formatTimestamp(ebl.header.timestamp)}`);
+
+        if (ebl.header.imageInfo) {
+            parts.push(JSON.stringify(ebl.header.imageInfo));
+        }
+    }
+
+    if (ebl.crc?.valid) {
+        parts.push("end-tag CRC-32 valid");
+    }
+
+    if (ebl.trailingLength) {
+        parts.push(`${ebl.trailingLength} bytes after the ${ebl.encrypted ? "MAC" : "end"} tag`);
+    }
+
+    return ebl.problems.length ? `${parts.join(", ")}; PROBLEMS: ${ebl.problems.join("; ")}` : parts.join(", ");
+}
+
+/**
+ * Decrypt an encrypted EBL file and check its MAC.
+ * The init tag holds the message length, the nonce and optional associated data; the data of all encrypted
+ * data tags forms one AES-CCM message (16-byte MAC) that decrypts to the plain EBL file.
+ * @param {Uint8Array} bytes
+ * @param {Uint8Array} key 128-bit key, as returned by `importGblEncryptionKey`
+ * @returns {EblDecryption}
+ */
+export function decryptEbl(bytes, key) {
+    const ebl = parseEbl(bytes);
+    const init = ebl.tags.find((tag) => tag.id === EBL_TAG_ID_ENC_INIT);
+    const mac = ebl.tags.find((tag) => tag.id === EBL_TAG_ID_ENC_MAC);
+
+    if (!ebl.encrypted || !init || init.data.length < 4 + AES_CCM_NONCE_LENGTH) {
+        throw new Error("Not an encrypted EBL file: missing encryption init tag");
+    }
+
+    const messageLength = new DataView(init.data.buffer, init.data.byteOffset).getUint32(0, false);
+    const nonce = init.data.subarray(4, 4 + AES_CCM_NONCE_LENGTH);
+    const ciphertext = concatBytes(...ebl.tags.filter((tag) => tag.id === EBL_TAG_ID_ENC_EBL_DATA).map((tag) => tag.data));
+    const file = aesCcmCrypt(key, nonce, ciphertext);
+    const computed = aesCcmTag(key, nonce, file, init.data.subarray(4 + AES_CCM_NONCE_LENGTH), AES_CCM_MAC_LENGTH);
+    const authentic = mac !== undefined && mac.data.length === AES_CCM_MAC_LENGTH && computed.every((byte, i) => byte === mac.data[i]);
+    const problems = [];
+
+    if (messageLength !== ciphertext.length) {
+        problems.push(`Encryption init tag declares ${messageLength} bytes, encrypted data tags hold ${ciphertext.length}`);
+    }
+
+    if (!authentic) {
+        problems.push(mac ? "MAC mismatch (wrong key or corrupted data)" : "Missing MAC tag");
+    }
+
+    return { file, decrypted: parseEbl(file), authentic, problems };
+}
+
+/**
+ * Encrypt a plain EBL file with AES-CCM, keeping the encryption header, associated data and data tag size of
+ * `template`, an encrypted EBL file. A fresh nonce is drawn for every call.
+ * @param {Uint8Array} plain
+ * @param {Uint8Array} key 128-bit key, as returned by `importGblEncryptionKey`
+ * @param {Uint8Array} template
+ * @returns {Uint8Array}
+ */
+export function encryptEbl(plain, key, template) {
+    const source = parseEbl(plain);
+    const target = parseEbl(template);
+    const header = target.tags.find((tag) => tag.id === EBL_TAG_ID_ENC_HEADER);
+    const init = target.tags.find((tag) => tag.id === EBL_TAG_ID_ENC_INIT);
+    const firstData = target.tags.find((tag) => tag.id === EBL_TAG_ID_ENC_EBL_DATA);
+
+    if (source.encrypted) {
+        throw new Error("EBL file is already encrypted");
+    }
+
+    if (source.problems.length) {
+        throw new Error(`Cannot encrypt a malformed EBL file: ${source.problems.join("; ")}`);
+    }
+
+    if (!header || !init || init.data.length < 4 + AES_CCM_NONCE_LENGTH) {
+        throw new Error("Template EBL file has no encryption header or init tag");
+    }
+
+    const associatedData = init.data.subarray(4 + AES_CCM_NONCE_LENGTH);
+    const nonce = crypto.getRandomValues(new Uint8Array(AES_CCM_NONCE_LENGTH));
+    const initData = concatBytes(new Uint8Array(4), nonce, associatedData);
+    const ciphertext = aesCcmCrypt(key, nonce, plain);
+    const chunkLength = firstData?.length || EBL_MAX_TAG_LENGTH;
+    const dataTags = [];
+
+    new DataView(initData.buffer).setUint32(0, plain.length, false);
+
+    for (let offset = 0; offset < ciphertext.length; offset += chunkLength) {
+        dataTags.push(createTag(EBL_TAG_ID_ENC_EBL_DATA, ciphertext.subarray(offset, offset + chunkLength)));
+    }
+
+    return concatBytes(
+        createTag(EBL_TAG_ID_ENC_HEADER, header.data),
+        createTag(EBL_TAG_ID_ENC_INIT, initData),
+        ...dataTags,
+        createTag(EBL_TAG_ID_ENC_MAC, aesCcmTag(key, nonce, plain, associatedData, AES_CCM_MAC_LENGTH)),
+        template.subarray(template.length - target.trailingLength),
+    );
+}
+
+/**
+ * Header tag data, with the AAT fields in the little-endian layout of the EM35x application address table.
+ * @param {Uint8Array} data at least `EBL_HEADER_MIN_LENGTH` bytes
+ * @returns {EblHeader}
+ */
+function decodeHeader(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const aat = EBL_HEADER_AAT_OFFSET;
+
+    return {
+        version: view.getUint16(0, false),
+        aatAddress: view.getUint32(4, false),
+        aatCrc: view.getUint32(8, false),
+        platform: data[aat + 0x18],
+        micro: data[aat + 0x19],
+        phy: data[aat + 0x1a],
+        aatSize: data[aat + 0x1b],
+        softwareVersion: view.getUint16(aat + 0x1c, true),
+        softwareBuild: view.getUint16(aat + 0x1e, true),
+        timestamp: new Date(view.getUint32(aat + 0x20, true) * 1000),
+        imageInfo: decodeImageInfo(data.subarray(aat + 0x24, aat + 0x24 + EBL_IMAGE_INFO_LENGTH)),
+        imageCrc: view.getUint32(aat + 0x44, true),
+        customerApplicationVersion: data.length >= aat + 0x5c ? view.getUint32(aat + 0x58, true) : undefined,
+    };
+}
+
+/**
+ * Decoded fields of a tag, with their byte ranges in the EBL file.
+ * @param {number} id
+ * @param {Uint8Array} data
+ * @param {number} dataStart offset of the tag data in the EBL file
+ * @returns {EblField[]}
+ */
+function decodeTagFields(id, data, dataStart) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    /** @type {EblField[]} */
+    const fields = [];
+    /** @type {(label: string, start: number, length: number, format: (start: number) => string) => void} */
+    const field = (label, start, length, format) => {
+        if (start + length <= data.length) {
+            fields.push({ label, value: format(start), start: dataStart + start, end: dataStart + start + length });
+        }
+    };
+    const u32be = /** @param {number} start */ (start) => formatEblHex(view.getUint32(start, false));
+    const u32le = /** @param {number} start */ (start) => formatEblHex(view.getUint32(start, true));
+    /** @type {(names: Record<number, string>) => (start: number) => string} */
+    const named = (names) => (start) => `${data[start]}${names[data[start]] ? ` (${names[data[start]]})` : ""}`;
+    const aat = EBL_HEADER_AAT_OFFSET;
+
+    switch (id) {
+        case EBL_TAG_ID_HEADER: {
+            field("EBL version", 0, 2, (start) => `0x${view.getUint16(start, false).toString(16).padStart(4, "0")}`);
+            field("Signature", 2, 2, (start) => `0x${view.getUint16(start, false).toString(16).padStart(4, "0")}`);
+            field("AAT address", 4, 4, u32be);
+            field("AAT CRC", 8, 4, u32be);
+            field("Platform", aat + 0x18, 1, named(EBL_PLATFORM_NAMES));
+            field("Micro", aat + 0x19, 1, named(EBL_MICRO_NAMES));
+            field("PHY", aat + 0x1a, 1, named(EBL_PHY_NAMES));
+            field("AAT size", aat + 0x1b, 1, (start) => String(data[start]));
+            field("Software version", aat + 0x1c, 4, (start) => formatEmberVersion(view.getUint16(start, true), view.getUint16(start + 2, true)));
+            field("Build timestamp", aat + 0x20, 4, (start) => formatTimestamp(new Date(view.getUint32(start, true) * 1000)));
+            field("Image info", aat + 0x24, EBL_IMAGE_INFO_LENGTH, (start) => JSON.stringify(decodeImageInfo(data.subarray(start, start + EBL_IMAGE_INFO_LENGTH))));
+            field("Image CRC", aat + 0x44, 4, u32le);
+            field("Customer application version", aat + 0x58, 4, u32le);
+            break;
+        }
+        case EBL_TAG_ID_PROG:
+        case EBL_TAG_ID_MFGPROG:
+        case EBL_TAG_ID_ERASEPROG: {
+            field("Flash address", 0, 4, u32be);
+
+            if (data.length >= 4) {
+                fields.push({ label: "Data", value: `${data.length - 4} bytes`, start: dataStart + 4, end: dataStart + data.length });
+            }
+
+            break;
+        }
+        case EBL_TAG_ID_END: {
+            field("CRC-32", 0, 4, u32le);
+            break;
+        }
+        case EBL_TAG_ID_ENC_HEADER: {
+            field("Version", 0, 2, (start) => String(view.getUint16(start, false)));
+            field("Encryption type", 2, 2, (start) => String(view.getUint16(start, false)));
+            field("Signature type", 4, 2, (start) => String(view.getUint16(start, false)));
+            break;
+        }
+        case EBL_TAG_ID_ENC_INIT: {
+            field("Message length", 0, 4, (start) => String(view.getUint32(start, false)));
+            field("Nonce", 4, AES_CCM_NONCE_LENGTH, (start) => formatBytes(data.subarray(start, start + AES_CCM_NONCE_LENGTH)));
+
+            if (data.length > 4 + AES_CCM_NONCE_LENGTH) {
+                fields.push({ label: "Associated data", value: `${data.length - 4 - AES_CCM_NONCE_LENGTH} bytes`, start: dataStart + 4 + AES_CCM_NONCE_LENGTH, end: dataStart + data.length });
+            }
+
+            break;
+        }
+        case EBL_TAG_ID_ENC_MAC: {
+            field("MAC", 0, AES_CCM_MAC_LENGTH, (start) => formatBytes(data.subarray(start, start + AES_CCM_MAC_LENGTH)));
+            break;
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Name of an EBL header micro identifier (Cortex-M3 platform), undefined when unknown.
+ * @param {number} micro
+ * @returns {string | undefined}
+ */
+export function getEblMicroName(micro) {
+    return EBL_MICRO_NAMES[micro];
+}
+
+/**
+ * EmberZNet version, one nibble per digit (e.g. 0x5810 is 5.8.1.0), with the build number.
+ * @param {number} version
+ * @param {number} build
+ * @returns {string}
+ */
+export function formatEmberVersion(version, build) {
+    return `${version >> 12}.${(version >> 8) & 0xf}.${(version >> 4) & 0xf}.${version & 0xf} build ${build}`;
+}
+
+/**
+ * NUL-padded image info string.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function decodeImageInfo(bytes) {
+    const end = bytes.indexOf(0);
+
+    return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end)).replace(/[^\x20-\x7e]/g, "");
+}
+
+/**
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(".000Z", "Z");
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatEblHex(value) {
+    return `0x${value.toString(16).padStart(8, "0")}`;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(" ");
+}
+
+/**
+ * Serialize a tag.
+ * @param {number} id
+ * @param {Uint8Array} data at most 0xffff bytes
+ * @returns {Uint8Array}
+ */
+function createTag(id, data) {
+    const tag = new Uint8Array(EBL_TAG_HEADER_LENGTH + data.length);
+    const view = new DataView(tag.buffer);
+
+    view.setUint16(0, id, false);
+    view.setUint16(2, data.length, false);
+    tag.set(data, EBL_TAG_HEADER_LENGTH);
+
+    return tag;
+}
+
+/**
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+function concatBytes(...parts) {
+    const output = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+
+    for (const part of parts) {
+        output.set(part, position);
+        position += part.length;
+    }
+
+    return output;
+}
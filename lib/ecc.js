@@ -0,0 +1,385 @@
+/**
+ * Elliptic curve arithmetic over binary fields GF(2^m), as used by the Zigbee Smart Energy crypto suites:
+ * sect163k1 (Crypto Suite 1) and sect283k1 (Crypto Suite 2).
+ * Web Crypto only implements the NIST prime curves, so these are done here with BigInt, in affine coordinates.
+ * Only public-key operations are provided (ECDSA verification, ECQV public key reconstruction), nothing here needs to be constant-time.
+ */
+
+/**
+ * @typedef {Object} BinaryCurve
+ * @property {string} name
+ * @property {number} m field degree
+ * @property {number[]} reduction exponents of the reduction polynomial below x^m
+ * @property {bigint} a
+ * @property {bigint} b
+ * @property {CurvePoint} g
+ * @property {bigint} n order of `g`
+ * @property {number} size byte length of a field element / scalar
+ *
+ * @typedef {{x: bigint, y: bigint} | null} CurvePoint null is the point at infinity
+ */
+
+/** @type {BinaryCurve} */
+export const SECT163K1 = {
+    name: "sect163k1",
+    m: 163,
+    reduction: [7, 6, 3, 0],
+    a: 1n,
+    b: 1n,
+    g: {
+        x: 0x02fe13c0537bbc11acaa07d793de4e6d5e5c94eee8n,
+        y: 0x0289070fb05d38ff58321f2e800536d538ccdaa3d9n,
+    },
+    n: 0x04000000000000000000020108a2e0cc0d99f8a5efn,
+    size: 21,
+};
+
+/** @type {BinaryCurve} */
+export const SECT283K1 = {
+    name: "sect283k1",
+    m: 283,
+    reduction: [12, 7, 5, 0],
+    a: 0n,
+    b: 1n,
+    g: {
+        x: 0x0503213f78ca44883f1a3b8162f188e553cd265f23c1567a16876913b0c2ac2458492836n,
+        y: 0x01ccda380f1c9e318d90f95d07e5426fe87e45c0e8184698e45962364e34116177dd2259n,
+    },
+    n: 0x01ffffffffffffffffffffffffffffffffffe9ae2ed07577265dff7f94451e061e163c61n,
+    size: 36,
+};
+
+/**
+ * Decode a SEC1 compressed (0x02/0x03) or uncompressed (0x04) point.
+ * @param {BinaryCurve} curve
+ * @param {Uint8Array} bytes
+ * @returns {CurvePoint}
+ */
+export function decodePoint(curve, bytes) {
+    const prefix = bytes[0];
+
+    if (prefix === 0x04 && bytes.length === 1 + curve.size * 2) {
+        const point = { x: bytesToBigInt(bytes.subarray(1, 1 + curve.size)), y: bytesToBigInt(bytes.subarray(1 + curve.size)) };
+
+        if (!isOnCurve(curve, point)) {
+            throw new Error(`Point is not on ${curve.name}`);
+        }
+
+        return point;
+    }
+
+    if ((prefix !== 0x02 && prefix !== 0x03) || bytes.length !== 1 + curve.size) {
+        throw new Error(`Invalid ${curve.name} point encoding`);
+    }
+
+    const x = bytesToBigInt(bytes.subarray(1));
+
+    if (x >> BigInt(curve.m)) {
+        throw new Error(`Point is not on ${curve.name}`);
+    }
+
+    if (x === 0n) {
+        // y^2 = b
+        return { x, y: fieldSqrt(curve, curve.b) };
+    }
+
+    // y = x * z with z^2 + z = x + a + b / x^2, the parity of z selects the root
+    const beta = x ^ curve.a ^ fieldMul(curve, curve.b, fieldInv(curve, fieldMul(curve, x, x)));
+    let z = halfTrace(curve, beta);
+
+    if ((fieldMul(curve, z, z) ^ z) !== beta) {
+        throw new Error(`Point is not on ${curve.name}`);
+    }
+
+    if (Number(z & 1n) !== (prefix & 1)) {
+        z ^= 1n;
+    }
+
+    return { x, y: fieldMul(curve, x, z) };
+}
+
+/**
+ * ECQV (SEC 4) implicit certificate public key reconstruction: Q = e * P + Q_CA.
+ * @param {BinaryCurve} curve
+ * @param {Uint8Array} reconstructionData compressed point from the certificate
+ * @param {Uint8Array} certificateHash hash of the encoded certificate
+ * @param {Uint8Array} caPublicKey compressed or uncompressed CA public key
+ * @returns {CurvePoint}
+ */
+export function reconstructPublicKey(curve, reconstructionData, certificateHash, caPublicKey) {
+    const e = hashToInteger(curve, certificateHash);
+
+    return addPoints(curve, multiplyPoints(curve, e, decodePoint(curve, reconstructionData), 0n, null), decodePoint(curve, caPublicKey));
+}
+
+/**
+ * ECDSA signature verification over a message digest.
+ * @param {BinaryCurve} curve
+ * @param {CurvePoint} publicKey
+ * @param {Uint8Array} digest
+ * @param {Uint8Array} r
+ * @param {Uint8Array} s
+ * @returns {boolean}
+ */
+export function verifyEcdsa(curve, publicKey, digest, r, s) {
+    const { n } = curve;
+    const rValue = bytesToBigInt(r);
+    const sValue = bytesToBigInt(s);
+
+    if (!publicKey || rValue <= 0n || rValue >= n || sValue <= 0n || sValue >= n) {
+        return false;
+    }
+
+    const w = modInverse(sValue, n);
+    const u1 = (hashToInteger(curve, digest) * w) % n;
+    const u2 = (rValue * w) % n;
+    const point = multiplyPoints(curve, u1, curve.g, u2, publicKey);
+
+    return point !== null && point.x % n === rValue;
+}
+
+/**
+ * @param {BinaryCurve} curve
+ * @param {CurvePoint} point
+ * @returns {boolean}
+ */
+function isOnCurve(curve, point) {
+    if (!point) {
+        return true;
+    }
+
+    const { x, y } = point;
+    const x2 = fieldMul(curve, x, x);
+
+    // y^2 + xy = x^3 + ax^2 + b
+    return (fieldMul(curve, y, y) ^ fieldMul(curve, x, y)) === (fieldMul(curve, x2, x) ^ fieldMul(curve, curve.a, x2) ^ curve.b);
+}
+
+/**
+ * Leftmost bits of a hash as an integer, truncated to the bit length of the curve order.
+ * @param {BinaryCurve} curve
+ * @param {Uint8Array} hash
+ * @returns {bigint}
+ */
+function hashToInteger(curve, hash) {
+    const orderBits = curve.n.toString(2).length;
+    const value = bytesToBigInt(hash);
+    const excess = hash.length * 8 - orderBits;
+
+    return excess > 0 ? value >> BigInt(excess) : value;
+}
+
+/**
+ * @param {BinaryCurve} curve
+ * @param {CurvePoint} p
+ * @param {CurvePoint} q
+ * @returns {CurvePoint}
+ */
+function addPoints(curve, p, q) {
+    if (!p) {
+        return q;
+    }
+
+    if (!q) {
+        return p;
+    }
+
+    if (p.x === q.x) {
+        return p.y === q.y ? doublePoint(curve, p) : null;
+    }
+
+    const lambda = fieldMul(curve, p.y ^ q.y, fieldInv(curve, p.x ^ q.x));
+    const x = fieldMul(curve, lambda, lambda) ^ lambda ^ p.x ^ q.x ^ curve.a;
+
+    return { x, y: fieldMul(curve, lambda, p.x ^ x) ^ x ^ p.y };
+}
+
+/**
+ * @param {BinaryCurve} curve
+ * @param {CurvePoint} p
+ * @returns {CurvePoint}
+ */
+function doublePoint(curve, p) {
+    if (!p || p.x === 0n) {
+        return null;
+    }
+
+    const lambda = p.x ^ fieldMul(curve, p.y, fieldInv(curve, p.x));
+    const x = fieldMul(curve, lambda, lambda) ^ lambda ^ curve.a;
+
+    return { x, y: fieldMul(curve, p.x, p.x) ^ fieldMul(curve, lambda ^ 1n, x) };
+}
+
+/**
+ * k1 * p1 + k2 * p2 with a single double-and-add pass (Shamir's trick).
+ * @param {BinaryCurve} curve
+ * @param {bigint} k1
+ * @param {CurvePoint} p1
+ * @param {bigint} k2
+ * @param {CurvePoint} p2
+ * @returns {CurvePoint}
+ */
+function multiplyPoints(curve, k1, p1, k2, p2) {
+    const both = addPoints(curve, p1, p2);
+    let result = /** @type {CurvePoint} */ (null);
+
+    for (let bit = Math.max(k1.toString(2).length, k2.toString(2).length) - 1; bit >= 0; bit -= 1) {
+        const b1 = (k1 >> BigInt(bit)) & 1n;
+        const b2 = (k2 >> BigInt(bit)) & 1n;
+
+        result = doublePoint(curve, result);
+
+        if (b1 && b2) {
+            result = addPoints(curve, result, both);
+        } else if (b1) {
+            result = addPoints(curve, result, p1);
+        } else if (b2) {
+            result = addPoints(curve, result, p2);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Carry-less multiplication followed by reduction modulo the field polynomial.
+ * @param {BinaryCurve} curve
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {bigint}
+ */
+function fieldMul(curve, a, b) {
+    let product = 0n;
+
+    for (let shifted = a, rest = b; rest; rest >>= 1n, shifted <<= 1n) {
+        if (rest & 1n) {
+            product ^= shifted;
+        }
+    }
+
+    return fieldReduce(curve, product);
+}
+
+/**
+ * @param {BinaryCurve} curve
+ * @param {bigint} value
+ * @returns {bigint}
+ */
+function fieldReduce(curve, value) {
+    const m = BigInt(curve.m);
+    const mask = (1n << m) - 1n;
+    let result = value;
+
+    // x^m = sum of x^k for k in `reduction`, folded until the degree is below m
+    while (result >> m) {
+        const high = result >> m;
+
+        result &= mask;
+
+        for (const exponent of curve.reduction) {
+            result ^= high << BigInt(exponent);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Inverse by the extended Euclidean algorithm over GF(2)[x].
+ * @param {BinaryCurve} curve
+ * @param {bigint} value
+ * @returns {bigint}
+ */
+function fieldInv(curve, value) {
+    if (value === 0n) {
+        throw new Error("Division by zero in GF(2^m)");
+    }
+
+    let u = value;
+    let v = curve.reduction.reduce((poly, exponent) => poly | (1n << BigInt(exponent)), 1n << BigInt(curve.m));
+    let g1 = 1n;
+    let g2 = 0n;
+
+    while (u !== 1n) {
+        let shift = u.toString(2).length - v.toString(2).length;
+
+        if (shift < 0) {
+            [u, v] = [v, u];
+            [g1, g2] = [g2, g1];
+            shift = -shift;
+        }
+
+        u ^= v << BigInt(shift);
+        g1 ^= g2 << BigInt(shift);
+    }
+
+    return fieldReduce(curve, g1);
+}
+
+/**
+ * Square root, value^(2^(m-1)).
+ * @param {BinaryCurve} curve
+ * @param {bigint} value
+ * @returns {bigint}
+ */
+function fieldSqrt(curve, value) {
+    let result = value;
+
+    for (let i = 1; i < curve.m; i += 1) {
+        result = fieldMul(curve, result, result);
+    }
+
+    return result;
+}
+
+/**
+ * Half-trace, a solution of z^2 + z = value when one exists (m odd).
+ * @param {BinaryCurve} curve
+ * @param {bigint} value
+ * @returns {bigint}
+ */
+function halfTrace(curve, value) {
+    let term = value;
+    let result = value;
+
+    for (let i = 1; i <= (curve.m - 1) / 2; i += 1) {
+        term = fieldMul(curve, fieldMul(curve, term, term), fieldMul(curve, term, term));
+        result ^= term;
+    }
+
+    return result;
+}
+
+/**
+ * @param {bigint} value
+ * @param {bigint} modulus prime
+ * @returns {bigint}
+ */
+function modInverse(value, modulus) {
+    let [oldR, r] = [value % modulus, modulus];
+    let [oldS, s] = [1n, 0n];
+
+    while (r) {
+        const quotient = oldR / r;
+
+        [oldR, r] = [r, oldR - quotient * r];
+        [oldS, s] = [s, oldS - quotient * s];
+    }
+
+    return ((oldS % modulus) + modulus) % modulus;
+}
+
+/**
+ * Big-endian bytes to an unsigned integer.
+ * @param {Uint8Array} bytes
+ * @returns {bigint}
+ */
+function bytesToBigInt(bytes) {
+    let value = 0n;
+
+    for (const byte of bytes) {
+        value = (value << 8n) | BigInt(byte);
+    }
+
+    return value;
+}
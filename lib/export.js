@@ -0,0 +1,123 @@
+/**
+ * File naming and sidecar metadata conventions of OTA providers that read images from a local directory.
+ * Each target renders the image header through a file name template; the sidecar is either a Zigbee2MQTT-style
+ * index.json (also read by zigpy's `z2m_local` provider) or a JSON file next to the image holding its index entry.
+ */
+
+import { buildIndexMetadata } from "./ota.js";
+
+/**
+ * @typedef {import("./ota.js").ImageHeader} ImageHeader
+ * @typedef {import("./ota.js").ParsedImage} ParsedImage
+ * @typedef {import("./ota.js").IndexOptions} IndexOptions
+ *
+ * @typedef {Object} ExportTarget
+ * @property {string} id
+ * @property {string} label
+ * @property {string} template // file name template, see `formatExportFileName`
+ * @property {"index" | "entry"} sidecar // index.json array, or `<file name>.json` holding the entry alone
+ * @property {string} description
+ *
+ * @typedef {Object} ExportSidecar
+ * @property {string} fileName
+ * @property {string} text
+ */
+
+/** @type {ExportTarget[]} */
+export const EXPORT_TARGETS = [
+    {
+        id: "zigbee2mqtt",
+        label: "Zigbee2MQTT",
+        template: "{file}",
+        sidecar: "index",
+        description: "Local index.json (ota.zigbee_ota_override_index_location); the file name is kept.",
+    },
+    {
+        id: "zha",
+        label: "ZHA (zigpy)",
+        template: "{MMMM}-{IIII}-{VVVVVVVV}.ota",
+        sidecar: "index",
+        description: "otau_directory reads any file by its header; the index.json sidecar serves the z2m_local provider.",
+    },
+    {
+        id: "deconz",
+        label: "deCONZ",
+        template: "{MMMM}_{IIII}_{VVVVVVVV}.zigbee",
+        sidecar: "entry",
+        description: "otau directory of the deCONZ OTAU plugin, one file per manufacturer code, image type and version.",
+    },
+];
+
+/** Characters not allowed in file names on common file systems. */
+const UNSAFE_FILE_NAME_CHARS = /[\\/:*?"<>|\u0000-\u001f]/g;
+
+/**
+ * Render a file name template. Tokens: `{MMMM}` / `{mmmm}` manufacturer code, `{IIII}` / `{iiii}` image type,
+ * `{VVVVVVVV}` / `{vvvvvvvv}` file version (upper / lower case hex), `{file}` original file name,
+ * `{name}` and `{ext}` its base name and extension. Unknown tokens are kept as typed.
+ * @param {string} template
+ * @param {ImageHeader} header
+ * @param {string} fileName original file name
+ * @returns {string}
+ */
+export function formatExportFileName(template, header, fileName) {
+    const dot = fileName.lastIndexOf(".");
+    /** @type {Record<string, string>} */
+    const tokens = {
+        MMMM: hex(header.manufacturerCode, 4).toUpperCase(),
+        mmmm: hex(header.manufacturerCode, 4),
+        IIII: hex(header.imageType, 4).toUpperCase(),
+        iiii: hex(header.imageType, 4),
+        VVVVVVVV: hex(header.fileVersion, 8).toUpperCase(),
+        vvvvvvvv: hex(header.fileVersion, 8),
+        file: fileName,
+        name: dot > 0 ? fileName.slice(0, dot) : fileName,
+        ext: dot > 0 ? fileName.slice(dot + 1) : "",
+    };
+    const rendered = template.replace(/\{(\w+)\}/g, (token, key) => tokens[key] ?? token);
+
+    return rendered.replace(UNSAFE_FILE_NAME_CHARS, "_").trim() || fileName;
+}
+
+/**
+ * Get an export target by ID, defaulting to the first one.
+ * @param {string} id
+ * @returns {ExportTarget}
+ */
+export function getExportTarget(id) {
+    return EXPORT_TARGETS.find((target) => target.id === id) ?? EXPORT_TARGETS[0];
+}
+
+/**
+ * Build the sidecar metadata of an image exported under `fileName` for a target.
+ * @param {ExportTarget} target
+ * @param {ParsedImage} image
+ * @param {string} fileName exported file name
+ * @param {IndexOptions} [options]
+ * @param {ArrayBuffer} [file] bytes of the exported file, the image alone by default
+ * @returns {Promise<ExportSidecar>}
+ */
+export async function buildExportSidecar(target, image, fileName, options, file) {
+    const entry = await buildIndexMetadata(image, fileName, options, file);
+
+    return { fileName: getExportSidecarName(target, fileName), text: JSON.stringify(target.sidecar === "index" ? [entry] : entry, null, 2) };
+}
+
+/**
+ * File name of the sidecar of an image exported under `fileName` for a target.
+ * @param {ExportTarget} target
+ * @param {string} fileName exported file name
+ * @returns {string}
+ */
+export function getExportSidecarName(target, fileName) {
+    return target.sidecar === "index" ? "index.json" : `${fileName}.json`;
+}
+
+/**
+ * @param {number} value
+ * @param {number} digits
+ * @returns {string}
+ */
+function hex(value, digits) {
+    return value.toString(16).padStart(digits, "0");
+}
@@ -0,0 +1,762 @@
+/**
+ * Silicon Labs Gecko Bootloader (GBL) file parsing.
+ * A GBL file is a stream of tags: tag ID (uint32 LE), data length (uint32 LE), data.
+ * It starts with a header tag and ends with an end tag holding the CRC-32 of every preceding byte.
+ */
+
+import { aesCcmCrypt } from "./aes.js";
+import { crc32 } from "./crc32.js";
+
+/**
+ * @typedef {Object} GblField
+ * @property {string} label
+ * @property {string} value
+ * @property {number} start // inclusive byte offset in the GBL file
+ * @property {number} end // exclusive byte offset in the GBL file
+ *
+ * @typedef {Object} GblTag
+ * @property {number} id
+ * @property {string} name
+ * @property {number} offset // byte offset of the tag ID in the GBL file
+ * @property {number} length // declared data length
+ * @property {Uint8Array} data // may be shorter than `length` when the file is truncated
+ * @property {GblField[]} fields
+ *
+ * @typedef {Object} GblCrc
+ * @property {number} stored
+ * @property {number} computed
+ * @property {boolean} valid
+ *
+ * @typedef {Object} GblFile
+ * @property {GblTag[]} tags
+ * @property {number | undefined} version // header tag version
+ * @property {number | undefined} type // header tag type, see `GBL_TYPE_*`
+ * @property {GblCrc | undefined} crc // undefined without a complete end tag
+ * @property {number} trailingLength // bytes after the end tag
+ * @property {string[]} problems // truncation, unknown tags, CRC mismatch...
+ *
+ * @typedef {Object} GblSignatureCheck
+ * @property {boolean} signed // has a signature tag
+ * @property {boolean | undefined} valid // undefined when unsigned or without a public key
+ * @property {string | undefined} reason // why verification did not run or failed
+ *
+ * @typedef {Object} GblDecryption
+ * @property {Uint8Array} file // standalone plain GBL file: header, decrypted tags, end tag
+ * @property {GblFile} decrypted // decrypted tags, offsets relative to `file`
+ * @property {number | undefined} applicationVersion // from the decrypted application tag
+ * @property {string[]} problems // message length mismatch, unreadable plaintext (wrong key?)
+ */
+
+const GBL_TAG_HEADER_LENGTH = 8;
+const P256_SIGNATURE_LENGTH = 64;
+const AES_CCM_KEY_LENGTH = 16;
+const AES_CCM_NONCE_LENGTH = 12;
+const ECDSA_P256 = { name: "ECDSA", namedCurve: "P-256" };
+const ECDSA_SHA256 = { name: "ECDSA", hash: "SHA-256" };
+/** DER AlgorithmIdentifier for id-ecPublicKey with the prime256v1 curve. */
+const P256_ALGORITHM_IDENTIFIER = new Uint8Array([
+    0x30, 0x13, 0x06, 0x07, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x02, 0x01, 0x06, 0x08, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x03, 0x01, 0x07,
+]);
+export const GBL_TAG_ID_HEADER = 0x03a617eb;
+export const GBL_TAG_ID_APPLICATION = 0xf40a0af4;
+export const GBL_TAG_ID_BOOTLOADER = 0xf50909f5;
+export const GBL_TAG_ID_SE_UPGRADE = 0x5ea617eb;
+export const GBL_TAG_ID_PROG = 0xfe0101fe;
+export const GBL_TAG_ID_ERASEPROG = 0xfd0303fd;
+export const GBL_TAG_ID_PROG_LZ4 = 0xfd0505fd;
+export const GBL_TAG_ID_PROG_LZMA = 0xfd0707fd;
+export const GBL_TAG_ID_METADATA = 0xf60808f6;
+export const GBL_TAG_ID_VERSION_DEPENDENCY = 0x76a617eb;
+export const GBL_TAG_ID_SIGNATURE_ECDSA_P256 = 0xf70a0af7;
+export const GBL_TAG_ID_CERTIFICATE_ECDSA_P256 = 0xf30b0bf3;
+export const GBL_TAG_ID_ENC_HEADER = 0xfb0505fb;
+export const GBL_TAG_ID_ENC_GBL_DATA = 0xf90707f9;
+export const GBL_TAG_ID_END = 0xfc0404fc;
+export const GBL_TYPE_ENCRYPTION_AESCCM = 0x00000001;
+export const GBL_TYPE_SIGNATURE_ECDSA = 0x00000100;
+
+/** @type {Record<number, string>} */
+const GBL_TAG_NAMES = {
+    [GBL_TAG_ID_HEADER]: "Header",
+    [GBL_TAG_ID_APPLICATION]: "Application info",
+    [GBL_TAG_ID_BOOTLOADER]: "Bootloader",
+    [GBL_TAG_ID_SE_UPGRADE]: "SE upgrade",
+    [GBL_TAG_ID_PROG]: "Program data",
+    [GBL_TAG_ID_ERASEPROG]: "Program data (erase)",
+    [GBL_TAG_ID_PROG_LZ4]: "Program data (LZ4)",
+    [GBL_TAG_ID_PROG_LZMA]: "Program data (LZMA)",
+    [GBL_TAG_ID_METADATA]: "Metadata",
+    [GBL_TAG_ID_VERSION_DEPENDENCY]: "Version dependency",
+    [GBL_TAG_ID_SIGNATURE_ECDSA_P256]: "Signature (ECDSA-P256)",
+    [GBL_TAG_ID_CERTIFICATE_ECDSA_P256]: "Certificate (ECDSA-P256)",
+    [GBL_TAG_ID_ENC_HEADER]: "Encryption header",
+    [GBL_TAG_ID_ENC_GBL_DATA]: "Encrypted GBL data",
+    [GBL_TAG_ID_END]: "End",
+};
+
+/** Application info `type` bits. */
+const GBL_APPLICATION_TYPES = [
+    [0x01, "Zigbee"],
+    [0x02, "Thread"],
+    [0x04, "Flex"],
+    [0x08, "Bluetooth"],
+    [0x10, "MCU"],
+    [0x20, "Bluetooth app"],
+    [0x40, "Bootloader"],
+    [0x80, "Z-Wave"],
+];
+
+/**
+ * Whether bytes start with a GBL header tag.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isGbl(bytes) {
+    return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, true) === GBL_TAG_ID_HEADER;
+}
+
+/**
+ * Walk the tag stream of a GBL file, decoding known tags and checking the end-tag CRC-32.
+ * Never throws on malformed input: problems are collected in `problems` instead.
+ * @param {Uint8Array} bytes
+ * @returns {GblFile}
+ */
+export function parseGbl(bytes) {
+    const gbl = walkTags(bytes);
+
+    if (gbl.tags[0] && gbl.tags[0].id !== GBL_TAG_ID_HEADER) {
+        gbl.problems.unshift("File does not start with a GBL header tag");
+    }
+
+    if (!gbl.tags.some((tag) => tag.id === GBL_TAG_ID_END)) {
+        gbl.problems.push("Missing end tag");
+    }
+
+    return gbl;
+}
+
+/**
+ * Walk a tag stream up to its end tag or the end of the bytes.
+ * @param {Uint8Array} bytes
+ * @returns {GblFile}
+ */
+function walkTags(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    /** @type {GblFile} */
+    const gbl = { tags: [], version: undefined, type: undefined, crc: undefined, trailingLength: 0, problems: [] };
+    let position = 0;
+
+    while (position < bytes.length) {
+        if (position + GBL_TAG_HEADER_LENGTH > bytes.length) {
+            gbl.problems.push(`Truncated tag header at offset 0x${position.toString(16)}`);
+            break;
+        }
+
+        const id = view.getUint32(position, true);
+        const length = view.getUint32(position + 4, true);
+        const dataStart = position + GBL_TAG_HEADER_LENGTH;
+        const data = bytes.subarray(dataStart, Math.min(dataStart + length, bytes.length));
+        const name = GBL_TAG_NAMES[id];
+        /** @type {GblTag} */
+        const tag = { id, name: name ?? "Unknown", offset: position, length, data, fields: [] };
+
+        if (!name) {
+            gbl.problems.push(`Unknown tag ${formatGblHex(id)} at offset 0x${position.toString(16)}`);
+        }
+
+        if (data.length < length) {
+            gbl.problems.push(`Truncated ${tag.name} tag at offset 0x${position.toString(16)}: ${data.length} of ${length} bytes`);
+        }
+
+        tag.fields = decodeTagFields(tag, dataStart);
+        gbl.tags.push(tag);
+
+        if (id === GBL_TAG_ID_HEADER && data.length >= 8) {
+            gbl.version = view.getUint32(dataStart, true);
+            gbl.type = view.getUint32(dataStart + 4, true);
+        }
+
+        if (id === GBL_TAG_ID_END) {
+            if (data.length >= 4) {
+                // covers everything up to the CRC value itself, including the end tag ID and length
+                const stored = view.getUint32(dataStart, true);
+                const computed = crc32(bytes.subarray(0, dataStart));
+
+                gbl.crc = { stored, computed, valid: stored === computed };
+                tag.fields.push({ label: "Computed CRC-32", value: formatGblHex(computed), start: dataStart, end: dataStart + 4 });
+
+                if (!gbl.crc.valid) {
+                    gbl.problems.push(`End tag CRC-32 mismatch: stored ${formatGblHex(stored)}, computed ${formatGblHex(computed)}`);
+                }
+            }
+
+            gbl.trailingLength = Math.max(0, bytes.length - dataStart - length);
+            break;
+        }
+
+        if (data.length < length) {
+            break;
+        }
+
+        position = dataStart + length;
+    }
+
+    return gbl;
+}
+
+/**
+ * One-line description of a parsed GBL file.
+ * @param {GblFile} gbl
+ * @returns {string}
+ */
+export function describeGbl(gbl) {
+    const parts = [`${gbl.tags.length} tags`];
+
+    if (gbl.version !== undefined) {
+        parts.push(`version ${formatGblVersion(gbl.version)}`);
+    }
+
+    if (gbl.type !== undefined) {
+        parts.push(formatGblType(gbl.type));
+    }
+
+    if (gbl.crc?.valid) {
+        parts.push("end-tag CRC-32 valid");
+    }
+
+    if (gbl.trailingLength) {
+        parts.push(`${gbl.trailingLength} bytes after the end tag`);
+    }
+
+    return gbl.problems.length ? `${parts.join(", ")}; PROBLEMS: ${gbl.problems.join("; ")}` : parts.join(", ");
+}
+
+/**
+ * Verify the ECDSA-P256 signature tag of a GBL file: a SHA-256 signature over every byte before the signature tag.
+ * @param {Uint8Array} bytes
+ * @param {CryptoKey} [publicKey] as returned by `importGblPublicKey`
+ * @returns {Promise<GblSignatureCheck>}
+ */
+export async function verifyGblSignature(bytes, publicKey) {
+    const signature = parseGbl(bytes).tags.find((tag) => tag.id === GBL_TAG_ID_SIGNATURE_ECDSA_P256);
+
+    if (!signature) {
+        return { signed: false, valid: undefined, reason: "no signature tag" };
+    }
+
+    if (!publicKey) {
+        return { signed: true, valid: undefined, reason: "no public key" };
+    }
+
+    if (signature.data.length !== P256_SIGNATURE_LENGTH) {
+        return { signed: true, valid: false, reason: `signature must be ${P256_SIGNATURE_LENGTH} bytes, got ${signature.data.length}` };
+    }
+
+    const valid = await getSubtle().verify(ECDSA_SHA256, publicKey, signature.data.slice(), bytes.slice(0, signature.offset));
+
+    return { signed: true, valid, reason: valid ? undefined : "signature does not match" };
+}
+
+/**
+ * Sign a GBL file with an ECDSA-P256 private key: the signature tag is replaced, or inserted before the end tag
+ * (flagging the header type as signed), and the end-tag CRC-32 is recomputed. Bytes after the end tag are kept.
+ * @param {Uint8Array} bytes
+ * @param {CryptoKey} privateKey as returned by `importGblPrivateKey`
+ * @returns {Promise<Uint8Array>}
+ */
+export async function signGbl(bytes, privateKey) {
+    const gbl = parseGbl(bytes);
+    const end = gbl.tags.find((tag) => tag.id === GBL_TAG_ID_END);
+    const fatal = gbl.problems.filter((problem) => !problem.startsWith("End tag CRC-32 mismatch"));
+
+    if (!end || fatal.length) {
+        throw new Error(`Cannot sign a malformed GBL file: ${fatal.join("; ") || "missing end tag"}`);
+    }
+
+    const existing = gbl.tags.find((tag) => tag.id === GBL_TAG_ID_SIGNATURE_ECDSA_P256);
+    const signed = bytes.slice(0, existing ? existing.offset : end.offset);
+
+    if (!existing) {
+        const header = gbl.tags.find((tag) => tag.id === GBL_TAG_ID_HEADER);
+
+        if (header && header.data.length >= 8) {
+            const view = new DataView(signed.buffer);
+            const typeOffset = header.offset + GBL_TAG_HEADER_LENGTH + 4;
+
+            view.setUint32(typeOffset, view.getUint32(typeOffset, true) | GBL_TYPE_SIGNATURE_ECDSA, true);
+        }
+    }
+
+    const signature = new Uint8Array(await getSubtle().sign(ECDSA_SHA256, privateKey, signed));
+
+    return appendEndTag(concatBytes(signed, createTag(GBL_TAG_ID_SIGNATURE_ECDSA_P256, signature)), getTrailingBytes(bytes, end));
+}
+
+/**
+ * Decrypt the AES-CCM encrypted tags of a GBL file.
+ * The encryption header holds the message length and nonce; the data of all encrypted data tags forms one
+ * CCM counter stream (starting at counter 1, no MAC) that decrypts to the inner tag stream.
+ * @param {Uint8Array} bytes
+ * @param {Uint8Array} key 128-bit key, as returned by `importGblEncryptionKey`
+ * @returns {GblDecryption}
+ */
+export function decryptGbl(bytes, key) {
+    const gbl = parseGbl(bytes);
+    const header = gbl.tags.find((tag) => tag.id === GBL_TAG_ID_HEADER);
+    const encryption = gbl.tags.find((tag) => tag.id === GBL_TAG_ID_ENC_HEADER);
+
+    if (!header || !encryption || encryption.data.length < 4 + AES_CCM_NONCE_LENGTH) {
+        throw new Error("Not an encrypted GBL file: missing encryption header tag");
+    }
+
+    const view = new DataView(encryption.data.buffer, encryption.data.byteOffset, encryption.data.byteLength);
+    const messageLength = view.getUint32(0, true);
+    const nonce = encryption.data.subarray(4, 4 + AES_CCM_NONCE_LENGTH);
+    const ciphertext = concatBytes(...gbl.tags.filter((tag) => tag.id === GBL_TAG_ID_ENC_GBL_DATA).map((tag) => tag.data));
+    const plaintext = aesCcmCrypt(checkEncryptionKey(key), nonce, ciphertext);
+    const plainHeader = header.data.slice();
+
+    if (plainHeader.length >= 8) {
+        const headerView = new DataView(plainHeader.buffer);
+
+        headerView.setUint32(4, headerView.getUint32(4, true) & ~(GBL_TYPE_ENCRYPTION_AESCCM | GBL_TYPE_SIGNATURE_ECDSA), true);
+    }
+
+    // the inner stream only holds program tags; wrap it into a file of its own so it can be flashed or inspected
+    const file = appendEndTag(concatBytes(createTag(GBL_TAG_ID_HEADER, plainHeader), plaintext));
+    const decrypted = walkTags(file);
+    const problems = [];
+
+    if (messageLength !== ciphertext.length) {
+        problems.push(`Encryption header declares ${messageLength} bytes, encrypted data tags hold ${ciphertext.length}`);
+    }
+
+    if (decrypted.problems.length) {
+        problems.push(`Decrypted data is not a valid tag stream (wrong key?): ${decrypted.problems.join("; ")}`);
+    }
+
+    const application = decrypted.tags.find((tag) => tag.id === GBL_TAG_ID_APPLICATION);
+    const applicationVersion = application && application.data.length >= 8 ? new DataView(application.data.buffer, application.data.byteOffset).getUint32(4, true) : undefined;
+
+    return { file, decrypted, applicationVersion, problems };
+}
+
+/**
+ * Encrypt a plain GBL file with AES-CCM, keeping the header and unencrypted tags (e.g. certificate) of `template`,
+ * an encrypted GBL file. A fresh nonce is drawn for every call. The result is not signed: a signature over the
+ * previous contents would not match anymore, so the signature tag is dropped (the header keeps its signed flag)
+ * and `signGbl` has to be applied afterwards.
+ * @param {Uint8Array} plain
+ * @param {Uint8Array} key 128-bit key, as returned by `importGblEncryptionKey`
+ * @param {Uint8Array} template
+ * @returns {Uint8Array}
+ */
+export function encryptGbl(plain, key, template) {
+    const source = parseGbl(plain);
+    const target = parseGbl(template);
+    const header = target.tags.find((tag) => tag.id === GBL_TAG_ID_HEADER);
+    const targetEnd = target.tags.find((tag) => tag.id === GBL_TAG_ID_END);
+
+    if (!source.tags.some((tag) => tag.id === GBL_TAG_ID_END) || source.problems.some((problem) => !problem.startsWith("End tag CRC-32 mismatch"))) {
+        throw new Error(`Cannot encrypt a malformed GBL file: ${source.problems.join("; ") || "missing end tag"}`);
+    }
+
+    if (source.type !== undefined && source.type & GBL_TYPE_ENCRYPTION_AESCCM) {
+        throw new Error("GBL file is already encrypted");
+    }
+
+    if (!header || header.data.length < 8) {
+        throw new Error("Template GBL file has no header tag");
+    }
+
+    const outerTagIDs = new Set([GBL_TAG_ID_HEADER, GBL_TAG_ID_ENC_HEADER, GBL_TAG_ID_ENC_GBL_DATA, GBL_TAG_ID_SIGNATURE_ECDSA_P256, GBL_TAG_ID_END]);
+    const plaintext = concatBytes(...source.tags.filter((tag) => !outerTagIDs.has(tag.id) && tag.id !== GBL_TAG_ID_CERTIFICATE_ECDSA_P256).map((tag) => createTag(tag.id, tag.data)));
+    const nonce = crypto.getRandomValues(new Uint8Array(AES_CCM_NONCE_LENGTH));
+    const encryption = new Uint8Array(4 + AES_CCM_NONCE_LENGTH);
+    const headerData = header.data.slice();
+    const headerView = new DataView(headerData.buffer);
+
+    new DataView(encryption.buffer).setUint32(0, plaintext.length, true);
+    encryption.set(nonce, 4);
+    headerView.setUint32(4, headerView.getUint32(4, true) | GBL_TYPE_ENCRYPTION_AESCCM, true);
+
+    return appendEndTag(
+        concatBytes(
+            createTag(GBL_TAG_ID_HEADER, headerData),
+            ...target.tags.filter((tag) => !outerTagIDs.has(tag.id)).map((tag) => createTag(tag.id, tag.data)),
+            createTag(GBL_TAG_ID_ENC_HEADER, encryption),
+            createTag(GBL_TAG_ID_ENC_GBL_DATA, aesCcmCrypt(checkEncryptionKey(key), nonce, plaintext)),
+        ),
+        targetEnd ? getTrailingBytes(template, targetEnd) : undefined,
+    );
+}
+
+/**
+ * Read a 128-bit AES key for GBL (and EBL) encryption. The key is only returned, never stored.
+ * Accepts 16 raw bytes, hex text, and Simplicity Commander token files (`TOKEN_MFG_SECURE_BOOTLOADER_KEY`).
+ * @param {Uint8Array<ArrayBuffer>} material file contents
+ * @returns {Uint8Array}
+ */
+export function importGblEncryptionKey(material) {
+    const text = decodeKeyText(material);
+    const token = text.match(/SECURE_BOOTLOADER_KEY\s*[:=]\s*([0-9a-f]{32})\b/i);
+    const key = token ? hexToBytes(token[1]) : text ? hexToBytes(text) : material;
+
+    if (!key) {
+        throw new Error("Unrecognized key format, expected 16 bytes as hex or binary");
+    }
+
+    return checkEncryptionKey(key);
+}
+
+/**
+ * Import an ECDSA-P256 public key for GBL verification.
+ * Accepts a PEM or DER SubjectPublicKeyInfo, raw X || Y (64 bytes) or 0x04 || X || Y (65 bytes) as binary or hex text,
+ * and Simplicity Commander token files (`TOKEN_MFG_SIGNED_BOOTLOADER_KEY_X` / `_Y`).
+ * @param {Uint8Array<ArrayBuffer>} material file contents
+ * @returns {Promise<CryptoKey>}
+ */
+export async function importGblPublicKey(material) {
+    const text = decodeKeyText(material);
+    const tokenX = text.match(/KEY_X\s*[:=]\s*([0-9a-f]{64})/i);
+    const tokenY = text.match(/KEY_Y\s*[:=]\s*([0-9a-f]{64})/i);
+    const der = decodeKeyMaterial(material, tokenX && tokenY ? `04${tokenX[1]}${tokenY[1]}` : text, "PUBLIC KEY");
+
+    if (der.length === 64 || der.length === 65) {
+        return await getSubtle().importKey("raw", der.length === 64 ? concatBytes(new Uint8Array([0x04]), der) : der, ECDSA_P256, true, ["verify"]);
+    }
+
+    return await getSubtle().importKey("spki", der, ECDSA_P256, true, ["verify"]);
+}
+
+/**
+ * Import an ECDSA-P256 private key for GBL signing. The key only lives in memory and cannot be exported again.
+ * Accepts PEM or DER PKCS#8 ("PRIVATE KEY") or SEC1 ("EC PRIVATE KEY", as written by Simplicity Commander),
+ * and a raw 32-byte scalar as binary or hex text.
+ * @param {Uint8Array<ArrayBuffer>} material file contents
+ * @returns {Promise<CryptoKey>}
+ */
+export async function importGblPrivateKey(material) {
+    const text = decodeKeyText(material);
+    const sec1 = decodePem(text, "EC PRIVATE KEY");
+
+    if (sec1) {
+        return await getSubtle().importKey("pkcs8", wrapSec1PrivateKey(sec1), ECDSA_P256, false, ["sign"]);
+    }
+
+    let pkcs8 = decodeKeyMaterial(material, text, "PRIVATE KEY");
+
+    if (pkcs8.length === 32) {
+        // ECPrivateKey { version 1, privateKey }
+        pkcs8 = wrapSec1PrivateKey(derElement(0x30, concatBytes(new Uint8Array([0x02, 0x01, 0x01]), derElement(0x04, pkcs8))));
+    }
+
+    return await getSubtle().importKey("pkcs8", pkcs8, ECDSA_P256, false, ["sign"]);
+}
+
+/**
+ * @param {Uint8Array} key
+ * @returns {Uint8Array}
+ */
+function checkEncryptionKey(key) {
+    if (key.length !== AES_CCM_KEY_LENGTH) {
+        throw new Error(`Encryption key must be ${AES_CCM_KEY_LENGTH} bytes, got ${key.length}`);
+    }
+
+    return key;
+}
+
+/**
+ * Serialize a tag.
+ * @param {number} id
+ * @param {Uint8Array} data
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function createTag(id, data) {
+    const tag = new Uint8Array(GBL_TAG_HEADER_LENGTH + data.length);
+    const view = new DataView(tag.buffer);
+
+    view.setUint32(0, id, true);
+    view.setUint32(4, data.length, true);
+    tag.set(data, GBL_TAG_HEADER_LENGTH);
+
+    return tag;
+}
+
+/**
+ * Close a tag stream with an end tag holding its CRC-32, followed by `trailing` bytes (padding).
+ * @param {Uint8Array} body
+ * @param {Uint8Array} [trailing]
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function appendEndTag(body, trailing = new Uint8Array(0)) {
+    const output = concatBytes(body, createTag(GBL_TAG_ID_END, new Uint8Array(4)), trailing);
+    const crcOffset = body.length + GBL_TAG_HEADER_LENGTH;
+
+    new DataView(output.buffer).setUint32(crcOffset, crc32(output.subarray(0, crcOffset)), true);
+
+    return output;
+}
+
+/**
+ * Bytes after the end tag.
+ * @param {Uint8Array} bytes
+ * @param {GblTag} end
+ * @returns {Uint8Array}
+ */
+function getTrailingBytes(bytes, end) {
+    return bytes.subarray(end.offset + GBL_TAG_HEADER_LENGTH + end.length);
+}
+
+/**
+ * @returns {SubtleCrypto}
+ */
+function getSubtle() {
+    if (!crypto?.subtle) {
+        throw new Error("Web Crypto API not available");
+    }
+
+    return crypto.subtle;
+}
+
+/**
+ * Key file contents as text, empty for binary files.
+ * @param {Uint8Array} material
+ * @returns {string}
+ */
+function decodeKeyText(material) {
+    const text = new TextDecoder().decode(material);
+
+    return /[^\x09\x0a\x0d\x20-\x7e]/.test(text) ? "" : text;
+}
+
+/**
+ * Key bytes from a PEM block with the given label, hex text, or the binary file itself.
+ * @param {Uint8Array<ArrayBuffer>} material
+ * @param {string} text
+ * @param {string} label
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function decodeKeyMaterial(material, text, label) {
+    if (!text) {
+        return material;
+    }
+
+    const der = decodePem(text, label) ?? hexToBytes(text);
+
+    if (!der) {
+        throw new Error(`Unrecognized key format, expected a PEM "${label}" block or hex bytes`);
+    }
+
+    return der;
+}
+
+/**
+ * Body of a PEM block with the given label.
+ * @param {string} text
+ * @param {string} label
+ * @returns {Uint8Array<ArrayBuffer> | undefined}
+ */
+function decodePem(text, label) {
+    const match = text.match(new RegExp(`-----BEGIN ${label}-----([\\s\\S]*?)-----END ${label}-----`));
+
+    return match ? Uint8Array.from(atob(match[1].replace(/\s+/g, "")), (char) => char.charCodeAt(0)) : undefined;
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array<ArrayBuffer> | undefined} undefined when not hex
+ */
+function hexToBytes(text) {
+    const clean = text.trim().replace(/^0x/i, "").replace(/[\s:,]/g, "");
+
+    if (!clean || clean.length % 2 !== 0 || /[^0-9a-f]/i.test(clean)) {
+        return undefined;
+    }
+
+    return Uint8Array.from(clean.match(/../g) ?? [], (pair) => Number.parseInt(pair, 16));
+}
+
+/**
+ * Wrap a SEC1 ECPrivateKey into a PKCS#8 PrivateKeyInfo, the only private key format Web Crypto imports.
+ * @param {Uint8Array} sec1
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function wrapSec1PrivateKey(sec1) {
+    return derElement(0x30, concatBytes(new Uint8Array([0x02, 0x01, 0x00]), P256_ALGORITHM_IDENTIFIER, derElement(0x04, sec1)));
+}
+
+/**
+ * DER tag-length-value.
+ * @param {number} tag
+ * @param {Uint8Array} content
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function derElement(tag, content) {
+    const length = content.length;
+    const header = length < 0x80 ? [tag, length] : length < 0x100 ? [tag, 0x81, length] : [tag, 0x82, length >> 8, length & 0xff];
+
+    return concatBytes(new Uint8Array(header), content);
+}
+
+/**
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function concatBytes(...parts) {
+    const output = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+
+    for (const part of parts) {
+        output.set(part, position);
+        position += part.length;
+    }
+
+    return output;
+}
+
+/**
+ * Decode the data of known tags into labelled fields.
+ * @param {GblTag} tag
+ * @param {number} dataStart offset of the tag data in the GBL file
+ * @returns {GblField[]}
+ */
+function decodeTagFields(tag, dataStart) {
+    const { data } = tag;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    /** @type {GblField[]} */
+    const fields = [];
+    /** @type {(label: string, start: number, length: number, format: (start: number) => string) => boolean} */
+    const field = (label, start, length, format) => {
+        if (start + length > data.length) {
+            return false;
+        }
+
+        fields.push({ label, value: format(start), start: dataStart + start, end: dataStart + start + length });
+
+        return true;
+    };
+    const u32 = /** @param {number} start */ (start) => formatGblHex(view.getUint32(start, true));
+    const hex = /** @param {number} length */ (length) => /** @param {number} start */ (start) => formatBytes(data.subarray(start, start + length));
+    /** @type {(label: string, start: number) => void} */
+    const rest = (label, start) => {
+        if (start <= data.length) {
+            fields.push({ label, value: `${tag.length - start} bytes`, start: dataStart + start, end: dataStart + data.length });
+        }
+    };
+
+    switch (tag.id) {
+        case GBL_TAG_ID_HEADER: {
+            field("Version", 0, 4, (start) => formatGblVersion(view.getUint32(start, true)));
+            field("Type", 4, 4, (start) => `${u32(start)} (${formatGblType(view.getUint32(start, true))})`);
+            break;
+        }
+        case GBL_TAG_ID_APPLICATION: {
+            field("Type", 0, 4, (start) => `${u32(start)} (${formatApplicationType(view.getUint32(start, true))})`);
+            field("Version", 4, 4, (start) => `${u32(start)} (${view.getUint32(start, true)})`);
+            field("Capabilities", 8, 4, u32);
+            field("Product ID", 12, 16, hex(16));
+            break;
+        }
+        case GBL_TAG_ID_BOOTLOADER: {
+            field("Bootloader version", 0, 4, u32);
+            field("Address", 4, 4, u32);
+            rest("Data", 8);
+            break;
+        }
+        case GBL_TAG_ID_SE_UPGRADE: {
+            field("Blob size", 0, 4, (start) => String(view.getUint32(start, true)));
+            field("Version", 4, 4, u32);
+            rest("Data", 8);
+            break;
+        }
+        case GBL_TAG_ID_PROG:
+        case GBL_TAG_ID_ERASEPROG:
+        case GBL_TAG_ID_PROG_LZ4:
+        case GBL_TAG_ID_PROG_LZMA: {
+            field("Flash start address", 0, 4, u32);
+            rest("Data", 4);
+            break;
+        }
+        case GBL_TAG_ID_ENC_HEADER: {
+            field("Message length", 0, 4, (start) => String(view.getUint32(start, true)));
+            field("Nonce", 4, 12, hex(12));
+            break;
+        }
+        case GBL_TAG_ID_SIGNATURE_ECDSA_P256: {
+            field("r", 0, 32, hex(32));
+            field("s", 32, 32, hex(32));
+            break;
+        }
+        case GBL_TAG_ID_CERTIFICATE_ECDSA_P256: {
+            field("Structure version", 0, 1, (start) => String(data[start]));
+            field("Flags", 1, 3, hex(3));
+            field("Public key", 4, 64, hex(64));
+            field("Version", 68, 4, u32);
+            field("Signature", 72, 64, hex(64));
+            break;
+        }
+        case GBL_TAG_ID_END: {
+            field("CRC-32", 0, 4, u32);
+            break;
+        }
+        default: {
+            rest("Data", 0);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Header version, major.minor in the top two bytes (e.g. 0x03000000 is 3.0).
+ * @param {number} version
+ * @returns {string}
+ */
+function formatGblVersion(version) {
+    return `${version >>> 24}.${(version >>> 16) & 0xff} (${formatGblHex(version)})`;
+}
+
+/**
+ * @param {number} type
+ * @returns {string}
+ */
+function formatGblType(type) {
+    const features = [];
+
+    if (type & GBL_TYPE_ENCRYPTION_AESCCM) {
+        features.push("AES-CCM encrypted");
+    }
+
+    if (type & GBL_TYPE_SIGNATURE_ECDSA) {
+        features.push("ECDSA-P256 signed");
+    }
+
+    return features.length ? features.join(", ") : "plain";
+}
+
+/**
+ * @param {number} type
+ * @returns {string}
+ */
+function formatApplicationType(type) {
+    const names = GBL_APPLICATION_TYPES.filter(([bit]) => type & /** @type {number} */ (bit)).map(([, name]) => name);
+
+    return names.length ? names.join(", ") : "none";
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatGblHex(value) {
+    return `0x${value.toString(16).padStart(8, "0")}`;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(" ");
+}
@@ -0,0 +1,258 @@
+/**
+ * Rule-based checks of a parsed OTA image against the Zigbee OTA file format: header fields the spec fixes or
+ * enumerates, and the element layout within `totalImageSize`. Each finding names the header field and/or the
+ * byte range (offsets within the image) it concerns; errors are files devices are expected to reject.
+ */
+
+import { formatTagId, getElementRanges, getHeaderFieldRanges } from "./ota.js";
+
+/**
+ * @typedef {import("./ota.js").ImageHeader} ImageHeader
+ * @typedef {import("./ota.js").ImageElement} ImageElement
+ * @typedef {import("./ota.js").ParsedImage} ParsedImage
+ * @typedef {import("./ota.js").ByteRange} ByteRange
+ *
+ * @typedef {"error" | "warning"} LintSeverity
+ *
+ * @typedef {Object} LintFinding
+ * @property {string} rule
+ * @property {LintSeverity} severity
+ * @property {string} message
+ * @property {keyof ImageHeader | undefined} field
+ * @property {number | undefined} start // inclusive byte offset in the image
+ * @property {number | undefined} end // exclusive byte offset in the image
+ *
+ * @typedef {Object} ElementSpan
+ * @property {number} index
+ * @property {ImageElement} element
+ * @property {number} start // offset of the element tag
+ * @property {number} end // end of the element as declared by its length
+ *
+ * @typedef {Object} LintContext
+ * @property {Uint8Array} bytes
+ * @property {Partial<Record<keyof ImageHeader, ByteRange>>} fields // byte range of each header field
+ * @property {number} limit // end of the image: totalImageSize, or the end of the file when it is shorter
+ * @property {ElementSpan[]} spans
+ * @property {number} end // end of the last element, or of the header without elements
+ *
+ * @typedef {Object} LintRule
+ * @property {string} id
+ * @property {LintSeverity} severity
+ * @property {string} description
+ * @property {(image: ParsedImage, context: LintContext) => Omit<LintFinding, "rule" | "severity">[]} check
+ */
+
+const OTA_HEADER_VERSION = 0x0100;
+/** Zigbee stack version enumeration of the OTA header. */
+const ZIGBEE_STACK_VERSIONS = ["ZigBee 2006", "ZigBee 2007", "ZigBee PRO", "ZigBee IP"];
+
+/** @type {LintRule[]} */
+export const LINT_RULES = [
+    {
+        id: "header-version",
+        severity: "error",
+        description: "otaHeaderVersion must be 0x0100",
+        check: ({ header }, { fields }) =>
+            header.otaHeaderVersion === OTA_HEADER_VERSION
+                ? []
+                : [
+                      {
+                          message: `otaHeaderVersion is ${hex(header.otaHeaderVersion, 4)}, the Zigbee OTA specification only defines ${hex(OTA_HEADER_VERSION, 4)}; devices reject other header versions`,
+                          field: "otaHeaderVersion",
+                          start: fields.otaHeaderVersion?.start,
+                          end: fields.otaHeaderVersion?.end,
+                      },
+                  ],
+    },
+    {
+        id: "total-image-size",
+        severity: "error",
+        description: "totalImageSize must equal the header length plus all elements, and fit in the file",
+        check: ({ header, raw }, { fields, end }) => {
+            const findings = [];
+
+            if (header.totalImageSize !== end) {
+                findings.push({
+                    message: `totalImageSize is ${header.totalImageSize}, while the header and element lengths add up to ${end}`,
+                    field: /** @type {const} */ ("totalImageSize"),
+                    start: fields.totalImageSize?.start,
+                    end: fields.totalImageSize?.end,
+                });
+            }
+
+            if (raw.byteLength < header.totalImageSize) {
+                findings.push({
+                    message: `the file ends after ${raw.byteLength} bytes, before the ${header.totalImageSize} bytes of totalImageSize`,
+                    field: /** @type {const} */ ("totalImageSize"),
+                    start: raw.byteLength,
+                    end: raw.byteLength,
+                });
+            }
+
+            return findings;
+        },
+    },
+    {
+        id: "hardware-version-range",
+        severity: "error",
+        description: "minimumHardwareVersion must not be above maximumHardwareVersion",
+        check: ({ header }, { fields }) => {
+            const { minimumHardwareVersion: min, maximumHardwareVersion: max } = header;
+
+            if (min === undefined || max === undefined || min <= max) {
+                return [];
+            }
+
+            return [
+                {
+                    message: `minimumHardwareVersion ${min} is above maximumHardwareVersion ${max}: no device can install the image`,
+                    field: "minimumHardwareVersion",
+                    start: fields.minimumHardwareVersion?.start,
+                    end: fields.maximumHardwareVersion?.end,
+                },
+            ];
+        },
+    },
+    {
+        id: "element-overrun",
+        severity: "error",
+        description: "elements must end within totalImageSize",
+        check: (_, { spans, limit }) =>
+            spans
+                .filter((span) => span.end > limit)
+                .map(({ index, element, start, end }) => ({
+                    message: `element #${index + 1} (tag ${formatTagId(element.tagID)}) declares ${element.length} bytes and ends at 0x${end.toString(16)}, past the end of the image at 0x${limit.toString(16)}`,
+                    field: undefined,
+                    start,
+                    end: limit,
+                })),
+    },
+    {
+        id: "trailing-bytes",
+        severity: "warning",
+        description: "no bytes may follow the last element within totalImageSize",
+        check: (_, { limit, end }) =>
+            end < limit
+                ? [
+                      {
+                          message: `${limit - end} bytes after the last element are too short to form an element (6-byte tag header) and are ignored`,
+                          field: undefined,
+                          start: end,
+                          end: limit,
+                      },
+                  ]
+                : [],
+    },
+    {
+        id: "header-string-ascii",
+        severity: "warning",
+        description: "otaHeaderString should be printable ASCII, padded with NUL bytes",
+        check: (_, { bytes, fields }) => {
+            const { start = 0, end = 0 } = fields.otaHeaderString ?? {};
+            const field = bytes.subarray(start, end);
+            let length = field.length;
+
+            while (length > 0 && field[length - 1] === 0) {
+                length -= 1;
+            }
+
+            const offset = field.subarray(0, length).findIndex((byte) => byte < 0x20 || byte > 0x7e);
+
+            if (offset === -1) {
+                return [];
+            }
+
+            return [
+                {
+                    message: `otaHeaderString has a non-ASCII or control byte 0x${field[offset].toString(16).padStart(2, "0")} at offset ${offset}; tools and devices may show it garbled`,
+                    field: "otaHeaderString",
+                    start: start + offset,
+                    end: start + offset + 1,
+                },
+            ];
+        },
+    },
+    {
+        id: "zigbee-stack-version",
+        severity: "warning",
+        description: "zigbeeStackVersion should be one of the enumerated stack versions",
+        check: ({ header }, { fields }) =>
+            header.zigbeeStackVersion < ZIGBEE_STACK_VERSIONS.length
+                ? []
+                : [
+                      {
+                          message: `zigbeeStackVersion ${hex(header.zigbeeStackVersion, 4)} is not an enumerated value (${ZIGBEE_STACK_VERSIONS.map((name, value) => `${value} ${name}`).join(", ")})`,
+                          field: "zigbeeStackVersion",
+                          start: fields.zigbeeStackVersion?.start,
+                          end: fields.zigbeeStackVersion?.end,
+                      },
+                  ],
+    },
+];
+
+/**
+ * Run the lint rules on an image; errors first, then warnings, each in rule order.
+ * @param {ParsedImage} image
+ * @param {LintRule[]} [rules]
+ * @returns {LintFinding[]}
+ */
+export function lintImage(image, rules = LINT_RULES) {
+    const context = getLintContext(image);
+    /** @type {LintFinding[]} */
+    const findings = [];
+
+    for (const rule of rules) {
+        for (const finding of rule.check(image, context)) {
+            findings.push({ rule: rule.id, severity: rule.severity, ...finding });
+        }
+    }
+
+    return findings.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1));
+}
+
+/**
+ * Whether any finding is an error.
+ * @param {LintFinding[]} findings
+ * @returns {boolean}
+ */
+export function hasLintErrors(findings) {
+    return findings.some((finding) => finding.severity === "error");
+}
+
+/**
+ * One-line description of a finding.
+ * @param {LintFinding} finding
+ * @returns {string}
+ */
+export function describeLintFinding({ rule, severity, message, field, start, end }) {
+    const where = [field, start === undefined || end === undefined ? undefined : `bytes 0x${start.toString(16)}-0x${end.toString(16)}`].filter(Boolean);
+
+    return `${severity.toUpperCase()} [${rule}] ${message}${where.length ? ` (${where.join(", ")})` : ""}`;
+}
+
+/**
+ * Header field and element positions, elements as declared by their lengths, starting after the header.
+ * @param {ParsedImage} image
+ * @returns {LintContext}
+ */
+function getLintContext({ header, elements, raw }) {
+    const bytes = new Uint8Array(raw);
+    const spans = getElementRanges(header, elements).map((range, index) => ({ index, element: elements[index], ...range }));
+
+    return {
+        bytes,
+        fields: getHeaderFieldRanges(header),
+        limit: Math.min(header.totalImageSize, bytes.length),
+        spans,
+        end: spans.length ? spans[spans.length - 1].end : header.otaHeaderLength,
+    };
+}
+
+/**
+ * @param {number} value
+ * @param {number} digits
+ * @returns {string}
+ */
+function hex(value, digits) {
+    return `0x${value.toString(16).padStart(digits, "0")}`;
+}
@@ -0,0 +1,195 @@
+/**
+ * Zigbee manufacturer codes (CSA / Zigbee Alliance manufacturer code list).
+ * Bundled: the allocated block at the start of the list and the codes of vendors common in OTA images.
+ * The table is partial: a code missing here may well be allocated, so it is shown without a name, not flagged.
+ */
+
+/**
+ * @typedef {Object} Manufacturer
+ * @property {number} code
+ * @property {string} name
+ */
+
+/** @type {ReadonlyMap<number, string>} */
+export const MANUFACTURER_NAMES = new Map([
+    [0x1000, "Cirronet"],
+    [0x1001, "Chipcon (Texas Instruments)"],
+    [0x1002, "Ember (Silicon Labs)"],
+    [0x1003, "National Tech"],
+    [0x1004, "Freescale"],
+    [0x1005, "IPCom"],
+    [0x1006, "San Juan Software"],
+    [0x1007, "TUV"],
+    [0x1008, "CompXs"],
+    [0x1009, "BM SpA"],
+    [0x100a, "AwarePoint"],
+    [0x100b, "Signify (Philips)"],
+    [0x100c, "Luxoft"],
+    [0x100d, "Korwin"],
+    [0x100e, "One RF Technology"],
+    [0x100f, "Software Technologies Group"],
+    [0x1010, "Telegesis"],
+    [0x1011, "Visonic"],
+    [0x1012, "Insta"],
+    [0x1013, "Atalum"],
+    [0x1014, "Atmel"],
+    [0x1015, "Develco"],
+    [0x1016, "Honeywell"],
+    [0x1017, "RadioPulse"],
+    [0x1018, "Renesas"],
+    [0x1019, "Xanadu Wireless"],
+    [0x101a, "NEC Engineering"],
+    [0x101b, "Yamatake"],
+    [0x101c, "Tendril Networks"],
+    [0x101d, "Assa Abloy"],
+    [0x101e, "MaxStream"],
+    [0x101f, "Neurocom"],
+    [0x1020, "Institute for Information Industry"],
+    [0x1021, "Legrand"],
+    [0x1022, "iControl"],
+    [0x1023, "Raymarine"],
+    [0x1024, "LS Research"],
+    [0x1025, "Onity"],
+    [0x1026, "Mono Products"],
+    [0x1027, "RF Technologies"],
+    [0x1028, "Itron"],
+    [0x1029, "Tritech"],
+    [0x102a, "Embedit"],
+    [0x102b, "S3C"],
+    [0x102c, "Siemens"],
+    [0x102d, "Mindtech"],
+    [0x102e, "LG Electronics"],
+    [0x102f, "Mitsubishi Electric"],
+    [0x1030, "Johnson Controls"],
+    [0x1031, "Secure Meters (UK)"],
+    [0x1032, "Knick"],
+    [0x1033, "Viconics"],
+    [0x1034, "Flexipanel"],
+    [0x1035, "Piasim"],
+    [0x1036, "Trane"],
+    [0x1037, "NXP (Jennic)"],
+    [0x1038, "Living Independently"],
+    [0x1039, "AlertMe (Hive)"],
+    [0x103a, "Daintree"],
+    [0x103b, "Aiji System"],
+    [0x103c, "Telecom Italia"],
+    [0x103d, "Mikrokrets"],
+    [0x103e, "Oki Semiconductor"],
+    [0x103f, "Newport Electronics"],
+    [0x1040, "Control4"],
+    [0x1041, "STMicroelectronics"],
+    [0x1042, "Ad-Sol Nissin"],
+    [0x1043, "DCSI"],
+    [0x1044, "France Telecom"],
+    [0x1045, "muNet"],
+    [0x1046, "Autani"],
+    [0x1047, "Colorado vNet"],
+    [0x1048, "Aerocomm"],
+    [0x1049, "Silicon Labs"],
+    [0x104a, "Inncom"],
+    [0x104b, "Cannon Technologies"],
+    [0x104c, "Synapse"],
+    [0x104d, "Fisher Pierce"],
+    [0x104e, "CentraLite"],
+    [0x104f, "Crane Wireless"],
+    [0x1050, "Mobilarm"],
+    [0x1051, "iMonitor"],
+    [0x1052, "Bartech"],
+    [0x1053, "MeshNetics"],
+    [0x1054, "LS Industrial Systems"],
+    [0x1055, "Enason"],
+    [0x105e, "Schneider Electric"],
+    [0x1078, "Computime (Salus)"],
+    [0x10f2, "ubisys"],
+    [0x110a, "SmartThings"],
+    [0x110c, "OSRAM"],
+    [0x1141, "Tuya"],
+    [0x115f, "LUMI United Technology (Xiaomi, Aqara)"],
+    [0x1160, "Sengled"],
+    [0x1166, "Innr"],
+    [0x117c, "IKEA of Sweden"],
+    [0x1189, "LEDVANCE"],
+    [0x119c, "Sinopé Technologies"],
+    [0x1209, "Robert Bosch"],
+    [0x120b, "Heiman"],
+    [0x122f, "Inovelli"],
+    [0x1233, "Third Reality"],
+    [0x1246, "Danfoss"],
+    [0x1286, "Shenzhen CoolKit (SONOFF)"],
+    [0x131b, "Espressif"],
+]);
+
+/**
+ * Name of a manufacturer code, undefined when it is not in the table.
+ * @param {number} code
+ * @returns {string | undefined}
+ */
+export function getManufacturerName(code) {
+    return MANUFACTURER_NAMES.get(code);
+}
+
+/**
+ * Manufacturer code as hex followed by its name, e.g. "0x115F LUMI United Technology (Xiaomi, Aqara)".
+ * @param {number} code
+ * @returns {string}
+ */
+export function formatManufacturerCode(code) {
+    return `0x${code.toString(16).toUpperCase().padStart(4, "0")} ${getManufacturerName(code) ?? "(no name in the bundled table)"}`;
+}
+
+/**
+ * Manufacturers whose name contains the query, or whose code matches it as hex (with or without 0x) or decimal.
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {Manufacturer[]}
+ */
+export function searchManufacturers(query, limit = 50) {
+    const text = query.trim().toLowerCase();
+    const hex = text.replace(/^0x/, "");
+    /** @type {Manufacturer[]} */
+    const results = [];
+
+    for (const [code, name] of MANUFACTURER_NAMES) {
+        const hexCode = code.toString(16).padStart(4, "0");
+        const matches =
+            !text ||
+            name.toLowerCase().includes(text) ||
+            (/^[0-9a-f]{1,4}$/.test(hex) && hexCode.includes(hex)) ||
+            (/^\d{1,5}$/.test(text) && String(code).startsWith(text));
+
+        if (matches) {
+            results.push({ code, name });
+
+            if (results.length >= limit) {
+                break;
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Resolve a manufacturer typed as 0x-prefixed hex, decimal, a picker entry ("0x115F LUMI ...")
+ * or a name matching a single manufacturer.
+ * @param {string} value
+ * @returns {number | undefined}
+ */
+export function parseManufacturerInput(value) {
+    const text = value.trim();
+    const code = /^0x[0-9a-f]{1,4}\b/i.exec(text)?.[0] ?? (/^\d{1,5}$/.test(text) ? text : undefined);
+
+    if (code !== undefined) {
+        const parsed = Number(code);
+
+        return parsed <= 0xffff ? parsed : undefined;
+    }
+
+    if (!text) {
+        return undefined;
+    }
+
+    const matches = searchManufacturers(text, 2);
+
+    return matches.length === 1 ? matches[0].code : undefined;
+}
@@ -0,0 +1,579 @@
+/**
+ * Nordic Semiconductor (ZBOSS) firmware image parsing, as wrapped in nRF Zigbee OTA images.
+ * - nRF Connect SDK: the upgrade image is an MCUboot image: a 32-byte little-endian header (magic, load address, header size,
+ *   protected TLV size, image size, flags, version), padding up to the header size, the image, then TLV areas
+ *   (protected first, magic 0x6908, then unprotected, magic 0x6907). The SHA-256 TLV covers header, image and protected TLVs.
+ * - nRF5 SDK for Thread and Zigbee: the upgrade image is a DFU package: the init packet (a protobuf `Packet` holding the
+ *   signed init command, optionally preceded by its uint32 LE length), followed by the firmware binary.
+ *   The init command carries the firmware version and the SHA-256 of the firmware, stored byte-reversed by nrfutil.
+ */
+
+import { sha256 } from "./sha256.js";
+
+/**
+ * @typedef {Object} NordicField
+ * @property {string} label
+ * @property {string} value
+ * @property {number} start // inclusive byte offset in the image
+ * @property {number} end // exclusive byte offset in the image
+ *
+ * @typedef {Object} McubootVersion
+ * @property {number} major
+ * @property {number} minor
+ * @property {number} revision
+ * @property {number} build
+ *
+ * @typedef {Object} McubootTlv
+ * @property {number} type
+ * @property {string} name
+ * @property {number} offset // byte offset of the TLV entry header in the image
+ * @property {number} length // declared value length
+ * @property {boolean} protected // inside the protected TLV area (covered by the hash)
+ * @property {Uint8Array} data
+ *
+ * @typedef {Object} NordicHash
+ * @property {Uint8Array} stored
+ * @property {Uint8Array} computed
+ * @property {boolean} valid
+ *
+ * @typedef {Object} McubootImage
+ * @property {number} loadAddress
+ * @property {number} headerSize
+ * @property {number} protectedTlvSize
+ * @property {number} imageSize
+ * @property {number} flags
+ * @property {McubootVersion} version
+ * @property {McubootTlv[]} tlvs
+ * @property {NordicHash | undefined} hash // undefined without SHA-256 TLV or for encrypted images (the TLV hashes the plaintext)
+ * @property {NordicField[]} fields
+ * @property {number} trailingLength // bytes after the last TLV area
+ * @property {string[]} problems
+ *
+ * @typedef {Object} Nrf5InitCommand
+ * @property {boolean} signed
+ * @property {string | undefined} signatureType
+ * @property {number | undefined} fwVersion
+ * @property {number | undefined} hwVersion
+ * @property {string | undefined} type // firmware type (application, SoftDevice...)
+ * @property {number | undefined} appSize
+ * @property {string | undefined} hashType
+ * @property {Uint8Array | undefined} hash
+ *
+ * @typedef {Object} Nrf5DfuImage
+ * @property {Nrf5InitCommand} init
+ * @property {number} initOffset // byte offset of the init packet
+ * @property {number} initLength
+ * @property {number} firmwareLength // bytes following the init packet
+ * @property {NordicHash | undefined} hash // undefined when the init command has no SHA-256 or the firmware is missing
+ * @property {NordicField[]} fields
+ * @property {string[]} problems
+ */
+
+const MCUBOOT_IMAGE_MAGIC = 0x96f3b83d;
+const MCUBOOT_HEADER_LENGTH = 32;
+const MCUBOOT_TLV_INFO_MAGIC = 0x6907;
+const MCUBOOT_TLV_PROT_INFO_MAGIC = 0x6908;
+const MCUBOOT_TLV_INFO_LENGTH = 4;
+const MCUBOOT_TLV_HEADER_LENGTH = 4;
+const MCUBOOT_TLV_SHA256 = 0x10;
+const SHA256_LENGTH = 32;
+
+/** @type {Record<number, string>} */
+const MCUBOOT_TLV_NAMES = {
+    0x01: "Key hash",
+    0x02: "Public key",
+    [MCUBOOT_TLV_SHA256]: "SHA-256",
+    0x11: "SHA-384",
+    0x12: "SHA-512",
+    0x20: "RSA-2048 signature",
+    0x21: "ECDSA-P224 signature",
+    0x22: "ECDSA signature",
+    0x23: "RSA-3072 signature",
+    0x24: "Ed25519 signature",
+    0x25: "Pure signature",
+    0x30: "RSA-2048 encrypted key",
+    0x31: "AES-KW encrypted key",
+    0x32: "ECIES-P256 encrypted key",
+    0x33: "ECIES-X25519 encrypted key",
+    0x40: "Dependency",
+    0x50: "Security counter",
+    0x60: "Boot record",
+};
+
+/** @type {[number, string][]} Image header flags. */
+const MCUBOOT_FLAGS = [
+    [0x00000001, "PIC"],
+    [0x00000004, "AES-128 encrypted"],
+    [0x00000008, "AES-256 encrypted"],
+    [0x00000010, "non-bootable"],
+    [0x00000020, "RAM load"],
+    [0x00000100, "ROM fixed"],
+];
+const MCUBOOT_ENCRYPTED_FLAGS = 0x0000000c;
+
+const NRF5_INIT_MAX_LENGTH = 512;
+/** Protobuf wire types. */
+const WIRE_VARINT = 0;
+const WIRE_LENGTH_DELIMITED = 2;
+/** `OpCode.INIT` of the DFU `Command` message. */
+const NRF5_OP_CODE_INIT = 1;
+const NRF5_HASH_TYPE_SHA256 = 3;
+const NRF5_FW_TYPES = ["application", "SoftDevice", "bootloader", "SoftDevice + bootloader", "external application"];
+const NRF5_HASH_TYPES = ["none", "CRC", "SHA-128", "SHA-256", "SHA-512"];
+const NRF5_SIGNATURE_TYPES = ["ECDSA-P256-SHA256", "Ed25519"];
+
+/**
+ * Whether the bytes start with an MCUboot image header.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isMcubootImage(bytes) {
+    return bytes.length >= MCUBOOT_HEADER_LENGTH && new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, true) === MCUBOOT_IMAGE_MAGIC;
+}
+
+/**
+ * Decode the header and TLV areas of an MCUboot image and verify its SHA-256 TLV.
+ * Never throws on malformed input: problems are collected in `problems` instead.
+ * @param {Uint8Array} bytes
+ * @returns {McubootImage}
+ */
+export function parseMcubootImage(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    /** @type {McubootImage} */
+    const image = {
+        loadAddress: view.getUint32(4, true),
+        headerSize: view.getUint16(8, true),
+        protectedTlvSize: view.getUint16(10, true),
+        imageSize: view.getUint32(12, true),
+        flags: view.getUint32(16, true),
+        version: { major: bytes[20], minor: bytes[21], revision: view.getUint16(22, true), build: view.getUint32(24, true) },
+        tlvs: [],
+        hash: undefined,
+        fields: [],
+        trailingLength: 0,
+        problems: [],
+    };
+    const { headerSize, protectedTlvSize, imageSize } = image;
+    const tlvStart = headerSize + imageSize;
+
+    image.fields.push(
+        { label: "Magic", value: formatNordicHex(MCUBOOT_IMAGE_MAGIC), start: 0, end: 4 },
+        { label: "Load address", value: formatNordicHex(image.loadAddress), start: 4, end: 8 },
+        { label: "Header size", value: String(headerSize), start: 8, end: 10 },
+        { label: "Protected TLV size", value: String(protectedTlvSize), start: 10, end: 12 },
+        { label: "Image size", value: String(imageSize), start: 12, end: 16 },
+        { label: "Flags", value: formatFlags(image.flags), start: 16, end: 20 },
+        { label: "Version", value: formatMcubootVersion(image.version), start: 20, end: 28 },
+    );
+
+    if (headerSize < MCUBOOT_HEADER_LENGTH) {
+        image.problems.push(`Header size ${headerSize} is shorter than the ${MCUBOOT_HEADER_LENGTH}-byte MCUboot header`);
+        return image;
+    }
+
+    if (tlvStart > bytes.length) {
+        image.problems.push(`Header and image declare ${tlvStart} bytes, only ${bytes.length} present`);
+        return image;
+    }
+
+    let position = tlvStart;
+
+    if (protectedTlvSize) {
+        position = readTlvArea(bytes, position, MCUBOOT_TLV_PROT_INFO_MAGIC, image);
+
+        if (position !== -1 && position - tlvStart !== protectedTlvSize) {
+            image.problems.push(`Protected TLV area is ${position - tlvStart} bytes, header declares ${protectedTlvSize}`);
+        }
+    }
+
+    if (position !== -1) {
+        position = readTlvArea(bytes, position, MCUBOOT_TLV_INFO_MAGIC, image);
+    }
+
+    if (position !== -1) {
+        image.trailingLength = bytes.length - position;
+    }
+
+    const hashTlv = image.tlvs.find((tlv) => tlv.type === MCUBOOT_TLV_SHA256 && !tlv.protected);
+
+    if (!hashTlv) {
+        image.problems.push("No SHA-256 TLV");
+    } else if (image.flags & MCUBOOT_ENCRYPTED_FLAGS) {
+        // the hash covers the plaintext image, which is not available here
+    } else if (hashTlv.data.length !== SHA256_LENGTH) {
+        image.problems.push(`SHA-256 TLV is ${hashTlv.data.length} bytes, expected ${SHA256_LENGTH}`);
+    } else if (tlvStart + protectedTlvSize <= bytes.length) {
+        const computed = sha256(bytes.subarray(0, tlvStart + protectedTlvSize));
+
+        image.hash = { stored: hashTlv.data, computed, valid: computed.every((byte, i) => byte === hashTlv.data[i]) };
+        image.fields.push({ label: "Computed SHA-256", value: formatBytes(computed), start: hashTlv.offset, end: hashTlv.offset + MCUBOOT_TLV_HEADER_LENGTH + SHA256_LENGTH });
+
+        if (!image.hash.valid) {
+            image.problems.push(`SHA-256 mismatch: stored ${formatBytes(hashTlv.data)}, computed ${formatBytes(computed)}`);
+        }
+    }
+
+    return image;
+}
+
+/**
+ * One-line description of a parsed MCUboot image.
+ * @param {McubootImage} image
+ * @returns {string}
+ */
+export function describeMcubootImage(image) {
+    const parts = [`version ${formatMcubootVersion(image.version)}`, `${image.imageSize} bytes`, `load address ${formatNordicHex(image.loadAddress)}`];
+    const signature = image.tlvs.find((tlv) => tlv.name.endsWith("signature"));
+
+    if (image.hash?.valid) {
+        parts.push("SHA-256 valid");
+    } else if (image.flags & MCUBOOT_ENCRYPTED_FLAGS) {
+        parts.push("encrypted (SHA-256 covers the plaintext, not verified)");
+    }
+
+    if (signature) {
+        parts.push(`${signature.name} (not verified)`);
+    } else if (image.tlvs.length) {
+        parts.push("unsigned");
+    }
+
+    if (image.trailingLength) {
+        parts.push(`${image.trailingLength} bytes after the TLVs`);
+    }
+
+    return image.problems.length ? `${parts.join(", ")}; PROBLEMS: ${image.problems.join("; ")}` : parts.join(", ");
+}
+
+/**
+ * MCUboot version as printed by imgtool: `major.minor.revision+build`.
+ * @param {McubootVersion} version
+ * @returns {string}
+ */
+export function formatMcubootVersion({ major, minor, revision, build }) {
+    return `${major}.${minor}.${revision}+${build}`;
+}
+
+/**
+ * Whether the bytes start with an nRF5 SDK DFU init packet holding an init command.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isNrf5Dfu(bytes) {
+    return findInitPacket(bytes) !== undefined;
+}
+
+/**
+ * Decode the init command of an nRF5 SDK DFU package and verify the SHA-256 of the firmware that follows it.
+ * Never throws on malformed input: problems are collected in `problems` instead.
+ * @param {Uint8Array} bytes
+ * @returns {Nrf5DfuImage}
+ */
+export function parseNrf5Dfu(bytes) {
+    const packet = findInitPacket(bytes) ?? { offset: 0, length: 0, init: decodeInitPacket(new Uint8Array(0)) };
+    const { offset, length, init } = packet;
+    const firmware = bytes.subarray(offset + length);
+    /** @type {Nrf5DfuImage} */
+    const dfu = { init, initOffset: offset, initLength: length, firmwareLength: firmware.length, hash: undefined, fields: [], problems: [] };
+
+    if (!length) {
+        dfu.problems.push("No DFU init packet");
+        return dfu;
+    }
+
+    if (offset) {
+        dfu.fields.push({ label: "Init packet length", value: String(length), start: 0, end: offset });
+    }
+
+    dfu.fields.push({ label: "Init packet", value: describeInitCommand(init), start: offset, end: offset + length });
+
+    if (firmware.length) {
+        dfu.fields.push({ label: "Firmware", value: `${firmware.length} bytes`, start: offset + length, end: bytes.length });
+    } else {
+        dfu.problems.push("No firmware after the init packet");
+    }
+
+    if (init.appSize !== undefined && firmware.length && init.appSize !== firmware.length) {
+        dfu.problems.push(`Init command declares a ${init.appSize}-byte application, ${firmware.length} bytes follow`);
+    }
+
+    if (init.hashType === NRF5_HASH_TYPES[NRF5_HASH_TYPE_SHA256] && init.hash?.length === SHA256_LENGTH && firmware.length) {
+        const computed = sha256(firmware).reverse();
+
+        dfu.hash = { stored: init.hash, computed, valid: computed.every((byte, i) => byte === init.hash?.[i]) };
+
+        if (!dfu.hash.valid) {
+            dfu.problems.push(`Firmware SHA-256 mismatch: init command holds ${formatBytes(init.hash)}, computed ${formatBytes(computed)} (byte-reversed)`);
+        }
+    }
+
+    return dfu;
+}
+
+/**
+ * One-line description of a parsed nRF5 SDK DFU package.
+ * @param {Nrf5DfuImage} dfu
+ * @returns {string}
+ */
+export function describeNrf5Dfu(dfu) {
+    const parts = [describeInitCommand(dfu.init), `${dfu.firmwareLength} bytes of firmware`];
+
+    if (dfu.hash?.valid) {
+        parts.push("SHA-256 valid");
+    }
+
+    return dfu.problems.length ? `${parts.join(", ")}; PROBLEMS: ${dfu.problems.join("; ")}` : parts.join(", ");
+}
+
+/**
+ * Read one TLV area (info header then entries) into `image.tlvs`.
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} magic
+ * @param {McubootImage} image
+ * @returns {number} end of the area, -1 when it is missing or malformed
+ */
+function readTlvArea(bytes, start, magic, image) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const isProtected = magic === MCUBOOT_TLV_PROT_INFO_MAGIC;
+    const area = isProtected ? "Protected TLV area" : "TLV area";
+
+    if (start + MCUBOOT_TLV_INFO_LENGTH > bytes.length || view.getUint16(start, true) !== magic) {
+        image.problems.push(`${area} missing at offset 0x${start.toString(16)}`);
+        return -1;
+    }
+
+    const total = view.getUint16(start + 2, true);
+    const end = start + total;
+
+    image.fields.push({ label: `${area} info`, value: `magic 0x${magic.toString(16)}, ${total} bytes`, start, end: start + MCUBOOT_TLV_INFO_LENGTH });
+
+    if (end > bytes.length) {
+        image.problems.push(`${area} declares ${total} bytes, only ${bytes.length - start} present`);
+        return -1;
+    }
+
+    let position = start + MCUBOOT_TLV_INFO_LENGTH;
+
+    while (position + MCUBOOT_TLV_HEADER_LENGTH <= end) {
+        const type = view.getUint16(position, true);
+        const length = view.getUint16(position + 2, true);
+        const name = MCUBOOT_TLV_NAMES[type] ?? `TLV 0x${type.toString(16).padStart(2, "0")}`;
+        const data = bytes.subarray(position + MCUBOOT_TLV_HEADER_LENGTH, Math.min(position + MCUBOOT_TLV_HEADER_LENGTH + length, end));
+
+        image.tlvs.push({ type, name, offset: position, length, protected: isProtected, data });
+        image.fields.push({ label: name, value: type === MCUBOOT_TLV_SHA256 ? formatBytes(data) : `${length} bytes`, start: position, end: position + MCUBOOT_TLV_HEADER_LENGTH + data.length });
+
+        if (data.length < length) {
+            image.problems.push(`${name} TLV at offset 0x${position.toString(16)} overruns the ${area.toLowerCase()}`);
+        }
+
+        position += MCUBOOT_TLV_HEADER_LENGTH + length;
+    }
+
+    if (position !== end) {
+        image.problems.push(`${area} ends with ${end - Math.min(position, end)} stray bytes`);
+    }
+
+    return end;
+}
+
+/**
+ * Locate the init packet at the start of the bytes, with or without its uint32 LE length prefix.
+ * @param {Uint8Array} bytes
+ * @returns {{ offset: number, length: number, init: Nrf5InitCommand } | undefined}
+ */
+function findInitPacket(bytes) {
+    for (const offset of [0, 4]) {
+        const length = getPacketLength(bytes, offset);
+
+        if (length === undefined || (offset && new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, true) !== length)) {
+            continue;
+        }
+
+        const init = decodeInitPacket(bytes.subarray(offset, offset + length));
+
+        if (init.fwVersion !== undefined && init.hash) {
+            return { offset, length, init };
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Length of the protobuf `Packet` starting at `offset`: a single `command` (1) or `signed_command` (2) field.
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number | undefined}
+ */
+function getPacketLength(bytes, offset) {
+    if (bytes.length < offset + 2 || (bytes[offset] !== 0x0a && bytes[offset] !== 0x12)) {
+        return undefined;
+    }
+
+    const size = readVarint(bytes, offset + 1);
+
+    if (!size || size.end + size.value > bytes.length || size.end + size.value - offset > NRF5_INIT_MAX_LENGTH) {
+        return undefined;
+    }
+
+    return size.end + size.value - offset;
+}
+
+/**
+ * Decode the DFU `Packet` → (`SignedCommand` →) `Command` → `InitCommand` protobuf messages.
+ * @param {Uint8Array} packet
+ * @returns {Nrf5InitCommand}
+ */
+function decodeInitPacket(packet) {
+    /** @type {Nrf5InitCommand} */
+    const init = {
+        signed: false,
+        signatureType: undefined,
+        fwVersion: undefined,
+        hwVersion: undefined,
+        type: undefined,
+        appSize: undefined,
+        hashType: undefined,
+        hash: undefined,
+    };
+    const [outer] = readMessage(packet) ?? [];
+    let command = outer?.bytes;
+
+    if (outer?.field === 2 && command) {
+        const signedCommand = readMessage(command) ?? [];
+        const signatureType = signedCommand.find((entry) => entry.field === 2)?.value;
+
+        init.signed = true;
+        init.signatureType = signatureType === undefined ? undefined : (NRF5_SIGNATURE_TYPES[signatureType] ?? `type ${signatureType}`);
+        command = signedCommand.find((entry) => entry.field === 1)?.bytes;
+    }
+
+    const commandFields = command ? (readMessage(command) ?? []) : [];
+    const initBytes = commandFields.find((entry) => entry.field === 2)?.bytes;
+
+    if (commandFields.find((entry) => entry.field === 1)?.value !== NRF5_OP_CODE_INIT || !initBytes) {
+        return init;
+    }
+
+    for (const { field, value, bytes } of readMessage(initBytes) ?? []) {
+        if (field === 1) {
+            init.fwVersion = value;
+        } else if (field === 2) {
+            init.hwVersion = value;
+        } else if (field === 4 && value !== undefined) {
+            init.type = NRF5_FW_TYPES[value] ?? `type ${value}`;
+        } else if (field === 7) {
+            init.appSize = value;
+        } else if (field === 8 && bytes) {
+            const hash = readMessage(bytes) ?? [];
+            const hashType = hash.find((entry) => entry.field === 1)?.value;
+
+            init.hashType = hashType === undefined ? undefined : (NRF5_HASH_TYPES[hashType] ?? `type ${hashType}`);
+            init.hash = hash.find((entry) => entry.field === 2)?.bytes;
+        }
+    }
+
+    return init;
+}
+
+/**
+ * Read the varint and length-delimited fields of a protobuf message (the only wire types the DFU messages use).
+ * @param {Uint8Array} bytes
+ * @returns {{ field: number, value: number | undefined, bytes: Uint8Array | undefined }[] | undefined} undefined when malformed
+ */
+function readMessage(bytes) {
+    const entries = [];
+    let position = 0;
+
+    while (position < bytes.length) {
+        const key = readVarint(bytes, position);
+
+        if (!key) {
+            return undefined;
+        }
+
+        const field = Math.floor(key.value / 8);
+        const wireType = key.value % 8;
+        const value = readVarint(bytes, key.end);
+
+        if (!value || (wireType !== WIRE_VARINT && wireType !== WIRE_LENGTH_DELIMITED)) {
+            return undefined;
+        }
+
+        if (wireType === WIRE_VARINT) {
+            entries.push({ field, value: value.value, bytes: undefined });
+            position = value.end;
+        } else {
+            if (value.end + value.value > bytes.length) {
+                return undefined;
+            }
+
+            entries.push({ field, value: undefined, bytes: bytes.subarray(value.end, value.end + value.value) });
+            position = value.end + value.value;
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @returns {{ value: number, end: number } | undefined} undefined when truncated or wider than 32 bits
+ */
+function readVarint(bytes, start) {
+    let value = 0;
+
+    for (let i = 0; i < 5 && start + i < bytes.length; i += 1) {
+        value += (bytes[start + i] & 0x7f) * 2 ** (7 * i);
+
+        if (!(bytes[start + i] & 0x80)) {
+            return { value, end: start + i + 1 };
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * @param {Nrf5InitCommand} init
+ * @returns {string}
+ */
+function describeInitCommand(init) {
+    const parts = [`${init.type ?? "application"} version ${init.fwVersion}`];
+
+    if (init.hwVersion !== undefined) {
+        parts.push(`hardware version ${init.hwVersion}`);
+    }
+
+    parts.push(init.signed ? `signed (${init.signatureType ?? "unknown signature type"}, not verified)` : "unsigned");
+
+    return parts.join(", ");
+}
+
+/**
+ * @param {number} flags
+ * @returns {string}
+ */
+function formatFlags(flags) {
+    const names = MCUBOOT_FLAGS.filter(([mask]) => flags & mask).map(([, name]) => name);
+
+    return names.length ? `${formatNordicHex(flags)} (${names.join(", ")})` : formatNordicHex(flags);
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNordicHex(value) {
+    return `0x${value.toString(16).padStart(8, "0")}`;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(" ");
+}
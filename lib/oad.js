@@ -0,0 +1,392 @@
+/**
+ * Texas Instruments OAD (over-the-air download) image parsing, as used by Z-Stack on CC13xx/CC26xx devices.
+ * An OAD image starts with a fixed header (image ID, CRC-32, versions, length...), followed by segments:
+ * segment type (uint8), wireless technology (uint16 LE), reserved byte, segment length (uint32 LE, header included), data.
+ * The header CRC-32 covers the image from the byte after the CRC field up to the image length.
+ */
+
+import { crc32 } from "./crc32.js";
+
+/**
+ * @typedef {Object} OadField
+ * @property {string} label
+ * @property {string} value
+ * @property {number} start // inclusive byte offset in the OAD image
+ * @property {number} end // exclusive byte offset in the OAD image
+ *
+ * @typedef {Object} OadHeader
+ * @property {string} imageID
+ * @property {number} crc32
+ * @property {number} bimVersion
+ * @property {number} metadataVersion
+ * @property {number} techType // cleared bits select the wireless technologies, see `OAD_WIRELESS_TECHNOLOGIES`
+ * @property {number} imageCopyStatus
+ * @property {number} crcStatus
+ * @property {number} imageType
+ * @property {number} imageNumber
+ * @property {number} imageValidation
+ * @property {number} length // image length, header included
+ * @property {number} programEntry
+ * @property {string} softwareVersion
+ * @property {number} endAddress
+ * @property {number} headerLength
+ *
+ * @typedef {Object} OadSegment
+ * @property {number} type
+ * @property {string} name
+ * @property {number} offset // byte offset of the segment header in the OAD image
+ * @property {number} length // declared segment length, header included
+ * @property {OadField[]} fields
+ *
+ * @typedef {Object} OadCrc
+ * @property {number} stored
+ * @property {number} computed
+ * @property {boolean} valid
+ *
+ * @typedef {Object} OadImage
+ * @property {OadHeader | undefined} header // undefined when the image is shorter than the fixed header
+ * @property {OadField[]} fields // decoded fixed header fields
+ * @property {OadSegment[]} segments
+ * @property {OadCrc | undefined} crc // undefined when the image is shorter than its declared length
+ * @property {number} trailingLength // bytes after the declared image length
+ * @property {string[]} problems
+ */
+
+const OAD_IMAGE_ID_LENGTH = 8;
+const OAD_FIXED_HEADER_LENGTH = 44;
+const OAD_SEGMENT_HEADER_LENGTH = 8;
+/** The CRC-32 covers everything after the image ID and the CRC field itself. */
+const OAD_CRC_START = OAD_IMAGE_ID_LENGTH + 4;
+export const OAD_SEGMENT_BOUNDARY = 0;
+export const OAD_SEGMENT_CONTIGUOUS = 1;
+export const OAD_SEGMENT_NON_CONTIGUOUS = 2;
+export const OAD_SEGMENT_SECURITY = 3;
+export const OAD_SEGMENT_NV = 4;
+
+/** Image ID values written by the TI OAD image tool. */
+const OAD_IMAGE_IDS = ["CC26x2R1", "CC13x2R1", "CC13x4  ", "CC26x3  ", "CC26x4  ", "OAD IMG ", "CC23x0R2"];
+
+/** @type {Record<number, string>} */
+const OAD_SEGMENT_NAMES = {
+    [OAD_SEGMENT_BOUNDARY]: "Boundary segment",
+    [OAD_SEGMENT_CONTIGUOUS]: "Contiguous image segment",
+    [OAD_SEGMENT_NON_CONTIGUOUS]: "Non-contiguous image segment",
+    [OAD_SEGMENT_SECURITY]: "Security segment",
+    [OAD_SEGMENT_NV]: "NV segment",
+};
+
+/** Technology bit masks of the tech type field: a technology is present when its bit is cleared. */
+const OAD_WIRELESS_TECHNOLOGIES = [
+    [0x0001, "BLE"],
+    [0x0002, "TI-MAC Sub-1 GHz"],
+    [0x0004, "TI-MAC 2.4 GHz"],
+    [0x0008, "Zigbee"],
+    [0x0010, "RF4CE"],
+    [0x0020, "Thread"],
+    [0x0040, "EasyLink"],
+];
+
+/** @type {Record<number, string>} */
+const OAD_IMAGE_TYPES = {
+    0: "persistent application",
+    1: "application",
+    2: "stack",
+    3: "application + stack (merged)",
+    4: "network processor",
+    5: "BLE factory image",
+    6: "BIM",
+    7: "merged",
+};
+
+/** @type {Record<number, string>} */
+const OAD_CRC_STATUSES = { 0xff: "not calculated", 0xfe: "valid", 0xfc: "invalid" };
+
+/** @type {Record<number, string>} */
+const OAD_COPY_STATUSES = { 0xff: "default", 0xfe: "needs copy", 0xfc: "copy done" };
+
+/**
+ * Whether the bytes start with a known OAD image ID.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isOad(bytes) {
+    if (bytes.length < OAD_FIXED_HEADER_LENGTH) {
+        return false;
+    }
+
+    const imageID = String.fromCharCode(...bytes.subarray(0, OAD_IMAGE_ID_LENGTH));
+
+    return OAD_IMAGE_IDS.includes(imageID);
+}
+
+/**
+ * Decode the fixed header and the segments of an OAD image and recompute its CRC-32.
+ * Never throws on malformed input: problems are collected in `problems` instead.
+ * @param {Uint8Array} bytes
+ * @returns {OadImage}
+ */
+export function parseOad(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    /** @type {OadImage} */
+    const oad = { header: undefined, fields: [], segments: [], crc: undefined, trailingLength: 0, problems: [] };
+
+    if (bytes.length < OAD_FIXED_HEADER_LENGTH) {
+        oad.problems.push(`Image is shorter than the ${OAD_FIXED_HEADER_LENGTH}-byte OAD header`);
+        return oad;
+    }
+
+    const header = decodeHeader(bytes);
+    const end = Math.min(header.length, bytes.length);
+
+    oad.header = header;
+    oad.fields = decodeHeaderFields(bytes, header);
+
+    if (header.length < OAD_FIXED_HEADER_LENGTH) {
+        oad.problems.push(`Image length ${header.length} is shorter than the OAD header`);
+        return oad;
+    }
+
+    if (header.length > bytes.length) {
+        oad.problems.push(`Image length field declares ${header.length} bytes, only ${bytes.length} present`);
+    } else {
+        const computed = crc32(bytes.subarray(OAD_CRC_START, header.length));
+
+        oad.crc = { stored: header.crc32, computed, valid: computed === header.crc32 };
+        oad.trailingLength = bytes.length - header.length;
+        oad.fields.splice(2, 0, { label: "Computed CRC-32", value: formatOadHex(computed), start: OAD_IMAGE_ID_LENGTH, end: OAD_CRC_START });
+
+        if (!oad.crc.valid) {
+            oad.problems.push(`CRC-32 mismatch: stored ${formatOadHex(header.crc32)}, computed ${formatOadHex(computed)}`);
+        }
+    }
+
+    // segments follow the fixed header, whatever the header length field says (it is the fixed header length in practice)
+    let position = OAD_FIXED_HEADER_LENGTH;
+
+    while (position + OAD_SEGMENT_HEADER_LENGTH <= end) {
+        const type = bytes[position];
+        const length = view.getUint32(position + 4, true);
+        const name = OAD_SEGMENT_NAMES[type] ?? "Unknown segment";
+
+        if (length < OAD_SEGMENT_HEADER_LENGTH) {
+            oad.problems.push(`${name} at offset 0x${position.toString(16)} has an invalid length of ${length} bytes`);
+            position = end;
+            break;
+        }
+
+        if (position + length > end) {
+            oad.problems.push(`${name} at offset 0x${position.toString(16)} overruns the image: ${length} bytes declared, ${end - position} left`);
+        }
+
+        oad.segments.push({ type, name, offset: position, length, fields: decodeSegmentFields(bytes, position, Math.min(position + length, end)) });
+        position += length;
+    }
+
+    if (position < end) {
+        oad.problems.push(`Truncated segment header at offset 0x${position.toString(16)}`);
+    }
+
+    if (!oad.segments.some((segment) => segment.type === OAD_SEGMENT_CONTIGUOUS || segment.type === OAD_SEGMENT_NON_CONTIGUOUS)) {
+        oad.problems.push("No image segment");
+    }
+
+    return oad;
+}
+
+/**
+ * One-line description of a parsed OAD image.
+ * @param {OadImage} oad
+ * @returns {string}
+ */
+export function describeOad(oad) {
+    const { header } = oad;
+    const parts = [];
+
+    if (header) {
+        parts.push(
+            JSON.stringify(header.imageID),
+            `${formatImageType(header.imageType)} #${header.imageNumber}`,
+            `software version ${JSON.stringify(header.softwareVersion)}`,
+            `${header.length} bytes`,
+            formatTechType(header.techType),
+        );
+    }
+
+    parts.push(`${oad.segments.length} segments`);
+
+    if (oad.crc?.valid) {
+        parts.push("CRC-32 valid");
+    }
+
+    if (oad.trailingLength) {
+        parts.push(`${oad.trailingLength} bytes after the image`);
+    }
+
+    return oad.problems.length ? `${parts.join(", ")}; PROBLEMS: ${oad.problems.join("; ")}` : parts.join(", ");
+}
+
+/**
+ * @param {Uint8Array} bytes at least `OAD_FIXED_HEADER_LENGTH` bytes
+ * @returns {OadHeader}
+ */
+function decodeHeader(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    return {
+        imageID: String.fromCharCode(...bytes.subarray(0, OAD_IMAGE_ID_LENGTH)),
+        crc32: view.getUint32(0x08, true),
+        bimVersion: bytes[0x0c],
+        metadataVersion: bytes[0x0d],
+        techType: view.getUint16(0x0e, true),
+        imageCopyStatus: bytes[0x10],
+        crcStatus: bytes[0x11],
+        imageType: bytes[0x12],
+        imageNumber: bytes[0x13],
+        imageValidation: view.getUint32(0x14, true),
+        length: view.getUint32(0x18, true),
+        programEntry: view.getUint32(0x1c, true),
+        softwareVersion: formatSoftwareVersion(bytes.subarray(0x20, 0x24)),
+        endAddress: view.getUint32(0x24, true),
+        headerLength: view.getUint16(0x28, true),
+    };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {OadHeader} header
+ * @returns {OadField[]}
+ */
+function decodeHeaderFields(bytes, header) {
+    /** @type {(label: string, start: number, length: number, value: string) => OadField} */
+    const field = (label, start, length, value) => ({ label, value, start, end: start + length });
+
+    return [
+        field("Image ID", 0x00, 8, JSON.stringify(header.imageID)),
+        field("CRC-32", 0x08, 4, formatOadHex(header.crc32)),
+        field("BIM version", 0x0c, 1, String(header.bimVersion)),
+        field("Metadata version", 0x0d, 1, String(header.metadataVersion)),
+        field("Technology type", 0x0e, 2, `0x${header.techType.toString(16).padStart(4, "0")} (${formatTechType(header.techType)})`),
+        field("Image copy status", 0x10, 1, formatStatus(header.imageCopyStatus, OAD_COPY_STATUSES)),
+        field("CRC status", 0x11, 1, formatStatus(header.crcStatus, OAD_CRC_STATUSES)),
+        field("Image type", 0x12, 1, `${header.imageType} (${formatImageType(header.imageType)})`),
+        field("Image number", 0x13, 1, String(header.imageNumber)),
+        field("Image validation", 0x14, 4, formatOadHex(header.imageValidation)),
+        field("Image length", 0x18, 4, String(header.length)),
+        field("Program entry address", 0x1c, 4, formatOadHex(header.programEntry)),
+        field("Software version", 0x20, 4, `${JSON.stringify(header.softwareVersion)} (${formatBytes(bytes.subarray(0x20, 0x24))})`),
+        field("End address", 0x24, 4, formatOadHex(header.endAddress)),
+        field("Header length", 0x28, 2, String(header.headerLength)),
+        field("Reserved", 0x2a, 2, formatBytes(bytes.subarray(0x2a, 0x2c))),
+    ];
+}
+
+/**
+ * Decoded fields of a segment, header included.
+ * @param {Uint8Array} bytes
+ * @param {number} start offset of the segment header
+ * @param {number} end end of the segment, clamped to the image
+ * @returns {OadField[]}
+ */
+function decodeSegmentFields(bytes, start, end) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    /** @type {OadField[]} */
+    const fields = [];
+    /** @type {(label: string, offset: number, length: number, format: (position: number) => string) => void} */
+    const field = (label, offset, length, format) => {
+        if (start + offset + length <= end) {
+            fields.push({ label, value: format(start + offset), start: start + offset, end: start + offset + length });
+        }
+    };
+    const u32 = /** @param {number} position */ (position) => formatOadHex(view.getUint32(position, true));
+    /** @type {(label: string, offset: number) => void} */
+    const rest = (label, offset) => {
+        if (start + offset <= end) {
+            fields.push({ label, value: `${end - start - offset} bytes`, start: start + offset, end });
+        }
+    };
+
+    field("Segment type", 0, 1, (position) => `${bytes[position]} (${OAD_SEGMENT_NAMES[bytes[position]] ?? "unknown"})`);
+    field("Technology type", 1, 2, (position) => `0x${view.getUint16(position, true).toString(16).padStart(4, "0")} (${formatTechType(view.getUint16(position, true))})`);
+    field("Segment length", 4, 4, (position) => String(view.getUint32(position, true)));
+
+    switch (bytes[start]) {
+        case OAD_SEGMENT_BOUNDARY: {
+            field("Stack start address", 8, 4, u32);
+            field("Stack entry address", 12, 4, u32);
+            field("RAM start address", 16, 4, u32);
+            field("RAM end address", 20, 4, u32);
+            break;
+        }
+        case OAD_SEGMENT_CONTIGUOUS:
+        case OAD_SEGMENT_NV: {
+            field("Start address", 8, 4, u32);
+            rest("Data", 12);
+            break;
+        }
+        case OAD_SEGMENT_SECURITY: {
+            field("Security version", 8, 1, (position) => String(bytes[position]));
+            field("Timestamp", 9, 4, (position) => new Date(view.getUint32(position, true) * 1000).toISOString().replace(".000Z", "Z"));
+            field("Signer info", 13, 8, (position) => formatBytes(bytes.subarray(position, position + 8)));
+            field("Signature r", 21, 32, (position) => formatBytes(bytes.subarray(position, position + 32)));
+            field("Signature s", 53, 32, (position) => formatBytes(bytes.subarray(position, position + 32)));
+            break;
+        }
+        default: {
+            rest("Data", 8);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Software version bytes as text when printable (the OAD tool writes four ASCII digits), hex otherwise.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function formatSoftwareVersion(bytes) {
+    return bytes.every((byte) => byte >= 0x20 && byte < 0x7f) ? String.fromCharCode(...bytes) : formatBytes(bytes);
+}
+
+/**
+ * @param {number} techType
+ * @returns {string}
+ */
+function formatTechType(techType) {
+    const names = OAD_WIRELESS_TECHNOLOGIES.filter(([mask]) => !(techType & /** @type {number} */ (mask))).map(([, name]) => name);
+
+    return names.length ? names.join(", ") : "no technology";
+}
+
+/**
+ * @param {number} imageType
+ * @returns {string}
+ */
+function formatImageType(imageType) {
+    return OAD_IMAGE_TYPES[imageType] ?? "unknown image type";
+}
+
+/**
+ * @param {number} status
+ * @param {Record<number, string>} names
+ * @returns {string}
+ */
+function formatStatus(status, names) {
+    return `0x${status.toString(16).padStart(2, "0")} (${names[status] ?? "unknown"})`;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatOadHex(value) {
+    return `0x${value.toString(16).padStart(8, "0")}`;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(" ");
+}
@@ -0,0 +1,1717 @@
+/**
+ * DOM-free core for parsing, editing and serializing Zigbee OTA images.
+ * Runs unchanged in the browser and in Node (>= 20, for the global Web Crypto API).
+ *
+ * @example
+ * import { parseImage, normalizeHeader, serializeImage } from "./lib/ota.js";
+ *
+ * const parsed = parseImage(buffer);
+ * const header = normalizeHeader({ ...parsed.header, fileVersion: parsed.header.fileVersion + 1 }, parsed.raw);
+ * const rebuilt = serializeImage(header, parsed.raw);
+ */
+
+/**
+ * @typedef {Object} ImageHeader
+ * @property {Uint8Array} otaUpgradeFileIdentifier // read-only
+ * @property {number} otaHeaderVersion // read-only
+ * @property {number} otaHeaderLength // read-only / auto-computed
+ * @property {number} otaHeaderFieldControl // read-only / auto-computed
+ * @property {number} manufacturerCode
+ * @property {number} imageType
+ * @property {number} fileVersion
+ * @property {number} zigbeeStackVersion
+ * @property {string} otaHeaderString
+ * @property {number} totalImageSize
+ * @property {number | undefined} securityCredentialVersion
+ * @property {Uint8Array | undefined} upgradeFileDestination
+ * @property {number | undefined} minimumHardwareVersion
+ * @property {number | undefined} maximumHardwareVersion
+ *
+ * @typedef {Object} ImageElement
+ * @property {number} tagID
+ * @property {number} length
+ * @property {Uint8Array | undefined} tagMeta
+ * @property {Uint8Array} data
+ *
+ * @typedef {Object} ParsedImage
+ * @property {ImageHeader} header
+ * @property {ImageElement[]} elements
+ * @property {ArrayBuffer} raw
+ * @property {string} stack
+ *
+ * @typedef {Object} BundleEntry
+ * @property {number} offset // byte offset of the image in the source file
+ * @property {ParsedImage} parsed
+ *
+ * @typedef {Object} WrapperBytes
+ * @property {Uint8Array} prefix // bytes before the first image
+ * @property {Uint8Array[]} gaps // bytes between consecutive images
+ * @property {Uint8Array} suffix // bytes after the last image
+ *
+ * @typedef {Object} IntegrityCheck
+ * @property {Uint8Array} stored // data of the Image Integrity Code element
+ * @property {Uint8Array} computed
+ * @property {boolean} valid
+ *
+ * @typedef {Object} ZigbeeCertificate
+ * @property {1 | 2} suite // Smart Energy crypto suite
+ * @property {Uint8Array} encoded // certificate bytes, hashed for public key reconstruction
+ * @property {Uint8Array} publicKeyReconstruction // compressed point
+ * @property {Uint8Array} subject // IEEE address, big-endian
+ * @property {Uint8Array} issuer // IEEE address, big-endian
+ * @property {Uint8Array | undefined} profileAttributeData // suite 1 only
+ * @property {number | undefined} type // suite 2 only, 0 = implicit
+ * @property {Uint8Array | undefined} serialNumber // suite 2 only
+ * @property {number | undefined} curve // suite 2 only, 0x0d = sect283k1
+ * @property {number | undefined} hash // suite 2 only, 0x08 = AES-MMO
+ * @property {Date | undefined} validFrom // suite 2 only
+ * @property {Date | null | undefined} validTo // suite 2 only, null = no expiry
+ * @property {number | undefined} keyUsage // suite 2 only
+ *
+ * @typedef {Object} ZigbeeSignature
+ * @property {1 | 2} suite
+ * @property {number} elementIndex
+ * @property {Uint8Array} signer // IEEE address as stored in the element (little-endian)
+ * @property {Uint8Array} r
+ * @property {Uint8Array} s
+ * @property {Uint8Array} signedBytes // image bytes covered by the signature
+ * @property {ZigbeeCertificate | undefined} certificate // signing certificate element of the same suite
+ * @property {boolean | undefined} signerMatchesSubject // undefined without certificate
+ *
+ * @typedef {Object} SignatureVerification
+ * @property {Uint8Array} digest // AES-MMO hash of the signed bytes
+ * @property {boolean | undefined} valid // undefined when verification could not run
+ * @property {string | undefined} reason // why verification did not run or failed
+ *
+ * @typedef {Object} IndexMetadata
+ * @property {string} fileName
+ * @property {number} fileVersion
+ * @property {number} fileSize
+ * @property {string} url
+ * @property {number} imageType
+ * @property {number} manufacturerCode
+ * @property {string} [manufacturerCodeName] // informational name of the code; devices are matched with `manufacturerName`
+ * @property {string} sha512
+ * @property {string} otaHeaderString
+ * @property {number} [hardwareVersionMin]
+ * @property {number} [hardwareVersionMax]
+ * @property {number} [minFileVersion] // only offered to devices already running this version or newer
+ * @property {number} [maxFileVersion] // only offered to devices running this version or older
+ * @property {string} [modelId]
+ * @property {string[]} [manufacturerName]
+ * @property {string} [releaseNotes]
+ * @property {string} [originalUrl]
+ *
+ * @typedef {Object} IndexOptions
+ * @property {string} [baseUrl] // prefix of the entry `url`, "./" by default
+ * @property {number} [hardwareVersionMin] // defaults to the header hardware version range
+ * @property {number} [hardwareVersionMax]
+ * @property {number} [minFileVersion]
+ * @property {number} [maxFileVersion]
+ * @property {string} [modelId]
+ * @property {string[]} [manufacturerName]
+ * @property {string} [releaseNotes]
+ * @property {string} [originalUrl]
+ *
+ * @typedef {Object} ByteRange
+ * @property {number} start // inclusive byte offset in the image
+ * @property {number} end // exclusive byte offset in the image
+ *
+ * @typedef {Object} LayoutNode
+ * @property {string} label
+ * @property {string | undefined} value
+ * @property {number} start // inclusive byte offset in the image
+ * @property {number} end // exclusive byte offset in the image
+ * @property {LayoutNode[]} children
+ *
+ * @typedef {Object} NewImageDefaults
+ * @property {ImageHeader} header
+ * @property {string} stack
+ * @property {number} wrappedOffset // offset of an OTA identifier already present in the payload, -1 if none
+ */
+
+import { aesMmoHash } from "./aes.js";
+import { SECT163K1, SECT283K1, reconstructPublicKey, verifyEcdsa } from "./ecc.js";
+import { describeEbl, isEbl, parseEbl } from "./ebl.js";
+import { describeGbl, isGbl, parseGbl } from "./gbl.js";
+import { formatManufacturerCode, getManufacturerName } from "./manufacturers.js";
+import { describeMcubootImage, describeNrf5Dfu, isMcubootImage, isNrf5Dfu, parseMcubootImage, parseNrf5Dfu } from "./nordic.js";
+import { describeOad, isOad, parseOad } from "./oad.js";
+import { describeStackCandidate, detectZigbeeStacks } from "./stack.js";
+import { checkFileVersion, describeVersionCheck } from "./version.js";
+import { describeTelinkElementInfo, describeTelinkFirmware, isTelinkFirmware, parseTelinkFirmware } from "./telink.js";
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder("utf-8");
+export const UPGRADE_FILE_IDENTIFIER = new Uint8Array([0x1e, 0xf1, 0xee, 0x0b]);
+export const OTA_HEADER_MIN_LENGTH = 56;
+/** Header with all optional fields (security credential version, upgrade file destination, hardware versions). */
+const OTA_HEADER_MAX_LENGTH = OTA_HEADER_MIN_LENGTH + 1 + 8 + 4;
+export const UPGRADE_IMAGE_TAG_ID = 0x0000;
+export const IMAGE_INTEGRITY_CODE_TAG_ID = 0x0003;
+const IMAGE_INTEGRITY_CODE_LENGTH = 16;
+/** ZigBee PRO */
+const DEFAULT_ZIGBEE_STACK_VERSION = 0x0002;
+/** @type {Record<number, string>} */
+export const ZIGBEE_SPEC_TAGS = {
+    0: "Upgrade Image",
+    1: "ECDSA Signature (Crypto Suite 1)",
+    2: "ECDSA Signing Certificate (Crypto Suite 1)",
+    3: "Image Integrity Code",
+    4: "Picture Data",
+    5: "ECDSA Signature (Crypto Suite 2)",
+    6: "ECDSA Signing Certificate (Crypto Suite 2)",
+    // 0xf000 – 0xffff Manufacturer Specific Use
+};
+/** Crypto Suite 1 (sect163k1) and Crypto Suite 2 (sect283k1) signature / certificate tags. */
+const SIGNATURE_SUITES = [
+    { suite: /** @type {1} */ (1), signatureTagID: 0x0001, certificateTagID: 0x0002, curve: SECT163K1, certificateLength: 48 },
+    { suite: /** @type {2} */ (2), signatureTagID: 0x0005, certificateTagID: 0x0006, curve: SECT283K1, certificateLength: 74 },
+];
+const IEEE_ADDRESS_LENGTH = 8;
+/** Zigbee UTC time counts seconds from 2000-01-01T00:00:00Z. */
+const ZIGBEE_EPOCH_MS = Date.UTC(2000, 0, 1);
+export const TELINK_AES_TAG_ID = 0xf000;
+/** OTA_FLAG_IMAGE_ELEM_INFO1 (1-byte) + OTA_FLAG_IMAGE_ELEM_INFO2 (1-byte) */
+const TELINK_TAG_META_LENGTH = 2;
+export const PROTECTION_TAG_IDS = new Set([0x0001, 0x0002, 0x0003, 0x0005, 0x0006, TELINK_AES_TAG_ID]);
+
+/**
+ * Try to identify the Zigbee stack from a raw OTA image: label of the best candidate of `detectZigbeeStacks`.
+ * @param {ImageElement[]} elements
+ * @returns {string}
+ */
+export function identifyImageZigbeeStack(elements) {
+    const [best] = detectZigbeeStacks(elements);
+
+    return best?.label ?? "Unknown";
+}
+
+/**
+ * Detect whether the image elements contain protection/signature/encryption tags.
+ * @param {ImageElement[]} elements
+ * @returns {number[]}
+ */
+export function detectProtectionTags(elements) {
+    /** @type {number[]} */
+    const matched = [];
+
+    for (const element of elements) {
+        if (PROTECTION_TAG_IDS.has(element.tagID) && !matched.includes(element.tagID)) {
+            matched.push(element.tagID);
+        }
+    }
+
+    return matched;
+}
+
+/**
+ * Human-readable labels for protection tags returned by `detectProtectionTags`.
+ * @param {number[]} tags
+ * @returns {string[]}
+ */
+export function describeProtectionTags(tags) {
+    return tags.map((tag) => {
+        if (tag === TELINK_AES_TAG_ID) {
+            return "Telink AES encryption (0xf000)";
+        }
+
+        const label = ZIGBEE_SPEC_TAGS[tag] ?? "Protected tag";
+
+        return `${label} (${formatTagId(tag)})`;
+    });
+}
+
+/**
+ * Render the read-only metadata text for a parsed image.
+ * @param {ParsedImage} image
+ * @returns {string}
+ */
+export function formatMetadata(image) {
+    const { header, elements, stack } = image;
+
+    let content = `Identifier, ${formatHex(header.otaUpgradeFileIdentifier)}
+Header version: ${header.otaHeaderVersion}
+Header length: ${header.otaHeaderLength}
+Field control: ${header.otaHeaderFieldControl}
+Manufacturer code: ${header.manufacturerCode} = ${formatManufacturerCode(header.manufacturerCode)}
+Image type: ${header.imageType}
+File version: ${`${header.fileVersion} (${formatVersionDescriptor(header.fileVersion)})`}
+Zigbee stack version: ${header.zigbeeStackVersion}
+Header string: ${header.otaHeaderString}
+Total image size: ${header.totalImageSize}
+Security credential version: ${header.securityCredentialVersion ?? "—"}
+Upgrade file destination: ${header.upgradeFileDestination ? formatHex(header.upgradeFileDestination) : "—"}
+Min hardware version: ${header.minimumHardwareVersion ?? "—"}
+Max hardware version: ${header.maximumHardwareVersion ?? "—"}
+Identified stack: ${stack ?? "—"}
+Stack candidates:`;
+
+    const candidates = detectZigbeeStacks(elements);
+
+    for (const candidate of candidates) {
+        content += `\n  - ${describeStackCandidate(candidate)}`;
+    }
+
+    if (!candidates.length) {
+        content += " —";
+    }
+
+    const versionCheck = checkFileVersion(header.fileVersion, elements);
+
+    content += `\nEmbedded version: ${describeVersionCheck(versionCheck)}`;
+
+    if (versionCheck.aligned !== undefined) {
+        content += `\n  Header: ${formatVersionDescriptor(header.fileVersion)}\n  Aligned: ${formatVersionDescriptor(versionCheck.aligned)}`;
+    }
+
+    content += "\nTags:";
+
+    for (const { tagID, length, tagMeta, data } of elements) {
+        content += `\n  - [${formatTagId(tagID)}] ${formatTagLabel(tagID)} (length: ${length})`;
+
+        if (tagID === TELINK_AES_TAG_ID) {
+            content += `\n      Info bytes: ${describeTelinkElementInfo(tagMeta, data)}`;
+        }
+
+        if (isGbl(data)) {
+            content += `\n      GBL: ${describeGbl(parseGbl(data))}`;
+        } else if (isEbl(data)) {
+            content += `\n      EBL: ${describeEbl(parseEbl(data))}`;
+        } else if (isOad(data)) {
+            content += `\n      TI OAD: ${describeOad(parseOad(data))}`;
+        } else if (isTelinkFirmware(data)) {
+            content += `\n      Telink: ${describeTelinkFirmware(parseTelinkFirmware(data))}`;
+        } else if (isMcubootImage(data)) {
+            content += `\n      MCUboot: ${describeMcubootImage(parseMcubootImage(data))}`;
+        } else if (isNrf5Dfu(data)) {
+            content += `\n      nRF5 DFU: ${describeNrf5Dfu(parseNrf5Dfu(data))}`;
+        }
+    }
+
+    return content;
+}
+
+/**
+ * Label for an OTA tag identifier.
+ * @param {number} tagID
+ * @returns {string}
+ */
+export function formatTagLabel(tagID) {
+    return tagID >= 0xf000 ? "Manufacturer-specific" : (ZIGBEE_SPEC_TAGS[tagID] ?? "Unknown");
+}
+
+/**
+ * Parse a raw OTA image.
+ * @param {ArrayBuffer} buffer
+ * @returns {ParsedImage}
+ */
+export function parseImage(buffer) {
+    // find the actual start of OTA data (might have padding before/after)
+    const otaStartIndex = findSubarray(new Uint8Array(buffer), UPGRADE_FILE_IDENTIFIER);
+    assert(otaStartIndex !== -1, "Invalid OTA file");
+
+    return parseImageAt(buffer, otaStartIndex);
+}
+
+/**
+ * Parse every OTA image found in a buffer (e.g. vendor bundles of concatenated images), in file order.
+ * Identifier matches that do not start a plausible header are skipped.
+ * @param {ArrayBuffer} buffer
+ * @returns {BundleEntry[]}
+ */
+export function parseImages(buffer) {
+    const bytes = new Uint8Array(buffer);
+    /** @type {BundleEntry[]} */
+    const entries = [];
+    let position = findSubarray(bytes, UPGRADE_FILE_IDENTIFIER);
+    assert(position !== -1, "Invalid OTA file");
+
+    const firstIndex = position;
+
+    while (position !== -1) {
+        let next = position + 1;
+
+        if (isPlausibleHeaderAt(buffer, position)) {
+            const parsed = parseImageAt(buffer, position);
+
+            entries.push({ offset: position, parsed });
+
+            next = position + parsed.raw.byteLength;
+        }
+
+        const found = findSubarray(bytes.subarray(next), UPGRADE_FILE_IDENTIFIER);
+        position = found === -1 ? -1 : next + found;
+    }
+
+    if (!entries.length) {
+        // surface the same error a single-image parse would
+        entries.push({ offset: firstIndex, parsed: parseImageAt(buffer, firstIndex) });
+    }
+
+    return entries;
+}
+
+/**
+ * Collect the bytes of a file that are not part of any OTA image (vendor containers, padding, signatures...).
+ * @param {ArrayBuffer} buffer
+ * @param {BundleEntry[]} entries as returned by `parseImages`
+ * @returns {WrapperBytes}
+ */
+export function getWrapperBytes(buffer, entries) {
+    const bytes = new Uint8Array(buffer);
+    /** @type {Uint8Array[]} */
+    const gaps = [];
+
+    for (let i = 1; i < entries.length; i += 1) {
+        gaps.push(bytes.slice(entries[i - 1].offset + entries[i - 1].parsed.raw.byteLength, entries[i].offset));
+    }
+
+    const last = entries[entries.length - 1];
+
+    return {
+        prefix: bytes.slice(0, entries[0]?.offset ?? 0),
+        gaps,
+        suffix: bytes.slice(last ? last.offset + last.parsed.raw.byteLength : bytes.length),
+    };
+}
+
+/**
+ * Whether a file has any bytes outside its OTA images.
+ * @param {WrapperBytes} wrapper
+ * @returns {boolean}
+ */
+export function hasWrapperBytes(wrapper) {
+    return wrapper.prefix.length > 0 || wrapper.suffix.length > 0 || wrapper.gaps.some((gap) => gap.length > 0);
+}
+
+/**
+ * Concatenate images back into a bundle, in the given order.
+ * When `wrapper` is given, the original prefix, inter-image gaps and suffix are re-emitted around the images.
+ * @param {ArrayBuffer[]} images
+ * @param {WrapperBytes} [wrapper]
+ * @returns {ArrayBuffer}
+ */
+export function buildBundle(images, wrapper) {
+    /** @type {Uint8Array[]} */
+    const parts = [];
+
+    if (wrapper) {
+        parts.push(wrapper.prefix);
+    }
+
+    images.forEach((image, index) => {
+        if (wrapper && index > 0 && wrapper.gaps[index - 1]) {
+            parts.push(wrapper.gaps[index - 1]);
+        }
+
+        parts.push(new Uint8Array(image));
+    });
+
+    if (wrapper) {
+        parts.push(wrapper.suffix);
+    }
+
+    const output = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+
+    for (const part of parts) {
+        output.set(part, position);
+        position += part.length;
+    }
+
+    return output.buffer;
+}
+
+/**
+ * Check whether the bytes at an identifier match look like a real OTA header.
+ * @param {ArrayBuffer} buffer
+ * @param {number} offset
+ * @returns {boolean}
+ */
+function isPlausibleHeaderAt(buffer, offset) {
+    try {
+        const header = parseImageHeader(buffer.slice(offset, offset + OTA_HEADER_MAX_LENGTH));
+
+        return header.otaHeaderLength >= OTA_HEADER_MIN_LENGTH && header.totalImageSize >= header.otaHeaderLength;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Parse the OTA image starting at an offset.
+ * @param {ArrayBuffer} buffer
+ * @param {number} offset
+ * @returns {ParsedImage}
+ */
+function parseImageAt(buffer, offset) {
+    // slice buffer from the OTA start if there's padding
+    const otaBuffer = offset > 0 ? buffer.slice(offset) : buffer;
+    const header = parseImageHeader(otaBuffer);
+    const elements = parseElements(otaBuffer, header);
+    const raw = otaBuffer.slice(0, header.totalImageSize);
+    const stack = identifyImageZigbeeStack(elements);
+
+    return { header, elements, raw, stack };
+}
+
+/**
+ * Parse only the header portion of the image.
+ * @param {ArrayBuffer} buffer
+ * @returns {ImageHeader}
+ */
+export function parseImageHeader(buffer) {
+    const view = new DataView(buffer);
+    assert(buffer.byteLength >= OTA_HEADER_MIN_LENGTH, "Buffer too small to contain header");
+
+    const otaUpgradeFileIdentifier = new Uint8Array(buffer.slice(0, 4));
+    const otaHeaderVersion = view.getUint16(4, true);
+    const otaHeaderLength = view.getUint16(6, true);
+    const otaHeaderFieldControl = view.getUint16(8, true);
+    const manufacturerCode = view.getUint16(10, true);
+    const imageType = view.getUint16(12, true);
+    const fileVersion = view.getUint32(14, true);
+    const zigbeeStackVersion = view.getUint16(18, true);
+    const otaHeaderString = decodeFixedString(buffer, 20, 52);
+    const totalImageSize = view.getUint32(52, true);
+
+    let headerPos = OTA_HEADER_MIN_LENGTH;
+    /** @type {number | undefined} */
+    let securityCredentialVersion;
+    /** @type {Uint8Array<ArrayBuffer> | undefined} */
+    let upgradeFileDestination;
+    /** @type {number | undefined} */
+    let minimumHardwareVersion;
+    /** @type {number | undefined} */
+    let maximumHardwareVersion;
+
+    if (otaHeaderFieldControl & 0x0001) {
+        assert(headerPos + 1 <= buffer.byteLength, "Unexpected end of buffer while reading securityCredentialVersion");
+
+        securityCredentialVersion = view.getUint8(headerPos);
+        headerPos += 1;
+    }
+
+    if (otaHeaderFieldControl & 0x0002) {
+        assert(headerPos + 8 <= buffer.byteLength, "Unexpected end of buffer while reading upgradeFileDestination");
+
+        upgradeFileDestination = new Uint8Array(buffer.slice(headerPos, headerPos + 8));
+        headerPos += 8;
+    }
+
+    if (otaHeaderFieldControl & 0x0004) {
+        assert(headerPos + 4 <= buffer.byteLength, "Unexpected end of buffer while reading hardware versions");
+
+        minimumHardwareVersion = view.getUint16(headerPos, true);
+        maximumHardwareVersion = view.getUint16(headerPos + 2, true);
+    }
+
+    return {
+        otaUpgradeFileIdentifier,
+        otaHeaderVersion,
+        otaHeaderLength,
+        otaHeaderFieldControl,
+        manufacturerCode,
+        imageType,
+        fileVersion,
+        zigbeeStackVersion,
+        otaHeaderString,
+        totalImageSize,
+        securityCredentialVersion,
+        upgradeFileDestination,
+        minimumHardwareVersion,
+        maximumHardwareVersion,
+    };
+}
+
+/**
+ * Parse image elements following the header.
+ * @param {ArrayBuffer} buffer
+ * @param {ImageHeader} header
+ * @returns {ImageElement[]}
+ */
+export function parseElements(buffer, header) {
+    const bytes = new Uint8Array(buffer);
+    const elements = [];
+    let position = header.otaHeaderLength;
+    const limit = Math.min(header.totalImageSize, bytes.length);
+
+    while (position + 6 <= limit) {
+        const [element, elementOffset] = parseSubElement(bytes, position);
+
+        elements.push(element);
+
+        position += element.length + elementOffset;
+    }
+
+    return elements;
+}
+
+/**
+ * Parse a single OTA element.
+ * @param {Uint8Array} bytes
+ * @param {number} position
+ * @returns {[ImageElement, number]}
+ */
+export function parseSubElement(bytes, position) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const tagID = view.getUint16(position, true);
+    const length = view.getUint32(position + 2, true);
+
+    if (tagID === TELINK_AES_TAG_ID) {
+        // OTA_FLAG_IMAGE_ELEM_INFO1 (1-byte) + OTA_FLAG_IMAGE_ELEM_INFO2 (1-byte)
+        const tagMeta = bytes.slice(position + 6, position + 8);
+        const data = bytes.slice(position + 8, position + 8 + length);
+
+        return [{ tagID, length, tagMeta, data }, 8];
+    }
+
+    const data = bytes.slice(position + 6, position + 6 + length);
+
+    return [{ tagID, length, tagMeta: undefined, data }, 6];
+}
+
+/**
+ * Generate index metadata for the image.
+ * Optional fields are only included when set (empty strings and lists are left out).
+ * `sha512` and `fileSize` describe the file served under `fileName`, which holds more than the image when it keeps
+ * a vendor wrapper or other images of a bundle.
+ * @param {ParsedImage} image
+ * @param {string} fileName
+ * @param {IndexOptions} [options]
+ * @param {ArrayBuffer} [file] bytes of the file, the image alone by default
+ * @returns {Promise<IndexMetadata>}
+ */
+export async function buildIndexMetadata(image, fileName, options = {}, file = image.raw) {
+    const sha512 = await computeSHA512(file);
+    const { baseUrl = "./", ...optional } = options;
+    /** @type {IndexMetadata} */
+    const metadata = {
+        fileName,
+        fileVersion: image.header.fileVersion,
+        fileSize: file.byteLength,
+        url: `${baseUrl}${baseUrl === "" || baseUrl.endsWith("/") ? "" : "/"}${fileName}`,
+        imageType: image.header.imageType,
+        manufacturerCode: image.header.manufacturerCode,
+        manufacturerCodeName: getManufacturerName(image.header.manufacturerCode),
+        sha512,
+        otaHeaderString: image.header.otaHeaderString.replaceAll("\u0000", ""),
+    };
+    /** @type {IndexOptions} */
+    const fields = {
+        hardwareVersionMin: optional.hardwareVersionMin ?? image.header.minimumHardwareVersion,
+        hardwareVersionMax: optional.hardwareVersionMax ?? image.header.maximumHardwareVersion,
+        minFileVersion: optional.minFileVersion,
+        maxFileVersion: optional.maxFileVersion,
+        modelId: optional.modelId,
+        manufacturerName: optional.manufacturerName,
+        releaseNotes: optional.releaseNotes,
+        originalUrl: optional.originalUrl,
+    };
+
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== "" && !(Array.isArray(value) && value.length === 0)) {
+            Object.assign(metadata, { [key]: value });
+        }
+    }
+
+    return metadata;
+}
+
+/**
+ * Compute SHA-512 hex string for an ArrayBuffer using Web Crypto.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>}
+ */
+export async function computeSHA512(buffer) {
+    if (!crypto?.subtle) {
+        throw new Error("Web Crypto API not available");
+    }
+
+    const hashBuffer = await crypto.subtle.digest("SHA-512", buffer);
+
+    return arrayBufferToHex(hashBuffer);
+}
+
+/**
+ * Compute SHA-256 hex string using Web Crypto.
+ * @param {ArrayBuffer | Uint8Array<ArrayBuffer>} buffer
+ * @returns {Promise<string>}
+ */
+export async function computeSHA256(buffer) {
+    if (!crypto?.subtle) {
+        throw new Error("Web Crypto API not available");
+    }
+
+    const hashBuffer = await crypto.subtle.digest("SHA-256", buffer);
+
+    return arrayBufferToHex(hashBuffer);
+}
+
+/**
+ * Convert ArrayBuffer to hex string.
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+export function arrayBufferToHex(buffer) {
+    const bytes = new Uint8Array(buffer);
+
+    return Array.from(bytes)
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+}
+
+/**
+ * Normalize header fields that must be auto-computed.
+ * @param {ImageHeader} header
+ * @param {ArrayBuffer} raw
+ * @returns {ImageHeader}
+ */
+export function normalizeHeader(header, raw) {
+    const rawLength = raw.byteLength;
+    const sanitizedHeaderString = header.otaHeaderString.slice(0, 32);
+    const totalImageSize = clamp(header.totalImageSize || rawLength, OTA_HEADER_MIN_LENGTH, rawLength);
+    const hasSecurity = header.securityCredentialVersion !== undefined;
+    const upgradeFileDestination =
+        header.upgradeFileDestination && header.upgradeFileDestination.length > 0 ? header.upgradeFileDestination : undefined;
+    const hasUpgrade = !!upgradeFileDestination;
+
+    if (upgradeFileDestination) {
+        assert(upgradeFileDestination.length === 8, "upgradeFileDestination must be 8 bytes");
+    }
+
+    const hasHwRange = header.minimumHardwareVersion !== undefined && header.maximumHardwareVersion !== undefined;
+
+    let otaHeaderFieldControl = 0;
+    let otaHeaderLength = OTA_HEADER_MIN_LENGTH;
+
+    if (hasSecurity) {
+        otaHeaderFieldControl |= 0x0001;
+        otaHeaderLength += 1;
+    }
+
+    if (hasUpgrade) {
+        otaHeaderFieldControl |= 0x0002;
+        otaHeaderLength += 8;
+    }
+
+    if (hasHwRange) {
+        otaHeaderFieldControl |= 0x0004;
+        otaHeaderLength += 4;
+    }
+
+    return {
+        ...header,
+        otaUpgradeFileIdentifier: header.otaUpgradeFileIdentifier || UPGRADE_FILE_IDENTIFIER,
+        otaHeaderVersion: header.otaHeaderVersion || 0x0100,
+        otaHeaderLength,
+        otaHeaderFieldControl,
+        otaHeaderString: sanitizedHeaderString,
+        totalImageSize,
+        securityCredentialVersion: hasSecurity ? header.securityCredentialVersion : undefined,
+        upgradeFileDestination: hasUpgrade ? upgradeFileDestination : undefined,
+        minimumHardwareVersion: hasHwRange ? header.minimumHardwareVersion : undefined,
+        maximumHardwareVersion: hasHwRange ? header.maximumHardwareVersion : undefined,
+    };
+}
+
+/**
+ * Convert a numeric fileVersion into Zigbee release/build segments.
+ * @param {number} version
+ * @returns {{appRelease: string, appBuild: number, stackRelease: string, stackBuild: number}}
+ */
+export function fileVersionToSegments(version) {
+    const unsigned = Number(version) >>> 0;
+    const versionString = unsigned.toString(16).padStart(8, "0");
+    const appRelease = `${versionString[0]}.${versionString[1]}`;
+    const appBuild = Number.parseInt(versionString.slice(2, 4), 16);
+    const stackRelease = `${versionString[4]}.${versionString[5]}`;
+    const stackBuild = Number.parseInt(versionString.slice(6), 16);
+
+    return { appRelease, appBuild, stackRelease, stackBuild };
+}
+
+/**
+ * Build a numeric version from Zigbee release/build segments.
+ * @param {string} appRelease
+ * @param {string} appBuild
+ * @param {string} stackRelease
+ * @param {string} stackBuild
+ * @returns {number}
+ */
+export function segmentsToVersion(appRelease, appBuild, stackRelease, stackBuild) {
+    const appRelMatch = appRelease.match(/^([0-9A-Fa-f])\.([0-9A-Fa-f])$/);
+    const stackRelMatch = stackRelease.match(/^([0-9A-Fa-f])\.([0-9A-Fa-f])$/);
+
+    if (!appRelMatch || !stackRelMatch) {
+        return Number.NaN;
+    }
+
+    const appBuildNum = Number(appBuild);
+    const stackBuildNum = Number(stackBuild);
+
+    if (Number.isNaN(appBuildNum) || Number.isNaN(stackBuildNum)) {
+        return Number.NaN;
+    }
+
+    if (appBuildNum < 0 || appBuildNum > 255 || stackBuildNum < 0 || stackBuildNum > 255) {
+        return Number.NaN;
+    }
+
+    const versionString = `${appRelMatch[1]}${appRelMatch[2]}${appBuildNum.toString(16).padStart(2, "0")}${stackRelMatch[1]}${stackRelMatch[2]}${stackBuildNum.toString(16).padStart(2, "0")}`;
+
+    return Number.parseInt(versionString, 16);
+}
+
+/**
+ * Human-friendly descriptor for file version.
+ * @param {number} version
+ * @returns {string}
+ */
+export function formatVersionDescriptor(version) {
+    const seg = fileVersionToSegments(version);
+
+    return `App ${seg.appRelease} build ${seg.appBuild} | Stack ${seg.stackRelease} build ${seg.stackBuild}`;
+}
+
+/**
+ * Create a new binary with updated header data.
+ * @param {ImageHeader} header
+ * @param {ArrayBuffer} original
+ * @returns {ArrayBuffer}
+ */
+export function serializeImage(header, original) {
+    const normalized = normalizeHeader(header, original);
+    const output = new Uint8Array(normalized.totalImageSize);
+    const source = new Uint8Array(original);
+    output.set(source.subarray(0, output.length));
+
+    const view = new DataView(output.buffer);
+
+    output.set(normalized.otaUpgradeFileIdentifier.slice(0, 4), 0);
+    view.setUint16(4, normalized.otaHeaderVersion, true);
+    view.setUint16(6, normalized.otaHeaderLength, true);
+    view.setUint16(8, normalized.otaHeaderFieldControl, true);
+    view.setUint16(10, normalized.manufacturerCode, true);
+    view.setUint16(12, normalized.imageType, true);
+    view.setUint32(14, normalized.fileVersion, true);
+    view.setUint16(18, normalized.zigbeeStackVersion, true);
+
+    const headerStringBytes = textEncoder.encode(normalized.otaHeaderString);
+    const paddedHeaderString = new Uint8Array(32);
+
+    paddedHeaderString.set(headerStringBytes.subarray(0, 32));
+    output.set(paddedHeaderString, 20);
+
+    view.setUint32(52, normalized.totalImageSize, true);
+
+    let headerPos = OTA_HEADER_MIN_LENGTH;
+
+    if (normalized.otaHeaderFieldControl & 0x0001) {
+        view.setUint8(headerPos, normalized.securityCredentialVersion ?? 0);
+
+        headerPos += 1;
+    }
+
+    if (normalized.otaHeaderFieldControl & 0x0002) {
+        output.set(normalized.upgradeFileDestination ?? new Uint8Array(8), headerPos);
+
+        headerPos += 8;
+    }
+
+    if (normalized.otaHeaderFieldControl & 0x0004) {
+        view.setUint16(headerPos, normalized.minimumHardwareVersion ?? 0, true);
+        view.setUint16(headerPos + 2, normalized.maximumHardwareVersion ?? 0, true);
+    }
+
+    return output.buffer;
+}
+
+/**
+ * Suggest header fields for a new image wrapping a raw firmware payload.
+ * @param {Uint8Array} payload
+ * @returns {NewImageDefaults}
+ */
+export function suggestNewImageDefaults(payload) {
+    const stack = identifyImageZigbeeStack([{ tagID: UPGRADE_IMAGE_TAG_ID, length: payload.length, tagMeta: undefined, data: payload }]);
+    const header = normalizeHeader(
+        {
+            otaUpgradeFileIdentifier: UPGRADE_FILE_IDENTIFIER,
+            otaHeaderVersion: 0x0100,
+            otaHeaderLength: OTA_HEADER_MIN_LENGTH,
+            otaHeaderFieldControl: 0,
+            manufacturerCode: 0,
+            imageType: 0,
+            fileVersion: 0,
+            zigbeeStackVersion: DEFAULT_ZIGBEE_STACK_VERSION,
+            otaHeaderString: stack === "Unknown" ? "" : stack,
+            totalImageSize: 0,
+            securityCredentialVersion: undefined,
+            upgradeFileDestination: undefined,
+            minimumHardwareVersion: undefined,
+            maximumHardwareVersion: undefined,
+        },
+        new ArrayBuffer(OTA_HEADER_MIN_LENGTH + 6 + payload.length),
+    );
+
+    return { header, stack, wrappedOffset: findSubarray(payload, UPGRADE_FILE_IDENTIFIER) };
+}
+
+/**
+ * Create a new OTA image with a single Upgrade Image element wrapping the payload.
+ * `otaHeaderLength`, `otaHeaderFieldControl` and `totalImageSize` are computed.
+ * @param {ImageHeader} header
+ * @param {Uint8Array} payload
+ * @returns {ArrayBuffer}
+ */
+export function createImage(header, payload) {
+    return buildImage(header, [createElement(UPGRADE_IMAGE_TAG_ID, payload)]);
+}
+
+/**
+ * Create an element for the given tag, with an empty info prefix for Telink 0xf000 elements.
+ * @param {number} tagID
+ * @param {Uint8Array} data
+ * @param {Uint8Array} [tagMeta]
+ * @returns {ImageElement}
+ */
+export function createElement(tagID, data, tagMeta) {
+    if (tagID === TELINK_AES_TAG_ID) {
+        const meta = new Uint8Array(TELINK_TAG_META_LENGTH);
+
+        meta.set((tagMeta ?? meta).subarray(0, TELINK_TAG_META_LENGTH));
+
+        return { tagID, length: data.length, tagMeta: meta, data };
+    }
+
+    return { tagID, length: data.length, tagMeta: undefined, data };
+}
+
+/**
+ * Serialized size of an element (tag header, Telink info prefix and data).
+ * @param {ImageElement} element
+ * @returns {number}
+ */
+export function getElementSize(element) {
+    return getElementHeaderSize(element.tagID) + element.data.length;
+}
+
+/**
+ * Size of the bytes before the element data: tag ID, length and the Telink info prefix (0xf000 only).
+ * @param {number} tagID
+ * @returns {number}
+ */
+function getElementHeaderSize(tagID) {
+    return 6 + (tagID === TELINK_AES_TAG_ID ? TELINK_TAG_META_LENGTH : 0);
+}
+
+/**
+ * Byte range of each header field in the image; optional fields are present when selected by `otaHeaderFieldControl`.
+ * @param {ImageHeader} header
+ * @returns {Partial<Record<keyof ImageHeader, ByteRange>>}
+ */
+export function getHeaderFieldRanges(header) {
+    /** @type {Partial<Record<keyof ImageHeader, ByteRange>>} */
+    const ranges = {
+        otaUpgradeFileIdentifier: { start: 0, end: 4 },
+        otaHeaderVersion: { start: 4, end: 6 },
+        otaHeaderLength: { start: 6, end: 8 },
+        otaHeaderFieldControl: { start: 8, end: 10 },
+        manufacturerCode: { start: 10, end: 12 },
+        imageType: { start: 12, end: 14 },
+        fileVersion: { start: 14, end: 18 },
+        zigbeeStackVersion: { start: 18, end: 20 },
+        otaHeaderString: { start: 20, end: 52 },
+        totalImageSize: { start: 52, end: OTA_HEADER_MIN_LENGTH },
+    };
+    let position = OTA_HEADER_MIN_LENGTH;
+
+    if (header.otaHeaderFieldControl & 0x0001) {
+        ranges.securityCredentialVersion = { start: position, end: position + 1 };
+        position += 1;
+    }
+
+    if (header.otaHeaderFieldControl & 0x0002) {
+        ranges.upgradeFileDestination = { start: position, end: position + 8 };
+        position += 8;
+    }
+
+    if (header.otaHeaderFieldControl & 0x0004) {
+        ranges.minimumHardwareVersion = { start: position, end: position + 2 };
+        ranges.maximumHardwareVersion = { start: position + 2, end: position + 4 };
+    }
+
+    return ranges;
+}
+
+/**
+ * Byte range of each element in the image, following the stored lengths like `parseElements`.
+ * Ranges end past the image when an element declares more bytes than the image holds.
+ * @param {ImageHeader} header
+ * @param {ImageElement[]} elements
+ * @returns {ByteRange[]}
+ */
+export function getElementRanges(header, elements) {
+    let position = header.otaHeaderLength;
+
+    return elements.map((element) => {
+        const start = position;
+        position += getElementHeaderSize(element.tagID) + element.length;
+
+        return { start, end: position };
+    });
+}
+
+/**
+ * Bytes within `totalImageSize` after the last element, too short to form another element and skipped by `parseElements`.
+ * @param {ParsedImage} image
+ * @returns {Uint8Array}
+ */
+export function getTrailingBytes({ header, elements, raw }) {
+    const ranges = getElementRanges(header, elements);
+    const end = ranges.length ? ranges[ranges.length - 1].end : header.otaHeaderLength;
+
+    return new Uint8Array(raw).slice(Math.min(end, raw.byteLength));
+}
+
+/**
+ * Serialize a single element: tag ID, recomputed length, Telink info prefix (0xf000 only) and data.
+ * @param {ImageElement} element
+ * @returns {Uint8Array}
+ */
+export function serializeElement(element) {
+    const output = new Uint8Array(getElementSize(element));
+    const view = new DataView(output.buffer);
+
+    view.setUint16(0, element.tagID, true);
+    view.setUint32(2, element.data.length, true);
+
+    if (element.tagID === TELINK_AES_TAG_ID) {
+        output.set((element.tagMeta ?? new Uint8Array(TELINK_TAG_META_LENGTH)).subarray(0, TELINK_TAG_META_LENGTH), 6);
+    }
+
+    output.set(element.data, output.length - element.data.length);
+
+    return output;
+}
+
+/**
+ * Build a complete OTA image from a header and an element list.
+ * `otaHeaderLength`, `otaHeaderFieldControl`, `totalImageSize` and every element length are recomputed.
+ * @param {ImageHeader} header
+ * @param {ImageElement[]} elements
+ * @param {Uint8Array} [trailing] bytes to keep after the last element (see `getTrailingBytes`), counted in `totalImageSize`
+ * @returns {ArrayBuffer}
+ */
+export function buildImage(header, elements, trailing = new Uint8Array(0)) {
+    const draft = normalizeHeader(header, new ArrayBuffer(OTA_HEADER_MIN_LENGTH));
+    const totalImageSize = elements.reduce((size, element) => size + getElementSize(element), draft.otaHeaderLength) + trailing.length;
+    const output = new Uint8Array(totalImageSize);
+    let position = draft.otaHeaderLength;
+
+    for (const element of elements) {
+        const bytes = serializeElement(element);
+
+        output.set(bytes, position);
+        position += bytes.length;
+    }
+
+    output.set(trailing, position);
+
+    return serializeImage({ ...draft, totalImageSize }, output.buffer);
+}
+
+/**
+ * Write a new header and element list into an image, changing nothing else of it.
+ * Header fields are rewritten in place (`serializeImage`) while the elements and the header length stay the same;
+ * otherwise the image is rebuilt (`buildImage`) with its trailing bytes kept.
+ * @param {ParsedImage} image
+ * @param {ImageHeader} header
+ * @param {ImageElement[]} elements
+ * @returns {ArrayBuffer}
+ */
+export function rebuildImage(image, header, elements) {
+    const normalized = normalizeHeader(header, image.raw);
+
+    if (elements === image.elements && normalized.otaHeaderLength === image.header.otaHeaderLength) {
+        return serializeImage(normalized, image.raw);
+    }
+
+    return buildImage(header, elements, getTrailingBytes(image));
+}
+
+/**
+ * Compute the Image Integrity Code of an image: the AES-MMO hash of every byte from the start of the header,
+ * excluding Image Integrity Code elements (tag, length and data).
+ * @param {ArrayBuffer} raw
+ * @param {ImageHeader} header
+ * @returns {Uint8Array}
+ */
+export function computeImageIntegrityCode(raw, header) {
+    const bytes = new Uint8Array(raw);
+    const limit = Math.min(header.totalImageSize, bytes.length);
+    /** @type {Uint8Array[]} */
+    const parts = [];
+    let start = 0;
+    let position = header.otaHeaderLength;
+
+    // walk the elements like `parseElements`
+    while (position + 6 <= limit) {
+        const view = new DataView(raw, position, 6);
+        const tagID = view.getUint16(0, true);
+        const end = Math.min(position + 6 + (tagID === TELINK_AES_TAG_ID ? TELINK_TAG_META_LENGTH : 0) + view.getUint32(2, true), limit);
+
+        if (tagID === IMAGE_INTEGRITY_CODE_TAG_ID) {
+            parts.push(bytes.subarray(start, position));
+            start = end;
+        }
+
+        position = end;
+    }
+
+    parts.push(bytes.subarray(start, limit));
+
+    return aesMmoHash(...parts);
+}
+
+/**
+ * Check the stored Image Integrity Code (tag 0x0003) against the image bytes.
+ * @param {ParsedImage} image
+ * @returns {IntegrityCheck | undefined} undefined when the image has no integrity element
+ */
+export function verifyImageIntegrity(image) {
+    const element = image.elements.find((candidate) => candidate.tagID === IMAGE_INTEGRITY_CODE_TAG_ID);
+
+    if (!element) {
+        return undefined;
+    }
+
+    const computed = computeImageIntegrityCode(image.raw, image.header);
+    const valid = element.data.length === computed.length && bytesEqualsAt(element.data, computed, 0);
+
+    return { stored: element.data, computed, valid };
+}
+
+/**
+ * Regenerate the Image Integrity Code element(s) for the image that `buildImage(header, elements, trailing)` produces.
+ * Elements are returned unchanged when the image has no integrity element.
+ * @param {ImageHeader} header
+ * @param {ImageElement[]} elements
+ * @param {Uint8Array} [trailing]
+ * @returns {ImageElement[]}
+ */
+export function updateImageIntegrity(header, elements, trailing) {
+    if (!elements.some((element) => element.tagID === IMAGE_INTEGRITY_CODE_TAG_ID)) {
+        return elements;
+    }
+
+    /** @type {(data: Uint8Array) => ImageElement[]} */
+    const withCode = (data) =>
+        elements.map((element) => (element.tagID === IMAGE_INTEGRITY_CODE_TAG_ID ? createElement(IMAGE_INTEGRITY_CODE_TAG_ID, data) : element));
+    const raw = buildImage(header, withCode(new Uint8Array(IMAGE_INTEGRITY_CODE_LENGTH)), trailing);
+
+    return withCode(computeImageIntegrityCode(raw, parseImageHeader(raw)));
+}
+
+/**
+ * Apply header field changes to an image, rebuilding it around its elements.
+ * Goes through `rebuildImage`, so the header is normalized and lengths are recomputed as for a form edit,
+ * and bytes after the last element are kept.
+ * @param {ParsedImage} image
+ * @param {Partial<ImageHeader>} changes
+ * @param {boolean} [recomputeIntegrity] regenerate the Image Integrity Code, when the image has one
+ * @returns {ParsedImage}
+ */
+export function applyHeaderChanges(image, changes, recomputeIntegrity = false) {
+    const header = { ...image.header, ...changes };
+    const elements = recomputeIntegrity ? updateImageIntegrity(header, image.elements, getTrailingBytes(image)) : image.elements;
+
+    return parseImage(rebuildImage(image, header, elements));
+}
+
+/**
+ * Decode an ECDSA signing certificate element (tag 0x0002 or 0x0006): a Certicom implicit (ECQV) certificate.
+ * @param {ImageElement} element
+ * @returns {ZigbeeCertificate}
+ */
+export function decodeZigbeeCertificate(element) {
+    const entry = SIGNATURE_SUITES.find((candidate) => candidate.certificateTagID === element.tagID);
+    assert(entry, `Tag ${formatTagId(element.tagID)} is not a signing certificate`);
+
+    const { data } = element;
+    assert(data.length === entry.certificateLength, `Certificate must be ${entry.certificateLength} bytes, got ${data.length}`);
+
+    if (entry.suite === 1) {
+        // reconstruction point (22) | subject (8) | issuer (8) | profile attribute data (10)
+        return {
+            suite: 1,
+            encoded: data,
+            publicKeyReconstruction: data.subarray(0, 22),
+            subject: data.subarray(22, 30),
+            issuer: data.subarray(30, 38),
+            profileAttributeData: data.subarray(38, 48),
+            type: undefined,
+            serialNumber: undefined,
+            curve: undefined,
+            hash: undefined,
+            validFrom: undefined,
+            validTo: undefined,
+            keyUsage: undefined,
+        };
+    }
+
+    // type (1) | serial (8) | curve (1) | hash (1) | issuer (8) | valid from (5) | valid to (4) | subject (8) | key usage (1) | reconstruction point (37)
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const validFromSeconds = view.getUint8(19) * 2 ** 32 + view.getUint32(20, false);
+    const validToSeconds = view.getUint32(24, false);
+
+    return {
+        suite: 2,
+        encoded: data,
+        publicKeyReconstruction: data.subarray(37, 74),
+        subject: data.subarray(28, 36),
+        issuer: data.subarray(11, 19),
+        profileAttributeData: undefined,
+        type: data[0],
+        serialNumber: data.subarray(1, 9),
+        curve: data[9],
+        hash: data[10],
+        validFrom: new Date(ZIGBEE_EPOCH_MS + validFromSeconds * 1000),
+        // seconds after valid from, all ones for a certificate that never expires
+        validTo: validToSeconds === 0xffffffff ? null : new Date(ZIGBEE_EPOCH_MS + (validFromSeconds + validToSeconds) * 1000),
+        keyUsage: data[36],
+    };
+}
+
+/**
+ * Describe the key usage bits of a Crypto Suite 2 certificate.
+ * @param {number} keyUsage
+ * @returns {string}
+ */
+export function formatKeyUsage(keyUsage) {
+    const usages = [];
+
+    if (keyUsage & 0x80) {
+        usages.push("digital signature");
+    }
+
+    if (keyUsage & 0x08) {
+        usages.push("key agreement");
+    }
+
+    return `0x${keyUsage.toString(16).padStart(2, "0")}${usages.length ? ` (${usages.join(", ")})` : ""}`;
+}
+
+/**
+ * Collect the ECDSA signature elements of an image (tags 0x0001 and 0x0005), each with the certificate of its suite.
+ * A signature covers the image from the first header byte up to and including the signer address,
+ * so only the r and s values themselves are excluded.
+ * @param {ParsedImage} image
+ * @returns {ZigbeeSignature[]}
+ */
+export function getImageSignatures(image) {
+    const bytes = new Uint8Array(image.raw);
+    /** @type {ZigbeeSignature[]} */
+    const signatures = [];
+    let position = image.header.otaHeaderLength;
+
+    image.elements.forEach((element, elementIndex) => {
+        const dataStart = position + 6 + (element.tagID === TELINK_AES_TAG_ID ? TELINK_TAG_META_LENGTH : 0);
+        const entry = SIGNATURE_SUITES.find((candidate) => candidate.signatureTagID === element.tagID);
+        position = dataStart + element.length;
+
+        if (!entry || element.data.length !== IEEE_ADDRESS_LENGTH + entry.curve.size * 2) {
+            return;
+        }
+
+        const certificateElement = image.elements.find((candidate) => candidate.tagID === entry.certificateTagID);
+        let certificate;
+
+        try {
+            certificate = certificateElement && decodeZigbeeCertificate(certificateElement);
+        } catch {
+            certificate = undefined;
+        }
+
+        const signer = element.data.subarray(0, IEEE_ADDRESS_LENGTH);
+        const rEnd = IEEE_ADDRESS_LENGTH + entry.curve.size;
+
+        signatures.push({
+            suite: entry.suite,
+            elementIndex,
+            signer,
+            r: element.data.subarray(IEEE_ADDRESS_LENGTH, rEnd),
+            s: element.data.subarray(rEnd),
+            signedBytes: bytes.subarray(0, dataStart + IEEE_ADDRESS_LENGTH),
+            certificate,
+            // the certificate stores the address big-endian
+            signerMatchesSubject: certificate && bytesEqualsAt(certificate.subject, signer.slice().reverse(), 0),
+        });
+    });
+
+    return signatures;
+}
+
+/**
+ * Verify an image signature against a CA public key: the signer public key is reconstructed from the implicit
+ * certificate, then the ECDSA signature is checked over the AES-MMO hash of the signed bytes.
+ * @param {ZigbeeSignature} signature
+ * @param {Uint8Array} [caPublicKey] compressed point, 22 bytes for Crypto Suite 1, 37 bytes for Crypto Suite 2
+ * @returns {SignatureVerification}
+ */
+export function verifyImageSignature(signature, caPublicKey) {
+    const entry = SIGNATURE_SUITES.find((candidate) => candidate.suite === signature.suite);
+    assert(entry, `Unknown crypto suite ${signature.suite}`);
+
+    const digest = aesMmoHash(signature.signedBytes);
+    const { certificate } = signature;
+    /** @type {(valid: boolean | undefined, reason?: string) => SignatureVerification} */
+    const result = (valid, reason) => ({ digest, valid, reason });
+
+    if (!certificate) {
+        return result(undefined, `no valid Crypto Suite ${signature.suite} signing certificate`);
+    }
+
+    if (!caPublicKey) {
+        return result(undefined, "no CA public key");
+    }
+
+    if (caPublicKey.length !== entry.curve.size + 1) {
+        return result(undefined, `CA public key must be a ${entry.curve.size + 1}-byte compressed ${entry.curve.name} point`);
+    }
+
+    try {
+        const publicKey = reconstructPublicKey(entry.curve, certificate.publicKeyReconstruction, aesMmoHash(certificate.encoded), caPublicKey);
+
+        if (!verifyEcdsa(entry.curve, publicKey, digest, signature.r, signature.s)) {
+            return result(false, "signature does not match");
+        }
+
+        return signature.signerMatchesSubject ? result(true) : result(false, "signer address differs from the certificate subject");
+    } catch (error) {
+        return result(false, error instanceof Error ? error.message : String(error));
+    }
+}
+
+/**
+ * Describe the byte ranges of the header fields and elements of an image, as a tree.
+ * Element offsets follow the stored lengths, like `parseElements`.
+ * @param {ImageHeader} header
+ * @param {ImageElement[]} elements
+ * @returns {LayoutNode[]}
+ */
+export function getImageLayout(header, elements) {
+    /** @type {(label: string, start: number, end: number, value?: string, children?: LayoutNode[]) => LayoutNode} */
+    const node = (label, start, end, value, children = []) => ({ label, value, start, end, children });
+    const hex = /** @param {number} value @param {number} width */ (value, width) => `${value} (0x${value.toString(16).padStart(width, "0")})`;
+    const ranges = getHeaderFieldRanges(header);
+    /** @type {(label: string, field: keyof ImageHeader, value: string | undefined) => LayoutNode[]} */
+    const fieldNode = (label, field, value) => {
+        const range = ranges[field];
+
+        return range ? [node(label, range.start, range.end, value)] : [];
+    };
+    const fixed = [
+        ...fieldNode("OTA upgrade file identifier", "otaUpgradeFileIdentifier", formatHex(header.otaUpgradeFileIdentifier)),
+        ...fieldNode("OTA header version", "otaHeaderVersion", hex(header.otaHeaderVersion, 4)),
+        ...fieldNode("OTA header length", "otaHeaderLength", String(header.otaHeaderLength)),
+        ...fieldNode("OTA header field control", "otaHeaderFieldControl", hex(header.otaHeaderFieldControl, 4)),
+        ...fieldNode("Manufacturer code", "manufacturerCode", hex(header.manufacturerCode, 4)),
+        ...fieldNode("Image type", "imageType", hex(header.imageType, 4)),
+        ...fieldNode("File version", "fileVersion", hex(header.fileVersion, 8)),
+        ...fieldNode("Zigbee stack version", "zigbeeStackVersion", hex(header.zigbeeStackVersion, 4)),
+        ...fieldNode("OTA header string", "otaHeaderString", JSON.stringify(header.otaHeaderString)),
+        ...fieldNode("Total image size", "totalImageSize", String(header.totalImageSize)),
+    ];
+    const optional = [
+        ...fieldNode("Security credential version", "securityCredentialVersion", String(header.securityCredentialVersion)),
+        ...fieldNode("Upgrade file destination", "upgradeFileDestination", header.upgradeFileDestination && formatHex(header.upgradeFileDestination)),
+        ...fieldNode("Minimum hardware version", "minimumHardwareVersion", String(header.minimumHardwareVersion)),
+        ...fieldNode("Maximum hardware version", "maximumHardwareVersion", String(header.maximumHardwareVersion)),
+    ];
+    const headerChildren = [node("Fixed fields", 0, OTA_HEADER_MIN_LENGTH, undefined, fixed)];
+
+    if (optional.length) {
+        headerChildren.push(
+            node("Optional fields", OTA_HEADER_MIN_LENGTH, optional[optional.length - 1].end, `field control 0x${header.otaHeaderFieldControl.toString(16).padStart(4, "0")}`, optional),
+        );
+    }
+
+    const layout = [node("Header", 0, header.otaHeaderLength, undefined, headerChildren)];
+    let position = header.otaHeaderLength;
+
+    elements.forEach((element, index) => {
+        const start = position;
+        const children = [node("Tag ID", start, start + 2, formatTagId(element.tagID)), node("Length", start + 2, start + 6, String(element.length))];
+        let dataStart = start + 6;
+
+        if (element.tagID === TELINK_AES_TAG_ID) {
+            children.push(node("Info bytes", dataStart, dataStart + TELINK_TAG_META_LENGTH, describeTelinkElementInfo(element.tagMeta, element.data)));
+            dataStart += TELINK_TAG_META_LENGTH;
+        }
+
+        children.push(node("Data", dataStart, dataStart + element.data.length, `${element.data.length} bytes`, getElementDataLayout(element, dataStart)));
+        layout.push(node(`Element #${index}`, start, dataStart + element.data.length, `${formatTagId(element.tagID)} ${formatTagLabel(element.tagID)}`, children));
+
+        position = dataStart + element.length;
+    });
+
+    return layout;
+}
+
+/**
+ * Decoded structure of an element payload, for the layout tree.
+ * @param {ImageElement} element
+ * @param {number} dataStart offset of the element data in the image
+ * @returns {LayoutNode[]}
+ */
+function getElementDataLayout(element, dataStart) {
+    if (isGbl(element.data)) {
+        return [getGblLayout(element.data, dataStart)];
+    }
+
+    if (isEbl(element.data)) {
+        return [getEblLayout(element.data, dataStart)];
+    }
+
+    if (isOad(element.data)) {
+        return [getOadLayout(element.data, dataStart)];
+    }
+
+    if (isTelinkFirmware(element.data)) {
+        const firmware = parseTelinkFirmware(element.data);
+        const fields = firmware.fields.map((field) => ({ label: field.label, value: field.value, start: dataStart + field.start, end: dataStart + field.end, children: [] }));
+
+        return [{ label: "Telink firmware", value: describeTelinkFirmware(firmware), start: dataStart, end: dataStart + element.data.length, children: fields }];
+    }
+
+    if (isMcubootImage(element.data)) {
+        const image = parseMcubootImage(element.data);
+        const fields = image.fields.map((field) => ({ label: field.label, value: field.value, start: dataStart + field.start, end: dataStart + field.end, children: [] }));
+
+        return [{ label: "MCUboot image", value: describeMcubootImage(image), start: dataStart, end: dataStart + element.data.length, children: fields }];
+    }
+
+    if (isNrf5Dfu(element.data)) {
+        const dfu = parseNrf5Dfu(element.data);
+        const fields = dfu.fields.map((field) => ({ label: field.label, value: field.value, start: dataStart + field.start, end: dataStart + field.end, children: [] }));
+
+        return [{ label: "nRF5 DFU package", value: describeNrf5Dfu(dfu), start: dataStart, end: dataStart + element.data.length, children: fields }];
+    }
+
+    return getSignatureLayout(element, dataStart);
+}
+
+/**
+ * GBL tag stream of an element payload, one node per tag with its decoded fields.
+ * @param {Uint8Array} data
+ * @param {number} dataStart offset of the element data in the image
+ * @returns {LayoutNode}
+ */
+function getGblLayout(data, dataStart) {
+    const gbl = parseGbl(data);
+    const tags = gbl.tags.map((tag) => ({
+        label: tag.name,
+        value: `0x${tag.id.toString(16).padStart(8, "0")}, ${tag.length} bytes${tag.data.length < tag.length ? " (truncated)" : ""}`,
+        start: dataStart + tag.offset,
+        end: dataStart + tag.offset + 8 + tag.data.length,
+        children: tag.fields.map((field) => ({ label: field.label, value: field.value, start: dataStart + field.start, end: dataStart + field.end, children: [] })),
+    }));
+
+    return { label: "GBL", value: describeGbl(gbl), start: dataStart, end: dataStart + data.length, children: tags };
+}
+
+/**
+ * EBL tag stream of an element payload, one node per tag with its decoded fields.
+ * @param {Uint8Array} data
+ * @param {number} dataStart offset of the element data in the image
+ * @returns {LayoutNode}
+ */
+function getEblLayout(data, dataStart) {
+    const ebl = parseEbl(data);
+    const tags = ebl.tags.map((tag) => ({
+        label: tag.name,
+        value: `0x${tag.id.toString(16).padStart(4, "0")}, ${tag.length} bytes${tag.data.length < tag.length ? " (truncated)" : ""}`,
+        start: dataStart + tag.offset,
+        end: dataStart + tag.offset + 4 + tag.data.length,
+        children: tag.fields.map((field) => ({ label: field.label, value: field.value, start: dataStart + field.start, end: dataStart + field.end, children: [] })),
+    }));
+
+    return { label: "EBL", value: describeEbl(ebl), start: dataStart, end: dataStart + data.length, children: tags };
+}
+
+/**
+ * TI OAD header and segments of an element payload, for the layout tree.
+ * @param {Uint8Array} data
+ * @param {number} dataStart offset of the element data in the image
+ * @returns {LayoutNode}
+ */
+function getOadLayout(data, dataStart) {
+    const oad = parseOad(data);
+    /** @type {(fields: import("./oad.js").OadField[]) => LayoutNode[]} */
+    const fieldNodes = (fields) => fields.map((field) => ({ label: field.label, value: field.value, start: dataStart + field.start, end: dataStart + field.end, children: [] }));
+    const headerEnd = oad.fields.reduce((end, field) => Math.max(end, field.end), 0);
+    const segments = oad.segments.map((segment) => ({
+        label: segment.name,
+        value: `${segment.length} bytes`,
+        start: dataStart + segment.offset,
+        end: dataStart + Math.min(segment.offset + segment.length, data.length),
+        children: fieldNodes(segment.fields),
+    }));
+
+    return {
+        label: "TI OAD",
+        value: describeOad(oad),
+        start: dataStart,
+        end: dataStart + data.length,
+        children: [{ label: "Image header", value: undefined, start: dataStart, end: dataStart + headerEnd, children: fieldNodes(oad.fields) }, ...segments],
+    };
+}
+
+/**
+ * Decoded fields of an ECDSA signature or signing certificate element, for the layout tree.
+ * @param {ImageElement} element
+ * @param {number} dataStart offset of the element data in the image
+ * @returns {LayoutNode[]}
+ */
+function getSignatureLayout(element, dataStart) {
+    /** @type {(label: string, start: number, length: number, value: string) => LayoutNode} */
+    const node = (label, start, length, value) => ({ label, value, start: dataStart + start, end: dataStart + start + length, children: [] });
+    const signatureEntry = SIGNATURE_SUITES.find((candidate) => candidate.signatureTagID === element.tagID);
+
+    if (signatureEntry) {
+        const { size } = signatureEntry.curve;
+
+        if (element.data.length !== IEEE_ADDRESS_LENGTH + size * 2) {
+            return [];
+        }
+
+        return [
+            node("Signer IEEE address", 0, IEEE_ADDRESS_LENGTH, formatIeeeAddress(element.data.slice(0, IEEE_ADDRESS_LENGTH).reverse())),
+            node("Signature r", IEEE_ADDRESS_LENGTH, size, formatHex(element.data.subarray(IEEE_ADDRESS_LENGTH, IEEE_ADDRESS_LENGTH + size))),
+            node("Signature s", IEEE_ADDRESS_LENGTH + size, size, formatHex(element.data.subarray(IEEE_ADDRESS_LENGTH + size))),
+        ];
+    }
+
+    if (!SIGNATURE_SUITES.some((candidate) => candidate.certificateTagID === element.tagID)) {
+        return [];
+    }
+
+    let certificate;
+
+    try {
+        certificate = decodeZigbeeCertificate(element);
+    } catch {
+        return [];
+    }
+
+    if (certificate.suite === 1) {
+        return [
+            node("Public key reconstruction data", 0, 22, formatHex(certificate.publicKeyReconstruction)),
+            node("Subject", 22, 8, formatIeeeAddress(certificate.subject)),
+            node("Issuer", 30, 8, formatIeeeAddress(certificate.issuer)),
+            node("Profile attribute data", 38, 10, formatHex(/** @type {Uint8Array} */ (certificate.profileAttributeData))),
+        ];
+    }
+
+    return [
+        node("Type", 0, 1, certificate.type === 0 ? "0 (implicit)" : String(certificate.type)),
+        node("Serial number", 1, 8, formatHex(/** @type {Uint8Array} */ (certificate.serialNumber))),
+        node("Curve", 9, 1, certificate.curve === 0x0d ? "0x0d (sect283k1)" : `0x${certificate.curve?.toString(16).padStart(2, "0")}`),
+        node("Hash", 10, 1, certificate.hash === 0x08 ? "0x08 (AES-MMO)" : `0x${certificate.hash?.toString(16).padStart(2, "0")}`),
+        node("Issuer", 11, 8, formatIeeeAddress(certificate.issuer)),
+        node("Valid from", 19, 5, certificate.validFrom?.toISOString() ?? "—"),
+        node("Valid to", 24, 4, certificate.validTo ? certificate.validTo.toISOString() : "no expiry"),
+        node("Subject", 28, 8, formatIeeeAddress(certificate.subject)),
+        node("Key usage", 36, 1, formatKeyUsage(certificate.keyUsage ?? 0)),
+        node("Public key reconstruction data", 37, 37, formatHex(certificate.publicKeyReconstruction)),
+    ];
+}
+
+/**
+ * Derive a download file name for an element export.
+ * @param {string} fileName name of the OTA file the element comes from
+ * @param {number} index position of the element in the image
+ * @param {ImageElement} element
+ * @param {"payload" | "element" | "info"} kind payload only, payload with tag header, or Telink info bytes
+ * @returns {string}
+ */
+export function getElementFileName(fileName, index, element, kind) {
+    const base = fileName.replace(/\.[^.]*$/, "") || "ota";
+    const stack = identifyImageZigbeeStack([element]);
+    const stackSlug = stack === "Unknown" ? "" : `_${stack.replace(/[^0-9A-Za-z]+/g, "-").replace(/^-|-$/g, "")}`;
+    const prefix = `${base}_${index}_${formatTagId(element.tagID)}`;
+
+    switch (kind) {
+        case "info": {
+            return `${prefix}_info.bin`;
+        }
+        case "element": {
+            return `${prefix}${stackSlug}_element.bin`;
+        }
+        default: {
+            const extension = stack.includes("(GBL)") ? "gbl" : stack.includes("(EBL") ? "ebl" : "bin";
+
+            return `${prefix}${stackSlug}.${extension}`;
+        }
+    }
+}
+
+/**
+ * Format an OTA tag identifier as hex.
+ * @param {number} tagId
+ * @returns {string}
+ */
+export function formatTagId(tagId) {
+    return `0x${tagId.toString(16).padStart(4, "0")}`;
+}
+
+/**
+ * Convert bytes to spaced hex string.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function formatHex(bytes) {
+    return Array.from(bytes)
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join(" ");
+}
+
+/**
+ * Format a big-endian IEEE (EUI-64) address as colon-separated hex.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function formatIeeeAddress(bytes) {
+    return formatHex(bytes).replaceAll(" ", ":");
+}
+
+/**
+ * Parse a contiguous hex string (keys, hashes) into bytes. Whitespace, colons and a leading "0x" are ignored.
+ * @param {string} value
+ * @returns {Uint8Array | undefined} undefined when empty or not an even number of hex digits
+ */
+export function parseHexBlob(value) {
+    const clean = value.trim().replace(/^0x/i, "").replace(/[\s:]/g, "");
+
+    if (!clean || clean.length % 2 !== 0 || /[^0-9a-f]/i.test(clean)) {
+        return undefined;
+    }
+
+    return new Uint8Array(clean.match(/../g)?.map((pair) => Number.parseInt(pair, 16)) ?? []);
+}
+
+/**
+ * Parse a hex string into bytes.
+ * @param {string} value
+ * @returns {Uint8Array | undefined}
+ */
+export function parseHexInput(value) {
+    const clean = value.trim();
+
+    if (!clean) {
+        return undefined;
+    }
+
+    const parts = clean.split(/\s+/).filter(Boolean);
+    const bytes = parts.map((p) => Number.parseInt(p, 16)).filter((n) => !Number.isNaN(n));
+
+    return bytes.length ? new Uint8Array(bytes) : undefined;
+}
+
+/**
+ * Decode a fixed-width UTF-8 string, trimming null bytes.
+ * @param {ArrayBuffer | Uint8Array} buffer
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ */
+function decodeFixedString(buffer, start, end) {
+    const source = buffer instanceof ArrayBuffer ? buffer : buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    const slice = source.slice(start, end);
+
+    return textDecoder.decode(slice).replace(/\0+$/g, "").trimEnd();
+}
+
+/**
+ * Clamp a numeric value between min and max.
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Throw if condition is false.
+ * @param {unknown} condition
+ * @param {string} message
+ * @returns {asserts condition}
+ */
+export function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Check if a byte buffer starts with a prefix.
+ * @param {Uint8Array} haystack
+ * @param {Uint8Array} needle
+ */
+export function bytesStartsWith(haystack, needle) {
+    if (needle.length > haystack.length) {
+        return false;
+    }
+
+    for (let i = 0; i < needle.length; i += 1) {
+        if (haystack[i] !== needle[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Find a subarray inside a byte buffer.
+ * @param {Uint8Array} haystack
+ * @param {Uint8Array} needle
+ * @returns {number}
+ */
+export function findSubarray(haystack, needle) {
+    if (!needle.length) {
+        return 0;
+    }
+
+    for (let i = 0; i <= haystack.length - needle.length; i += 1) {
+        if (bytesEqualsAt(haystack, needle, i)) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Compare a segment of a haystack with a needle.
+ * @param {Uint8Array} haystack
+ * @param {Uint8Array} needle
+ * @param {number} offset
+ */
+export function bytesEqualsAt(haystack, needle, offset) {
+    if (offset < 0 || offset + needle.length > haystack.length) {
+        return false;
+    }
+
+    for (let i = 0; i < needle.length; i += 1) {
+        if (haystack[offset + i] !== needle[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
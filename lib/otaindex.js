@@ -0,0 +1,194 @@
+/**
+ * Zigbee2MQTT-style OTA index (index.json): a JSON array of `IndexMetadata` entries.
+ * An entry matches an image when it holds the same file (sha512) or the same manufacturerCode and imageType.
+ * modelId and the hardware version range only rank the matches: merging updates the best one in place (reporting
+ * the fields it changes), or appends a new entry when nothing matches.
+ */
+
+/**
+ * @typedef {import("./ota.js").IndexMetadata} IndexMetadata
+ *
+ * @typedef {Object} OtaIndex
+ * @property {IndexMetadata[]} entries // entries that are not objects are dropped
+ * @property {string[]} problems
+ *
+ * @typedef {"modelId" | "hardwareVersionMin" | "hardwareVersionMax"} IndexDeviceField
+ *
+ * @typedef {Object} IndexMatch
+ * @property {number} index // position in the index
+ * @property {boolean} sameFile // same sha512
+ * @property {boolean} sameTarget // same manufacturerCode and imageType
+ * @property {IndexDeviceField[]} sameDevices // device fields set to the same value on both sides
+ * @property {IndexDeviceField[]} conflicts // device fields set to different values on both sides
+ *
+ * @typedef {Object} IndexMerge
+ * @property {IndexMetadata[]} entries // the merged index
+ * @property {"inserted" | "updated" | "unchanged"} action
+ * @property {number} index // position of the merged entry
+ * @property {IndexMatch[]} matches
+ * @property {string[]} warnings // duplicate entries, other target devices, downgrades, same version with a different file
+ */
+
+/** Numeric fields every entry needs for matching and version checks. */
+const REQUIRED_NUMBERS = ["manufacturerCode", "imageType", "fileVersion"];
+/** String fields every entry needs to be downloadable. */
+const REQUIRED_STRINGS = ["fileName", "url", "sha512"];
+/**
+ * Fields narrowing the devices an entry is offered to, compared only when both sides set them.
+ * @type {IndexDeviceField[]}
+ */
+const DEVICE_FIELDS = ["modelId", "hardwareVersionMin", "hardwareVersionMax"];
+
+/**
+ * Parse the text of an index.json file.
+ * @param {string} text
+ * @returns {OtaIndex}
+ */
+export function parseOtaIndex(text) {
+    /** @type {string[]} */
+    const problems = [];
+    /** @type {unknown} */
+    let data;
+
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { entries: [], problems: [`invalid JSON: ${/** @type {Error} */ (error).message}`] };
+    }
+
+    if (!Array.isArray(data)) {
+        return { entries: [], problems: ["index must be a JSON array of entries"] };
+    }
+
+    /** @type {IndexMetadata[]} */
+    const entries = [];
+
+    data.forEach((entry, index) => {
+        if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+            problems.push(`entry #${index + 1} is not an object, dropped`);
+            return;
+        }
+
+        const invalid = [
+            ...REQUIRED_NUMBERS.filter((field) => !Number.isInteger(entry[field])),
+            ...REQUIRED_STRINGS.filter((field) => typeof entry[field] !== "string"),
+        ];
+
+        if (invalid.length) {
+            problems.push(`entry #${index + 1} (${entry.fileName ?? "no file name"}): missing or invalid ${invalid.join(", ")}`);
+        }
+
+        entries.push(entry);
+    });
+
+    return { entries, problems };
+}
+
+/**
+ * Index entries matching a new entry, by file or by manufacturer code and image type; best match first:
+ * same file, then fewest conflicting device fields, then most matching ones, then index order.
+ * @param {IndexMetadata[]} entries
+ * @param {IndexMetadata} entry
+ * @returns {IndexMatch[]}
+ */
+export function findIndexMatches(entries, entry) {
+    /** @type {IndexMatch[]} */
+    const matches = [];
+
+    entries.forEach((candidate, index) => {
+        const sameFile = !!entry.sha512 && candidate.sha512 === entry.sha512;
+        const sameTarget = candidate.manufacturerCode === entry.manufacturerCode && candidate.imageType === entry.imageType;
+
+        if (sameFile || sameTarget) {
+            const compared = DEVICE_FIELDS.filter((field) => candidate[field] !== undefined && entry[field] !== undefined);
+
+            matches.push({
+                index,
+                sameFile,
+                sameTarget,
+                sameDevices: compared.filter((field) => candidate[field] === entry[field]),
+                conflicts: compared.filter((field) => candidate[field] !== entry[field]),
+            });
+        }
+    });
+
+    return matches.sort(
+        (a, b) =>
+            Number(b.sameFile) - Number(a.sameFile) ||
+            a.conflicts.length - b.conflicts.length ||
+            b.sameDevices.length - a.sameDevices.length ||
+            a.index - b.index,
+    );
+}
+
+/**
+ * Update or insert an entry. The best match of `findIndexMatches` is updated; fields of the existing entry that
+ * the new one does not set (release notes, model ID, ...) are kept.
+ * @param {IndexMetadata[]} entries
+ * @param {IndexMetadata} entry
+ * @returns {IndexMerge}
+ */
+export function mergeIndexEntry(entries, entry) {
+    const matches = findIndexMatches(entries, entry);
+    const [match] = matches;
+    /** @type {string[]} */
+    const warnings = [];
+
+    if (!match) {
+        return { entries: [...entries, entry], action: "inserted", index: entries.length, matches, warnings };
+    }
+
+    // entries for other models or hardware revisions are distinct targets, not duplicates
+    const duplicates = matches.slice(1).filter((candidate) => candidate.sameFile || !candidate.conflicts.length);
+
+    if (duplicates.length) {
+        warnings.push(`duplicate entries for this image: ${duplicates.map((candidate) => `#${candidate.index + 1}`).join(", ")} also match, only #${match.index + 1} is updated`);
+    }
+
+    const existing = entries[match.index];
+
+    if (match.conflicts.length) {
+        const changes = match.conflicts.map((field) => `${field} ${JSON.stringify(existing[field])} → ${JSON.stringify(entry[field])}`);
+
+        warnings.push(`entry #${match.index + 1} targets other devices, updating it changes ${changes.join(", ")}`);
+    }
+
+    if (existing.fileVersion > entry.fileVersion) {
+        warnings.push(`older version: ${formatVersion(entry.fileVersion)} replaces ${formatVersion(existing.fileVersion)} of entry #${match.index + 1}`);
+    } else if (existing.fileVersion === entry.fileVersion && !match.sameFile) {
+        warnings.push(`entry #${match.index + 1} has the same version ${formatVersion(entry.fileVersion)} with a different file`);
+    }
+
+    const updated = { ...existing, ...entry };
+    const unchanged = JSON.stringify(updated) === JSON.stringify(existing);
+
+    return {
+        entries: entries.map((candidate, index) => (index === match.index ? updated : candidate)),
+        action: unchanged ? "unchanged" : "updated",
+        index: match.index,
+        matches,
+        warnings,
+    };
+}
+
+/**
+ * One-line description of a merge.
+ * @param {IndexMerge} merge
+ * @returns {string}
+ */
+export function describeIndexMerge({ action, index, matches, warnings }) {
+    const match = matches.find((candidate) => candidate.index === index);
+    const by = match ? ` (matched by ${match.sameFile ? "sha512" : "manufacturer code and image type"})` : "";
+    const summary =
+        action === "inserted" ? `No matching entry, inserted as #${index + 1}` : `${action === "updated" ? "Updates" : "Same as"} entry #${index + 1}${by}`;
+
+    return warnings.length ? `${summary}; WARNINGS: ${warnings.join("; ")}` : summary;
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatVersion(value) {
+    return `0x${value.toString(16).padStart(8, "0")}`;
+}
@@ -0,0 +1,104 @@
+/**
+ * Synchronous SHA-256 (FIPS 180-4).
+ * Web Crypto only offers an async digest, while stack identification and the metadata text are computed synchronously;
+ * payload hashes checked there (MCUboot, nRF5 DFU) go through this instead.
+ */
+
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+    0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+    0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256(bytes) {
+    const state = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const words = new Uint32Array(64);
+    const fullBlocks = Math.floor(bytes.length / 64);
+    // the last block(s): remaining bytes, 0x80, zero padding and the 64-bit big-endian bit length
+    const tail = new Uint8Array(bytes.length % 64 < 56 ? 64 : 128);
+    const tailView = new DataView(tail.buffer);
+
+    tail.set(bytes.subarray(fullBlocks * 64));
+    tail[bytes.length % 64] = 0x80;
+    tailView.setUint32(tail.length - 8, Math.floor(bytes.length / 0x20000000), false);
+    tailView.setUint32(tail.length - 4, (bytes.length * 8) >>> 0, false);
+
+    for (let block = 0; block < fullBlocks; block += 1) {
+        compress(state, words, bytes, block * 64);
+    }
+
+    for (let offset = 0; offset < tail.length; offset += 64) {
+        compress(state, words, tail, offset);
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+
+    state.forEach((word, i) => digestView.setUint32(i * 4, word, false));
+
+    return digest;
+}
+
+/**
+ * @param {Uint32Array} state
+ * @param {Uint32Array} words scratch message schedule
+ * @param {Uint8Array} bytes
+ * @param {number} offset start of a 64-byte block
+ */
+function compress(state, words, bytes, offset) {
+    for (let i = 0; i < 16; i += 1) {
+        const j = offset + i * 4;
+
+        words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+
+    for (let i = 16; i < 64; i += 1) {
+        const w15 = words[i - 15];
+        const w2 = words[i - 2];
+        const s0 = rotr(w15, 7) ^ rotr(w15, 18) ^ (w15 >>> 3);
+        const s1 = rotr(w2, 17) ^ rotr(w2, 19) ^ (w2 >>> 10);
+
+        words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = state;
+
+    for (let i = 0; i < 64; i += 1) {
+        const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + words[i]) >>> 0;
+        const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+
+        h = g;
+        g = f;
+        f = e;
+        e = (d + t1) >>> 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) >>> 0;
+    }
+
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+}
+
+/**
+ * @param {number} value
+ * @param {number} bits
+ * @returns {number}
+ */
+function rotr(value, bits) {
+    return (value >>> bits) | (value << (32 - bits));
+}
@@ -0,0 +1,439 @@
+/**
+ * Zigbee stack / chip family detection for OTA image elements.
+ * Every element is checked against every rule; each match yields a candidate with the evidence behind it:
+ * - high: a known structure whose checksum or hash verifies, or a long magic that cannot occur by chance
+ * - medium: a known header structure or magic, without an integrity check
+ * - low: chip name strings only
+ */
+
+import { getEblMicroName, isEbl, isEncryptedEbl, parseEbl } from "./ebl.js";
+import { isGbl, parseGbl } from "./gbl.js";
+import { formatMcubootVersion, isMcubootImage, isNrf5Dfu, parseMcubootImage, parseNrf5Dfu } from "./nordic.js";
+import { isOad, parseOad } from "./oad.js";
+import { TELINK_AES_TAG_ID } from "./ota.js";
+import { findString, readChipString } from "./strings.js";
+import { isTelinkFirmware, parseTelinkFirmware } from "./telink.js";
+
+/**
+ * @typedef {import("./ota.js").ImageElement} ImageElement
+ *
+ * @typedef {Object} StackMatch
+ * @property {string} rule
+ * @property {number} start // inclusive byte offset in the element data
+ * @property {number} end // exclusive byte offset in the element data, equal to `start` for rules on the element itself (tag)
+ *
+ * @typedef {"high" | "medium" | "low"} StackConfidence
+ *
+ * @typedef {Object} StackCandidate
+ * @property {string} label // short label, e.g. "EmberZNet (GBL)"
+ * @property {string} vendor
+ * @property {string | undefined} chip
+ * @property {string | undefined} stack // Zigbee stack, when the format implies one
+ * @property {string} format
+ * @property {StackConfidence} confidence
+ * @property {number} elementIndex
+ * @property {StackMatch[]} matches
+ */
+
+const CONFIDENCE_ORDER = ["high", "medium", "low"];
+
+const MCUBOOT_TLV_SHA256 = 0x10;
+
+const ESP_IMAGE_MAGIC = 0xe9;
+const ESP_IMAGE_HEADER_LENGTH = 24;
+const ESP_SEGMENT_HEADER_LENGTH = 8;
+const ESP_SEGMENT_MAX_COUNT = 16;
+const ESP_APP_DESC_MAGIC = 0xabcd5432;
+/** `esp_chip_id_t` values of the extended image header. @type {Record<number, string>} */
+const ESP_CHIP_NAMES = {
+    0x0000: "ESP32",
+    0x0002: "ESP32-S2",
+    0x0005: "ESP32-C3",
+    0x0009: "ESP32-S3",
+    0x000c: "ESP32-C2",
+    0x000d: "ESP32-C6",
+    0x0010: "ESP32-H2",
+    0x0012: "ESP32-P4",
+    0x0014: "ESP32-C61",
+    0x0017: "ESP32-C5",
+};
+
+/** Boot image record of JN516x flash images. */
+const JN516X_MAGIC = [0x12, 0x34, 0x56, 0x78, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77, 0x88];
+/** JN518x / K32W0x1 images: image header marker after the vector table, whose 8th word makes the first 8 sum to 0. */
+const K32W_HEADER_MARKER = 0x98447902;
+const K32W_HEADER_MARKER_OFFSET = 0x20;
+const K32W_VECTOR_CHECKSUM_WORDS = 8;
+
+const BOUFFALO_BOOT_HEADER_MAGIC = "BFNP";
+const BOUFFALO_OTA_HEADER_MAGIC = "BL60X_OTA_Ver1.0";
+const BOUFFALO_CHIP_NAMES = ["BL702", "BL704", "BL706", "BL616", "BL618"];
+const REALTEK_CHIP_PREFIX = "RTL87";
+const REALTEK_CHIP_LENGTH = 10;
+const TELINK_CHIP_PREFIX = "TLSR";
+
+/**
+ * Detect the stack / chip family candidates of every element, best first (by confidence, then element order).
+ * @param {ImageElement[]} elements
+ * @returns {StackCandidate[]}
+ */
+export function detectZigbeeStacks(elements) {
+    /** @type {StackCandidate[]} */
+    const candidates = [];
+
+    elements.forEach((element, elementIndex) => {
+        for (const candidate of detectElement(element)) {
+            candidates.push({ ...candidate, elementIndex });
+        }
+    });
+
+    return candidates.sort((a, b) => CONFIDENCE_ORDER.indexOf(a.confidence) - CONFIDENCE_ORDER.indexOf(b.confidence) || a.elementIndex - b.elementIndex);
+}
+
+/**
+ * One-line description of a candidate and its evidence.
+ * @param {StackCandidate} candidate
+ * @returns {string}
+ */
+export function describeStackCandidate(candidate) {
+    const evidence = candidate.matches.map((match) => (match.end > match.start ? `${match.rule} [0x${match.start.toString(16)}-0x${match.end.toString(16)}]` : match.rule));
+    const parts = [`vendor ${candidate.vendor}`, `chip ${candidate.chip ?? "unknown"}`, `stack ${candidate.stack ?? "unknown"}`, `format ${candidate.format}`];
+
+    return `${candidate.confidence}: ${candidate.label} (${parts.join(", ")}); element #${candidate.elementIndex + 1}: ${evidence.join("; ")}`;
+}
+
+/**
+ * @param {ImageElement} element
+ * @returns {Omit<StackCandidate, "elementIndex">[]}
+ */
+function detectElement(element) {
+    const bytes = element.data;
+    const candidates = [];
+
+    if (element.tagID === TELINK_AES_TAG_ID) {
+        candidates.push({
+            label: "Telink (Encrypted)",
+            vendor: "Telink",
+            chip: undefined,
+            stack: "Telink Zigbee SDK",
+            format: "Telink AES-encrypted firmware",
+            confidence: /** @type {StackConfidence} */ ("medium"),
+            matches: [{ rule: "Telink AES tag 0xf000", start: 0, end: 0 }],
+        });
+    }
+
+    const structural = detectSiliconLabs(bytes) ?? detectTexasInstruments(bytes) ?? detectTelink(bytes) ?? detectNordic(bytes) ?? detectEspressif(bytes) ?? detectNxp(bytes) ?? detectBouffalo(bytes);
+
+    if (structural) {
+        candidates.push(structural);
+    }
+
+    const realtek = findString(bytes, REALTEK_CHIP_PREFIX);
+
+    if (realtek !== -1) {
+        const chip = readChipString(bytes, realtek, REALTEK_CHIP_LENGTH);
+
+        candidates.push({
+            label: `Realtek (${chip})`,
+            vendor: "Realtek",
+            chip,
+            stack: undefined,
+            format: "unknown",
+            confidence: /** @type {StackConfidence} */ ("low"),
+            matches: [{ rule: `chip string ${JSON.stringify(chip)}`, start: realtek, end: realtek + chip.length }],
+        });
+    }
+
+    return candidates;
+}
+
+/**
+ * GBL (EFR32) and EBL (EM35x) files.
+ * @param {Uint8Array} bytes
+ * @returns {Omit<StackCandidate, "elementIndex"> | undefined}
+ */
+function detectSiliconLabs(bytes) {
+    if (isGbl(bytes)) {
+        const gbl = parseGbl(bytes);
+        const matches = [{ rule: "GBL header tag 0x03a617eb", start: 0, end: 4 }];
+        const endTag = gbl.tags.at(-1);
+
+        if (gbl.crc?.valid && endTag) {
+            matches.push({ rule: "GBL end tag CRC-32 valid", start: endTag.offset, end: endTag.offset + 8 + endTag.data.length });
+        }
+
+        return { label: "EmberZNet (GBL)", vendor: "Silicon Labs", chip: "EFR32", stack: "EmberZNet", format: "GBL", confidence: gbl.crc?.valid ? "high" : "medium", matches };
+    }
+
+    if (isEncryptedEbl(bytes)) {
+        return {
+            label: "EmberZNet (EBL ENC)",
+            vendor: "Silicon Labs",
+            chip: undefined,
+            stack: "EmberZNet",
+            format: "encrypted EBL",
+            confidence: "medium",
+            matches: [{ rule: "EBL encryption header tag 0xfb05", start: 0, end: 2 }],
+        };
+    }
+
+    if (isEbl(bytes)) {
+        const ebl = parseEbl(bytes);
+        const matches = [{ rule: "EBL header tag with image signature 0xe350", start: 0, end: 8 }];
+        const endTag = ebl.tags.at(-1);
+
+        if (ebl.crc?.valid && endTag) {
+            matches.push({ rule: "EBL end tag CRC-32 valid", start: endTag.offset, end: endTag.offset + 4 + endTag.data.length });
+        }
+
+        return {
+            label: "EmberZNet (EBL)",
+            vendor: "Silicon Labs",
+            chip: ebl.header && getEblMicroName(ebl.header.micro),
+            stack: "EmberZNet",
+            format: "EBL",
+            confidence: ebl.crc?.valid ? "high" : "medium",
+            matches,
+        };
+    }
+
+    return undefined;
+}
+
+/**
+ * TI OAD images (CC13xx / CC26xx / CC23xx).
+ * @param {Uint8Array} bytes
+ * @returns {Omit<StackCandidate, "elementIndex"> | undefined}
+ */
+function detectTexasInstruments(bytes) {
+    if (!isOad(bytes)) {
+        return undefined;
+    }
+
+    const oad = parseOad(bytes);
+    const imageID = String.fromCharCode(...bytes.subarray(0, 8)).trim();
+    const matches = [{ rule: `OAD image ID ${JSON.stringify(imageID)}`, start: 0, end: 8 }];
+
+    if (oad.crc?.valid) {
+        matches.push({ rule: "OAD CRC-32 valid", start: 8, end: 12 });
+    }
+
+    return {
+        label: `zStack (${imageID})`,
+        vendor: "Texas Instruments",
+        chip: imageID === "OAD IMG" ? undefined : imageID,
+        stack: "Z-Stack",
+        format: "TI OAD",
+        confidence: oad.crc?.valid ? "high" : "medium",
+        matches,
+    };
+}
+
+/**
+ * Plain Telink firmware binaries (TLSR8xxx / B91).
+ * @param {Uint8Array} bytes
+ * @returns {Omit<StackCandidate, "elementIndex"> | undefined}
+ */
+function detectTelink(bytes) {
+    if (!isTelinkFirmware(bytes)) {
+        return undefined;
+    }
+
+    const firmware = parseTelinkFirmware(bytes);
+    const { chip } = firmware;
+    const chipOffset = chip ? findString(bytes, TELINK_CHIP_PREFIX) : -1;
+    const matches = [{ rule: "Telink startup flag \"KNLT\"", start: 8, end: 12 }];
+
+    if (firmware.crc?.valid) {
+        matches.push({ rule: "Telink firmware CRC-32 valid", start: firmware.size - 4, end: firmware.size });
+    }
+
+    if (chip) {
+        matches.push({ rule: `chip string ${JSON.stringify(chip)}`, start: chipOffset, end: chipOffset + chip.length });
+    }
+
+    return {
+        label: chip ? `Telink (${chip})` : "Telink",
+        vendor: "Telink",
+        chip,
+        stack: "Telink Zigbee SDK",
+        format: "Telink firmware",
+        confidence: firmware.crc?.valid ? "high" : "medium",
+        matches,
+    };
+}
+
+/**
+ * nRF Connect SDK MCUboot images and nRF5 SDK DFU packages.
+ * @param {Uint8Array} bytes
+ * @returns {Omit<StackCandidate, "elementIndex"> | undefined}
+ */
+function detectNordic(bytes) {
+    if (isMcubootImage(bytes)) {
+        const image = parseMcubootImage(bytes);
+        const matches = [{ rule: "MCUboot image magic 0x96f3b83d", start: 0, end: 4 }];
+        const hashTlv = image.tlvs.find((tlv) => tlv.type === MCUBOOT_TLV_SHA256 && !tlv.protected);
+
+        if (image.hash?.valid && hashTlv) {
+            matches.push({ rule: "MCUboot SHA-256 TLV valid", start: hashTlv.offset, end: hashTlv.offset + 4 + hashTlv.data.length });
+        }
+
+        return {
+            label: `ZBOSS (nRF Connect SDK, MCUboot ${formatMcubootVersion(image.version)}${image.hash && !image.hash.valid ? ", SHA-256 mismatch" : ""})`,
+            vendor: "Nordic Semiconductor",
+            chip: undefined,
+            stack: "ZBOSS",
+            format: "MCUboot image",
+            confidence: image.hash?.valid ? "high" : "medium",
+            matches,
+        };
+    }
+
+    if (isNrf5Dfu(bytes)) {
+        const dfu = parseNrf5Dfu(bytes);
+        const matches = [{ rule: "nRF5 DFU init packet with init command", start: dfu.initOffset, end: dfu.initOffset + dfu.initLength }];
+
+        if (dfu.hash?.valid) {
+            matches.push({ rule: "firmware SHA-256 matches the init command", start: dfu.initOffset + dfu.initLength, end: bytes.length });
+        }
+
+        return {
+            label: `ZBOSS (nRF5 SDK DFU, version ${dfu.init.fwVersion}${dfu.hash && !dfu.hash.valid ? ", SHA-256 mismatch" : ""})`,
+            vendor: "Nordic Semiconductor",
+            chip: "nRF52",
+            stack: "ZBOSS",
+            format: "nRF5 SDK DFU package",
+            confidence: dfu.hash?.valid ? "high" : "medium",
+            matches,
+        };
+    }
+
+    return undefined;
+}
+
+/**
+ * ESP-IDF application images (ESP32-H2 / C6...), running the ESP Zigbee SDK.
+ * @param {Uint8Array} bytes
+ * @returns {Omit<StackCandidate, "elementIndex"> | undefined}
+ */
+function detectEspressif(bytes) {
+    if (bytes.length < ESP_IMAGE_HEADER_LENGTH || bytes[0] !== ESP_IMAGE_MAGIC) {
+        return undefined;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const segmentCount = bytes[1];
+    const chipID = view.getUint16(12, true);
+    const chip = ESP_CHIP_NAMES[chipID];
+
+    if (!chip || !segmentCount || segmentCount > ESP_SEGMENT_MAX_COUNT) {
+        return undefined;
+    }
+
+    const matches = [
+        { rule: "ESP image magic 0xe9", start: 0, end: 1 },
+        { rule: `ESP chip ID 0x${chipID.toString(16).padStart(4, "0")}`, start: 12, end: 14 },
+    ];
+    const descOffset = ESP_IMAGE_HEADER_LENGTH + ESP_SEGMENT_HEADER_LENGTH;
+    const hasAppDesc = bytes.length >= descOffset + 4 && view.getUint32(descOffset, true) === ESP_APP_DESC_MAGIC;
+
+    if (hasAppDesc) {
+        matches.push({ rule: "esp_app_desc_t magic 0xabcd5432", start: descOffset, end: descOffset + 4 });
+    }
+
+    return {
+        label: `ESP-Zigbee (${chip})`,
+        vendor: "Espressif",
+        chip,
+        stack: "ESP Zigbee SDK (ZBOSS)",
+        format: "ESP-IDF app image",
+        confidence: hasAppDesc ? "high" : "medium",
+        matches,
+    };
+}
+
+/**
+ * NXP JN516x and JN518x / K32W0x1 flash images.
+ * @param {Uint8Array} bytes
+ * @returns {Omit<StackCandidate, "elementIndex"> | undefined}
+ */
+function detectNxp(bytes) {
+    if (JN516X_MAGIC.every((byte, i) => bytes[i] === byte)) {
+        return {
+            label: "NXP (JN516x)",
+            vendor: "NXP",
+            chip: "JN516x",
+            stack: "NXP Zigbee SDK",
+            format: "JN516x flash image",
+            confidence: "high",
+            matches: [{ rule: "JN516x boot image record magic", start: 0, end: JN516X_MAGIC.length }],
+        };
+    }
+
+    if (bytes.length < K32W_HEADER_MARKER_OFFSET + 4) {
+        return undefined;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (view.getUint32(K32W_HEADER_MARKER_OFFSET, true) !== K32W_HEADER_MARKER) {
+        return undefined;
+    }
+
+    const matches = [{ rule: "JN518x / K32W image header marker 0x98447902", start: K32W_HEADER_MARKER_OFFSET, end: K32W_HEADER_MARKER_OFFSET + 4 }];
+    let sum = 0;
+
+    for (let i = 0; i < K32W_VECTOR_CHECKSUM_WORDS; i += 1) {
+        sum = (sum + view.getUint32(i * 4, true)) >>> 0;
+    }
+
+    if (sum === 0) {
+        matches.push({ rule: "vector table checksum valid", start: 0, end: K32W_VECTOR_CHECKSUM_WORDS * 4 });
+    }
+
+    return {
+        label: "NXP (K32W / JN518x)",
+        vendor: "NXP",
+        chip: "K32W0x1 / JN518x",
+        stack: "NXP Zigbee SDK",
+        format: "JN518x flash image",
+        confidence: sum === 0 ? "high" : "medium",
+        matches,
+    };
+}
+
+/**
+ * Bouffalo Lab (BL70x / BL61x) boot headers and OTA images.
+ * @param {Uint8Array} bytes
+ * @returns {Omit<StackCandidate, "elementIndex"> | undefined}
+ */
+function detectBouffalo(bytes) {
+    const magic = [BOUFFALO_BOOT_HEADER_MAGIC, BOUFFALO_OTA_HEADER_MAGIC].find((value) => findString(bytes.subarray(0, value.length), value) === 0);
+
+    if (!magic) {
+        return undefined;
+    }
+
+    const matches = [{ rule: `${magic === BOUFFALO_BOOT_HEADER_MAGIC ? "boot header" : "OTA header"} magic ${JSON.stringify(magic)}`, start: 0, end: magic.length }];
+    let chip;
+
+    for (const name of BOUFFALO_CHIP_NAMES) {
+        const offset = findString(bytes, name);
+
+        if (offset !== -1) {
+            chip = name;
+            matches.push({ rule: `chip string ${JSON.stringify(name)}`, start: offset, end: offset + name.length });
+            break;
+        }
+    }
+
+    return {
+        label: chip ? `Bouffalo (${chip})` : "Bouffalo",
+        vendor: "Bouffalo Lab",
+        chip,
+        stack: undefined,
+        format: magic === BOUFFALO_BOOT_HEADER_MAGIC ? "Bouffalo boot image" : "Bouffalo OTA image",
+        confidence: "medium",
+        matches,
+    };
+}
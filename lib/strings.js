@@ -0,0 +1,41 @@
+/**
+ * ASCII string search in firmware binaries, for the magics and chip names that stack detection and the firmware parsers look for.
+ */
+
+/**
+ * Offset of the first occurrence of an ASCII string.
+ * @param {Uint8Array} bytes
+ * @param {string} text
+ * @returns {number} -1 when absent
+ */
+export function findString(bytes, text) {
+    const first = text.charCodeAt(0);
+
+    for (let i = bytes.indexOf(first); i !== -1 && i + text.length <= bytes.length; i = bytes.indexOf(first, i + 1)) {
+        let j = 1;
+
+        while (j < text.length && bytes[i + j] === text.charCodeAt(j)) {
+            j += 1;
+        }
+
+        if (j === text.length) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Printable chip name starting at `offset`, at most `length` characters.
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+export function readChipString(bytes, offset, length) {
+    const chip = bytes.subarray(offset, Math.min(bytes.length, offset + length));
+    const end = chip.findIndex((byte) => byte < 0x20 || byte >= 0x7f);
+
+    return String.fromCharCode(...(end === -1 ? chip : chip.subarray(0, end))).trim();
+}
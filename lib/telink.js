@@ -0,0 +1,153 @@
+/**
+ * Telink (TLSR8xxx / B91) firmware binary analysis, as wrapped in Telink/Tuya Zigbee OTA images.
+ * The binary starts with the startup code: the build version at 0x02, the "KNLT" boot flag at 0x08
+ * (the first byte, 'K', marks the image as bootable) and the firmware size at 0x18.
+ * The OTA code of the Telink Zigbee SDK expects the last 4 bytes of the firmware to hold a CRC-32 of everything before.
+ */
+
+import { crc32 } from "./crc32.js";
+import { findString, readChipString } from "./strings.js";
+
+/**
+ * @typedef {Object} TelinkField
+ * @property {string} label
+ * @property {string} value
+ * @property {number} start // inclusive byte offset in the firmware
+ * @property {number} end // exclusive byte offset in the firmware
+ *
+ * @typedef {Object} TelinkCrc
+ * @property {number} stored
+ * @property {number} computed // as the Telink SDK computes it: CRC-32 without the final inversion
+ * @property {boolean} valid
+ *
+ * @typedef {Object} TelinkFirmware
+ * @property {number} buildVersion // FILE_VERSION of the Telink Zigbee SDK, same layout as the OTA file version
+ * @property {number} bootFlag
+ * @property {number} size // firmware size field
+ * @property {string | undefined} chip // e.g. "TLSR8258", when the binary holds a chip string
+ * @property {TelinkCrc | undefined} crc // undefined when the size field does not fit the binary
+ * @property {TelinkField[]} fields
+ * @property {number} trailingLength // bytes after the firmware size
+ * @property {string[]} problems // boot flag, size field or CRC problems
+ */
+
+const TELINK_HEADER_LENGTH = 0x1c;
+const TELINK_BOOT_FLAG = 0x4b;
+const TELINK_MAGIC = "NLT";
+const TELINK_CRC_LENGTH = 4;
+const TELINK_CHIP_PREFIX = "TLSR";
+const TELINK_CHIP_LENGTH = 8;
+
+/**
+ * Whether the bytes look like a Telink firmware binary: "NLT" at 0x09, after the boot flag byte at 0x08 (whatever its value).
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isTelinkFirmware(bytes) {
+    return bytes.length >= TELINK_HEADER_LENGTH && String.fromCharCode(...bytes.subarray(9, 12)) === TELINK_MAGIC;
+}
+
+/**
+ * Decode the startup header of a Telink firmware binary and check its size field and trailing CRC-32.
+ * Never throws on malformed input: problems are collected in `problems` instead.
+ * @param {Uint8Array} bytes
+ * @returns {TelinkFirmware}
+ */
+export function parseTelinkFirmware(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    /** @type {TelinkFirmware} */
+    const firmware = {
+        buildVersion: view.getUint32(0x02, true),
+        bootFlag: bytes[0x08],
+        size: view.getUint32(0x18, true),
+        chip: findChip(bytes),
+        crc: undefined,
+        fields: [],
+        trailingLength: 0,
+        problems: [],
+    };
+    const { size } = firmware;
+
+    firmware.fields.push(
+        { label: "Build version", value: `0x${firmware.buildVersion.toString(16).padStart(8, "0")}`, start: 0x02, end: 0x06 },
+        { label: "Boot flag", value: formatBootFlag(firmware.bootFlag), start: 0x08, end: 0x09 },
+        { label: "Magic", value: JSON.stringify(TELINK_MAGIC), start: 0x09, end: 0x0c },
+        { label: "Firmware size", value: String(size), start: 0x18, end: 0x1c },
+    );
+
+    if (firmware.bootFlag !== TELINK_BOOT_FLAG) {
+        firmware.problems.push(`Boot flag is 0x${firmware.bootFlag.toString(16).padStart(2, "0")}, expected 0x4b ('K'): the bootloader will not start this image`);
+    }
+
+    if (size < TELINK_HEADER_LENGTH + TELINK_CRC_LENGTH || size > bytes.length) {
+        firmware.problems.push(`Firmware size field is ${size}, binary holds ${bytes.length} bytes`);
+        return firmware;
+    }
+
+    const stored = view.getUint32(size - TELINK_CRC_LENGTH, true);
+    const computed = (crc32(bytes.subarray(0, size - TELINK_CRC_LENGTH)) ^ 0xffffffff) >>> 0;
+
+    firmware.crc = { stored, computed, valid: stored === computed };
+    firmware.trailingLength = bytes.length - size;
+    firmware.fields.push(
+        { label: "CRC-32", value: `0x${stored.toString(16).padStart(8, "0")}`, start: size - TELINK_CRC_LENGTH, end: size },
+        { label: "Computed CRC-32", value: `0x${computed.toString(16).padStart(8, "0")}`, start: size - TELINK_CRC_LENGTH, end: size },
+    );
+
+    if (!firmware.crc.valid) {
+        firmware.problems.push(`Firmware CRC-32 mismatch: stored 0x${stored.toString(16).padStart(8, "0")}, computed 0x${computed.toString(16).padStart(8, "0")}`);
+    }
+
+    if (firmware.trailingLength) {
+        firmware.problems.push(`${firmware.trailingLength} bytes after the declared firmware size`);
+    }
+
+    return firmware;
+}
+
+/**
+ * One-line description of a parsed Telink firmware binary.
+ * @param {TelinkFirmware} firmware
+ * @returns {string}
+ */
+export function describeTelinkFirmware(firmware) {
+    const parts = [firmware.chip ?? "unknown chip", `build version 0x${firmware.buildVersion.toString(16).padStart(8, "0")}`, `${firmware.size} bytes`];
+
+    if (firmware.crc?.valid) {
+        parts.push("CRC-32 valid");
+    }
+
+    return firmware.problems.length ? `${parts.join(", ")}; PROBLEMS: ${firmware.problems.join("; ")}` : parts.join(", ");
+}
+
+/**
+ * Describe the two info bytes (OTA_FLAG_IMAGE_ELEM_INFO1 / INFO2) that precede the data of a Telink 0xf000 element,
+ * and whether the element data is readable firmware or encrypted.
+ * @param {Uint8Array | undefined} tagMeta
+ * @param {Uint8Array} data
+ * @returns {string}
+ */
+export function describeTelinkElementInfo(tagMeta, data) {
+    const info = tagMeta && tagMeta.length >= 2 ? `INFO1 0x${tagMeta[0].toString(16).padStart(2, "0")}, INFO2 0x${tagMeta[1].toString(16).padStart(2, "0")}` : "missing info bytes";
+
+    return `${info}; ${isTelinkFirmware(data) ? "data is plain Telink firmware" : "data is encrypted (no Telink header visible)"}`;
+}
+
+/**
+ * @param {number} flag
+ * @returns {string}
+ */
+function formatBootFlag(flag) {
+    return `0x${flag.toString(16).padStart(2, "0")} (${flag === TELINK_BOOT_FLAG ? "bootable" : "not bootable"})`;
+}
+
+/**
+ * Chip name following the first "TLSR" string of the binary.
+ * @param {Uint8Array} bytes
+ * @returns {string | undefined}
+ */
+function findChip(bytes) {
+    const offset = findString(bytes, TELINK_CHIP_PREFIX);
+
+    return offset === -1 ? undefined : readChipString(bytes, offset, TELINK_CHIP_LENGTH);
+}
@@ -0,0 +1,234 @@
+/**
+ * Cross-check of the OTA header file version against the version embedded in the firmware payload.
+ * The payload format comes from the stack candidates of `detectZigbeeStacks`; each format maps its version onto
+ * the bits of the file version it corresponds to (`mask`), so the header can be aligned without touching the other bits.
+ */
+
+import { formatEmberVersion, parseEbl } from "./ebl.js";
+import { GBL_TAG_ID_APPLICATION, parseGbl } from "./gbl.js";
+import { formatMcubootVersion, parseMcubootImage, parseNrf5Dfu } from "./nordic.js";
+import { parseOad } from "./oad.js";
+import { detectZigbeeStacks } from "./stack.js";
+import { parseTelinkFirmware } from "./telink.js";
+
+/**
+ * @typedef {import("./ota.js").ImageElement} ImageElement
+ *
+ * @typedef {Object} EmbeddedVersion
+ * @property {number} elementIndex
+ * @property {string} source // e.g. "GBL application version"
+ * @property {string} display // version as the firmware tooling prints it
+ * @property {number} value // comparable bits of the file version
+ * @property {number} mask // file version bits the embedded version maps to, 0 when it has no numeric mapping
+ *
+ * @typedef {Object} VersionCheck
+ * @property {number} fileVersion // header file version
+ * @property {EmbeddedVersion | undefined} embedded // first embedded version with a numeric mapping, else the first found
+ * @property {boolean | undefined} matches // undefined without a comparable embedded version
+ * @property {number | undefined} aligned // header file version aligned with the payload, when it differs
+ */
+
+const FULL_MASK = 0xffffffff;
+const ESP_APP_DESC_OFFSET = 32;
+const ESP_APP_DESC_MAGIC = 0xabcd5432;
+const ESP_APP_VERSION_OFFSET = 16;
+const ESP_APP_VERSION_LENGTH = 32;
+
+/**
+ * Versions found in the element payloads, one per element whose format carries one.
+ * @param {ImageElement[]} elements
+ * @returns {EmbeddedVersion[]}
+ */
+export function getEmbeddedVersions(elements) {
+    /** @type {EmbeddedVersion[]} */
+    const versions = [];
+
+    for (const candidate of detectZigbeeStacks(elements)) {
+        const { elementIndex } = candidate;
+
+        if (candidate.confidence === "low" || versions.some((version) => version.elementIndex === elementIndex)) {
+            continue;
+        }
+
+        const version = readEmbeddedVersion(elements[elementIndex].data, candidate.format);
+
+        if (version) {
+            versions.push({ elementIndex, ...version });
+        }
+    }
+
+    return versions.sort((a, b) => a.elementIndex - b.elementIndex);
+}
+
+/**
+ * Compare the header file version with the version embedded in the payload.
+ * @param {number} fileVersion
+ * @param {ImageElement[]} elements
+ * @returns {VersionCheck}
+ */
+export function checkFileVersion(fileVersion, elements) {
+    const versions = getEmbeddedVersions(elements);
+    const embedded = versions.find((version) => version.mask) ?? versions[0];
+
+    if (!embedded?.mask) {
+        return { fileVersion, embedded, matches: undefined, aligned: undefined };
+    }
+
+    const matches = ((fileVersion & embedded.mask) >>> 0) === embedded.value;
+
+    return { fileVersion, embedded, matches, aligned: matches ? undefined : alignFileVersion(fileVersion, embedded) };
+}
+
+/**
+ * File version with the bits an embedded version maps to replaced by it.
+ * @param {number} fileVersion
+ * @param {EmbeddedVersion} embedded
+ * @returns {number}
+ */
+export function alignFileVersion(fileVersion, embedded) {
+    return ((fileVersion & ~embedded.mask) | embedded.value) >>> 0;
+}
+
+/**
+ * One-line description of a version check.
+ * @param {VersionCheck} check
+ * @returns {string}
+ */
+export function describeVersionCheck({ fileVersion, embedded, matches, aligned }) {
+    if (!embedded) {
+        return "no version found in the payload";
+    }
+
+    const found = `${embedded.source} ${embedded.display} (element #${embedded.elementIndex + 1})`;
+
+    if (matches === undefined) {
+        return `${found}, not comparable with the header file version`;
+    }
+
+    if (matches) {
+        return `${found} matches the header file version`;
+    }
+
+    return `MISMATCH: ${found}, header file version is ${formatVersionHex(fileVersion)}; aligned header file version would be ${formatVersionHex(aligned ?? fileVersion)}`;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} format candidate format, see `detectZigbeeStacks`
+ * @returns {Omit<EmbeddedVersion, "elementIndex"> | undefined}
+ */
+function readEmbeddedVersion(bytes, format) {
+    switch (format) {
+        case "GBL": {
+            const application = parseGbl(bytes).tags.find((tag) => tag.id === GBL_TAG_ID_APPLICATION);
+
+            if (!application || application.data.length < 8) {
+                return undefined;
+            }
+
+            const version = new DataView(application.data.buffer, application.data.byteOffset, application.data.byteLength).getUint32(4, true);
+
+            return { source: "GBL application version", display: formatVersionHex(version), value: version, mask: FULL_MASK };
+        }
+        case "EBL": {
+            const { header } = parseEbl(bytes);
+
+            if (!header) {
+                return undefined;
+            }
+
+            const stack = `EmberZNet ${formatEmberVersion(header.softwareVersion, header.softwareBuild)}`;
+            const { customerApplicationVersion } = header;
+
+            if (customerApplicationVersion === undefined) {
+                return { source: "EBL software version", display: stack, value: 0, mask: 0 };
+            }
+
+            return {
+                source: "EBL customer application version",
+                display: `${formatVersionHex(customerApplicationVersion)} (${stack})`,
+                value: customerApplicationVersion,
+                mask: FULL_MASK,
+            };
+        }
+        case "TI OAD": {
+            const { header } = parseOad(bytes);
+
+            if (!header) {
+                return undefined;
+            }
+
+            // four hex digits, compared with the low 16 bits of the file version
+            const digits = /^[0-9A-Fa-f]{4}$/.test(header.softwareVersion);
+
+            return {
+                source: "TI OAD software version",
+                display: JSON.stringify(header.softwareVersion),
+                value: digits ? Number.parseInt(header.softwareVersion, 16) : 0,
+                mask: digits ? 0xffff : 0,
+            };
+        }
+        case "Telink firmware": {
+            const { buildVersion } = parseTelinkFirmware(bytes);
+
+            return { source: "Telink build version", display: formatVersionHex(buildVersion), value: buildVersion, mask: FULL_MASK };
+        }
+        case "MCUboot image": {
+            const { version } = parseMcubootImage(bytes);
+            // the nRF Connect SDK derives the Zigbee OTA file version from the image version as 0xMMmmRRRR
+            const value = ((version.major << 24) | (version.minor << 16) | (version.revision & 0xffff)) >>> 0;
+
+            return { source: "MCUboot image version", display: formatMcubootVersion(version), value, mask: FULL_MASK };
+        }
+        case "nRF5 SDK DFU package": {
+            const { fwVersion } = parseNrf5Dfu(bytes).init;
+
+            return fwVersion === undefined ? undefined : { source: "nRF5 DFU firmware version", display: String(fwVersion), value: fwVersion >>> 0, mask: FULL_MASK };
+        }
+        case "ESP-IDF app image": {
+            const version = readEspAppVersion(bytes);
+
+            if (version === undefined) {
+                return undefined;
+            }
+
+            // only a plain number (decimal or 0x-prefixed hex) maps onto the file version; "1.2.3" style strings do not
+            const numeric = /^(0x[0-9A-Fa-f]{1,8}|\d{1,10})$/.test(version) ? Number(version) : Number.NaN;
+            const comparable = Number.isInteger(numeric) && numeric <= FULL_MASK;
+
+            return { source: "ESP app descriptor version", display: JSON.stringify(version), value: comparable ? numeric : 0, mask: comparable ? FULL_MASK : 0 };
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Version string of the `esp_app_desc_t` at the start of the first segment of an ESP-IDF app image.
+ * @param {Uint8Array} bytes
+ * @returns {string | undefined}
+ */
+function readEspAppVersion(bytes) {
+    const start = ESP_APP_DESC_OFFSET + ESP_APP_VERSION_OFFSET;
+
+    if (bytes.length < start + ESP_APP_VERSION_LENGTH) {
+        return undefined;
+    }
+
+    if (new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(ESP_APP_DESC_OFFSET, true) !== ESP_APP_DESC_MAGIC) {
+        return undefined;
+    }
+
+    const field = bytes.subarray(start, start + ESP_APP_VERSION_LENGTH);
+    const end = field.indexOf(0);
+
+    return String.fromCharCode(...(end === -1 ? field : field.subarray(0, end)));
+}
+
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatVersionHex(value) {
+    return `0x${value.toString(16).padStart(8, "0")}`;
+}
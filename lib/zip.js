@@ -0,0 +1,94 @@
+import { crc32 } from "./crc32.js";
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name
+ * @property {Uint8Array} data
+ */
+
+const textEncoder = new TextEncoder();
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+/** 2.0 */
+const ZIP_VERSION = 20;
+/** General purpose flag bit 11: names are UTF-8. */
+const ZIP_FLAG_UTF8 = 0x0800;
+
+/**
+ * Create an uncompressed ("stored") ZIP archive.
+ * Firmware payloads rarely compress well, and storing keeps this dependency-free.
+ * @param {ZipEntry[]} entries
+ * @param {Date} [date]
+ * @returns {Uint8Array}
+ */
+export function createZip(entries, date = new Date()) {
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    /** @type {Uint8Array[]} */
+    const localParts = [];
+    /** @type {Uint8Array[]} */
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = textEncoder.encode(entry.name);
+        const crc = crc32(entry.data);
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+
+        localView.setUint32(0, LOCAL_FILE_HEADER_SIGNATURE, true);
+        localView.setUint16(4, ZIP_VERSION, true);
+        localView.setUint16(6, ZIP_FLAG_UTF8, true);
+        localView.setUint16(8, 0, true); // stored
+        localView.setUint16(10, dosTime, true);
+        localView.setUint16(12, dosDate, true);
+        localView.setUint32(14, crc, true);
+        localView.setUint32(18, entry.data.length, true);
+        localView.setUint32(22, entry.data.length, true);
+        localView.setUint16(26, name.length, true);
+        local.set(name, 30);
+
+        const central = new Uint8Array(46 + name.length);
+        const centralView = new DataView(central.buffer);
+
+        centralView.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+        centralView.setUint16(4, ZIP_VERSION, true);
+        centralView.setUint16(6, ZIP_VERSION, true);
+        centralView.setUint16(8, ZIP_FLAG_UTF8, true);
+        centralView.setUint16(10, 0, true);
+        centralView.setUint16(12, dosTime, true);
+        centralView.setUint16(14, dosDate, true);
+        centralView.setUint32(16, crc, true);
+        centralView.setUint32(20, entry.data.length, true);
+        centralView.setUint32(24, entry.data.length, true);
+        centralView.setUint16(28, name.length, true);
+        centralView.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        localParts.push(local, entry.data);
+        centralParts.push(central);
+
+        offset += local.length + entry.data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+
+    endView.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+    endView.setUint16(8, entries.length, true);
+    endView.setUint16(10, entries.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    const output = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+
+    for (const part of [...localParts, ...centralParts, end]) {
+        output.set(part, position);
+        position += part.length;
+    }
+
+    return output;
+}
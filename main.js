@@ -1,79 +1,98 @@
+import {
+    applyHeaderChanges,
+    buildBundle,
+    buildImage,
+    buildIndexMetadata,
+    bytesEqualsAt,
+    computeSHA256,
+    createElement,
+    createImage,
+    describeProtectionTags,
+    detectProtectionTags,
+    fileVersionToSegments,
+    formatHex,
+    formatIeeeAddress,
+    formatKeyUsage,
+    formatMetadata,
+    formatTagId,
+    formatTagLabel,
+    formatVersionDescriptor,
+    getElementFileName,
+    getElementSize,
+    getImageLayout,
+    getImageSignatures,
+    getWrapperBytes,
+    hasWrapperBytes,
+    normalizeHeader,
+    parseElements,
+    parseHexBlob,
+    parseHexInput,
+    parseImage,
+    parseImageHeader,
+    parseImages,
+    segmentsToVersion,
+    serializeElement,
+    suggestNewImageDefaults,
+    updateImageIntegrity,
+    verifyImageIntegrity,
+    verifyImageSignature,
+    IMAGE_INTEGRITY_CODE_TAG_ID,
+} from "./lib/ota.js";
+import {
+    decryptGbl,
+    encryptGbl,
+    importGblEncryptionKey,
+    importGblPrivateKey,
+    importGblPublicKey,
+    isGbl,
+    parseGbl,
+    signGbl,
+    verifyGblSignature,
+    GBL_TAG_ID_END,
+    GBL_TAG_ID_HEADER,
+    GBL_TAG_ID_SIGNATURE_ECDSA_P256,
+    GBL_TYPE_ENCRYPTION_AESCCM,
+    GBL_TYPE_SIGNATURE_ECDSA,
+} from "./lib/gbl.js";
+import { decryptEbl, encryptEbl, formatEmberVersion, isEncryptedEbl } from "./lib/ebl.js";
+import { describeImageDiff, diffImages } from "./lib/diff.js";
+import { EXPORT_TARGETS, buildExportSidecar, formatExportFileName, getExportSidecarName, getExportTarget } from "./lib/export.js";
+import { describeLintFinding, lintImage } from "./lib/lint.js";
+import { formatManufacturerCode, getManufacturerName, parseManufacturerInput, searchManufacturers } from "./lib/manufacturers.js";
+import { describeIndexMerge, mergeIndexEntry, parseOtaIndex } from "./lib/otaindex.js";
+import { checkFileVersion, describeVersionCheck } from "./lib/version.js";
+import { createZip } from "./lib/zip.js";
+import { createHexViewer } from "./hex-viewer.js";
+
 /**
- * @typedef {Object} ImageHeader
- * @property {Uint8Array} otaUpgradeFileIdentifier // read-only
- * @property {number} otaHeaderVersion // read-only
- * @property {number} otaHeaderLength // read-only / auto-computed
- * @property {number} otaHeaderFieldControl // read-only / auto-computed
- * @property {number} manufacturerCode
- * @property {number} imageType
- * @property {number} fileVersion
- * @property {number} zigbeeStackVersion
- * @property {string} otaHeaderString
- * @property {number} totalImageSize
- * @property {number | undefined} securityCredentialVersion
- * @property {Uint8Array | undefined} upgradeFileDestination
- * @property {number | undefined} minimumHardwareVersion
- * @property {number | undefined} maximumHardwareVersion
- *
- * @typedef {Object} ImageElement
- * @property {number} tagID
- * @property {number} length
- * @property {Uint8Array | undefined} tagMeta
- * @property {Uint8Array} data
+ * @typedef {import("./lib/ota.js").ImageHeader} ImageHeader
+ * @typedef {import("./lib/ota.js").ImageElement} ImageElement
+ * @typedef {import("./lib/ota.js").ParsedImage} ParsedImage
+ * @typedef {import("./lib/ota.js").LayoutNode} LayoutNode
+ * @typedef {import("./lib/ota.js").BundleEntry} BundleEntry
+ * @typedef {import("./lib/ota.js").WrapperBytes} WrapperBytes
+ * @typedef {import("./lib/ota.js").IntegrityCheck} IntegrityCheck
+ * @typedef {import("./lib/ota.js").ZigbeeSignature} ZigbeeSignature
+ * @typedef {import("./lib/ota.js").SignatureVerification} SignatureVerification
+ * @typedef {import("./lib/ota.js").IndexMetadata} IndexMetadata
+ * @typedef {import("./lib/ota.js").IndexOptions} IndexOptions
+ * @typedef {import("./lib/lint.js").LintFinding} LintFinding
  *
- * @typedef {Object} ParsedImage
+ * @typedef {Object} FormDraft image rebuilt from the current form values
  * @property {ImageHeader} header
  * @property {ImageElement[]} elements
  * @property {ArrayBuffer} raw
- * @property {string} stack
  *
- * @typedef {Object} IndexMetadata
+ * @typedef {Object} BatchFile
  * @property {string} fileName
- * @property {number} fileVersion
- * @property {number} fileSize
- * @property {string} url
- * @property {number} imageType
- * @property {number} manufacturerCode
- * @property {string} sha512
- * @property {string} otaHeaderString
- */
-
-const textEncoder = new TextEncoder();
-const textDecoder = new TextDecoder("utf-8");
-const UPGRADE_FILE_IDENTIFIER = new Uint8Array([0x1e, 0xf1, 0xee, 0x0b]);
-const OTA_HEADER_MIN_LENGTH = 56;
-/** @type {Record<number, string>} */
-const ZIGBEE_SPEC_TAGS = {
-    0: "Upgrade Image",
-    1: "ECDSA Signature (Crypto Suite 1)",
-    2: "ECDSA Signing Certificate (Crypto Suite 1)",
-    3: "Image Integrity Code",
-    4: "Picture Data",
-    5: "ECDSA Signature (Crypto Suite 2)",
-    6: "ECDSA Signing Certificate (Crypto Suite 2)",
-    // 0xf000 – 0xffff Manufacturer Specific Use
-};
-const TELINK_AES_TAG_ID = 0xf000;
-const PROTECTION_TAG_IDS = new Set([0x0001, 0x0002, 0x0003, 0x0005, 0x0006, TELINK_AES_TAG_ID]);
-
-const SI_GBL_HEADER_TAG = 0xeb17a603;
-const SI_EBL_TAG_HEADER = 0x0;
-const SI_EBL_IMAGE_SIGNATURE = 0xe350;
-const SI_EBL_TAG_ENC_HEADER = 0xfb05;
-
-const TI_OAD_IMG_ID_VAL_CC26X2R1_BYTES = textEncoder.encode("CC26x2R1");
-const TI_OAD_IMG_ID_VAL_CC13X2R1_BYTES = textEncoder.encode("CC13x2R1");
-const TI_OAD_IMG_ID_VAL_CC13X4_BYTES = textEncoder.encode("CC13x4  ");
-const TI_OAD_IMG_ID_VAL_CC26X3_BYTES = textEncoder.encode("CC26x3  ");
-const TI_OAD_IMG_ID_VAL_CC26X4_BYTES = textEncoder.encode("CC26x4  ");
-const TI_OAD_IMG_ID_VAL_OADIMG_BYTES = textEncoder.encode("OAD IMG ");
-const TI_OAD_IMG_ID_VAL_CC23X0R2_BYTES = textEncoder.encode("CC23x0R2");
-const TL_START_UP_FLAG_BYTES = textEncoder.encode("KNLT");
-const TL_SR_TAG_BYTES = textEncoder.encode("TLSR");
-const ZBOSS_MARKERS = [textEncoder.encode("nRF"), textEncoder.encode("nrf5"), textEncoder.encode("nrf_")];
+ * @property {BundleEntry[]} bundle
+ * @property {WrapperBytes | null} wrapper
+ */
 
 /** @type {HTMLInputElement} */
 const fileInput = getEl("file-input");
+/** @type {HTMLInputElement} */
+const payloadInput = getEl("payload-input");
 /** @type {HTMLButtonElement} */
 const downloadBtn = getEl("download-btn");
 /** @type {HTMLButtonElement} */
@@ -86,6 +105,12 @@ const metadataBox = getEl("metadata");
 const indexJson = getEl("index-json");
 /** @type {HTMLSpanElement} */
 const statusEl = getEl("status");
+/** @type {HTMLElement} */
+const manufacturerCodeHint = getEl("manufacturerCodeHint");
+/** @type {HTMLInputElement} */
+const manufacturerSearch = getEl("manufacturerSearch");
+/** @type {HTMLDataListElement} */
+const manufacturerList = getEl("manufacturer-list");
 /** @type {NodeListOf<HTMLInputElement>} */
 const fileVersionModeInputs = document.querySelectorAll('input[name="fileVersionMode"]');
 /** @type {HTMLInputElement} */
@@ -103,41 +128,245 @@ const fileVersionNumberRow = getEl("fileVersionNumberRow");
 /** @type {HTMLDivElement} */
 const fileVersionZigbeeRow = getEl("fileVersionZigbeeRow");
 /** @type {HTMLDivElement} */
+const versionCheckBox = getEl("version-check");
+/** @type {HTMLSpanElement} */
+const versionCheckText = getEl("version-check-text");
+/** @type {HTMLButtonElement} */
+const alignVersionBtn = getEl("align-version-btn");
+/** @type {HTMLDivElement} */
 const protectionWarning = getEl("protection-warning");
 /** @type {HTMLParagraphElement} */
 const protectionWarningBody = getEl("protection-warning-body");
+/** @type {HTMLUListElement} */
+const gblSignatureList = getEl("gbl-signature-list");
+/** @type {HTMLDivElement} */
+const gblSignatureTools = getEl("gbl-signature-tools");
+/** @type {HTMLInputElement} */
+const gblPublicKeyInput = getEl("gbl-public-key-input");
+/** @type {HTMLInputElement} */
+const gblPrivateKeyInput = getEl("gbl-private-key-input");
+/** @type {HTMLButtonElement} */
+const gblSignBtn = getEl("gbl-sign-btn");
+/** @type {HTMLUListElement} */
+const encryptionList = getEl("encryption-list");
+/** @type {HTMLDivElement} */
+const encryptionTools = getEl("encryption-tools");
+/** @type {HTMLInputElement} */
+const encryptionKeyInput = getEl("encryption-key-input");
+/** @type {HTMLTableSectionElement} */
+const elementsBody = getEl("elements-body");
+/** @type {HTMLInputElement} */
+const newElementTag = getEl("newElementTag");
+/** @type {HTMLInputElement} */
+const newElementMeta = getEl("newElementMeta");
+/** @type {HTMLInputElement} */
+const elementAddInput = getEl("element-add-input");
+/** @type {HTMLInputElement} */
+const elementReplaceInput = getEl("element-replace-input");
+/** @type {HTMLButtonElement} */
+const saveAllElementsBtn = getEl("save-all-elements-btn");
+/** @type {HTMLInputElement} */
+const compareInput = getEl("compare-input");
+/** @type {HTMLParagraphElement} */
+const compareSummary = getEl("compare-summary");
+/** @type {HTMLDivElement} */
+const compareResult = getEl("compare-result");
+/** @type {HTMLSelectElement} */
+const exportTargetSelect = getEl("export-target");
+/** @type {HTMLInputElement} */
+const exportTemplateInput = getEl("export-template");
+/** @type {HTMLElement} */
+const exportHint = getEl("export-hint");
+/** @type {HTMLButtonElement} */
+const exportDownloadBtn = getEl("export-download-btn");
+/** @type {HTMLButtonElement} */
+const exportSidecarBtn = getEl("export-sidecar-btn");
+/** @type {HTMLDetailsElement} */
+const indexOptions = getEl("index-options");
+/** @type {HTMLInputElement} */
+const indexMergeInput = getEl("index-merge-input");
+/** @type {HTMLButtonElement} */
+const indexDownloadBtn = getEl("index-download-btn");
+/** @type {HTMLElement} */
+const indexMergeStatus = getEl("index-merge-status");
+/** @type {HTMLElement} */
+const batchPanel = getEl("batch-panel");
+/** @type {HTMLTableSectionElement} */
+const batchBody = getEl("batch-body");
+/** @type {HTMLInputElement} */
+const batchSelectAll = getEl("batch-select-all");
+/** @type {HTMLSelectElement} */
+const batchField = getEl("batch-field");
+/** @type {HTMLInputElement} */
+const batchValue = getEl("batch-value");
+/** @type {HTMLInputElement} */
+const batchRecomputeIntegrity = getEl("batch-recompute-integrity");
+/** @type {HTMLInputElement} */
+const batchLintOverride = getEl("batch-lint-override");
+/** @type {HTMLButtonElement} */
+const batchApplyBtn = getEl("batch-apply-btn");
+/** @type {HTMLButtonElement} */
+const batchDownloadBtn = getEl("batch-download-btn");
+/** @type {HTMLDivElement} */
+const structureTree = getEl("structure-tree");
+const hexViewer = createHexViewer(getEl("hex-viewer"), selectStructureAt);
+/** @type {HTMLDivElement} */
+const imagePicker = getEl("image-picker");
+/** @type {HTMLSelectElement} */
+const imageSelect = getEl("image-select");
+/** @type {HTMLButtonElement} */
+const exportImageBtn = getEl("export-image-btn");
+/** @type {HTMLDivElement} */
+const wrapperOptions = getEl("wrapper-options");
+/** @type {NodeListOf<HTMLInputElement>} */
+const wrapperModeInputs = document.querySelectorAll('input[name="wrapperMode"]');
+/** @type {HTMLParagraphElement} */
+const integrityStatus = getEl("integrity-status");
+/** @type {HTMLInputElement} */
+const recomputeIntegrityInput = getEl("recompute-integrity");
+/** @type {HTMLDivElement} */
+const signatureStatus = getEl("signature-status");
+/** @type {HTMLInputElement} */
+const caPublicKeyInput = getEl("ca-public-key");
+/** @type {HTMLUListElement} */
+const signatureList = getEl("signature-list");
+/** @type {HTMLDivElement} */
+const lintStatus = getEl("lint-status");
+/** @type {HTMLUListElement} */
+const lintList = getEl("lint-list");
+/** @type {HTMLLabelElement} */
+const lintOverrideToggle = getEl("lint-override-toggle");
+/** @type {HTMLInputElement} */
+const lintOverrideInput = getEl("lint-override");
 
-/** @type {{fileName: string, parsed: ParsedImage | null}} */
-const state = { fileName: "ota.bin", parsed: null };
+/**
+ * @type {{
+ *     fileName: string,
+ *     parsed: ParsedImage | null,
+ *     parsedIntegrity: IntegrityCheck | undefined,
+ *     parsedSignatures: {signature: ZigbeeSignature, verification: SignatureVerification}[],
+ *     bundle: BundleEntry[],
+ *     selectedImage: number,
+ *     wrapper: WrapperBytes | null,
+ *     wrapperSummary: string,
+ * }}
+ */
+const state = {
+    fileName: "ota.bin",
+    parsed: null,
+    parsedIntegrity: undefined,
+    parsedSignatures: [],
+    bundle: [],
+    selectedImage: 0,
+    wrapper: null,
+    wrapperSummary: "",
+};
+/**
+ * Files loaded together in batch mode, edited with shared header changes and downloaded as one ZIP.
+ * @type {BatchFile[]}
+ */
+let batchFiles = [];
+/** Batch images shared changes apply to, as "file index:image index" keys. */
+const batchSelection = new Set();
+/**
+ * index.json the current image is merged into, kept across files.
+ * @type {{fileName: string, entries: IndexMetadata[]} | null}
+ */
+let loadedIndex = null;
+/**
+ * Index with the current image merged into `loadedIndex`, offered for download.
+ * @type {IndexMetadata[] | null}
+ */
+let mergedIndex = null;
 /** @type {number | null} */
 let indexRefreshHandle = null;
+/** @type {number | null} */
+let pendingReplaceIndex = null;
+/** Whether the pending replacement is a plain GBL/EBL file to encrypt in place of the element payload. */
+let pendingReplaceEncrypt = false;
+/** @type {LayoutNode[]} */
+let currentLayout = [];
+/**
+ * Draft bytes and loaded image last rendered by `refreshPreview`; form edits that leave the bytes unchanged skip the re-render.
+ * @type {{bytes: Uint8Array, baseline: ArrayBuffer} | null}
+ */
+let previewSource = null;
+/**
+ * Elements with the Image Integrity Code last regenerated by `rebuildFromForm`, and the header bytes and element list
+ * it was computed from; refreshes that change neither (index options, export target) skip the AES-MMO pass.
+ * @type {{header: Uint8Array, elements: ImageElement[], updated: ImageElement[]} | null}
+ */
+let integrityCache = null;
+/**
+ * GBL keys loaded by the user, kept across files and never written anywhere.
+ * The AES encryption key also serves encrypted EBL payloads.
+ * @type {{publicKey: CryptoKey | null, privateKey: CryptoKey | null, encryptionKey: Uint8Array | null}}
+ */
+const gblKeys = { publicKey: null, privateKey: null, encryptionKey: null };
+/** Incremented on each render so late verification results of a previous image are dropped. */
+let gblVerificationRun = 0;
+/** Paths (labels joined with "/") of expanded structure nodes. */
+const openStructurePaths = new Set(["Header"]);
+/** @type {string | null} */
+let selectedStructurePath = null;
 
 // Wire up UI handlers.
+structureTree.addEventListener("click", (event) => {
+    const target = /** @type {HTMLElement} */ (event.target).closest(".tree-node");
+
+    if (!(target instanceof HTMLElement) || !target.dataset.path) {
+        return;
+    }
+
+    selectStructureNode(target.dataset.path, Number(target.dataset.start), Number(target.dataset.end));
+});
+
+structureTree.addEventListener(
+    "toggle",
+    (event) => {
+        const details = /** @type {HTMLDetailsElement} */ (event.target);
+        const path = details.dataset.path;
+
+        if (!path) {
+            return;
+        }
+
+        if (details.open) {
+            openStructurePaths.add(path);
+        } else {
+            openStructurePaths.delete(path);
+        }
+    },
+    true,
+);
+
 fileInput.addEventListener("change", async (event) => {
     const target = /** @type {HTMLInputElement} */ (event.target);
-    const file = target.files?.[0];
+    const files = Array.from(target.files ?? []);
+    const file = files[0];
 
     if (!file) {
         return;
     }
 
+    if (files.length > 1) {
+        await loadBatch(files);
+
+        return;
+    }
+
+    clearBatch();
+
     state.fileName = file.name || "ota.bin";
 
     setStatus(`Reading ${state.fileName} ...`);
 
     try {
         const buffer = await readFileAsArrayBuffer(file);
-        const parsed = parseImage(buffer);
-        state.parsed = parsed;
-
-        renderProtectionWarning(parsed.elements);
-        populateForm();
-        renderMetadata();
-        await refreshIndexMetadata();
-        setStatus(`Loaded ${state.fileName}`);
+        const bundle = parseImages(buffer);
 
-        downloadBtn.disabled = false;
-        resetBtn.disabled = false;
+        await loadBundle(bundle, getWrapperBytes(buffer, bundle), buffer.byteLength);
+        setStatus(bundle.length > 1 ? `Loaded ${state.fileName} (${bundle.length} OTA images found)` : `Loaded ${state.fileName}`);
     } catch (error) {
         resetState();
         console.error(error);
@@ -145,550 +374,1824 @@ fileInput.addEventListener("change", async (event) => {
     }
 });
 
-downloadBtn.addEventListener("click", async () => {
-    if (!state.parsed) {
+compareInput.addEventListener("change", async () => {
+    const file = compareInput.files?.[0];
+
+    if (!file || !state.parsed) {
         return;
     }
 
     try {
-        const updatedHeader = collectHeaderFromForm();
-        const normalized = normalizeHeader(updatedHeader, state.parsed.raw);
-        const rebuilt = serializeImage(normalized, state.parsed.raw);
-        state.parsed = { ...state.parsed, header: normalized, raw: rebuilt };
-
-        populateForm();
-        renderMetadata();
-        await refreshIndexMetadata();
-        triggerDownload(rebuilt, state.fileName);
-        setStatus("Rebuilt file ready.");
+        const bundle = parseImages(await readFileAsArrayBuffer(file));
+        // same position as the selected image when the other file also holds several images
+        const otherIndex = Math.min(state.selectedImage, bundle.length - 1);
+        const diff = diffImages(state.parsed, bundle[otherIndex].parsed);
+        const [summary, ...details] = describeImageDiff(diff).split("\n");
+
+        compareSummary.textContent = `${state.fileName} -> ${file.name}: ${summary}`;
+        compareSummary.classList.remove("hidden");
+        compareResult.textContent = details.join("\n");
+        compareResult.classList.remove("hidden");
+        setStatus(`Compared ${state.fileName} with ${file.name}${bundle.length > 1 ? ` (image #${otherIndex + 1} of ${bundle.length})` : ""}.`);
     } catch (error) {
         console.error(error);
-        setStatus("Failed to rebuild file.");
+        setStatus(`Failed to compare. ${error}`);
+    } finally {
+        compareInput.value = "";
     }
 });
 
-resetBtn.addEventListener("click", async () => {
-    if (!state.parsed) {
+batchBody.addEventListener("change", (event) => {
+    const checkbox = /** @type {HTMLInputElement} */ (event.target);
+    const key = checkbox.dataset.key;
+
+    if (!key) {
         return;
     }
 
-    populateForm();
-    renderMetadata();
-    await refreshIndexMetadata();
+    if (checkbox.checked) {
+        batchSelection.add(key);
+    } else {
+        batchSelection.delete(key);
+    }
 
-    setStatus("Reset to parsed values.");
+    renderBatch();
 });
 
-headerForm.addEventListener("input", () => {
-    if (!state.parsed) {
-        return;
+batchSelectAll.addEventListener("change", () => {
+    batchSelection.clear();
+
+    if (batchSelectAll.checked) {
+        for (const key of getBatchKeys()) {
+            batchSelection.add(key);
+        }
     }
 
-    const draft = collectHeaderFromForm();
-    const normalized = normalizeHeader(draft, state.parsed.raw);
+    renderBatch();
+});
 
-    getInputEl("otaHeaderLength").value = String(normalized.otaHeaderLength);
-    getInputEl("otaHeaderFieldControl").value = String(normalized.otaHeaderFieldControl);
+batchField.addEventListener("change", () => {
+    /** @type {Record<string, string>} */
+    const placeholders = {
+        fileVersion: "+1",
+        otaHeaderString: "up to 32 characters",
+        hardwareVersions: "min-max, e.g. 1-3 (empty to remove)",
+    };
 
-    scheduleIndexRefresh();
+    batchValue.placeholder = placeholders[batchField.value] ?? "";
 });
 
-fileVersionModeInputs.forEach((input) => {
-    input.addEventListener("change", () => {
-        const mode = getVersionMode();
+batchApplyBtn.addEventListener("click", () => {
+    try {
+        const change = parseBatchChange(batchField.value, batchValue.value);
+        // rebuild every selected image before storing any, so an invalid result leaves the batch untouched
+        const updates = Array.from(batchSelection, (key) => {
+            const [fileIndex, imageIndex] = key.split(":").map(Number);
+            const entry = batchFiles[fileIndex].bundle[imageIndex];
 
-        syncVersionUI(mode);
-        scheduleIndexRefresh();
-    });
-});
+            return { fileIndex, imageIndex, entry: { ...entry, parsed: applyHeaderChanges(entry.parsed, change(entry.parsed.header), batchRecomputeIntegrity.checked) } };
+        });
 
-getInputEl("fileVersion").addEventListener("input", () => {
-    const num = Number(getInputEl("fileVersion").value || 0);
+        for (const { fileIndex, imageIndex, entry } of updates) {
+            batchFiles[fileIndex].bundle[imageIndex] = entry;
+        }
 
-    setSegmentsFromVersion(Number.isNaN(num) ? 0 : num);
+        renderBatch();
+        setStatus(`Applied ${batchField.selectedOptions[0]?.textContent ?? batchField.value} change to ${updates.length} image${updates.length === 1 ? "" : "s"}.`);
+    } catch (error) {
+        console.error(error);
+        setStatus(`Failed to apply batch change. ${error}`);
+    }
 });
 
-[fileVersionAppRelease, fileVersionAppBuild, fileVersionStackRelease, fileVersionStackBuild].forEach((el) => {
-    el.addEventListener("input", () => {
-        syncSegmentsToNumber();
-        scheduleIndexRefresh();
-    });
-});
+batchDownloadBtn.addEventListener("click", async () => {
+    try {
+        /** @type {import("./lib/zip.js").ZipEntry[]} */
+        const entries = [];
+        const { baseUrl } = collectIndexOptions();
+        const template = exportTemplateInput.value || getExportTarget(exportTargetSelect.value).template;
+        /** @type {IndexMetadata[]} */
+        let index = loadedIndex ? loadedIndex.entries : [];
+        /** @type {string[]} */
+        const warnings = [];
+        const indexName = loadedIndex?.fileName ?? "index.json";
+        /** File names taken in the ZIP, the index included. */
+        const names = new Set([indexName]);
+        let images = 0;
+
+        const lintResults = batchFiles.flatMap(({ fileName, bundle }) =>
+            bundle.map(({ parsed }, index) => ({ source: `${fileName}${bundle.length > 1 ? ` image #${index + 1}` : ""}: `, findings: lintImage(parsed) })),
+        );
 
-function scheduleIndexRefresh() {
-    if (indexRefreshHandle) {
-        clearTimeout(indexRefreshHandle);
+        if (isDownloadBlocked(lintResults, batchLintOverride)) {
+            return;
+        }
+
+        for (const { fileName, bundle, wrapper } of batchFiles) {
+            // one file per image, so that each index entry describes the file it points at;
+            // wrapper bytes are kept around a single image only, as they surround the whole bundle
+            const keepWrapper = wrapper && getWrapperMode() === "keep";
+
+            if (keepWrapper && bundle.length > 1) {
+                warnings.push(`${fileName}: wrapper bytes dropped, its ${bundle.length} images are saved as separate files`);
+            }
+
+            for (const [imageIndex, { parsed }] of bundle.entries()) {
+                const source = `${fileName}${bundle.length > 1 ? ` image #${imageIndex + 1}` : ""}`;
+                const data = buildBundle([parsed.raw], keepWrapper && bundle.length === 1 ? wrapper : undefined);
+                const renderedName = formatExportFileName(template, parsed.header, fileName);
+                let exportName = renderedName;
+
+                for (let number = 2; names.has(exportName); number += 1) {
+                    exportName = renderedName.replace(/(\.[^.]*)?$/, `_${number}$1`);
+                }
+
+                if (exportName !== renderedName) {
+                    warnings.push(`${source} renders to the file name ${renderedName} of another image, saved as ${exportName}`);
+                }
+
+                names.add(exportName);
+                entries.push({ name: exportName, data: new Uint8Array(data) });
+
+                const metadata = await buildIndexMetadata(parsed, exportName, { baseUrl }, data);
+
+                images += 1;
+
+                if (loadedIndex) {
+                    const merge = mergeIndexEntry(index, metadata);
+
+                    index = merge.entries;
+                    warnings.push(...merge.warnings.map((warning) => `${exportName}: ${warning}`));
+                } else {
+                    index = [...index, metadata];
+                }
+            }
+        }
+
+        entries.push({ name: indexName, data: new TextEncoder().encode(JSON.stringify(index, null, 2)) });
+
+        triggerDownload(createZip(entries), "ota_batch.zip", "application/zip");
+        setStatus(
+            `Saved ${images} image${images === 1 ? "" : "s"} and ${indexName}${loadedIndex ? ` (merged into ${index.length} entries)` : ""} to ota_batch.zip.${
+                warnings.length ? ` Warning: ${warnings.join("; ")}` : ""
+            }`,
+        );
+    } catch (error) {
+        console.error(error);
+        setStatus(`Failed to build batch ZIP. ${error}`);
     }
+});
 
-    indexRefreshHandle = window.setTimeout(async () => {
-        indexRefreshHandle = null;
-        await refreshIndexMetadata();
-    }, 200);
-}
+indexOptions.addEventListener("input", () => {
+    scheduleIndexRefresh();
+});
 
-async function refreshIndexMetadata() {
-    if (!state.parsed) {
-        indexJson.value = "";
+indexMergeInput.addEventListener("change", async () => {
+    const file = indexMergeInput.files?.[0];
 
+    if (!file) {
         return;
     }
 
-    const normalizedHeader = normalizeHeader(collectHeaderFromForm(), state.parsed.raw);
-    const rebuilt = serializeImage(normalizedHeader, state.parsed.raw);
-
     try {
-        const metadata = await buildIndexMetadata({
-            header: normalizedHeader,
-            raw: rebuilt,
-            elements: state.parsed.elements,
-            stack: state.parsed.stack,
-        });
-        indexJson.value = JSON.stringify(metadata, null, 2);
+        const { entries, problems } = parseOtaIndex(new TextDecoder().decode(await readFileAsArrayBuffer(file)));
+
+        if (!entries.length && problems.length) {
+            throw new Error(problems.join("; "));
+        }
+
+        loadedIndex = { fileName: file.name || "index.json", entries };
+
+        await refreshFromForm();
+        setStatus(`Loaded ${loadedIndex.fileName} (${entries.length} entries).${problems.length ? ` Warning: ${problems.join("; ")}` : ""}`);
     } catch (error) {
         console.error(error);
-        setStatus("Failed to build index metadata.");
+        setStatus(`Failed to load index. ${error}`);
+    } finally {
+        indexMergeInput.value = "";
+    }
+});
 
-        indexJson.value = "";
+indexDownloadBtn.addEventListener("click", () => {
+    if (!loadedIndex || !mergedIndex) {
+        return;
     }
-}
 
-/**
- * Read a File into an ArrayBuffer.
- * @param {File} file
- * @returns {Promise<ArrayBuffer>}
- */
-function readFileAsArrayBuffer(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => {
-            if (reader.result instanceof ArrayBuffer) {
-                resolve(reader.result);
-            } else {
-                reject(new Error("Unexpected read result."));
-            }
-        };
-        reader.onerror = () => reject(reader.error ?? new Error("Unknown file read error."));
+    triggerDownload(new TextEncoder().encode(JSON.stringify(mergedIndex, null, 2)), loadedIndex.fileName, "application/json");
+    setStatus(`Saved ${loadedIndex.fileName} (${mergedIndex.length} entries).`);
+});
 
-        reader.readAsArrayBuffer(file);
-    });
-}
+payloadInput.addEventListener("change", async (event) => {
+    const target = /** @type {HTMLInputElement} */ (event.target);
+    const file = target.files?.[0];
 
-/**
- * Try to identify the Zigbee stack from a raw OTA image.
- * @param {ImageElement[]} elements
- * @returns {string}
- */
-function identifyImageZigbeeStack(elements) {
-    if (!elements.length) {
-        return "Unknown";
+    if (!file) {
+        return;
     }
 
-    for (const element of elements) {
-        const bytes = element.data;
-        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const sourceName = file.name || "firmware.bin";
+    state.fileName = `${sourceName.replace(/\.[^.]*$/, "")}.zigbee`;
 
-        if (element.tagID === TELINK_AES_TAG_ID) {
-            return "Telink (Encrypted)";
-        }
+    setStatus(`Reading ${sourceName} ...`);
 
-        if (bytes.length >= 4 && view.getUint32(0, false) === SI_GBL_HEADER_TAG) {
-            return "EmberZNet (GBL)";
-        }
+    try {
+        const payload = new Uint8Array(await readFileAsArrayBuffer(file));
+        const defaults = suggestNewImageDefaults(payload);
 
-        if (bytes.length >= 8 && view.getUint16(0, false) === SI_EBL_TAG_HEADER && view.getUint16(6, false) === SI_EBL_IMAGE_SIGNATURE) {
-            return "EmberZNet (EBL)";
-        }
+        await loadBundle([{ offset: 0, parsed: parseImage(createImage(defaults.header, payload)) }]);
 
-        if (bytes.length >= 2 && view.getUint16(0, false) === SI_EBL_TAG_ENC_HEADER) {
-            return "EmberZNet (EBL ENC)";
+        if (defaults.wrappedOffset !== -1) {
+            setStatus(
+                `Created ${state.fileName} from ${sourceName}, but the payload already contains an OTA file identifier at offset ${defaults.wrappedOffset}. It may already be a wrapped OTA file.`,
+            );
+        } else {
+            setStatus(`Created ${state.fileName} from ${sourceName} (detected stack: ${defaults.stack}).`);
         }
+    } catch (error) {
+        resetState();
+        console.error(error);
+        setStatus(`Failed to create image. ${error}`);
+    }
+});
 
-        if (bytesStartsWith(bytes, TI_OAD_IMG_ID_VAL_CC26X2R1_BYTES)) {
-            return "zStack (CC26x2R1)";
-        }
+downloadBtn.addEventListener("click", async () => {
+    await downloadRebuilt(state.fileName);
+});
 
-        if (bytesStartsWith(bytes, TI_OAD_IMG_ID_VAL_CC13X2R1_BYTES)) {
-            return "zStack (CC13x2R1)";
-        }
+exportDownloadBtn.addEventListener("click", async () => {
+    if (!state.parsed) {
+        return;
+    }
 
-        if (bytesStartsWith(bytes, TI_OAD_IMG_ID_VAL_CC13X4_BYTES)) {
-            return "zStack (CC13x4)";
-        }
+    await downloadRebuilt(getExportFileName(collectHeaderFromForm()));
+});
 
-        if (bytesStartsWith(bytes, TI_OAD_IMG_ID_VAL_CC26X3_BYTES)) {
-            return "zStack (CC26x3)";
-        }
+exportSidecarBtn.addEventListener("click", async () => {
+    if (!state.parsed) {
+        return;
+    }
 
-        if (bytesStartsWith(bytes, TI_OAD_IMG_ID_VAL_CC26X4_BYTES)) {
-            return "zStack (CC26x4)";
-        }
+    try {
+        const { header, raw } = rebuildFromForm(state.parsed);
+        const image = { ...state.parsed, header, raw };
+        const sidecar = await buildExportSidecar(
+            getExportTarget(exportTargetSelect.value),
+            image,
+            getExportFileName(header),
+            collectIndexOptions(),
+            buildDownloadFile(raw),
+        );
 
-        if (bytesStartsWith(bytes, TI_OAD_IMG_ID_VAL_OADIMG_BYTES)) {
-            return "zStack (OAD IMG)";
-        }
+        triggerDownload(new TextEncoder().encode(sidecar.text), sidecar.fileName, "application/json");
+        setStatus(`Saved ${sidecar.fileName}.`);
+    } catch (error) {
+        console.error(error);
+        setStatus(`Failed to build sidecar metadata. ${error}`);
+    }
+});
 
-        if (bytesStartsWith(bytes, TI_OAD_IMG_ID_VAL_CC23X0R2_BYTES)) {
-            return "zStack (CC23x0R2)";
-        }
+exportTargetSelect.addEventListener("change", () => {
+    exportTemplateInput.value = getExportTarget(exportTargetSelect.value).template;
 
-        if (bytesEqualsAt(bytes, TL_START_UP_FLAG_BYTES, 8)) {
-            const tlsrIndex = findSubarray(bytes, TL_SR_TAG_BYTES);
+    renderExportHint();
+    scheduleIndexRefresh();
+});
 
-            if (tlsrIndex !== -1) {
-                const decoded = textDecoder.decode(bytes.slice(tlsrIndex, Math.min(bytes.length, tlsrIndex + 8))).trim();
-                return `Telink (${decoded})`;
-            }
+exportTemplateInput.addEventListener("input", () => {
+    renderExportHint();
+    scheduleIndexRefresh();
+});
 
-            return "Telink";
-        }
+exportImageBtn.addEventListener("click", () => {
+    if (!state.parsed) {
+        return;
+    }
+
+    try {
+        const findings = lintDraftBundle(state.parsed)[state.selectedImage];
 
-        if (ZBOSS_MARKERS.some((marker) => findSubarray(bytes, marker) !== -1)) {
-            return "ZBOSS (Nordic - fuzzy matching)";
+        if (isDownloadBlocked([{ source: "", findings }], lintOverrideInput)) {
+            return;
         }
+
+        commitSelectedImage();
+
+        const match = state.fileName.match(/^(.*?)(\.[^.]*)?$/);
+        const fileName = `${match?.[1] || "ota"}_image${state.selectedImage + 1}${match?.[2] ?? ""}`;
+
+        renderImagePicker();
+        scheduleIndexRefresh();
+        triggerDownload(state.parsed.raw, fileName);
+        setStatus(`Exported image #${state.selectedImage + 1} as ${fileName}.`);
+    } catch (error) {
+        console.error(error);
+        setStatus("Failed to rebuild image.");
     }
+});
 
-    return "Unknown";
-}
+imageSelect.addEventListener("change", async () => {
+    const index = Number(imageSelect.value);
 
-/**
- * Detect whether the image elements contain protection/signature/encryption tags.
+    if (!state.parsed || !state.bundle[index] || index === state.selectedImage) {
+        return;
+    }
+
+    try {
+        commitSelectedImage();
+    } catch (error) {
+        console.error(error);
+        imageSelect.value = String(state.selectedImage);
+        setStatus(`Fix the header fields of image #${state.selectedImage + 1} before switching. ${error}`);
+
+        return;
+    }
+
+    state.selectedImage = index;
+
+    renderImagePicker();
+    await loadParsedImage(state.bundle[index].parsed);
+    setStatus(`Editing image #${index + 1} of ${state.bundle.length} (offset 0x${state.bundle[index].offset.toString(16)}).`);
+});
+
+recomputeIntegrityInput.addEventListener("change", () => {
+    scheduleIndexRefresh();
+});
+
+wrapperModeInputs.forEach((input) => {
+    input.addEventListener("change", () => {
+        scheduleIndexRefresh();
+    });
+});
+
+gblPublicKeyInput.addEventListener("change", async () => {
+    const file = gblPublicKeyInput.files?.[0];
+
+    if (!file) {
+        return;
+    }
+
+    try {
+        gblKeys.publicKey = await importGblPublicKey(new Uint8Array(await readFileAsArrayBuffer(file)));
+
+        setStatus(`Loaded GBL public key from ${file.name}.`);
+    } catch (error) {
+        console.error(error);
+        gblKeys.publicKey = null;
+        setStatus(`Failed to load GBL public key. ${error}`);
+    } finally {
+        gblPublicKeyInput.value = "";
+    }
+
+    if (state.parsed) {
+        renderProtectionWarning(state.parsed.elements);
+    }
+});
+
+gblPrivateKeyInput.addEventListener("change", async () => {
+    const file = gblPrivateKeyInput.files?.[0];
+
+    if (!file) {
+        return;
+    }
+
+    try {
+        gblKeys.privateKey = await importGblPrivateKey(new Uint8Array(await readFileAsArrayBuffer(file)));
+
+        setStatus(`Loaded GBL signing key from ${file.name} (kept in memory only).`);
+    } catch (error) {
+        console.error(error);
+        gblKeys.privateKey = null;
+        setStatus(`Failed to load GBL signing key. ${error}`);
+    } finally {
+        gblPrivateKeyInput.value = "";
+    }
+
+    gblSignBtn.disabled = !gblKeys.privateKey;
+});
+
+encryptionKeyInput.addEventListener("change", async () => {
+    const file = encryptionKeyInput.files?.[0];
+
+    if (!file) {
+        return;
+    }
+
+    try {
+        gblKeys.encryptionKey = importGblEncryptionKey(new Uint8Array(await readFileAsArrayBuffer(file)));
+
+        setStatus(`Loaded encryption key from ${file.name} (kept in memory only).`);
+    } catch (error) {
+        console.error(error);
+        gblKeys.encryptionKey = null;
+        setStatus(`Failed to load encryption key. ${error}`);
+    } finally {
+        encryptionKeyInput.value = "";
+    }
+
+    if (state.parsed) {
+        renderProtectionWarning(state.parsed.elements);
+        renderElements();
+    }
+});
+
+gblSignBtn.addEventListener("click", async () => {
+    if (!state.parsed || !gblKeys.privateKey) {
+        return;
+    }
+
+    try {
+        const elements = [...state.parsed.elements];
+        let count = 0;
+
+        for (const [index, element] of elements.entries()) {
+            if (isSignedGbl(element.data)) {
+                elements[index] = createElement(element.tagID, await signGbl(element.data, gblKeys.privateKey), element.tagMeta);
+                count += 1;
+            }
+        }
+
+        updateElements(elements);
+        setStatus(`Re-signed ${count} GBL payload${count === 1 ? "" : "s"}. Any Zigbee signature or integrity code over the image must be regenerated too.`);
+    } catch (error) {
+        console.error(error);
+        setStatus(`Failed to re-sign GBL payload. ${error}`);
+    }
+});
+
+caPublicKeyInput.addEventListener("change", async () => {
+    if (!state.parsed) {
+        return;
+    }
+
+    const caPublicKey = parseHexBlob(caPublicKeyInput.value);
+
+    if (caPublicKeyInput.value.trim() && !caPublicKey) {
+        setStatus("CA public key must be hex bytes.");
+    }
+
+    verifyParsedSignatures();
+    await refreshFromForm(true);
+});
+
+resetBtn.addEventListener("click", async () => {
+    if (!state.parsed) {
+        return;
+    }
+
+    populateForm();
+    renderMetadata();
+    await refreshFromForm();
+
+    setStatus("Reset to parsed values.");
+});
+
+headerForm.addEventListener("input", () => {
+    if (!state.parsed) {
+        return;
+    }
+
+    syncComputedFields(state.parsed);
+    scheduleIndexRefresh();
+});
+
+elementsBody.addEventListener("click", (event) => {
+    const button = /** @type {HTMLElement} */ (event.target).closest("button");
+
+    if (!state.parsed || !button?.dataset.action) {
+        return;
+    }
+
+    const index = Number(button.dataset.index);
+    const elements = [...state.parsed.elements];
+
+    switch (button.dataset.action) {
+        case "up":
+        case "down": {
+            const target = button.dataset.action === "up" ? index - 1 : index + 1;
+
+            if (target < 0 || target >= elements.length) {
+                return;
+            }
+
+            [elements[index], elements[target]] = [elements[target], elements[index]];
+
+            updateElements(elements);
+            setStatus(`Moved element #${index} to position #${target}.`);
+            break;
+        }
+        case "remove": {
+            const [removed] = elements.splice(index, 1);
+
+            updateElements(elements);
+            setStatus(`Removed element ${formatTagId(removed.tagID)}.`);
+            break;
+        }
+        case "replace":
+        case "replace-encrypt": {
+            pendingReplaceIndex = index;
+            pendingReplaceEncrypt = button.dataset.action === "replace-encrypt";
+            elementReplaceInput.value = "";
+
+            elementReplaceInput.click();
+            break;
+        }
+        case "save-payload":
+        case "save-element":
+        case "save-info": {
+            const element = elements[index];
+            const kind = button.dataset.action === "save-payload" ? "payload" : button.dataset.action === "save-element" ? "element" : "info";
+            const fileName = getElementFileName(state.fileName, index, element, kind);
+
+            triggerDownload(getElementExport(element, kind), fileName);
+            setStatus(`Saved ${fileName}.`);
+            break;
+        }
+        case "save-decrypted": {
+            try {
+                const element = elements[index];
+                const { file, problems } = decryptPayload(element.data);
+                const fileName = getElementFileName(state.fileName, index, element, "payload").replace(/(\.[^.]*)$/, "_decrypted$1");
+
+                triggerDownload(file, fileName);
+                setStatus(`Saved ${fileName}.${problems.length ? ` Warning: ${problems.join("; ")}` : ""}`);
+            } catch (error) {
+                console.error(error);
+                setStatus(`Failed to decrypt element. ${error}`);
+            }
+
+            break;
+        }
+    }
+});
+
+saveAllElementsBtn.addEventListener("click", () => {
+    if (!state.parsed) {
+        return;
+    }
+
+    /** @type {import("./lib/zip.js").ZipEntry[]} */
+    const entries = [];
+
+    state.parsed.elements.forEach((element, index) => {
+        entries.push({ name: getElementFileName(state.fileName, index, element, "payload"), data: element.data });
+
+        if (element.tagMeta) {
+            entries.push({ name: getElementFileName(state.fileName, index, element, "info"), data: element.tagMeta });
+        }
+    });
+
+    const fileName = `${state.fileName.replace(/\.[^.]*$/, "") || "ota"}_elements.zip`;
+
+    triggerDownload(createZip(entries), fileName, "application/zip");
+    setStatus(`Saved ${entries.length} files to ${fileName}.`);
+});
+
+elementReplaceInput.addEventListener("change", async () => {
+    const file = elementReplaceInput.files?.[0];
+    const index = pendingReplaceIndex;
+    const encrypt = pendingReplaceEncrypt;
+    pendingReplaceIndex = null;
+    pendingReplaceEncrypt = false;
+
+    if (!state.parsed || !file || index === null || !state.parsed.elements[index]) {
+        return;
+    }
+
+    try {
+        const data = new Uint8Array(await readFileAsArrayBuffer(file));
+        const elements = [...state.parsed.elements];
+        const { tagID, tagMeta } = elements[index];
+
+        if (encrypt) {
+            const { payload, note } = await encryptPayload(data, elements[index].data);
+            elements[index] = createElement(tagID, payload, tagMeta);
+
+            updateElements(elements);
+            setStatus(`Replaced element ${formatTagId(tagID)} payload with ${file.name}, encrypted (${payload.length} bytes). ${note}`);
+            return;
+        }
+
+        elements[index] = createElement(tagID, data, tagMeta);
+
+        updateElements(elements);
+        setStatus(`Replaced element ${formatTagId(tagID)} payload with ${file.name} (${data.length} bytes).`);
+    } catch (error) {
+        console.error(error);
+        setStatus(`Failed to replace element. ${error}`);
+    }
+});
+
+elementAddInput.addEventListener("change", async () => {
+    const file = elementAddInput.files?.[0];
+
+    if (!state.parsed || !file) {
+        return;
+    }
+
+    try {
+        const tagID = parseTagIdInput(newElementTag.value);
+        const data = new Uint8Array(await readFileAsArrayBuffer(file));
+
+        updateElements([...state.parsed.elements, createElement(tagID, data, parseHexInput(newElementMeta.value))]);
+        setStatus(`Added element ${formatTagId(tagID)} from ${file.name} (${data.length} bytes).`);
+    } catch (error) {
+        console.error(error);
+        setStatus(`Failed to add element. ${error}`);
+    } finally {
+        elementAddInput.value = "";
+    }
+});
+
+fileVersionModeInputs.forEach((input) => {
+    input.addEventListener("change", () => {
+        const mode = getVersionMode();
+
+        syncVersionUI(mode);
+        scheduleIndexRefresh();
+    });
+});
+
+getInputEl("manufacturerCode").addEventListener("input", () => {
+    renderManufacturerHint();
+});
+
+manufacturerSearch.addEventListener("input", () => {
+    manufacturerList.replaceChildren(
+        ...searchManufacturers(manufacturerSearch.value).map(({ code }) => {
+            const option = document.createElement("option");
+            option.value = formatManufacturerCode(code);
+            option.label = String(code);
+
+            return option;
+        }),
+    );
+
+    const code = parseManufacturerInput(manufacturerSearch.value);
+
+    // a picked suggestion applies right away, typed text on change
+    if (code !== undefined && manufacturerSearch.value === formatManufacturerCode(code)) {
+        applyManufacturerSearch();
+    }
+});
+
+manufacturerSearch.addEventListener("change", () => {
+    applyManufacturerSearch();
+});
+
+getInputEl("fileVersion").addEventListener("input", () => {
+    const num = Number(getInputEl("fileVersion").value || 0);
+
+    setSegmentsFromVersion(Number.isNaN(num) ? 0 : num);
+});
+
+alignVersionBtn.addEventListener("click", () => {
+    if (!state.parsed) {
+        return;
+    }
+
+    const { aligned } = checkFileVersion(collectHeaderFromForm().fileVersion, state.parsed.elements);
+
+    if (aligned === undefined) {
+        return;
+    }
+
+    getInputEl("fileVersion").value = String(aligned);
+    setSegmentsFromVersion(aligned);
+    scheduleIndexRefresh();
+    setStatus(`Aligned the header file version with the firmware: ${aligned} (${formatVersionDescriptor(aligned)}).`);
+});
+
+[fileVersionAppRelease, fileVersionAppBuild, fileVersionStackRelease, fileVersionStackBuild].forEach((el) => {
+    el.addEventListener("input", () => {
+        syncSegmentsToNumber();
+        scheduleIndexRefresh();
+    });
+});
+
+/**
+ * Make the images found in a file current, selecting the first one.
+ * @param {BundleEntry[]} bundle
+ * @param {WrapperBytes | null} [wrapper] bytes of the file outside the images
+ * @param {number} [fileSize] size of the source file, to locate the suffix
+ */
+async function loadBundle(bundle, wrapper = null, fileSize = 0) {
+    state.bundle = bundle;
+    state.selectedImage = 0;
+    state.wrapper = wrapper && hasWrapperBytes(wrapper) ? wrapper : null;
+    state.wrapperSummary = state.wrapper ? await describeWrapper(state.wrapper, bundle, fileSize) : "";
+
+    lintOverrideInput.checked = false;
+
+    wrapperOptions.classList.toggle("hidden", !state.wrapper);
+
+    renderImagePicker();
+    await loadParsedImage(bundle[0].parsed);
+}
+
+/**
+ * Store the form edits, rebuild the whole file and download it.
+ * @param {string} fileName
+ */
+async function downloadRebuilt(fileName) {
+    if (!state.parsed) {
+        return;
+    }
+
+    try {
+        const lintResults = lintDraftBundle(state.parsed).map((findings, index) => ({ source: state.bundle.length > 1 ? `image #${index + 1}: ` : "", findings }));
+
+        if (isDownloadBlocked(lintResults, lintOverrideInput)) {
+            return;
+        }
+
+        commitSelectedImage();
+
+        const rebuilt = buildDownloadFile(state.parsed.raw);
+
+        populateForm();
+        renderMetadata();
+        renderImagePicker();
+        await refreshFromForm();
+        triggerDownload(rebuilt, fileName);
+        setStatus(
+            `${state.bundle.length > 1 ? `Rebuilt bundle of ${state.bundle.length} images ready.` : "Rebuilt file ready."}${
+                state.wrapper ? (getWrapperMode() === "keep" ? " Original wrapper bytes kept." : " Wrapper bytes stripped.") : ""
+            }`,
+        );
+    } catch (error) {
+        console.error(error);
+        setStatus("Failed to rebuild file.");
+    }
+}
+
+/**
+ * Bytes of the file `downloadRebuilt` writes with the selected image replaced: the whole bundle, and the wrapper bytes
+ * unless they are stripped.
+ * @param {ArrayBuffer} raw selected image
+ * @returns {ArrayBuffer}
+ */
+function buildDownloadFile(raw) {
+    const wrapper = state.wrapper && getWrapperMode() === "keep" ? state.wrapper : undefined;
+
+    return buildBundle(
+        state.bundle.map((entry, index) => (index === state.selectedImage ? raw : entry.parsed.raw)),
+        wrapper,
+    );
+}
+
+/**
+ * Load several files for batch editing; the single-file editor is cleared.
+ * Files that fail to parse are skipped and reported in the status.
+ * @param {File[]} files
+ */
+async function loadBatch(files) {
+    resetState();
+    setStatus(`Reading ${files.length} files ...`);
+
+    /** @type {string[]} */
+    const failed = [];
+
+    for (const file of files) {
+        try {
+            const buffer = await readFileAsArrayBuffer(file);
+            const bundle = parseImages(buffer);
+            const wrapper = getWrapperBytes(buffer, bundle);
+
+            batchFiles.push({ fileName: file.name || "ota.bin", bundle, wrapper: hasWrapperBytes(wrapper) ? wrapper : null });
+        } catch (error) {
+            console.error(error);
+            failed.push(`${file.name}: ${error}`);
+        }
+    }
+
+    for (const key of getBatchKeys()) {
+        batchSelection.add(key);
+    }
+
+    renderBatch();
+    wrapperOptions.classList.toggle("hidden", !batchFiles.some((file) => file.wrapper));
+
+    const images = getBatchKeys().length;
+
+    setStatus(`Loaded ${batchFiles.length} files (${images} OTA images) in batch mode.${failed.length ? ` Skipped ${failed.join("; ")}` : ""}`);
+}
+
+/**
+ * Leave batch mode.
+ */
+function clearBatch() {
+    batchFiles = [];
+    batchSelection.clear();
+    batchLintOverride.checked = false;
+
+    renderBatch();
+}
+
+/**
+ * Keys of every batch image, see `batchSelection`.
+ * @returns {string[]}
+ */
+function getBatchKeys() {
+    return batchFiles.flatMap(({ bundle }, fileIndex) => bundle.map((_, imageIndex) => `${fileIndex}:${imageIndex}`));
+}
+
+/**
+ * Render the batch table, only shown in batch mode.
+ */
+function renderBatch() {
+    batchBody.replaceChildren();
+    batchPanel.classList.toggle("hidden", batchFiles.length === 0);
+
+    batchFiles.forEach(({ fileName, bundle }, fileIndex) => {
+        bundle.forEach(({ parsed }, imageIndex) => {
+            const { header } = parsed;
+            const key = `${fileIndex}:${imageIndex}`;
+            const row = document.createElement("tr");
+            /** @type {(text: string, className?: string) => void} */
+            const cell = (text, className) => {
+                const td = document.createElement("td");
+                td.textContent = text;
+
+                if (className) {
+                    td.className = className;
+                }
+
+                row.appendChild(td);
+            };
+
+            const select = document.createElement("td");
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = batchSelection.has(key);
+            checkbox.dataset.key = key;
+
+            select.appendChild(checkbox);
+            row.appendChild(select);
+
+            cell(bundle.length > 1 ? `${fileName} #${imageIndex + 1}` : fileName);
+            cell(formatTagId(header.manufacturerCode), "mono");
+            cell(formatTagId(header.imageType), "mono");
+            cell(`0x${header.fileVersion.toString(16).padStart(8, "0")}`, "mono");
+            cell(header.otaHeaderString.replaceAll("\u0000", ""));
+            cell(header.minimumHardwareVersion === undefined ? "—" : `${header.minimumHardwareVersion}–${header.maximumHardwareVersion}`, "mono");
+            cell(parsed.stack);
+            batchBody.appendChild(row);
+        });
+    });
+
+    const total = getBatchKeys().length;
+
+    batchSelectAll.checked = total > 0 && batchSelection.size === total;
+    batchSelectAll.indeterminate = batchSelection.size > 0 && batchSelection.size < total;
+    batchApplyBtn.disabled = batchSelection.size === 0;
+    batchDownloadBtn.disabled = total === 0;
+}
+
+/**
+ * Parse the batch value of a field into a header change for each image.
+ * A file version starting with "+" bumps the version of each image; an empty hardware range removes it.
+ * @param {string} field
+ * @param {string} value
+ * @returns {(header: ImageHeader) => Partial<ImageHeader>}
+ */
+function parseBatchChange(field, value) {
+    const text = value.trim();
+
+    switch (field) {
+        case "fileVersion": {
+            const increment = text.startsWith("+");
+            const version = parseNumberInput(increment ? text.slice(1).trim() : text, 0xffffffff, "File version");
+
+            if (!increment) {
+                return () => ({ fileVersion: version });
+            }
+
+            return (header) => {
+                const fileVersion = header.fileVersion + version;
+
+                if (fileVersion > 0xffffffff) {
+                    throw new Error(`File version 0x${header.fileVersion.toString(16)} + ${version} overflows 32 bits`);
+                }
+
+                return { fileVersion };
+            };
+        }
+        case "otaHeaderString": {
+            const length = new TextEncoder().encode(value).length;
+
+            if (length > 32) {
+                throw new Error(`OTA header string is limited to 32 bytes, got ${length} (UTF-8)`);
+            }
+
+            return () => ({ otaHeaderString: value });
+        }
+        case "hardwareVersions": {
+            if (!text) {
+                return () => ({ minimumHardwareVersion: undefined, maximumHardwareVersion: undefined });
+            }
+
+            const [min, max = min] = text.split("-").map((part) => parseNumberInput(part.trim(), 0xffff, "Hardware version"));
+
+            if (min > max) {
+                throw new Error(`Minimum hardware version ${min} is above maximum ${max}`);
+            }
+
+            return () => ({ minimumHardwareVersion: min, maximumHardwareVersion: max });
+        }
+        default:
+            throw new Error(`Unsupported batch field ${field}`);
+    }
+}
+
+/**
+ * Parse a decimal or 0x-prefixed hex value typed in a text input.
+ * @param {string} text
+ * @param {number} max
+ * @param {string} label
+ * @returns {number}
+ */
+function parseNumberInput(text, max, label) {
+    const value = /^(0x[0-9a-f]+|\d+)$/i.test(text) ? Number(text) : Number.NaN;
+
+    if (Number.isNaN(value) || value > max) {
+        throw new Error(`${label} must be a number between 0 and 0x${max.toString(16)}`);
+    }
+
+    return value;
+}
+
+/**
+ * Describe the bytes outside the OTA images (offsets in the source file) for the metadata panel.
+ * @param {WrapperBytes} wrapper
+ * @param {BundleEntry[]} bundle
+ * @param {number} fileSize
+ * @returns {Promise<string>}
+ */
+async function describeWrapper(wrapper, bundle, fileSize) {
+    /** @type {string[]} */
+    const lines = [];
+    /** @type {(label: string, bytes: Uint8Array<ArrayBuffer>, start: number) => Promise<void>} */
+    const describe = async (label, bytes, start) => {
+        if (!bytes.length) {
+            return;
+        }
+
+        const preview = `${formatHex(bytes.subarray(0, 16))}${bytes.length > 16 ? " …" : ""}`;
+
+        lines.push(
+            `  ${label}: 0x${start.toString(16)}–0x${(start + bytes.length).toString(16)} (${bytes.length} bytes)\n    SHA-256: ${await computeSHA256(bytes)}\n    Preview: ${preview}`,
+        );
+    };
+
+    await describe("Prefix", /** @type {Uint8Array<ArrayBuffer>} */ (wrapper.prefix), 0);
+
+    for (let i = 0; i < wrapper.gaps.length; i += 1) {
+        const start = bundle[i].offset + bundle[i].parsed.raw.byteLength;
+
+        await describe(`Between image #${i + 1} and #${i + 2}`, /** @type {Uint8Array<ArrayBuffer>} */ (wrapper.gaps[i]), start);
+    }
+
+    await describe("Suffix", /** @type {Uint8Array<ArrayBuffer>} */ (wrapper.suffix), fileSize - wrapper.suffix.length);
+
+    return `\n\nBytes outside the OTA image${bundle.length > 1 ? "s" : ""}:\n${lines.join("\n")}`;
+}
+
+/**
+ * Get the selected download mode for bytes outside the OTA images.
+ * @returns {"keep" | "strip"}
+ */
+function getWrapperMode() {
+    const checked = Array.from(wrapperModeInputs).find((input) => input.checked);
+
+    return checked?.value === "strip" ? "strip" : "keep";
+}
+
+/**
+ * Store the current form values and elements into the selected bundle entry.
+ */
+function commitSelectedImage() {
+    if (!state.parsed) {
+        return;
+    }
+
+    const { header, elements, raw } = rebuildFromForm(state.parsed);
+    state.parsed = { ...state.parsed, header, elements, raw };
+    state.parsedIntegrity = verifyImageIntegrity(state.parsed);
+    verifyParsedSignatures();
+    state.bundle[state.selectedImage] = { ...state.bundle[state.selectedImage], parsed: state.parsed };
+}
+
+/**
+ * Render the image selector, only shown for files holding more than one image.
+ */
+function renderImagePicker() {
+    imagePicker.classList.toggle("hidden", state.bundle.length < 2);
+    imageSelect.replaceChildren(
+        ...state.bundle.map(({ offset, parsed }, index) => {
+            const { header } = parsed;
+            const option = document.createElement("option");
+            option.value = String(index);
+            option.selected = index === state.selectedImage;
+            option.textContent = `#${index + 1} @ 0x${offset.toString(16).padStart(8, "0")} · manufacturer ${formatTagId(header.manufacturerCode)} · image type ${formatTagId(header.imageType)} · version 0x${header.fileVersion.toString(16).padStart(8, "0")} · ${parsed.stack}`;
+
+            return option;
+        }),
+    );
+}
+
+/**
+ * Make a parsed image the current one and render it.
+ * @param {ParsedImage} parsed
+ */
+async function loadParsedImage(parsed) {
+    state.parsed = parsed;
+    state.parsedIntegrity = verifyImageIntegrity(parsed);
+    verifyParsedSignatures();
+
+    renderProtectionWarning(parsed.elements);
+    populateForm();
+    renderMetadata();
+    renderElements();
+    await refreshFromForm();
+
+    downloadBtn.disabled = false;
+    resetBtn.disabled = false;
+    compareInput.disabled = false;
+    exportDownloadBtn.disabled = false;
+    exportSidecarBtn.disabled = false;
+
+    setElementControlsDisabled(false);
+}
+
+/**
+ * Replace the element list, rebuilding the image around the parsed header.
  * @param {ImageElement[]} elements
- * @returns {number[]}
  */
-function detectProtectionTags(elements) {
-    /** @type {number[]} */
-    const matched = [];
+function updateElements(elements) {
+    if (!state.parsed) {
+        return;
+    }
+
+    state.parsed = parseImage(buildImage(state.parsed.header, elements));
+    state.parsedIntegrity = verifyImageIntegrity(state.parsed);
+    verifyParsedSignatures();
+
+    syncComputedFields(state.parsed);
+    renderProtectionWarning(state.parsed.elements);
+    renderMetadata();
+    renderElements();
+    scheduleIndexRefresh();
+}
+
+/**
+ * Rebuild the image from the form header and the current element list,
+ * regenerating the Image Integrity Code when requested.
+ * @param {ParsedImage} parsed
+ * @returns {FormDraft}
+ */
+function rebuildFromForm(parsed) {
+    const draft = collectHeaderFromForm();
+    const elements = recomputeIntegrityInput.checked ? getUpdatedIntegrity(draft, parsed.elements) : parsed.elements;
+    const raw = buildImage(draft, elements);
+
+    return { header: parseImageHeader(raw), elements, raw };
+}
+
+/**
+ * `updateImageIntegrity` for the form header, reusing the last result while the header bytes and element list are unchanged.
+ * @param {ImageHeader} header
+ * @param {ImageElement[]} elements
+ * @returns {ImageElement[]}
+ */
+function getUpdatedIntegrity(header, elements) {
+    const headerBytes = new Uint8Array(buildImage(header, []));
+
+    if (
+        integrityCache?.elements === elements &&
+        integrityCache.header.length === headerBytes.length &&
+        bytesEqualsAt(integrityCache.header, headerBytes, 0)
+    ) {
+        return integrityCache.updated;
+    }
+
+    const updated = updateImageIntegrity(header, elements);
+    integrityCache = { header: headerBytes, elements, updated };
+
+    return updated;
+}
+
+/**
+ * Whether the Image Integrity Code of the image rebuilt from the form matches, without hashing it on every edit:
+ * a regenerated code matches, and a kept code can only match while the hashed bytes are those of the loaded image.
+ * @param {FormDraft} draft
+ * @returns {boolean | undefined} undefined when the image has no integrity element
+ */
+function isDraftIntegrityValid({ header, elements, raw }) {
+    if (!state.parsed || !elements.some((element) => element.tagID === IMAGE_INTEGRITY_CODE_TAG_ID)) {
+        return undefined;
+    }
+
+    if (recomputeIntegrityInput.checked) {
+        return true;
+    }
+
+    const loaded = new Uint8Array(state.parsed.raw, 0, Math.min(state.parsed.header.totalImageSize, state.parsed.raw.byteLength));
+    const hashed = new Uint8Array(raw, 0, Math.min(header.totalImageSize, raw.byteLength));
+
+    return loaded.length === hashed.length && bytesEqualsAt(loaded, hashed, 0) ? state.parsedIntegrity?.valid : false;
+}
+
+/**
+ * Update the auto-computed header inputs from the current form values and element list.
+ * @param {ParsedImage} parsed
+ */
+function syncComputedFields(parsed) {
+    const normalized = normalizeHeader(collectHeaderFromForm(), parsed.raw);
+    const totalImageSize = parsed.elements.reduce((size, element) => size + getElementSize(element), normalized.otaHeaderLength);
+
+    getInputEl("otaHeaderLength").value = String(normalized.otaHeaderLength);
+    getInputEl("otaHeaderFieldControl").value = String(normalized.otaHeaderFieldControl);
+    getInputEl("totalImageSize").value = String(totalImageSize);
+}
+
+function scheduleIndexRefresh() {
+    if (indexRefreshHandle) {
+        clearTimeout(indexRefreshHandle);
+    }
+
+    indexRefreshHandle = window.setTimeout(async () => {
+        indexRefreshHandle = null;
+        await refreshFromForm();
+    }, 200);
+}
+
+/**
+ * Rebuild the image from the current form values once, then refresh the preview and the index entry from it.
+ * @param {boolean} [force] see `refreshPreview`
+ */
+async function refreshFromForm(force = false) {
+    /** @type {FormDraft | undefined} */
+    let draft;
+
+    try {
+        draft = state.parsed ? rebuildFromForm(state.parsed) : undefined;
+    } catch (error) {
+        console.error(error);
+
+        return;
+    }
+
+    if (draft) {
+        refreshPreview(draft, force);
+    }
+
+    await refreshIndexMetadata(draft);
+}
+
+/**
+ * @param {FormDraft | undefined} draft image rebuilt from the current form values, none clears the entry
+ */
+async function refreshIndexMetadata(draft) {
+    if (!state.parsed || !draft) {
+        indexJson.value = "";
+
+        renderIndexMerge(undefined);
+
+        return;
+    }
+
+    const { header: normalizedHeader, raw: rebuilt } = draft;
+
+    try {
+        const metadata = await buildIndexMetadata(
+            {
+                header: normalizedHeader,
+                raw: rebuilt,
+                elements: state.parsed.elements,
+                stack: state.parsed.stack,
+            },
+            getExportFileName(normalizedHeader),
+            collectIndexOptions(),
+            buildDownloadFile(rebuilt),
+        );
+        indexJson.value = JSON.stringify(metadata, null, 2);
+
+        renderExportHint();
+
+        renderIndexMerge(metadata);
+    } catch (error) {
+        console.error(error);
+        setStatus(`Failed to build index metadata. ${error}`);
+
+        indexJson.value = "";
+
+        renderIndexMerge(undefined);
+    }
+}
+
+/**
+ * File name of the current image for the selected export target.
+ * @param {ImageHeader} header
+ * @returns {string}
+ */
+function getExportFileName(header) {
+    return formatExportFileName(exportTemplateInput.value || getExportTarget(exportTargetSelect.value).template, header, state.fileName);
+}
+
+/**
+ * Describe the selected export target and the file names it produces for the current image.
+ */
+function renderExportHint() {
+    const target = getExportTarget(exportTargetSelect.value);
+
+    if (!state.parsed) {
+        exportHint.textContent = target.description;
+
+        return;
+    }
+
+    const fileName = getExportFileName(collectHeaderFromForm());
+
+    exportHint.textContent = `${target.description} Saved as ${fileName}, sidecar ${getExportSidecarName(target, fileName)}.`;
+}
+
+/**
+ * Read the index entry options; empty inputs are left out.
+ * @returns {IndexOptions}
+ */
+function collectIndexOptions() {
+    /** @type {(id: string) => string} */
+    const text = (id) => getInputEl(id).value.trim();
+    /** @type {(id: string, max: number, label: string) => number | undefined} */
+    const number = (id, max, label) => (text(id) === "" ? undefined : parseNumberInput(text(id), max, label));
+
+    return {
+        baseUrl: text("index-base-url") || undefined,
+        hardwareVersionMin: number("index-hardware-version-min", 0xffff, "Hardware version min"),
+        hardwareVersionMax: number("index-hardware-version-max", 0xffff, "Hardware version max"),
+        minFileVersion: number("index-min-file-version", 0xffffffff, "Min file version"),
+        maxFileVersion: number("index-max-file-version", 0xffffffff, "Max file version"),
+        modelId: text("index-model-id") || undefined,
+        manufacturerName: text("index-manufacturer-name")
+            .split(",")
+            .map((name) => name.trim())
+            .filter(Boolean),
+        releaseNotes: text("index-release-notes") || undefined,
+        originalUrl: text("index-original-url") || undefined,
+    };
+}
+
+/**
+ * Show where the index entry of the current image lands in the loaded index.json.
+ * @param {IndexMetadata | undefined} metadata
+ */
+function renderIndexMerge(metadata) {
+    if (!loadedIndex || !metadata) {
+        mergedIndex = null;
+        indexDownloadBtn.disabled = true;
+
+        indexMergeStatus.classList.add("hidden");
+
+        return;
+    }
+
+    const merge = mergeIndexEntry(loadedIndex.entries, metadata);
+    mergedIndex = merge.entries;
+    indexDownloadBtn.disabled = false;
+
+    indexMergeStatus.textContent = `${loadedIndex.fileName} (${loadedIndex.entries.length} entries): ${describeIndexMerge(merge)}`;
+    indexMergeStatus.classList.toggle("bad", merge.warnings.length > 0);
+    indexMergeStatus.classList.remove("hidden");
+}
+
+/**
+ * Refresh the structure tree, hex viewer and checks from the current form values, when they change the rebuilt bytes.
+ * Bytes that differ from the loaded image are flagged as changed.
+ * @param {FormDraft} rebuilt image rebuilt from the current form values
+ * @param {boolean} [force] re-render unchanged bytes, for inputs of the checks outside the image (CA public key)
+ */
+function refreshPreview(rebuilt, force = false) {
+    if (!state.parsed) {
+        return;
+    }
+
+    try {
+        const { header, elements, raw } = rebuilt;
+        const bytes = new Uint8Array(raw);
+
+        if (
+            !force &&
+            previewSource?.baseline === state.parsed.raw &&
+            previewSource.bytes.length === bytes.length &&
+            bytesEqualsAt(previewSource.bytes, bytes, 0)
+        ) {
+            return;
+        }
+
+        previewSource = { bytes, baseline: state.parsed.raw };
+        const layoutElements = parseElements(raw, header);
+        currentLayout = getImageLayout(header, layoutElements);
+
+        hexViewer.setData(bytes, new Uint8Array(state.parsed.raw));
+        renderStructure();
+        const draft = { header, elements, raw, stack: state.parsed.stack };
+
+        renderIntegrityStatus(isDraftIntegrityValid(rebuilt));
+        renderSignatureStatus(getImageSignatures(draft));
+        renderVersionCheck(header.fileVersion);
+        renderLintStatus(lintImage({ ...draft, elements: layoutElements }));
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+/**
+ * List the lint findings of the current edits, then those of the loaded image that the rebuild fixes
+ * (element lengths and totalImageSize are recomputed). Clicking a finding of the current edits highlights
+ * its bytes and focuses its header field.
+ * @param {LintFinding[]} findings lint findings of the image rebuilt from the current form values
+ */
+function renderLintStatus(findings) {
+    const rules = new Set(findings.map((finding) => finding.rule));
+    const fixed = state.parsed ? lintImage(state.parsed).filter((finding) => !rules.has(finding.rule)) : [];
+    const hasErrors = findings.some((finding) => finding.severity === "error");
+
+    lintStatus.classList.toggle("hidden", !findings.length && !fixed.length);
+    lintOverrideToggle.classList.toggle("hidden", !hasErrors);
+    lintList.replaceChildren(
+        ...findings.map((finding) => {
+            const item = document.createElement("li");
+            const { field, start, end } = finding;
+
+            item.textContent = describeLintFinding(finding);
+            item.classList.toggle("bad", finding.severity === "error");
+            item.classList.toggle("selectable", !!field || (start !== undefined && start !== end));
+            item.addEventListener("click", () => {
+                if (start !== undefined && end !== undefined && start !== end) {
+                    hexViewer.select(start, end);
+                }
+
+                if (field) {
+                    getInputEl(field).focus();
+                }
+            });
+
+            return item;
+        }),
+        ...fixed.map((finding) => {
+            const item = document.createElement("li");
+
+            item.textContent = `Loaded image: ${describeLintFinding(finding)}\nFixed by the rebuild.`;
+
+            return item;
+        }),
+    );
+}
+
+/**
+ * Lint the images of the loaded file as they would be downloaded: the selected image with the current edits,
+ * the others as last committed.
+ * @param {ParsedImage} parsed selected image
+ * @returns {LintFinding[][]} findings per bundle image
+ */
+function lintDraftBundle(parsed) {
+    const { header, raw } = rebuildFromForm(parsed);
+    const draft = { header, elements: parseElements(raw, header), raw, stack: parsed.stack };
+
+    return state.bundle.map((entry, index) => lintImage(index === state.selectedImage ? draft : entry.parsed));
+}
+
+/**
+ * Refuse a download while lint errors remain, unless the override is ticked; the status names the first error.
+ * @param {{source: string, findings: LintFinding[]}[]} results findings per image, `source` prefixes their description
+ * @param {HTMLInputElement} override
+ * @returns {boolean} whether the download is blocked
+ */
+function isDownloadBlocked(results, override) {
+    const errors = results.flatMap(({ source, findings }) =>
+        findings.filter((finding) => finding.severity === "error").map((finding) => `${source}${describeLintFinding(finding)}`),
+    );
+
+    if (!errors.length || override.checked) {
+        return false;
+    }
+
+    setStatus(
+        `Download blocked by ${errors.length} lint error${errors.length === 1 ? "" : "s"}: ${errors.join("; ")}. Fix ${
+            errors.length === 1 ? "it" : "them"
+        } or tick "Download despite lint errors".`,
+    );
+
+    return true;
+}
+
+/**
+ * Show whether the Image Integrity Code matches, for the loaded image and for the current edits.
+ * @param {boolean | undefined} draftValid whether the code matches the image rebuilt from the current form values
+ */
+function renderIntegrityStatus(draftValid) {
+    const loaded = state.parsedIntegrity;
 
-    for (const element of elements) {
-        if (PROTECTION_TAG_IDS.has(element.tagID) && !matched.includes(element.tagID)) {
-            matched.push(element.tagID);
-        }
+    if (!loaded || draftValid === undefined) {
+        integrityStatus.classList.add("hidden");
+
+        return;
     }
 
-    return matched;
+    const loadedText = loaded.valid ? "matches" : `does not match (stored ${formatHex(loaded.stored)}, computed ${formatHex(loaded.computed)})`;
+    const draftText = draftValid
+        ? "matches"
+        : recomputeIntegrityInput.checked
+          ? "will be regenerated on download"
+          : 'is stale, enable "Recompute integrity code on download" to regenerate it';
+
+    integrityStatus.textContent = `Image Integrity Code (0x0003): loaded image ${loadedText}. With current edits it ${draftText}.`;
+    integrityStatus.classList.toggle("bad", !draftValid && !recomputeIntegrityInput.checked);
+    integrityStatus.classList.remove("hidden");
 }
 
 /**
- * Show or hide the protection warning banner.
- * @param {ImageElement[]} elements
+ * Compare the edited header file version with the version embedded in the firmware, offering to align it on mismatch.
+ * @param {number} fileVersion file version of the current form values
  */
-function renderProtectionWarning(elements) {
-    const tags = detectProtectionTags(elements);
+function renderVersionCheck(fileVersion) {
+    if (!state.parsed) {
+        versionCheckBox.classList.add("hidden");
 
-    if (!tags.length) {
-        protectionWarning.classList.add("hidden");
         return;
     }
 
-    const readableTags = tags.map((tag) => {
-        if (tag === TELINK_AES_TAG_ID) {
-            return "Telink AES encryption (0xf000)";
-        }
-
-        const label = ZIGBEE_SPEC_TAGS[tag] ?? "Protected tag";
-
-        return `${label} (${formatTagId(tag)})`;
-    });
+    const check = checkFileVersion(fileVersion, state.parsed.elements);
 
-    protectionWarningBody.textContent = `This image includes signature, integrity, or encryption data: ${readableTags.join(", ")}. Editing header fields may invalidate these checks and the device could reject the image.`;
-    protectionWarning.classList.remove("hidden");
+    versionCheckText.textContent = check.aligned === undefined ? `Firmware: ${describeVersionCheck(check)}.` : `Firmware: ${describeVersionCheck(check)} (${formatVersionDescriptor(check.aligned)}). The device will keep re-downloading this image.`;
+    versionCheckBox.classList.toggle("bad", check.matches === false);
+    versionCheckBox.classList.toggle("hidden", !check.embedded);
+    alignVersionBtn.classList.toggle("hidden", check.aligned === undefined);
 }
 
 /**
- * Parse a raw OTA image.
- * @param {ArrayBuffer} buffer
- * @returns {ParsedImage}
+ * Verify the ECDSA signatures of the current image against the CA public key entered by the user.
  */
-function parseImage(buffer) {
-    // find the actual start of OTA data (might have padding before/after)
-    const otaStartIndex = findSubarray(new Uint8Array(buffer), UPGRADE_FILE_IDENTIFIER);
-    assert(otaStartIndex !== -1, "Invalid OTA file");
+function verifyParsedSignatures() {
+    const caPublicKey = parseHexBlob(caPublicKeyInput.value);
 
-    // slice buffer from the OTA start if there's padding
-    const otaBuffer = otaStartIndex > 0 ? buffer.slice(otaStartIndex) : buffer;
-    const header = parseImageHeader(otaBuffer);
-    const elements = parseElements(otaBuffer, header);
-    const raw = otaBuffer.slice(0, header.totalImageSize);
-    const stack = identifyImageZigbeeStack(elements);
-
-    return { header, elements, raw, stack };
+    state.parsedSignatures = state.parsed
+        ? getImageSignatures(state.parsed).map((signature) => ({ signature, verification: verifyImageSignature(signature, caPublicKey) }))
+        : [];
 }
 
 /**
- * Parse only the header portion of the image.
- * @param {ArrayBuffer} buffer
- * @returns {ImageHeader}
+ * List each signature element with its certificate, its verification result for the loaded image,
+ * and whether the current edits change the bytes it covers.
+ * @param {ZigbeeSignature[]} draft signatures of the image rebuilt from the current form values
  */
-function parseImageHeader(buffer) {
-    const view = new DataView(buffer);
-    assert(buffer.byteLength >= OTA_HEADER_MIN_LENGTH, "Buffer too small to contain header");
-
-    const otaUpgradeFileIdentifier = new Uint8Array(buffer.slice(0, 4));
-    const otaHeaderVersion = view.getUint16(4, true);
-    const otaHeaderLength = view.getUint16(6, true);
-    const otaHeaderFieldControl = view.getUint16(8, true);
-    const manufacturerCode = view.getUint16(10, true);
-    const imageType = view.getUint16(12, true);
-    const fileVersion = view.getUint32(14, true);
-    const zigbeeStackVersion = view.getUint16(18, true);
-    const otaHeaderString = decodeFixedString(buffer, 20, 52);
-    const totalImageSize = view.getUint32(52, true);
+function renderSignatureStatus(draft) {
+    signatureStatus.classList.toggle("hidden", !state.parsedSignatures.length);
+    signatureList.replaceChildren(
+        ...state.parsedSignatures.map(({ signature, verification }) => {
+            const { certificate } = signature;
+            const item = document.createElement("li");
+            const edited = draft.find((candidate) => candidate.elementIndex === signature.elementIndex);
+            const invalidated =
+                !edited || edited.signedBytes.length !== signature.signedBytes.length || !bytesEqualsAt(edited.signedBytes, signature.signedBytes, 0);
+            const lines = [`Element #${signature.elementIndex} ${formatTagLabel(signature.suite === 1 ? 0x0001 : 0x0005)}, signer ${formatIeeeAddress(signature.signer.slice().reverse())}`];
+
+            if (certificate) {
+                const validity = certificate.validFrom
+                    ? `, valid from ${certificate.validFrom.toISOString()} ${certificate.validTo ? `to ${certificate.validTo.toISOString()}` : "with no expiry"}`
+                    : "";
+                const usage = certificate.keyUsage === undefined ? "" : `, key usage ${formatKeyUsage(certificate.keyUsage)}`;
+
+                lines.push(`Certificate: subject ${formatIeeeAddress(certificate.subject)}, issuer ${formatIeeeAddress(certificate.issuer)}${validity}${usage}`);
+
+                if (!signature.signerMatchesSubject) {
+                    lines.push("Signer address differs from the certificate subject.");
+                }
+            }
 
-    let headerPos = OTA_HEADER_MIN_LENGTH;
-    /** @type {number | undefined} */
-    let securityCredentialVersion;
-    /** @type {Uint8Array<ArrayBuffer> | undefined} */
-    let upgradeFileDestination;
-    /** @type {number | undefined} */
-    let minimumHardwareVersion;
-    /** @type {number | undefined} */
-    let maximumHardwareVersion;
+            lines.push(
+                verification.valid === undefined
+                    ? `Loaded image: not verified (${verification.reason}).`
+                    : verification.valid
+                      ? "Loaded image: signature valid."
+                      : `Loaded image: signature INVALID (${verification.reason}).`,
+                invalidated ? "Current edits change the signed bytes: the signature is INVALIDATED and must be re-issued by the signer." : "Current edits keep the signed bytes unchanged.",
+            );
 
-    if (otaHeaderFieldControl & 0x0001) {
-        assert(headerPos + 1 <= buffer.byteLength, "Unexpected end of buffer while reading securityCredentialVersion");
+            item.textContent = lines.join("\n");
+            item.classList.toggle("bad", invalidated || verification.valid === false);
 
-        securityCredentialVersion = view.getUint8(headerPos);
-        headerPos += 1;
-    }
+            return item;
+        }),
+    );
+}
 
-    if (otaHeaderFieldControl & 0x0002) {
-        assert(headerPos + 8 <= buffer.byteLength, "Unexpected end of buffer while reading upgradeFileDestination");
+/**
+ * Render the structure tree from the current layout.
+ */
+function renderStructure() {
+    /**
+     * @param {LayoutNode} node
+     * @param {string} parentPath
+     * @returns {HTMLElement}
+     */
+    const build = (node, parentPath) => {
+        const path = parentPath ? `${parentPath}/${node.label}` : node.label;
+        const label = document.createElement(node.children.length ? "summary" : "div");
+        label.className = path === selectedStructurePath ? "tree-node selected" : "tree-node";
+        label.dataset.path = path;
+        label.dataset.start = String(node.start);
+        label.dataset.end = String(node.end);
+        label.textContent = `${node.label}${node.value === undefined ? "" : `: ${node.value}`}`;
+        const range = document.createElement("span");
+        range.className = "tree-range";
+        range.textContent = `0x${node.start.toString(16)}–0x${node.end.toString(16)}`;
+
+        label.appendChild(range);
+
+        if (!node.children.length) {
+            return label;
+        }
 
-        upgradeFileDestination = new Uint8Array(buffer.slice(headerPos, headerPos + 8));
-        headerPos += 8;
-    }
+        const details = document.createElement("details");
+        details.dataset.path = path;
+        details.open = openStructurePaths.has(path);
 
-    if (otaHeaderFieldControl & 0x0004) {
-        assert(headerPos + 4 <= buffer.byteLength, "Unexpected end of buffer while reading hardware versions");
+        details.appendChild(label);
 
-        minimumHardwareVersion = view.getUint16(headerPos, true);
-        maximumHardwareVersion = view.getUint16(headerPos + 2, true);
-    }
+        for (const child of node.children) {
+            details.appendChild(build(child, path));
+        }
 
-    return {
-        otaUpgradeFileIdentifier,
-        otaHeaderVersion,
-        otaHeaderLength,
-        otaHeaderFieldControl,
-        manufacturerCode,
-        imageType,
-        fileVersion,
-        zigbeeStackVersion,
-        otaHeaderString,
-        totalImageSize,
-        securityCredentialVersion,
-        upgradeFileDestination,
-        minimumHardwareVersion,
-        maximumHardwareVersion,
+        return details;
     };
+
+    structureTree.replaceChildren(...currentLayout.map((node) => build(node, "")));
 }
 
 /**
- * Parse image elements following the header.
- * @param {ArrayBuffer} buffer
- * @param {ImageHeader} header
- * @returns {ImageElement[]}
+ * Select a structure node and highlight its bytes.
+ * @param {string} path
+ * @param {number} start
+ * @param {number} end
  */
-function parseElements(buffer, header) {
-    const bytes = new Uint8Array(buffer);
-    const elements = [];
-    let position = header.otaHeaderLength;
-    const limit = Math.min(header.totalImageSize, bytes.length);
-
-    while (position + 6 <= limit) {
-        const [element, elementOffset] = parseSubElement(bytes, position);
-
-        elements.push(element);
+function selectStructureNode(path, start, end) {
+    selectedStructurePath = path;
 
-        position += element.length + elementOffset;
+    for (const el of structureTree.querySelectorAll(".tree-node")) {
+        el.classList.toggle("selected", /** @type {HTMLElement} */ (el).dataset.path === path);
     }
 
-    return elements;
+    hexViewer.select(start, end);
 }
 
 /**
- * Parse a single OTA element.
- * @param {Uint8Array} bytes
- * @param {number} position
- * @returns {[ImageElement, number]}
+ * Select the innermost structure node containing a byte offset, expanding its ancestors.
+ * @param {number} offset
  */
-function parseSubElement(bytes, position) {
-    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-    const tagID = view.getUint16(position, true);
-    const length = view.getUint32(position + 2, true);
+function selectStructureAt(offset) {
+    let nodes = currentLayout;
+    let path = "";
+    /** @type {LayoutNode | undefined} */
+    let match;
 
-    if (tagID === TELINK_AES_TAG_ID) {
-        // OTA_FLAG_IMAGE_ELEM_INFO1 (1-byte) + OTA_FLAG_IMAGE_ELEM_INFO2 (1-byte)
-        const tagMeta = bytes.slice(position + 6, position + 8);
-        const data = bytes.slice(position + 8, position + 8 + length);
+    for (;;) {
+        const node = nodes.find((candidate) => offset >= candidate.start && offset < candidate.end);
 
-        return [{ tagID, length, tagMeta, data }, 8];
-    }
+        if (!node) {
+            break;
+        }
 
-    const data = bytes.slice(position + 6, position + 6 + length);
+        match = node;
+        path = path ? `${path}/${node.label}` : node.label;
 
-    return [{ tagID, length, tagMeta: undefined, data }, 6];
-}
+        if (!node.children.length) {
+            break;
+        }
 
-/**
- * Generate index metadata for the image.
- * @param {ParsedImage} image
- * @returns {Promise<IndexMetadata>}
- */
-async function buildIndexMetadata(image) {
-    const sha512 = await computeSHA512(image.raw);
+        openStructurePaths.add(path);
 
-    return {
-        fileName: state.fileName,
-        fileVersion: image.header.fileVersion,
-        fileSize: image.header.totalImageSize,
-        url: `./${state.fileName}`,
-        imageType: image.header.imageType,
-        manufacturerCode: image.header.manufacturerCode,
-        sha512,
-        otaHeaderString: image.header.otaHeaderString.replaceAll("\u0000", ""),
-    };
-}
+        nodes = node.children;
+    }
 
-/**
- * Compute SHA-512 hex string for an ArrayBuffer using Web Crypto.
- * @param {ArrayBuffer} buffer
- * @returns {Promise<string>}
- */
-async function computeSHA512(buffer) {
-    if (!crypto?.subtle) {
-        throw new Error("Web Crypto API not available");
+    if (!match) {
+        hexViewer.select(offset, offset + 1, false);
+
+        return;
     }
 
-    const hashBuffer = await crypto.subtle.digest("SHA-512", buffer);
+    selectedStructurePath = path;
 
-    return arrayBufferToHex(hashBuffer);
+    renderStructure();
+    hexViewer.select(match.start, match.end, false);
+    structureTree.querySelector(".tree-node.selected")?.scrollIntoView({ block: "nearest" });
 }
 
 /**
- * Convert ArrayBuffer to hex string.
- * @param {ArrayBuffer} buffer
- * @returns {string}
+ * Read a File into an ArrayBuffer.
+ * @param {File} file
+ * @returns {Promise<ArrayBuffer>}
  */
-function arrayBufferToHex(buffer) {
-    const bytes = new Uint8Array(buffer);
+function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            if (reader.result instanceof ArrayBuffer) {
+                resolve(reader.result);
+            } else {
+                reject(new Error("Unexpected read result."));
+            }
+        };
+        reader.onerror = () => reject(reader.error ?? new Error("Unknown file read error."));
 
-    return Array.from(bytes)
-        .map((b) => b.toString(16).padStart(2, "0"))
-        .join("");
+        reader.readAsArrayBuffer(file);
+    });
 }
 
 /**
- * Normalize header fields that must be auto-computed.
- * @param {ImageHeader} header
- * @param {ArrayBuffer} raw
- * @returns {ImageHeader}
+ * Show or hide the protection warning banner, with the GBL signature status of signed GBL payloads
+ * and the decrypted contents of encrypted GBL/EBL payloads.
+ * @param {ImageElement[]} elements
  */
-function normalizeHeader(header, raw) {
-    const rawLength = raw.byteLength;
-    const sanitizedHeaderString = header.otaHeaderString.slice(0, 32);
-    const totalImageSize = clamp(header.totalImageSize || rawLength, OTA_HEADER_MIN_LENGTH, rawLength);
-    const hasSecurity = header.securityCredentialVersion !== undefined;
-    const upgradeFileDestination =
-        header.upgradeFileDestination && header.upgradeFileDestination.length > 0 ? header.upgradeFileDestination : undefined;
-    const hasUpgrade = !!upgradeFileDestination;
-
-    if (upgradeFileDestination) {
-        assert(upgradeFileDestination.length === 8, "upgradeFileDestination must be 8 bytes");
+function renderProtectionWarning(elements) {
+    const tags = detectProtectionTags(elements);
+    const signedGbls = elements.flatMap((element, index) => (isSignedGbl(element.data) ? [{ element, index }] : []));
+    const encrypted = elements.flatMap((element, index) => (isEncryptedPayload(element.data) ? [{ element, index }] : []));
+    const encryptedGbl = encrypted.some(({ element }) => isGbl(element.data));
+    const encryptedEbl = encrypted.some(({ element }) => !isGbl(element.data));
+    const run = ++gblVerificationRun;
+
+    gblSignatureTools.classList.toggle("hidden", !signedGbls.length);
+    gblSignatureList.classList.toggle("hidden", !signedGbls.length);
+    gblSignatureList.replaceChildren();
+    encryptionTools.classList.toggle("hidden", !encrypted.length);
+    encryptionList.classList.toggle("hidden", !encrypted.length);
+    encryptionList.replaceChildren();
+
+    if (!tags.length && !signedGbls.length && !encrypted.length) {
+        protectionWarning.classList.add("hidden");
+        return;
     }
 
-    const hasHwRange = header.minimumHardwareVersion !== undefined && header.maximumHardwareVersion !== undefined;
+    const labels = describeProtectionTags(tags);
 
-    let otaHeaderFieldControl = 0;
-    let otaHeaderLength = OTA_HEADER_MIN_LENGTH;
+    if (signedGbls.length) {
+        labels.push("GBL ECDSA-P256 signature");
+    }
 
-    if (hasSecurity) {
-        otaHeaderFieldControl |= 0x0001;
-        otaHeaderLength += 1;
+    if (encryptedGbl) {
+        labels.push("GBL AES-CCM encryption");
     }
 
-    if (hasUpgrade) {
-        otaHeaderFieldControl |= 0x0002;
-        otaHeaderLength += 8;
+    if (encryptedEbl) {
+        labels.push("EBL AES-CCM encryption");
     }
 
-    if (hasHwRange) {
-        otaHeaderFieldControl |= 0x0004;
-        otaHeaderLength += 4;
+    protectionWarningBody.textContent = `This image includes signature, integrity, or encryption data: ${labels.join(", ")}. Editing header fields may invalidate these checks and the device could reject the image.`;
+    protectionWarning.classList.remove("hidden");
+
+    for (const { element, index } of encrypted) {
+        const item = document.createElement("li");
+        const format = isGbl(element.data) ? "GBL" : "EBL";
+
+        try {
+            const decryption = decryptPayload(element.data);
+
+            item.textContent = `Encrypted ${format} in element #${index}: ${decryption.summary}${decryption.problems.length ? `; PROBLEMS: ${decryption.problems.join("; ")}` : ""}`;
+            item.classList.toggle("bad", decryption.problems.length > 0);
+        } catch (error) {
+            item.textContent = `Encrypted ${format} in element #${index}: ${gblKeys.encryptionKey ? `decryption failed. ${error}` : "load the encryption key below to inspect its contents"}`;
+            item.classList.toggle("bad", gblKeys.encryptionKey !== null);
+        }
+
+        encryptionList.appendChild(item);
     }
 
-    return {
-        ...header,
-        otaUpgradeFileIdentifier: header.otaUpgradeFileIdentifier || UPGRADE_FILE_IDENTIFIER,
-        otaHeaderVersion: header.otaHeaderVersion || 0x0100,
-        otaHeaderLength,
-        otaHeaderFieldControl,
-        otaHeaderString: sanitizedHeaderString,
-        totalImageSize,
-        securityCredentialVersion: hasSecurity ? header.securityCredentialVersion : undefined,
-        upgradeFileDestination: hasUpgrade ? upgradeFileDestination : undefined,
-        minimumHardwareVersion: hasHwRange ? header.minimumHardwareVersion : undefined,
-        maximumHardwareVersion: hasHwRange ? header.maximumHardwareVersion : undefined,
-    };
+    for (const { element, index } of signedGbls) {
+        const item = document.createElement("li");
+
+        item.textContent = `GBL in element #${index}: verifying…`;
+        gblSignatureList.appendChild(item);
+
+        verifyGblSignature(element.data, gblKeys.publicKey ?? undefined).then(
+            ({ valid, reason }) => {
+                if (run !== gblVerificationRun) {
+                    return;
+                }
+
+                item.textContent = `GBL in element #${index}: ${
+                    valid === undefined ? `signature not verified (${reason}, load the public key below)` : valid ? "signature valid" : `signature INVALID (${reason})`
+                }`;
+                item.classList.toggle("bad", valid === false);
+            },
+            (error) => {
+                console.error(error);
+                item.textContent = `GBL in element #${index}: verification failed. ${error}`;
+                item.classList.add("bad");
+            },
+        );
+    }
 }
 
 /**
- * Convert a numeric fileVersion into Zigbee release/build segments.
- * @param {number} version
- * @returns {{appRelease: string, appBuild: number, stackRelease: string, stackBuild: number}}
+ * Whether an element payload is an AES-CCM encrypted GBL or EBL file.
+ * @param {Uint8Array} data
+ * @returns {boolean}
  */
-function fileVersionToSegments(version) {
-    const unsigned = Number(version) >>> 0;
-    const versionString = unsigned.toString(16).padStart(8, "0");
-    const appRelease = `${versionString[0]}.${versionString[1]}`;
-    const appBuild = Number.parseInt(versionString.slice(2, 4), 16);
-    const stackRelease = `${versionString[4]}.${versionString[5]}`;
-    const stackBuild = Number.parseInt(versionString.slice(6), 16);
-
-    return { appRelease, appBuild, stackRelease, stackBuild };
+function isEncryptedPayload(data) {
+    return isGbl(data) ? ((parseGbl(data).type ?? 0) & GBL_TYPE_ENCRYPTION_AESCCM) !== 0 : isEncryptedEbl(data);
 }
 
 /**
- * Build a numeric version from Zigbee release/build segments.
- * @param {string} appRelease
- * @param {string} appBuild
- * @param {string} stackRelease
- * @param {string} stackBuild
- * @returns {number}
+ * Decrypt an encrypted GBL or EBL payload with the loaded encryption key. Throws without a key.
+ * @param {Uint8Array} data
+ * @returns {{file: Uint8Array, summary: string, problems: string[]}} `file` is the standalone plain GBL/EBL file
  */
-function segmentsToVersion(appRelease, appBuild, stackRelease, stackBuild) {
-    const appRelMatch = appRelease.match(/^([0-9A-Fa-f])\.([0-9A-Fa-f])$/);
-    const stackRelMatch = stackRelease.match(/^([0-9A-Fa-f])\.([0-9A-Fa-f])$/);
+function decryptPayload(data) {
+    if (!gblKeys.encryptionKey) {
+        throw new Error("No encryption key loaded");
+    }
 
-    if (!appRelMatch || !stackRelMatch) {
-        return Number.NaN;
+    if (isGbl(data)) {
+        const { file, decrypted, applicationVersion, problems } = decryptGbl(data, gblKeys.encryptionKey);
+        const inner = decrypted.tags.filter((tag) => tag.id !== GBL_TAG_ID_HEADER && tag.id !== GBL_TAG_ID_END);
+        const version = applicationVersion === undefined ? "no application tag" : `application version 0x${applicationVersion.toString(16).padStart(8, "0")}`;
+
+        return { file, summary: `decrypted, ${version}; ${summarizeTags(inner)}`, problems };
     }
 
-    const appBuildNum = Number(appBuild);
-    const stackBuildNum = Number(stackBuild);
+    const { file, decrypted, authentic, problems } = decryptEbl(data, gblKeys.encryptionKey);
+    const { header } = decrypted;
+    const version = header ? `EmberZNet ${formatEmberVersion(header.softwareVersion, header.softwareBuild)}` : "no header";
+    const applicationVersion = header?.customerApplicationVersion === undefined ? "" : `, application version 0x${header.customerApplicationVersion.toString(16).padStart(8, "0")}`;
+
+    return { file, summary: `decrypted, MAC ${authentic ? "valid" : "INVALID"}, ${version}${applicationVersion}; ${summarizeTags(decrypted.tags)}`, problems: [...problems, ...decrypted.problems] };
+}
+
+/**
+ * Encrypt a plain GBL or EBL file in place of an encrypted payload, re-signing GBL files when a signing key is loaded.
+ * @param {Uint8Array} plain
+ * @param {Uint8Array} template the encrypted payload being replaced
+ * @returns {Promise<{payload: Uint8Array, note: string}>}
+ */
+async function encryptPayload(plain, template) {
+    if (!gblKeys.encryptionKey) {
+        throw new Error("No encryption key loaded");
+    }
 
-    if (Number.isNaN(appBuildNum) || Number.isNaN(stackBuildNum)) {
-        return Number.NaN;
+    if (!isGbl(template)) {
+        return { payload: encryptEbl(plain, gblKeys.encryptionKey, template), note: "" };
     }
 
-    if (appBuildNum < 0 || appBuildNum > 255 || stackBuildNum < 0 || stackBuildNum > 255) {
-        return Number.NaN;
+    const payload = encryptGbl(plain, gblKeys.encryptionKey, template);
+
+    if (!isSignedGbl(payload)) {
+        return { payload, note: "" };
     }
 
-    const versionString = `${appRelMatch[1]}${appRelMatch[2]}${appBuildNum.toString(16).padStart(2, "0")}${stackRelMatch[1]}${stackRelMatch[2]}${stackBuildNum.toString(16).padStart(2, "0")}`;
+    if (!gblKeys.privateKey) {
+        return { payload, note: "The GBL is flagged as signed but has no signature yet: load the signing key and re-sign it." };
+    }
 
-    return Number.parseInt(versionString, 16);
+    return { payload: await signGbl(payload, gblKeys.privateKey), note: "Re-signed with the loaded signing key." };
 }
 
 /**
- * Human-friendly descriptor for file version.
- * @param {number} version
+ * Condense a tag list, grouping consecutive tags of the same kind (EBL files hold one program tag per flash page).
+ * @param {{name: string, length: number}[]} tags
  * @returns {string}
  */
-function formatVersionDescriptor(version) {
-    const seg = fileVersionToSegments(version);
+function summarizeTags(tags) {
+    /** @type {{name: string, count: number, bytes: number}[]} */
+    const groups = [];
+
+    for (const tag of tags) {
+        const last = groups.at(-1);
+
+        if (last?.name === tag.name) {
+            last.count += 1;
+            last.bytes += tag.length;
+        } else {
+            groups.push({ name: tag.name, count: 1, bytes: tag.length });
+        }
+    }
+
+    return groups.map(({ name, count, bytes }) => `${name}${count > 1 ? ` ×${count}` : ""} (${bytes} bytes)`).join(", ") || "no tags";
+}
+
+/**
+ * Whether an element payload is a GBL file flagged as signed or holding a signature tag.
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+function isSignedGbl(data) {
+    if (!isGbl(data)) {
+        return false;
+    }
+
+    const gbl = parseGbl(data);
 
-    return `App ${seg.appRelease} build ${seg.appBuild} | Stack ${seg.stackRelease} build ${seg.stackBuild}`;
+    return ((gbl.type ?? 0) & GBL_TYPE_SIGNATURE_ECDSA) !== 0 || gbl.tags.some((tag) => tag.id === GBL_TAG_ID_SIGNATURE_ECDSA_P256);
 }
 
 /**
@@ -715,6 +2218,37 @@ function setSegmentsFromVersion(version) {
     updateVersionHint(version);
 }
 
+/**
+ * Set the manufacturer code from the picker input, when it resolves to a single code.
+ */
+function applyManufacturerSearch() {
+    const code = parseManufacturerInput(manufacturerSearch.value);
+    const input = getInputEl("manufacturerCode");
+
+    if (code === undefined) {
+        if (manufacturerSearch.value.trim()) {
+            setStatus(`No single manufacturer matches "${manufacturerSearch.value.trim()}".`);
+        }
+
+        return;
+    }
+
+    if (input.value !== String(code)) {
+        input.value = String(code);
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+}
+
+/**
+ * Show the name of the manufacturer code input. The bundled table is partial, so a code without a name is not flagged.
+ */
+function renderManufacturerHint() {
+    const value = getInputEl("manufacturerCode").value;
+    const name = value === "" ? undefined : getManufacturerName(Number(value));
+
+    manufacturerCodeHint.textContent = value === "" ? "" : (name ?? "No name in the bundled table of common codes");
+}
+
 /**
  * Update hint text for the current version number.
  * @param {number} version
@@ -769,59 +2303,6 @@ function syncVersionUI(mode) {
     }
 }
 
-/**
- * Create a new binary with updated header data.
- * @param {ImageHeader} header
- * @param {ArrayBuffer} original
- * @returns {ArrayBuffer}
- */
-function serializeImage(header, original) {
-    const normalized = normalizeHeader(header, original);
-    const output = new Uint8Array(normalized.totalImageSize);
-    const source = new Uint8Array(original);
-    output.set(source.subarray(0, output.length));
-
-    const view = new DataView(output.buffer);
-
-    output.set(normalized.otaUpgradeFileIdentifier.slice(0, 4), 0);
-    view.setUint16(4, normalized.otaHeaderVersion, true);
-    view.setUint16(6, normalized.otaHeaderLength, true);
-    view.setUint16(8, normalized.otaHeaderFieldControl, true);
-    view.setUint16(10, normalized.manufacturerCode, true);
-    view.setUint16(12, normalized.imageType, true);
-    view.setUint32(14, normalized.fileVersion, true);
-    view.setUint16(18, normalized.zigbeeStackVersion, true);
-
-    const headerStringBytes = textEncoder.encode(normalized.otaHeaderString);
-    const paddedHeaderString = new Uint8Array(32);
-
-    paddedHeaderString.set(headerStringBytes.subarray(0, 32));
-    output.set(paddedHeaderString, 20);
-
-    view.setUint32(52, normalized.totalImageSize, true);
-
-    let headerPos = OTA_HEADER_MIN_LENGTH;
-
-    if (normalized.otaHeaderFieldControl & 0x0001) {
-        view.setUint8(headerPos, normalized.securityCredentialVersion ?? 0);
-
-        headerPos += 1;
-    }
-
-    if (normalized.otaHeaderFieldControl & 0x0002) {
-        output.set(normalized.upgradeFileDestination ?? new Uint8Array(8), headerPos);
-
-        headerPos += 8;
-    }
-
-    if (normalized.otaHeaderFieldControl & 0x0004) {
-        view.setUint16(headerPos, normalized.minimumHardwareVersion ?? 0, true);
-        view.setUint16(headerPos + 2, normalized.maximumHardwareVersion ?? 0, true);
-    }
-
-    return output.buffer;
-}
-
 /**
  * Render header data into the editable form.
  */
@@ -837,6 +2318,8 @@ function populateForm() {
     getInputEl("otaHeaderLength").value = String(header.otaHeaderLength);
     getInputEl("otaHeaderFieldControl").value = String(header.otaHeaderFieldControl);
     getInputEl("manufacturerCode").value = String(header.manufacturerCode);
+    manufacturerSearch.value = "";
+    renderManufacturerHint();
     getInputEl("imageType").value = String(header.imageType);
     getInputEl("fileVersion").value = String(header.fileVersion);
 
@@ -908,130 +2391,152 @@ function renderMetadata() {
         return;
     }
 
-    const { header, elements, stack } = state.parsed;
+    metadataBox.textContent = formatMetadata(state.parsed) + state.wrapperSummary;
+}
 
-    let content = `Identifier, ${formatHex(header.otaUpgradeFileIdentifier)}
-Header version: ${header.otaHeaderVersion}
-Header length: ${header.otaHeaderLength}
-Field control: ${header.otaHeaderFieldControl}
-Manufacturer code: ${header.manufacturerCode}
-Image type: ${header.imageType}
-File version: ${`${header.fileVersion} (${formatVersionDescriptor(header.fileVersion)})`}
-Zigbee stack version: ${header.zigbeeStackVersion}
-Header string: ${header.otaHeaderString}
-Total image size: ${header.totalImageSize}
-Security credential version: ${header.securityCredentialVersion ?? "—"}
-Upgrade file destination: ${header.upgradeFileDestination ? formatHex(header.upgradeFileDestination) : "—"}
-Min hardware version: ${header.minimumHardwareVersion ?? "—"}
-Max hardware version: ${header.maximumHardwareVersion ?? "—"}
-Identified stack: ${stack ?? "—"}
-Tags:`;
+/**
+ * Render the element table.
+ */
+function renderElements() {
+    elementsBody.replaceChildren();
 
-    for (const { tagID, length } of elements) {
-        content += `\n  - [${formatTagId(tagID)}] ${tagID >= 0xf000 ? "Manufacturer-specific" : (ZIGBEE_SPEC_TAGS[tagID] ?? "Unknown")} (length: ${length})`;
+    if (!state.parsed) {
+        return;
     }
 
-    metadataBox.textContent = content;
-}
+    const { elements } = state.parsed;
 
-/**
- * Trigger browser download for the rebuilt image.
- * @param {ArrayBuffer} buffer
- * @param {string} fileName
- */
-function triggerDownload(buffer, fileName) {
-    const blob = new Blob([buffer], { type: "application/octet-stream" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = fileName || "ota.bin";
+    elements.forEach((element, index) => {
+        const row = document.createElement("tr");
+        /** @type {(text: string, className?: string) => void} */
+        const cell = (text, className) => {
+            const td = document.createElement("td");
+            td.textContent = text;
 
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+            if (className) {
+                td.className = className;
+            }
+
+            row.appendChild(td);
+        };
+
+        cell(String(index));
+        cell(formatTagId(element.tagID), "mono");
+        cell(formatTagLabel(element.tagID));
+        cell(String(element.data.length));
+        cell(element.tagMeta ? formatHex(element.tagMeta) : "—", "mono");
+
+        const actions = document.createElement("td");
+        const group = document.createElement("div");
+        group.className = "row-actions";
+
+        /** @type {[string, string, boolean][]} */
+        const buttons = [
+            ["up", "Up", index === 0],
+            ["down", "Down", index === elements.length - 1],
+            ["replace", "Replace from file", false],
+            ["remove", "Remove", false],
+            ["save-payload", "Save payload", false],
+            ["save-element", "Save element with tag header", false],
+        ];
+
+        if (element.tagMeta) {
+            buttons.push(["save-info", "Save info bytes", false]);
+        }
+
+        if (isEncryptedPayload(element.data)) {
+            buttons.push(["save-decrypted", "Save decrypted", !gblKeys.encryptionKey], ["replace-encrypt", "Replace & encrypt", !gblKeys.encryptionKey]);
+        }
+
+        for (const [action, label, disabled] of buttons) {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = label;
+            button.disabled = disabled;
+            button.dataset.action = action;
+            button.dataset.index = String(index);
+
+            group.appendChild(button);
+        }
+
+        actions.appendChild(group);
+        row.appendChild(actions);
+        elementsBody.appendChild(row);
+    });
 }
 
 /**
- * Format an OTA tag identifier as hex.
- * @param {number} tagId
- * @returns {string}
+ * Bytes to export for an element.
+ * @param {ImageElement} element
+ * @param {"payload" | "element" | "info"} kind
+ * @returns {Uint8Array}
  */
-function formatTagId(tagId) {
-    return `0x${tagId.toString(16).padStart(4, "0")}`;
+function getElementExport(element, kind) {
+    switch (kind) {
+        case "element": {
+            return serializeElement(element);
+        }
+        case "info": {
+            return element.tagMeta ?? new Uint8Array(0);
+        }
+        default: {
+            return element.data;
+        }
+    }
 }
 
 /**
- * Convert bytes to spaced hex string.
- * @param {Uint8Array} bytes
- * @returns {string}
+ * Toggle the add-element controls.
+ * @param {boolean} disabled
  */
-function formatHex(bytes) {
-    return Array.from(bytes)
-        .map((b) => b.toString(16).padStart(2, "0"))
-        .join(" ");
+function setElementControlsDisabled(disabled) {
+    newElementTag.disabled = disabled;
+    newElementMeta.disabled = disabled;
+    elementAddInput.disabled = disabled;
+    saveAllElementsBtn.disabled = disabled;
 }
 
 /**
- * Parse a hex string into bytes.
+ * Parse a tag ID typed as hex, with or without the 0x prefix.
  * @param {string} value
- * @returns {Uint8Array | undefined}
+ * @returns {number}
  */
-function parseHexInput(value) {
-    const clean = value.trim();
+function parseTagIdInput(value) {
+    const clean = value.trim().replace(/^0x/i, "");
+    const tagID = /^[0-9a-f]{1,4}$/i.test(clean) ? Number.parseInt(clean, 16) : Number.NaN;
 
-    if (!clean) {
-        return undefined;
+    if (Number.isNaN(tagID)) {
+        throw new Error("Tag ID must be a hex value between 0x0000 and 0xffff");
     }
 
-    const parts = clean.split(/\s+/).filter(Boolean);
-    const bytes = parts.map((p) => Number.parseInt(p, 16)).filter((n) => !Number.isNaN(n));
-
-    return bytes.length ? new Uint8Array(bytes) : undefined;
+    return tagID;
 }
 
 /**
- * Update footer status text.
- * @param {string} message
- */
-function setStatus(message) {
-    statusEl.textContent = message;
-}
-
-/**
- * Decode a fixed-width UTF-8 string, trimming null bytes.
+ * Trigger browser download for the rebuilt image.
  * @param {ArrayBuffer | Uint8Array} buffer
- * @param {number} start
- * @param {number} end
- * @returns {string}
+ * @param {string} fileName
+ * @param {string} [type]
  */
-function decodeFixedString(buffer, start, end) {
-    const source = buffer instanceof ArrayBuffer ? buffer : buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
-    const slice = source.slice(start, end);
-
-    return textDecoder.decode(slice).replace(/\0+$/g, "").trimEnd();
-}
+function triggerDownload(buffer, fileName, type = "application/octet-stream") {
+    const blob = new Blob([/** @type {BlobPart} */ (buffer)], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = fileName || "ota.bin";
 
-/**
- * Clamp a numeric value between min and max.
- * @param {number} value
- * @param {number} min
- * @param {number} max
- * @returns {number}
- */
-function clamp(value, min, max) {
-    return Math.min(Math.max(value, min), max);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 }
 
 /**
- * Throw if condition is false.
- * @param {boolean} condition
+ * Update footer status text.
  * @param {string} message
  */
-function assert(condition, message) {
-    if (!condition) {
-        throw new Error(message);
-    }
+function setStatus(message) {
+    statusEl.textContent = message;
 }
 
 /**
@@ -1060,65 +2565,6 @@ function getInputEl(id) {
     return getEl(id);
 }
 
-/**
- * Check if a byte buffer starts with a prefix.
- * @param {Uint8Array} haystack
- * @param {Uint8Array} needle
- */
-function bytesStartsWith(haystack, needle) {
-    if (needle.length > haystack.length) {
-        return false;
-    }
-
-    for (let i = 0; i < needle.length; i += 1) {
-        if (haystack[i] !== needle[i]) {
-            return false;
-        }
-    }
-
-    return true;
-}
-
-/**
- * Find a subarray inside a byte buffer.
- * @param {Uint8Array} haystack
- * @param {Uint8Array} needle
- * @returns {number}
- */
-function findSubarray(haystack, needle) {
-    if (!needle.length) {
-        return 0;
-    }
-
-    for (let i = 0; i <= haystack.length - needle.length; i += 1) {
-        if (bytesEqualsAt(haystack, needle, i)) {
-            return i;
-        }
-    }
-
-    return -1;
-}
-
-/**
- * Compare a segment of a haystack with a needle.
- * @param {Uint8Array} haystack
- * @param {Uint8Array} needle
- * @param {number} offset
- */
-function bytesEqualsAt(haystack, needle, offset) {
-    if (offset < 0 || offset + needle.length > haystack.length) {
-        return false;
-    }
-
-    for (let i = 0; i < needle.length; i += 1) {
-        if (haystack[offset + i] !== needle[i]) {
-            return false;
-        }
-    }
-
-    return true;
-}
-
 /**
  * Reset state
  */
@@ -1129,6 +2575,14 @@ function resetState() {
 
     state.fileName = "ota.bin";
     state.parsed = null;
+    state.parsedIntegrity = undefined;
+    state.parsedSignatures = [];
+    state.bundle = [];
+    state.selectedImage = 0;
+    state.wrapper = null;
+    state.wrapperSummary = "";
+    pendingReplaceIndex = null;
+    pendingReplaceEncrypt = false;
 
     indexJson.value = "";
     metadataBox.textContent = "";
@@ -1138,6 +2592,8 @@ function resetState() {
     getInputEl("otaHeaderLength").value = "";
     getInputEl("otaHeaderFieldControl").value = "";
     getInputEl("manufacturerCode").value = "";
+    manufacturerSearch.value = "";
+    renderManufacturerHint();
     getInputEl("imageType").value = "";
     getInputEl("fileVersion").value = "";
 
@@ -1161,8 +2617,51 @@ function resetState() {
     protectionWarningBody.textContent = "";
 
     protectionWarning.classList.add("hidden");
+    gblSignatureList.replaceChildren();
+    gblSignatureTools.classList.add("hidden");
+    encryptionList.replaceChildren();
+    encryptionTools.classList.add("hidden");
+    gblVerificationRun += 1;
+
+    renderElements();
+    setElementControlsDisabled(true);
+
+    currentLayout = [];
+    previewSource = null;
+    integrityCache = null;
+    selectedStructurePath = null;
+
+    structureTree.replaceChildren();
+    hexViewer.clear();
+    renderImagePicker();
+    wrapperOptions.classList.add("hidden");
+    integrityStatus.classList.add("hidden");
+    signatureStatus.classList.add("hidden");
+    lintStatus.classList.add("hidden");
+    lintList.replaceChildren();
+    lintOverrideInput.checked = false;
+    versionCheckBox.classList.add("hidden");
+    compareInput.disabled = true;
+    compareSummary.classList.add("hidden");
+    compareResult.classList.add("hidden");
+    exportDownloadBtn.disabled = true;
+    exportSidecarBtn.disabled = true;
+    renderIndexMerge(undefined);
+    renderExportHint();
+    clearBatch();
 }
 
 // Initialize placeholders.
+exportTargetSelect.replaceChildren(
+    ...EXPORT_TARGETS.map(({ id, label }) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = label;
+
+        return option;
+    }),
+);
+exportTemplateInput.value = EXPORT_TARGETS[0].template;
+renderExportHint();
 syncVersionUI(getVersionMode());
 setStatus("Waiting for file...");
@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { aesCcmCrypt, aesCcmTag, aesMmoHash, createAesEncryptor } from "../lib/aes.js";
+import { fromHex } from "./fixtures.js";
+
+describe("AES block encryption", () => {
+    // FIPS-197 Appendix C: the same plaintext under 128, 192 and 256-bit keys 00 01 02 ...
+    const plaintext = fromHex("00112233445566778899aabbccddeeff");
+    const vectors = [
+        { bits: 128, ciphertext: "69c4e0d86a7b0430d8cdb78070b4c55a" },
+        { bits: 192, ciphertext: "dda97ca4864cdfe06eaf70a0ec0d7191" },
+        { bits: 256, ciphertext: "8ea2b7ca516745bfeafc49904b496089" },
+    ];
+
+    for (const { bits, ciphertext } of vectors) {
+        it(`matches the FIPS-197 AES-${bits} example`, () => {
+            const key = Uint8Array.from({ length: bits / 8 }, (_, index) => index);
+
+            assert.deepEqual(createAesEncryptor(key)(plaintext), fromHex(ciphertext));
+        });
+    }
+
+    it("rejects other key lengths", () => {
+        assert.throws(() => createAesEncryptor(new Uint8Array(15)), /16, 24 or 32 bytes/);
+    });
+});
+
+describe("aesMmoHash", () => {
+    // Zigbee specification, AES-MMO hash test vectors
+    it("hashes a single byte", () => {
+        assert.deepEqual(aesMmoHash(fromHex("c0")), fromHex("ae3a102a28d43ee0d4a09e22788b206c"));
+    });
+
+    it("hashes a whole block, padding into a second one", () => {
+        assert.deepEqual(aesMmoHash(fromHex("c0c1c2c3c4c5c6c7c8c9cacbcccdcecf")), fromHex("a7977e88bc0b61e8210827109a228f2d"));
+    });
+
+    it("hashes the concatenation of its parts", () => {
+        assert.deepEqual(aesMmoHash(fromHex("c0c1c2"), new Uint8Array(0), fromHex("c3c4c5c6c7c8c9cacbcccdcecf")), fromHex("a7977e88bc0b61e8210827109a228f2d"));
+    });
+});
+
+describe("AES-CCM", () => {
+    // RFC 3610 packet vector #1: 8 bytes of associated data, 23 bytes of payload, 8-byte MAC
+    const key = fromHex("c0c1c2c3c4c5c6c7c8c9cacbcccdcecf");
+    const nonce = fromHex("00000003020100a0a1a2a3a4a5");
+    const associatedData = fromHex("0001020304050607");
+    const payload = fromHex("08090a0b0c0d0e0f101112131415161718191a1b1c1d1e");
+    const ciphertext = fromHex("588c979a61c663d2f066d0c2c0f989806d5f6b61dac384");
+
+    it("encrypts and decrypts the RFC 3610 packet vector #1 payload", () => {
+        assert.deepEqual(aesCcmCrypt(key, nonce, payload), ciphertext);
+        assert.deepEqual(aesCcmCrypt(key, nonce, ciphertext), payload);
+    });
+
+    it("computes its authentication value", () => {
+        assert.deepEqual(aesCcmTag(key, nonce, payload, associatedData, 8), fromHex("17e8d12cfdf926e0"));
+    });
+});
@@ -0,0 +1,163 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { createHash } from "node:crypto";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { UPGRADE_IMAGE_TAG_ID, buildImage, createElement, parseImage } from "../lib/ota.js";
+import { createHeader, createImageWith, createImageWithTrailingBytes } from "./fixtures.js";
+
+const CLI = fileURLToPath(new URL("../bin/ota.mjs", import.meta.url));
+
+/**
+ * Run the CLI.
+ * @param {string[]} args
+ * @returns {{status: number | null, stdout: string, stderr: string}}
+ */
+function ota(...args) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 30000 });
+
+    return { status, stdout, stderr };
+}
+
+describe("ota CLI exit codes", () => {
+    let dir = "";
+    let plain = "";
+    let protectedImage = "";
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "ota-cli-"));
+        plain = join(dir, "plain.ota");
+        protectedImage = join(dir, "protected.ota");
+
+        await writeFile(plain, new Uint8Array(createImageWith([new Uint8Array(16)])));
+        await writeFile(
+            protectedImage,
+            // Image Integrity Code (0x0003) element
+            new Uint8Array(buildImage(createHeader(), [createElement(UPGRADE_IMAGE_TAG_ID, new Uint8Array(16)), createElement(0x0003, new Uint8Array(16))])),
+        );
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("exits 0 on success", async () => {
+        const output = join(dir, "edited.ota");
+
+        assert.equal(ota("inspect", plain, "--json").status, 0);
+        assert.equal(ota("edit", plain, "--output", output, "--file-version", "0x01020305").status, 0);
+        assert.equal(parseImage((await readFile(output)).buffer).header.fileVersion, 0x01020305);
+    });
+
+    it("exits 1 on usage and parse errors", () => {
+        assert.equal(ota().status, 1);
+        assert.equal(ota("inspect").status, 1);
+        assert.equal(ota("frobnicate", plain).status, 1);
+        assert.equal(ota("edit", plain).status, 1);
+        assert.equal(ota("inspect", CLI).status, 1);
+        assert.equal(ota("inspect", join(dir, "missing.ota")).status, 1);
+    });
+
+    it("exits 2 on protection tags unless --force is given", () => {
+        const output = join(dir, "protected-edited.ota");
+
+        assert.equal(ota("inspect", protectedImage).status, 2);
+        assert.equal(ota("edit", protectedImage, "--output", output, "--image-type", "2").status, 2);
+        assert.equal(ota("inspect", protectedImage, "--force").status, 0);
+        assert.equal(ota("edit", protectedImage, "--output", output, "--image-type", "2", "--force").status, 0);
+    });
+
+    it("exits 3 on lint errors in the edited image unless --ignore-lint is given", () => {
+        const output = join(dir, "lint.ota");
+        const result = ota("edit", plain, "--output", output, "--min-hw", "5", "--max-hw", "2");
+
+        assert.equal(result.status, 3);
+        assert.match(result.stderr, /hardware-version-range/);
+        assert.equal(ota("edit", plain, "--output", output, "--min-hw", "5", "--max-hw", "2", "--ignore-lint").status, 0);
+    });
+});
+
+describe("ota edit", () => {
+    let dir = "";
+    let plain = "";
+    let trailing = "";
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "ota-cli-"));
+        plain = join(dir, "plain.ota");
+        trailing = join(dir, "trailing.ota");
+
+        await writeFile(plain, new Uint8Array(createImageWith([new Uint8Array(16)], { minimumHardwareVersion: 1, maximumHardwareVersion: 2 })));
+        await writeFile(trailing, new Uint8Array(createImageWithTrailingBytes(new Uint8Array([1, 2, 3, 4]))));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("writes the file unchanged without header options", async () => {
+        const output = join(dir, "unchanged.ota");
+
+        assert.equal(ota("edit", plain, "--output", output).status, 0);
+        assert.deepEqual(await readFile(output), await readFile(plain));
+
+        const result = ota("edit", trailing, "--output", output);
+
+        // the kept bytes are reported, not dropped
+        assert.equal(result.status, 3);
+        assert.match(result.stderr, /trailing-bytes/);
+        assert.equal(ota("edit", trailing, "--output", output, "--ignore-lint").status, 0);
+        assert.deepEqual(await readFile(output), await readFile(trailing));
+    });
+
+    it("keeps the bytes after the last element when the header length changes", async () => {
+        const output = join(dir, "range.ota");
+
+        assert.equal(ota("edit", trailing, "--output", output, "--min-hw", "1", "--max-hw", "2", "--ignore-lint").status, 0);
+
+        const source = await readFile(trailing);
+        const edited = parseImage((await readFile(output)).buffer);
+
+        assert.equal(edited.header.otaHeaderLength, 60);
+        assert.equal(edited.header.totalImageSize, source.length + 4);
+        assert.deepEqual(new Uint8Array(edited.raw).subarray(-4), new Uint8Array([1, 2, 3, 4]));
+    });
+});
+
+describe("ota index", () => {
+    let dir = "";
+    let wrapped = "";
+    const image = new Uint8Array(createImageWith([new Uint8Array(16)]));
+
+    before(async () => {
+        dir = await mkdtemp(join(tmpdir(), "ota-cli-"));
+        wrapped = join(dir, "wrapped.ota");
+
+        await writeFile(wrapped, Buffer.concat([new Uint8Array(16).fill(0xee), image, new Uint8Array(10).fill(0xff)]));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it("hashes and sizes the whole file, wrapper bytes included", async () => {
+        const file = await readFile(wrapped);
+        const result = ota("index", wrapped);
+        const entry = JSON.parse(result.stdout);
+
+        assert.equal(result.status, 0);
+        assert.equal(entry.fileSize, file.length);
+        assert.equal(entry.sha512, createHash("sha512").update(file).digest("hex"));
+    });
+
+    it("hashes and sizes the image alone with --strip-wrapper", () => {
+        const entry = JSON.parse(ota("index", wrapped, "--strip-wrapper").stdout);
+
+        assert.equal(entry.fileSize, image.length);
+        assert.equal(entry.sha512, createHash("sha512").update(image).digest("hex"));
+    });
+});
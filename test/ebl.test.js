@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import { createCipheriv } from "node:crypto";
+import { describe, it } from "node:test";
+
+import { crc32 } from "../lib/crc32.js";
+import {
+    EBL_TAG_ID_END,
+    EBL_TAG_ID_ENC_EBL_DATA,
+    EBL_TAG_ID_ENC_HEADER,
+    EBL_TAG_ID_ENC_INIT,
+    EBL_TAG_ID_ENC_MAC,
+    EBL_TAG_ID_HEADER,
+    EBL_TAG_ID_PROG,
+    decryptEbl,
+    describeEbl,
+    encryptEbl,
+    getEblMicroName,
+    isEbl,
+    parseEbl,
+} from "../lib/ebl.js";
+import { bytesWith, createEbl, createEblTags, fromHex } from "./fixtures.js";
+
+const PROGRAM = bytesWith(40, [
+    [0, [0x08, 0x00, 0x20, 0x00]],
+    [4, "firmware"],
+]);
+
+describe("parseEbl", () => {
+    const ebl = createEbl([[EBL_TAG_ID_PROG, PROGRAM]]);
+
+    it("decodes the header AAT and validates the end-tag CRC-32", () => {
+        const parsed = parseEbl(ebl);
+
+        assert.equal(isEbl(ebl), true);
+        assert.deepEqual(
+            parsed.tags.map((tag) => tag.id),
+            [EBL_TAG_ID_HEADER, EBL_TAG_ID_PROG, EBL_TAG_ID_END],
+        );
+        assert.equal(parsed.encrypted, false);
+        assert.equal(getEblMicroName(parsed.header?.micro ?? 0), "EM357");
+        assert.equal(parsed.header?.customerApplicationVersion, 0x01020304);
+        assert.equal(parsed.crc?.valid, true);
+        assert.equal(parsed.crc?.stored, crc32(ebl.subarray(0, ebl.length - 4)));
+        assert.deepEqual(parsed.problems, []);
+        assert.equal(describeEbl(parsed), '3 tags, EmberZNet 5.8.1.0 build 5, built 1970-01-01T00:00:00Z, "test image", end-tag CRC-32 valid');
+    });
+
+    it("reports a CRC-32 mismatch when a byte is corrupted", () => {
+        const corrupted = ebl.slice();
+
+        // a program data byte
+        corrupted[ebl.length - 20] ^= 0x01;
+
+        const parsed = parseEbl(corrupted);
+
+        assert.equal(parsed.crc?.valid, false);
+        assert.match(parsed.problems.join("; "), /End tag CRC-32 mismatch/);
+    });
+
+    it("counts the padding after the end tag", () => {
+        const padded = new Uint8Array(ebl.length + 6).fill(0xff);
+
+        padded.set(ebl);
+
+        assert.equal(parseEbl(padded).crc?.valid, true);
+        assert.equal(parseEbl(padded).trailingLength, 6);
+    });
+
+    it("reports truncation and the missing end tag instead of throwing", () => {
+        const parsed = parseEbl(ebl.subarray(0, 130));
+
+        assert.equal(parsed.crc, undefined);
+        assert.match(parsed.problems.join("; "), /Truncated Program data tag/);
+        assert.match(parsed.problems.join("; "), /Missing end tag/);
+    });
+});
+
+describe("EBL AES-CCM encryption", () => {
+    const key = fromHex("000102030405060708090a0b0c0d0e0f");
+    const nonce = fromHex("a0a1a2a3a4a5a6a7a8a9aaab");
+    const associatedData = fromHex("0102");
+    const plain = createEbl([[EBL_TAG_ID_PROG, PROGRAM]]);
+    // encrypted by node:crypto, with the associated data of the init tag in the MAC
+    const cipher = createCipheriv("aes-128-ccm", key, nonce, { authTagLength: 16 });
+
+    cipher.setAAD(associatedData, { plaintextLength: plain.length });
+
+    const ciphertext = new Uint8Array(cipher.update(plain));
+
+    cipher.final();
+
+    const init = new Uint8Array(4 + nonce.length + associatedData.length);
+
+    new DataView(init.buffer).setUint32(0, plain.length, false);
+    init.set(nonce, 4);
+    init.set(associatedData, 4 + nonce.length);
+
+    /** @type {(mac: Uint8Array) => Uint8Array} */
+    const encryptedWith = (mac) =>
+        createEblTags([
+            [EBL_TAG_ID_ENC_HEADER, fromHex("000100010000")],
+            [EBL_TAG_ID_ENC_INIT, init],
+            [EBL_TAG_ID_ENC_EBL_DATA, ciphertext.subarray(0, 64)],
+            [EBL_TAG_ID_ENC_EBL_DATA, ciphertext.subarray(64)],
+            [EBL_TAG_ID_ENC_MAC, mac],
+        ]);
+    const encrypted = encryptedWith(new Uint8Array(cipher.getAuthTag()));
+
+    it("decrypts a file encrypted by another implementation and authenticates it", () => {
+        const { file, decrypted, authentic, problems } = decryptEbl(encrypted, key);
+
+        assert.equal(parseEbl(encrypted).encrypted, true);
+        assert.deepEqual(problems, []);
+        assert.equal(authentic, true);
+        assert.deepEqual(file, plain);
+        assert.equal(decrypted.crc?.valid, true);
+    });
+
+    it("reports a MAC mismatch", () => {
+        const mac = new Uint8Array(cipher.getAuthTag());
+
+        mac[0] ^= 0x01;
+
+        const { authentic, problems } = decryptEbl(encryptedWith(mac), key);
+
+        assert.equal(authentic, false);
+        assert.match(problems.join("; "), /MAC mismatch/);
+    });
+
+    it("encrypts a plain file after a template, back to the same plain file", () => {
+        const reencrypted = encryptEbl(plain, key, encrypted);
+        const { file, authentic } = decryptEbl(reencrypted, key);
+
+        // split into data tags of the template's first data tag length
+        assert.deepEqual(
+            parseEbl(reencrypted)
+                .tags.filter((tag) => tag.id === EBL_TAG_ID_ENC_EBL_DATA)
+                .map((tag) => tag.length),
+            [64, 64, plain.length - 128],
+        );
+        assert.equal(authentic, true);
+        assert.deepEqual(file, plain);
+        assert.throws(() => encryptEbl(encrypted, key, encrypted), /already encrypted/);
+    });
+});
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { SECT163K1, SECT283K1, decodePoint, verifyEcdsa } from "../lib/ecc.js";
+import { fromHex } from "./fixtures.js";
+
+// Signatures made by OpenSSL (`openssl pkeyutl -sign`) over the AES-MMO hash of the byte c0, with a key generated for these tests
+const DIGEST = fromHex("ae3a102a28d43ee0d4a09e22788b206c");
+const VECTORS = [
+    {
+        suite: 1,
+        curve: SECT163K1,
+        publicKey: "03 01c1a71daba6440502fac2fc61db065fb801a26d8f",
+        r: "012a78f210cb0ee828a4cd75edc5e8d8bff755a041",
+        s: "03a019d567be49162f0d7d68a58a588bbebfb10d67",
+    },
+    {
+        suite: 2,
+        curve: SECT283K1,
+        publicKey: "02 023fe2e4ff1a9cf025e1c05356c493ae2aa5ec79ff2ed5e39b8b69fb68d0a0af219b9f4d",
+        r: "015ebb73049e276bdb2af476c1bc0b922500748ccd41d68467a8fe66cd38cd4c5130df04",
+        s: "00327b80f01fc0c0d4cbd81473e1b887c409ebff88f1ac43600b2a02a1e4764894340701",
+    },
+];
+
+for (const { suite, curve, publicKey, r, s } of VECTORS) {
+    describe(`ECDSA over ${curve.name} (Crypto Suite ${suite})`, () => {
+        const point = decodePoint(curve, fromHex(publicKey));
+        const x = fromHex(publicKey).subarray(1);
+        const y = fromHex(point?.y.toString(16).padStart(curve.size * 2, "0") ?? "");
+
+        it("verifies the signature", () => {
+            assert.equal(verifyEcdsa(curve, point, DIGEST, fromHex(r), fromHex(s)), true);
+        });
+
+        it("rejects another digest or a corrupted signature", () => {
+            const digest = DIGEST.slice();
+            const corrupted = fromHex(s);
+
+            digest[0] ^= 0x01;
+            corrupted[corrupted.length - 1] ^= 0x01;
+
+            assert.equal(verifyEcdsa(curve, point, digest, fromHex(r), fromHex(s)), false);
+            assert.equal(verifyEcdsa(curve, point, DIGEST, fromHex(r), corrupted), false);
+        });
+
+        it("decodes the uncompressed form of the public key to the same point", () => {
+            assert.deepEqual(decodePoint(curve, Uint8Array.of(0x04, ...x, ...y)), point);
+        });
+
+        it("rejects a point off the curve", () => {
+            const offCurve = y.slice();
+
+            offCurve[offCurve.length - 1] ^= 0x01;
+            assert.throws(() => decodePoint(curve, Uint8Array.of(0x04, ...x, ...offCurve)), /not on/);
+        });
+    });
+}
@@ -0,0 +1,303 @@
+/**
+ * Synthetic OTA fixtures for the tests: headers, element payloads carrying each stack signature, whole images,
+ * and the firmware formats found in element payloads.
+ */
+
+import { createHash } from "node:crypto";
+
+import { crc32 } from "../lib/crc32.js";
+import { EBL_TAG_ID_END, EBL_TAG_ID_HEADER } from "../lib/ebl.js";
+import { GBL_TAG_ID_END, GBL_TAG_ID_HEADER } from "../lib/gbl.js";
+import { UPGRADE_FILE_IDENTIFIER, UPGRADE_IMAGE_TAG_ID, buildImage, createElement } from "../lib/ota.js";
+
+/**
+ * @typedef {import("../lib/ota.js").ImageHeader} ImageHeader
+ * @typedef {import("../lib/ota.js").ImageElement} ImageElement
+ */
+
+/**
+ * Header with no optional fields; `otaHeaderLength`, `otaHeaderFieldControl` and `totalImageSize` are left for
+ * `normalizeHeader` / `buildImage` to compute.
+ * @param {Partial<ImageHeader>} [fields]
+ * @returns {ImageHeader}
+ */
+export function createHeader(fields = {}) {
+    return {
+        otaUpgradeFileIdentifier: UPGRADE_FILE_IDENTIFIER,
+        otaHeaderVersion: 0x0100,
+        otaHeaderLength: 0,
+        otaHeaderFieldControl: 0,
+        manufacturerCode: 0x115f,
+        imageType: 0x0001,
+        fileVersion: 0x01020304,
+        zigbeeStackVersion: 0x0002,
+        otaHeaderString: "synthetic fixture",
+        totalImageSize: 0,
+        securityCredentialVersion: undefined,
+        upgradeFileDestination: undefined,
+        minimumHardwareVersion: undefined,
+        maximumHardwareVersion: undefined,
+        ...fields,
+    };
+}
+
+/**
+ * Header with the optional fields selected by the `otaHeaderFieldControl` bits.
+ * @param {number} fieldControl
+ * @returns {ImageHeader}
+ */
+export function createHeaderForFieldControl(fieldControl) {
+    return createHeader({
+        securityCredentialVersion: fieldControl & 0x0001 ? 0x02 : undefined,
+        upgradeFileDestination: fieldControl & 0x0002 ? new Uint8Array([0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77, 0x88]) : undefined,
+        minimumHardwareVersion: fieldControl & 0x0004 ? 1 : undefined,
+        maximumHardwareVersion: fieldControl & 0x0004 ? 5 : undefined,
+    });
+}
+
+/**
+ * Build an image holding one Upgrade Image element per payload.
+ * @param {Uint8Array[]} payloads
+ * @param {Partial<ImageHeader>} [fields]
+ * @returns {ArrayBuffer}
+ */
+export function createImageWith(payloads, fields) {
+    return buildImage(
+        createHeader(fields),
+        payloads.map((payload) => createElement(UPGRADE_IMAGE_TAG_ID, payload)),
+    );
+}
+
+/**
+ * Build an image with bytes after its only element, counted in `totalImageSize` but too short to form an element.
+ * @param {Uint8Array} trailing fewer than 6 bytes
+ * @returns {ArrayBuffer}
+ */
+export function createImageWithTrailingBytes(trailing) {
+    return buildImage(createHeader(), [createElement(UPGRADE_IMAGE_TAG_ID, new Uint8Array(16).fill(0xa5))], trailing);
+}
+
+/**
+ * Bytes with values written at given offsets, zero elsewhere.
+ * @param {number} length
+ * @param {[number, ArrayLike<number> | string][]} parts offset and bytes (or ASCII text)
+ * @returns {Uint8Array}
+ */
+export function bytesWith(length, parts) {
+    const bytes = new Uint8Array(length);
+
+    for (const [offset, value] of parts) {
+        bytes.set(typeof value === "string" ? new TextEncoder().encode(value) : value, offset);
+    }
+
+    return bytes;
+}
+
+/**
+ * Bytes of a hex string, as test vectors are published; whitespace is ignored.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function fromHex(text) {
+    return Uint8Array.from(text.replace(/\s/g, "").match(/../g) ?? [], (pair) => Number.parseInt(pair, 16));
+}
+
+/**
+ * GBL file: a header tag (version 3.0, given type), the given tags and an end tag with the CRC-32 of everything before it.
+ * @param {[number, Uint8Array][]} tags tag ID and data
+ * @param {number} [type] header tag type bits
+ * @returns {Uint8Array}
+ */
+export function createGbl(tags, type = 0) {
+    const header = new Uint8Array(8);
+    const headerView = new DataView(header.buffer);
+
+    headerView.setUint32(0, 0x03000000, true);
+    headerView.setUint32(4, type, true);
+
+    /** @type {[number, Uint8Array][]} */
+    const stream = [[GBL_TAG_ID_HEADER, header], ...tags, [GBL_TAG_ID_END, new Uint8Array(4)]];
+    const bytes = new Uint8Array(stream.reduce((length, [, data]) => length + 8 + data.length, 0));
+    const view = new DataView(bytes.buffer);
+    let position = 0;
+
+    for (const [id, data] of stream) {
+        view.setUint32(position, id, true);
+        view.setUint32(position + 4, data.length, true);
+        bytes.set(data, position + 8);
+        position += 8 + data.length;
+    }
+
+    view.setUint32(bytes.length - 4, crc32(bytes.subarray(0, bytes.length - 4)), true);
+
+    return bytes;
+}
+
+/**
+ * EBL tag stream: tag ID and data length (uint16 big-endian) followed by the data, for each tag.
+ * @param {[number, Uint8Array][]} tags
+ * @returns {Uint8Array}
+ */
+export function createEblTags(tags) {
+    const bytes = new Uint8Array(tags.reduce((length, [, data]) => length + 4 + data.length, 0));
+    const view = new DataView(bytes.buffer);
+    let position = 0;
+
+    for (const [id, data] of tags) {
+        view.setUint16(position, id, false);
+        view.setUint16(position + 2, data.length, false);
+        bytes.set(data, position + 4);
+        position += 4 + data.length;
+    }
+
+    return bytes;
+}
+
+/**
+ * Plain EBL file: a header tag with the AAT of an EM357 application (EmberZNet 5.8.1.0 build 5, image info "test image",
+ * customer application version 0x01020304), the given tags and an end tag with the CRC-32 of everything before it.
+ * @param {[number, Uint8Array][]} tags
+ * @returns {Uint8Array}
+ */
+export function createEbl(tags) {
+    const header = bytesWith(104, [
+        [0, [0x02, 0x01]],
+        [2, [0xe3, 0x50]],
+        [4, [0x08, 0x00, 0x20, 0x00]],
+        [36, [0x04, 0x02, 0x04, 0x5c]],
+        [40, [0x10, 0x58, 0x05, 0x00]],
+        [48, "test image"],
+        [100, [0x04, 0x03, 0x02, 0x01]],
+    ]);
+    const bytes = createEblTags([[EBL_TAG_ID_HEADER, header], ...tags, [EBL_TAG_ID_END, new Uint8Array(4)]]);
+
+    new DataView(bytes.buffer).setUint32(bytes.length - 4, crc32(bytes.subarray(0, bytes.length - 4)), true);
+
+    return bytes;
+}
+
+/**
+ * TI OAD image: a CC26x2R1 Zigbee application header (software version "0001"), a boundary segment, a contiguous image
+ * segment holding `data` and the header CRC-32 over everything after the CRC field.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function createOad(data) {
+    const length = 44 + 24 + 12 + data.length;
+    const bytes = bytesWith(length, [
+        [0x00, "CC26x2R1"],
+        [0x0c, [0x03, 0x01, 0xf7, 0xff, 0xff, 0xff, 0x01, 0x00, 0xff, 0xff, 0xff, 0xff]],
+        [0x20, "0001"],
+        [0x28, [44, 0x00]],
+        // boundary segment, Zigbee
+        [44, [0x00, 0xf7, 0xff, 0x00, 24, 0x00, 0x00, 0x00]],
+        // contiguous image segment, Zigbee, start address 0
+        [68, [0x01, 0xf7, 0xff, 0x00]],
+        [80, data],
+    ]);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint32(0x18, length, true);
+    view.setUint32(0x24, length - 1, true);
+    view.setUint32(72, 12 + data.length, true);
+    view.setUint32(0x08, crc32(bytes.subarray(12)), true);
+
+    return bytes;
+}
+
+/**
+ * Telink firmware binary: build version 0x10023001, bootable "KNLT" flag, chip string "TLSR8258", the size field and
+ * the trailing CRC-32 as the Telink SDK computes it (without the final inversion).
+ * @param {number} [length]
+ * @returns {Uint8Array}
+ */
+export function createTelinkFirmware(length = 64) {
+    const bytes = bytesWith(length, [
+        [0x02, [0x01, 0x30, 0x02, 0x10]],
+        [0x08, "KNLT"],
+        [0x20, "TLSR8258"],
+    ]);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint32(0x18, length, true);
+    view.setUint32(length - 4, (crc32(bytes.subarray(0, length - 4)) ^ 0xffffffff) >>> 0, true);
+
+    return bytes;
+}
+
+/**
+ * MCUboot image: a 32-byte header (version 1.2.3+4, load address 0), `firmware`, then an unprotected TLV area holding
+ * the SHA-256 of header and firmware, computed with node:crypto.
+ * @param {Uint8Array} firmware
+ * @returns {Uint8Array}
+ */
+export function createMcubootImage(firmware) {
+    const bytes = bytesWith(32 + firmware.length + 40, [
+        [0, [0x3d, 0xb8, 0xf3, 0x96]],
+        [8, [32, 0x00]],
+        [20, [0x01, 0x02, 0x03, 0x00, 0x04]],
+        [32, firmware],
+        // TLV info (magic 0x6907, 40 bytes), SHA-256 TLV header
+        [32 + firmware.length, [0x07, 0x69, 40, 0x00, 0x10, 0x00, 32, 0x00]],
+    ]);
+
+    new DataView(bytes.buffer).setUint32(12, firmware.length, true);
+    bytes.set(createHash("sha256").update(bytes.subarray(0, 32 + firmware.length)).digest(), 32 + firmware.length + 8);
+
+    return bytes;
+}
+
+/**
+ * nRF5 SDK DFU package: an unsigned init packet (application version `version`, hardware version 52, the size and the
+ * byte-reversed SHA-256 of `firmware`, computed with node:crypto), followed by `firmware` (fewer than 128 bytes).
+ * @param {Uint8Array} firmware
+ * @param {number} version fewer than 128
+ * @returns {Uint8Array}
+ */
+export function createNrf5Dfu(firmware, version) {
+    const hash = createHash("sha256").update(firmware).digest().reverse();
+    // Hash { hash_type SHA256, hash }
+    const hashMessage = [0x08, 0x03, 0x12, hash.length, ...hash];
+    // InitCommand { fw_version, hw_version 52, type APPLICATION, app_size, hash }
+    const init = [0x08, version, 0x10, 52, 0x20, 0x00, 0x38, firmware.length, 0x42, hashMessage.length, ...hashMessage];
+    // Command { op_code INIT, init }
+    const command = [0x08, 0x01, 0x12, init.length, ...init];
+    // Packet { command }
+    const packet = [0x0a, command.length, ...command];
+
+    return bytesWith(packet.length + firmware.length, [
+        [0, packet],
+        [packet.length, firmware],
+    ]);
+}
+
+/**
+ * Element payloads matched by each detection path of `detectZigbeeStacks`, with the label of the expected candidate.
+ * @type {{name: string, label: string, payload: Uint8Array}[]}
+ */
+export const STACK_PAYLOADS = [
+    { name: "GBL", label: "EmberZNet (GBL)", payload: bytesWith(32, [[0, [0xeb, 0x17, 0xa6, 0x03]]]) },
+    { name: "encrypted EBL", label: "EmberZNet (EBL ENC)", payload: bytesWith(32, [[0, [0xfb, 0x05]]]) },
+    { name: "EBL", label: "EmberZNet (EBL)", payload: bytesWith(32, [[6, [0xe3, 0x50]]]) },
+    { name: "TI OAD CC26x2R1", label: "zStack (CC26x2R1)", payload: bytesWith(64, [[0, "CC26x2R1"]]) },
+    { name: "TI OAD CC13x2R1", label: "zStack (CC13x2R1)", payload: bytesWith(64, [[0, "CC13x2R1"]]) },
+    { name: "TI OAD CC13x4", label: "zStack (CC13x4)", payload: bytesWith(64, [[0, "CC13x4  "]]) },
+    { name: "TI OAD CC26x3", label: "zStack (CC26x3)", payload: bytesWith(64, [[0, "CC26x3  "]]) },
+    { name: "TI OAD CC26x4", label: "zStack (CC26x4)", payload: bytesWith(64, [[0, "CC26x4  "]]) },
+    { name: "TI OAD", label: "zStack (OAD IMG)", payload: bytesWith(64, [[0, "OAD IMG "]]) },
+    { name: "TI OAD CC23x0R2", label: "zStack (CC23x0R2)", payload: bytesWith(64, [[0, "CC23x0R2"]]) },
+    { name: "Telink firmware", label: "Telink (TLSR8258)", payload: bytesWith(64, [[8, "KNLT"], [40, "TLSR8258"]]) },
+    { name: "Telink firmware without chip", label: "Telink", payload: bytesWith(64, [[8, "KNLT"]]) },
+    { name: "MCUboot", label: "ZBOSS (nRF Connect SDK, MCUboot 0.0.0+0)", payload: bytesWith(64, [[0, [0x3d, 0xb8, 0xf3, 0x96]]]) },
+    {
+        name: "nRF5 SDK DFU",
+        label: "ZBOSS (nRF5 SDK DFU, version 1)",
+        // Packet { command { op_code INIT, init { fw_version 1, hash { hash_type SHA256, hash aa bb } } } }, then firmware
+        payload: bytesWith(24, [[0, [0x0a, 0x0e, 0x08, 0x01, 0x12, 0x0a, 0x08, 0x01, 0x42, 0x06, 0x08, 0x03, 0x12, 0x02, 0xaa, 0xbb]]]),
+    },
+    { name: "ESP-IDF", label: "ESP-Zigbee (ESP32-H2)", payload: bytesWith(48, [[0, [0xe9, 0x01]], [12, [0x10, 0x00]]]) },
+    { name: "JN516x", label: "NXP (JN516x)", payload: bytesWith(32, [[0, [0x12, 0x34, 0x56, 0x78, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77, 0x88]]]) },
+    { name: "K32W / JN518x", label: "NXP (K32W / JN518x)", payload: bytesWith(48, [[0x20, [0x02, 0x79, 0x44, 0x98]]]) },
+    { name: "Bouffalo", label: "Bouffalo (BL702)", payload: bytesWith(48, [[0, "BFNP"], [16, "BL702"]]) },
+    { name: "Realtek", label: "Realtek (RTL8720CM)", payload: bytesWith(48, [[8, "RTL8720CM"]]) },
+];
@@ -0,0 +1,216 @@
+import assert from "node:assert/strict";
+import { createCipheriv, generateKeyPairSync, sign } from "node:crypto";
+import { describe, it } from "node:test";
+
+import { crc32 } from "../lib/crc32.js";
+import {
+    GBL_TAG_ID_APPLICATION,
+    GBL_TAG_ID_ENC_GBL_DATA,
+    GBL_TAG_ID_ENC_HEADER,
+    GBL_TAG_ID_END,
+    GBL_TAG_ID_HEADER,
+    GBL_TAG_ID_PROG,
+    GBL_TAG_ID_SIGNATURE_ECDSA_P256,
+    GBL_TYPE_ENCRYPTION_AESCCM,
+    GBL_TYPE_SIGNATURE_ECDSA,
+    decryptGbl,
+    describeGbl,
+    encryptGbl,
+    importGblPrivateKey,
+    importGblPublicKey,
+    isGbl,
+    parseGbl,
+    signGbl,
+    verifyGblSignature,
+} from "../lib/gbl.js";
+import { bytesWith, createGbl, fromHex } from "./fixtures.js";
+
+/**
+ * @typedef {import("node:crypto").KeyObject} KeyObject
+ */
+
+const APPLICATION = bytesWith(28, [
+    [0, [0x01, 0x00, 0x00, 0x00]],
+    [4, [0x04, 0x03, 0x02, 0x01]],
+]);
+const PROGRAM = bytesWith(36, [[4, "firmware"]]);
+
+describe("crc32", () => {
+    it("matches the CRC-32 check value", () => {
+        assert.equal(crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+    });
+
+    it("continues from a running value", () => {
+        const bytes = new TextEncoder().encode("123456789");
+
+        assert.equal(crc32(bytes.subarray(4), crc32(bytes.subarray(0, 4))), 0xcbf43926);
+    });
+});
+
+describe("parseGbl", () => {
+    const gbl = createGbl([
+        [GBL_TAG_ID_APPLICATION, APPLICATION],
+        [GBL_TAG_ID_PROG, PROGRAM],
+    ]);
+
+    it("walks the tag stream and validates the end-tag CRC-32", () => {
+        const parsed = parseGbl(gbl);
+
+        assert.equal(isGbl(gbl), true);
+        assert.deepEqual(
+            parsed.tags.map((tag) => tag.id),
+            [GBL_TAG_ID_HEADER, GBL_TAG_ID_APPLICATION, GBL_TAG_ID_PROG, GBL_TAG_ID_END],
+        );
+        assert.equal(parsed.version, 0x03000000);
+        assert.equal(parsed.type, 0);
+        assert.equal(parsed.crc?.valid, true);
+        assert.equal(parsed.crc?.stored, crc32(gbl.subarray(0, gbl.length - 4)));
+        assert.equal(parsed.trailingLength, 0);
+        assert.deepEqual(parsed.problems, []);
+        assert.match(describeGbl(parsed), /4 tags, version 3\.0.*end-tag CRC-32 valid/);
+    });
+
+    it("reports a CRC-32 mismatch when a byte is corrupted", () => {
+        const corrupted = gbl.slice();
+
+        // a program data byte
+        corrupted[gbl.length - 20] ^= 0x01;
+
+        const parsed = parseGbl(corrupted);
+
+        assert.equal(parsed.crc?.valid, false);
+        assert.equal(parsed.crc?.computed, crc32(corrupted.subarray(0, corrupted.length - 4)));
+        assert.match(parsed.problems.join("; "), /End tag CRC-32 mismatch/);
+    });
+
+    it("counts the padding after the end tag", () => {
+        const padded = new Uint8Array(gbl.length + 12).fill(0xff);
+
+        padded.set(gbl);
+
+        assert.equal(parseGbl(padded).crc?.valid, true);
+        assert.equal(parseGbl(padded).trailingLength, 12);
+    });
+
+    it("reports truncation and the missing end tag instead of throwing", () => {
+        const parsed = parseGbl(gbl.subarray(0, 60));
+
+        assert.equal(parsed.crc, undefined);
+        assert.match(parsed.problems.join("; "), /Truncated Program data tag/);
+        assert.match(parsed.problems.join("; "), /Missing end tag/);
+    });
+});
+
+describe("GBL ECDSA-P256 signatures", () => {
+    const keys = generateKeyPairSync("ec", { namedCurve: "P-256" });
+    const other = generateKeyPairSync("ec", { namedCurve: "P-256" });
+    /** @type {(key: KeyObject, type: "sec1" | "spki") => Uint8Array<ArrayBuffer>} */
+    const pem = (key, type) => new TextEncoder().encode(String(key.export({ format: "pem", type })));
+    /** @type {[number, Uint8Array][]} */
+    const tags = [
+        [GBL_TAG_ID_APPLICATION, APPLICATION],
+        [GBL_TAG_ID_PROG, PROGRAM],
+    ];
+    const unsigned = createGbl(tags, GBL_TYPE_SIGNATURE_ECDSA);
+    // made by node:crypto over every byte before the signature tag, which is where `createGbl` puts it
+    const signature = sign("sha256", unsigned.subarray(0, unsigned.length - 12), { key: keys.privateKey, dsaEncoding: "ieee-p1363" });
+    const signed = createGbl([...tags, [GBL_TAG_ID_SIGNATURE_ECDSA_P256, new Uint8Array(signature)]], GBL_TYPE_SIGNATURE_ECDSA);
+
+    it("verifies a signature made by another implementation", async () => {
+        const publicKey = await importGblPublicKey(pem(keys.publicKey, "spki"));
+
+        assert.deepEqual(await verifyGblSignature(signed, publicKey), { signed: true, valid: true, reason: undefined });
+    });
+
+    it("rejects a corrupted file or another key", async () => {
+        const corrupted = signed.slice();
+
+        corrupted[40] ^= 0x01;
+
+        assert.equal((await verifyGblSignature(corrupted, await importGblPublicKey(new Uint8Array(keys.publicKey.export({ format: "der", type: "spki" }))))).valid, false);
+        assert.equal((await verifyGblSignature(signed, await importGblPublicKey(pem(other.publicKey, "spki")))).valid, false);
+    });
+
+    it("reports unsigned files and missing keys", async () => {
+        assert.deepEqual(await verifyGblSignature(createGbl(tags), undefined), { signed: false, valid: undefined, reason: "no signature tag" });
+        assert.deepEqual(await verifyGblSignature(signed, undefined), { signed: true, valid: undefined, reason: "no public key" });
+    });
+
+    it("signs an unsigned file: signature tag before the end tag, header type flagged, CRC-32 recomputed", async () => {
+        const padded = new Uint8Array(createGbl(tags).length + 4).fill(0xff);
+
+        padded.set(createGbl(tags));
+
+        const resigned = await signGbl(padded, await importGblPrivateKey(pem(keys.privateKey, "sec1")));
+        const parsed = parseGbl(resigned);
+
+        assert.deepEqual(
+            parsed.tags.map((tag) => tag.id),
+            [GBL_TAG_ID_HEADER, GBL_TAG_ID_APPLICATION, GBL_TAG_ID_PROG, GBL_TAG_ID_SIGNATURE_ECDSA_P256, GBL_TAG_ID_END],
+        );
+        assert.equal(parsed.type, GBL_TYPE_SIGNATURE_ECDSA);
+        assert.equal(parsed.crc?.valid, true);
+        assert.equal(parsed.trailingLength, 4);
+        assert.equal((await verifyGblSignature(resigned, await importGblPublicKey(pem(keys.publicKey, "spki")))).valid, true);
+    });
+
+    it("replaces an existing signature", async () => {
+        const resigned = await signGbl(signed, await importGblPrivateKey(pem(other.privateKey, "sec1")));
+
+        assert.equal(parseGbl(resigned).tags.filter((tag) => tag.id === GBL_TAG_ID_SIGNATURE_ECDSA_P256).length, 1);
+        assert.equal((await verifyGblSignature(resigned, await importGblPublicKey(pem(other.publicKey, "spki")))).valid, true);
+    });
+});
+
+describe("GBL AES-CCM encryption", () => {
+    const key = fromHex("000102030405060708090a0b0c0d0e0f");
+    const nonce = fromHex("a0a1a2a3a4a5a6a7a8a9aaab");
+    /** @type {[number, Uint8Array][]} */
+    const tags = [
+        [GBL_TAG_ID_APPLICATION, APPLICATION],
+        [GBL_TAG_ID_PROG, PROGRAM],
+    ];
+    const plain = createGbl(tags);
+    // the inner tag stream, without the header and end tags
+    const inner = plain.subarray(16, plain.length - 12);
+    // encrypted by node:crypto: the CCM payload stream, the MAC is not used by GBL
+    const cipher = createCipheriv("aes-128-ccm", key, nonce, { authTagLength: 16 });
+    const ciphertext = new Uint8Array(cipher.update(inner));
+    const encryptionHeader = new Uint8Array(16);
+
+    cipher.final();
+    new DataView(encryptionHeader.buffer).setUint32(0, inner.length, true);
+    encryptionHeader.set(nonce, 4);
+
+    const encrypted = createGbl(
+        [
+            [GBL_TAG_ID_ENC_HEADER, encryptionHeader],
+            [GBL_TAG_ID_ENC_GBL_DATA, ciphertext],
+        ],
+        GBL_TYPE_ENCRYPTION_AESCCM,
+    );
+
+    it("decrypts a file encrypted by another implementation", () => {
+        const { file, decrypted, applicationVersion, problems } = decryptGbl(encrypted, key);
+
+        assert.deepEqual(problems, []);
+        assert.deepEqual(file, plain);
+        assert.equal(decrypted.crc?.valid, true);
+        assert.equal(applicationVersion, 0x01020304);
+    });
+
+    it("reports a wrong key", () => {
+        assert.match(decryptGbl(encrypted, fromHex("ffffffffffffffffffffffffffffffff")).problems.join("; "), /wrong key/);
+    });
+
+    it("encrypts a plain file after a template, back to the same plain file", () => {
+        const reencrypted = encryptGbl(plain, key, encrypted);
+        const parsed = parseGbl(reencrypted);
+
+        assert.equal(parsed.crc?.valid, true);
+        assert.equal(parsed.type, GBL_TYPE_ENCRYPTION_AESCCM);
+        assert.notDeepEqual(parsed.tags.find((tag) => tag.id === GBL_TAG_ID_ENC_HEADER)?.data, encryptionHeader);
+        assert.deepEqual(decryptGbl(reencrypted, key).file, plain);
+        assert.throws(() => encryptGbl(encrypted, key, encrypted), /already encrypted/);
+    });
+});
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { describeLintFinding, hasLintErrors, lintImage } from "../lib/lint.js";
+import { parseImage } from "../lib/ota.js";
+import { createImageWith, createImageWithTrailingBytes } from "./fixtures.js";
+
+/**
+ * Findings of one rule on an image, without their messages.
+ * @param {ArrayBuffer} image
+ * @param {string} rule
+ * @returns {{severity: string, field: string | undefined, start: number | undefined, end: number | undefined}[]}
+ */
+function lint(image, rule) {
+    return lintImage(parseImage(image))
+        .filter((finding) => finding.rule === rule)
+        .map(({ severity, field, start, end }) => ({ severity, field, start, end }));
+}
+
+/**
+ * Bytes of a plain image (header without optional fields, one 16-byte Upgrade Image element) to patch.
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function createBytes() {
+    return new Uint8Array(createImageWith([new Uint8Array(16)]));
+}
+
+describe("lintImage", () => {
+    it("finds nothing in a well-formed image", () => {
+        const findings = lintImage(parseImage(createImageWith([new Uint8Array(16)])));
+
+        assert.deepEqual(findings, []);
+        assert.equal(hasLintErrors(findings), false);
+    });
+
+    it("header-version: reports a header version other than 0x0100", () => {
+        const bytes = createBytes();
+
+        bytes[5] = 0x02;
+
+        assert.deepEqual(lint(bytes.buffer, "header-version"), [{ severity: "error", field: "otaHeaderVersion", start: 4, end: 6 }]);
+    });
+
+    it("total-image-size: reports a size that differs from the elements and from the file", () => {
+        const bytes = createBytes();
+
+        new DataView(bytes.buffer).setUint32(52, bytes.length + 10, true);
+
+        assert.deepEqual(lint(bytes.buffer, "total-image-size"), [
+            { severity: "error", field: "totalImageSize", start: 52, end: 56 },
+            { severity: "error", field: "totalImageSize", start: bytes.length, end: bytes.length },
+        ]);
+    });
+
+    it("hardware-version-range: reports a minimum above the maximum, after the other optional fields", () => {
+        const image = createImageWith([new Uint8Array(16)], { securityCredentialVersion: 1, minimumHardwareVersion: 5, maximumHardwareVersion: 2 });
+        const findings = lintImage(parseImage(image));
+
+        assert.deepEqual(lint(image, "hardware-version-range"), [{ severity: "error", field: "minimumHardwareVersion", start: 57, end: 61 }]);
+        assert.equal(hasLintErrors(findings), true);
+        assert.match(describeLintFinding(findings[0]), /^ERROR \[hardware-version-range\] .* \(minimumHardwareVersion, bytes 0x39-0x3d\)$/);
+    });
+
+    it("element-overrun: reports an element that ends past totalImageSize", () => {
+        const bytes = createBytes();
+
+        // length of the only element
+        new DataView(bytes.buffer).setUint32(58, 30, true);
+
+        assert.deepEqual(lint(bytes.buffer, "element-overrun"), [{ severity: "error", field: undefined, start: 56, end: bytes.length }]);
+    });
+
+    it("trailing-bytes: reports bytes after the last element that cannot form an element", () => {
+        const image = createImageWithTrailingBytes(new Uint8Array([1, 2, 3]));
+
+        assert.deepEqual(lint(image, "trailing-bytes"), [{ severity: "warning", field: undefined, start: image.byteLength - 3, end: image.byteLength }]);
+    });
+
+    it("header-string-ascii: reports a control byte in the header string", () => {
+        const bytes = createBytes();
+
+        bytes[22] = 0x07;
+
+        assert.deepEqual(lint(bytes.buffer, "header-string-ascii"), [{ severity: "warning", field: "otaHeaderString", start: 22, end: 23 }]);
+    });
+
+    it("zigbee-stack-version: reports a value outside the enumeration", () => {
+        const image = createImageWith([new Uint8Array(16)], { zigbeeStackVersion: 7 });
+        const findings = lintImage(parseImage(image));
+
+        assert.deepEqual(lint(image, "zigbee-stack-version"), [{ severity: "warning", field: "zigbeeStackVersion", start: 18, end: 20 }]);
+        assert.equal(hasLintErrors(findings), false);
+    });
+});
@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { describeMcubootImage, describeNrf5Dfu, isMcubootImage, isNrf5Dfu, parseMcubootImage, parseNrf5Dfu } from "../lib/nordic.js";
+import { bytesWith, createMcubootImage, createNrf5Dfu } from "./fixtures.js";
+
+const FIRMWARE = bytesWith(48, [[0, "firmware"]]);
+
+describe("parseMcubootImage", () => {
+    const image = createMcubootImage(FIRMWARE);
+
+    it("decodes the header and TLVs and verifies the SHA-256 TLV", () => {
+        const parsed = parseMcubootImage(image);
+
+        assert.equal(isMcubootImage(image), true);
+        assert.deepEqual(parsed.version, { major: 1, minor: 2, revision: 3, build: 4 });
+        assert.deepEqual(
+            parsed.tlvs.map((tlv) => [tlv.name, tlv.offset, tlv.length]),
+            [["SHA-256", 32 + FIRMWARE.length + 4, 32]],
+        );
+        assert.equal(parsed.hash?.valid, true);
+        assert.equal(parsed.trailingLength, 0);
+        assert.deepEqual(parsed.problems, []);
+        assert.equal(describeMcubootImage(parsed), "version 1.2.3+4, 48 bytes, load address 0x00000000, SHA-256 valid, unsigned");
+    });
+
+    it("reports a SHA-256 mismatch when a byte is corrupted", () => {
+        const corrupted = image.slice();
+
+        corrupted[40] ^= 0x01;
+
+        const parsed = parseMcubootImage(corrupted);
+
+        assert.equal(parsed.hash?.valid, false);
+        assert.match(parsed.problems.join("; "), /SHA-256 mismatch/);
+    });
+
+    it("counts the bytes after the TLV area", () => {
+        const padded = new Uint8Array(image.length + 16).fill(0xff);
+
+        padded.set(image);
+
+        const parsed = parseMcubootImage(padded);
+
+        assert.equal(parsed.hash?.valid, true);
+        assert.equal(parsed.trailingLength, 16);
+    });
+
+    it("reports a truncated TLV area", () => {
+        const parsed = parseMcubootImage(image.subarray(0, image.length - 8));
+
+        assert.equal(parsed.hash, undefined);
+        assert.match(parsed.problems.join("; "), /TLV area declares 40 bytes, only 32 present/);
+    });
+
+    it("reports an image shorter than its header and image sizes", () => {
+        const parsed = parseMcubootImage(image.subarray(0, 64));
+
+        assert.match(parsed.problems.join("; "), /Header and image declare 80 bytes, only 64 present/);
+    });
+});
+
+describe("parseNrf5Dfu", () => {
+    const dfu = createNrf5Dfu(FIRMWARE, 7);
+
+    it("decodes the init command and verifies the byte-reversed firmware SHA-256", () => {
+        const parsed = parseNrf5Dfu(dfu);
+
+        assert.equal(isNrf5Dfu(dfu), true);
+        assert.equal(parsed.init.fwVersion, 7);
+        assert.equal(parsed.init.hwVersion, 52);
+        assert.equal(parsed.init.appSize, FIRMWARE.length);
+        assert.equal(parsed.firmwareLength, FIRMWARE.length);
+        assert.equal(parsed.hash?.valid, true);
+        assert.deepEqual(parsed.problems, []);
+        assert.equal(describeNrf5Dfu(parsed), "application version 7, hardware version 52, unsigned, 48 bytes of firmware, SHA-256 valid");
+    });
+
+    it("accepts the init packet behind its uint32 length", () => {
+        const prefixed = new Uint8Array(dfu.length + 4);
+
+        prefixed.set(dfu, 4);
+        new DataView(prefixed.buffer).setUint32(0, parseNrf5Dfu(dfu).initLength, true);
+
+        const parsed = parseNrf5Dfu(prefixed);
+
+        assert.equal(parsed.initOffset, 4);
+        assert.equal(parsed.hash?.valid, true);
+    });
+
+    it("reports a SHA-256 mismatch when a firmware byte is corrupted", () => {
+        const corrupted = dfu.slice();
+
+        corrupted[dfu.length - 1] ^= 0x01;
+
+        const parsed = parseNrf5Dfu(corrupted);
+
+        assert.equal(parsed.hash?.valid, false);
+        assert.match(parsed.problems.join("; "), /Firmware SHA-256 mismatch/);
+    });
+
+    it("reports a firmware shorter than the declared application size", () => {
+        const parsed = parseNrf5Dfu(dfu.subarray(0, dfu.length - 8));
+
+        assert.equal(parsed.hash?.valid, false);
+        assert.match(parsed.problems.join("; "), /declares a 48-byte application, 40 bytes follow/);
+    });
+
+    it("reports bytes without an init packet", () => {
+        assert.equal(isNrf5Dfu(FIRMWARE), false);
+        assert.deepEqual(parseNrf5Dfu(FIRMWARE).problems, ["No DFU init packet"]);
+    });
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { crc32 } from "../lib/crc32.js";
+import { OAD_SEGMENT_BOUNDARY, OAD_SEGMENT_CONTIGUOUS, describeOad, isOad, parseOad } from "../lib/oad.js";
+import { bytesWith, createOad } from "./fixtures.js";
+
+const FIRMWARE = bytesWith(32, [[0, "firmware"]]);
+
+describe("parseOad", () => {
+    const oad = createOad(FIRMWARE);
+
+    it("decodes the header and the segments and validates the CRC-32", () => {
+        const parsed = parseOad(oad);
+
+        assert.equal(isOad(oad), true);
+        assert.equal(parsed.header?.imageID, "CC26x2R1");
+        assert.equal(parsed.header?.length, oad.length);
+        assert.deepEqual(
+            parsed.segments.map((segment) => [segment.type, segment.offset, segment.length]),
+            [
+                [OAD_SEGMENT_BOUNDARY, 44, 24],
+                [OAD_SEGMENT_CONTIGUOUS, 68, 12 + FIRMWARE.length],
+            ],
+        );
+        assert.equal(parsed.crc?.valid, true);
+        assert.equal(parsed.crc?.stored, crc32(oad.subarray(12)));
+        assert.deepEqual(parsed.problems, []);
+        assert.equal(describeOad(parsed), '"CC26x2R1", application #0, software version "0001", 112 bytes, Zigbee, 2 segments, CRC-32 valid');
+    });
+
+    it("reports a CRC-32 mismatch when a byte is corrupted", () => {
+        const corrupted = oad.slice();
+
+        // a firmware byte of the contiguous segment
+        corrupted[oad.length - 20] ^= 0x01;
+
+        const parsed = parseOad(corrupted);
+
+        assert.equal(parsed.crc?.valid, false);
+        assert.match(parsed.problems.join("; "), /CRC-32 mismatch/);
+    });
+
+    it("reports a stored CRC-32 that does not match the image", () => {
+        const corrupted = oad.slice();
+
+        corrupted[0x08] ^= 0xff;
+
+        assert.equal(parseOad(corrupted).crc?.valid, false);
+    });
+
+    it("counts the bytes after the declared image length", () => {
+        const padded = new Uint8Array(oad.length + 16).fill(0xff);
+
+        padded.set(oad);
+
+        const parsed = parseOad(padded);
+
+        assert.equal(parsed.crc?.valid, true);
+        assert.equal(parsed.trailingLength, 16);
+        assert.deepEqual(parsed.problems, []);
+    });
+
+    it("reports a truncated image without computing the CRC-32", () => {
+        const parsed = parseOad(oad.subarray(0, 90));
+
+        assert.equal(parsed.crc, undefined);
+        assert.match(parsed.problems.join("; "), new RegExp(`declares ${oad.length} bytes, only 90 present`));
+        assert.match(parsed.problems.join("; "), /overruns the image/);
+    });
+
+    it("rejects input shorter than the fixed header", () => {
+        assert.equal(isOad(oad.subarray(0, 40)), false);
+        assert.equal(parseOad(oad.subarray(0, 40)).header, undefined);
+    });
+});
@@ -0,0 +1,176 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+    IMAGE_INTEGRITY_CODE_TAG_ID,
+    OTA_HEADER_MIN_LENGTH,
+    TELINK_AES_TAG_ID,
+    UPGRADE_IMAGE_TAG_ID,
+    applyHeaderChanges,
+    buildImage,
+    createElement,
+    getHeaderFieldRanges,
+    normalizeHeader,
+    parseImage,
+    serializeImage,
+    updateImageIntegrity,
+    verifyImageIntegrity,
+} from "../lib/ota.js";
+import { createHeader, createHeaderForFieldControl, createImageWithTrailingBytes } from "./fixtures.js";
+
+const PAYLOAD = new Uint8Array([0xde, 0xad, 0xbe, 0xef, 0x01, 0x02, 0x03]);
+
+describe("otaHeaderFieldControl", () => {
+    for (let fieldControl = 0; fieldControl <= 7; fieldControl += 1) {
+        const headerLength = OTA_HEADER_MIN_LENGTH + (fieldControl & 0x0001 ? 1 : 0) + (fieldControl & 0x0002 ? 8 : 0) + (fieldControl & 0x0004 ? 4 : 0);
+
+        it(`builds and parses field control ${fieldControl} (header length ${headerLength})`, () => {
+            const header = createHeaderForFieldControl(fieldControl);
+            const raw = buildImage(header, [createElement(UPGRADE_IMAGE_TAG_ID, PAYLOAD)]);
+            const parsed = parseImage(raw);
+
+            assert.equal(raw.byteLength, headerLength + 6 + PAYLOAD.length);
+            assert.equal(parsed.header.otaHeaderFieldControl, fieldControl);
+            assert.equal(parsed.header.otaHeaderLength, headerLength);
+            assert.equal(parsed.header.totalImageSize, raw.byteLength);
+            assert.equal(parsed.header.securityCredentialVersion, header.securityCredentialVersion);
+            assert.deepEqual(parsed.header.upgradeFileDestination, header.upgradeFileDestination);
+            assert.equal(parsed.header.minimumHardwareVersion, header.minimumHardwareVersion);
+            assert.equal(parsed.header.maximumHardwareVersion, header.maximumHardwareVersion);
+            assert.equal(parsed.header.otaHeaderString, header.otaHeaderString);
+            assert.equal(parsed.elements.length, 1);
+            assert.deepEqual(parsed.elements[0].data, PAYLOAD);
+        });
+
+        it(`round-trips field control ${fieldControl} through normalizeHeader and serializeImage`, () => {
+            const raw = buildImage(createHeaderForFieldControl(fieldControl), [createElement(UPGRADE_IMAGE_TAG_ID, PAYLOAD)]);
+            const parsed = parseImage(raw);
+
+            assert.deepEqual(normalizeHeader(parsed.header, parsed.raw), parsed.header);
+            assert.deepEqual(new Uint8Array(serializeImage(parsed.header, parsed.raw)), new Uint8Array(raw));
+        });
+    }
+
+    it("derives field control and header length from the optional fields", () => {
+        const full = normalizeHeader(createHeaderForFieldControl(7), new ArrayBuffer(OTA_HEADER_MIN_LENGTH + 13));
+        const cleared = normalizeHeader(
+            { ...full, securityCredentialVersion: undefined, upgradeFileDestination: undefined, minimumHardwareVersion: undefined },
+            new ArrayBuffer(OTA_HEADER_MIN_LENGTH),
+        );
+
+        assert.equal(full.otaHeaderFieldControl, 7);
+        assert.equal(full.otaHeaderLength, OTA_HEADER_MIN_LENGTH + 13);
+        // a hardware range needs both bounds
+        assert.equal(cleared.otaHeaderFieldControl, 0);
+        assert.equal(cleared.otaHeaderLength, OTA_HEADER_MIN_LENGTH);
+        assert.equal(cleared.maximumHardwareVersion, undefined);
+    });
+
+    it("locates the header fields, optional ones after those selected before them", () => {
+        for (let fieldControl = 0; fieldControl <= 7; fieldControl += 1) {
+            const { header } = parseImage(buildImage(createHeaderForFieldControl(fieldControl), [createElement(UPGRADE_IMAGE_TAG_ID, PAYLOAD)]));
+            const ranges = getHeaderFieldRanges(header);
+
+            assert.deepEqual(ranges.totalImageSize, { start: 52, end: OTA_HEADER_MIN_LENGTH });
+            assert.equal(Math.max(...Object.values(ranges).map(({ end }) => end)), header.otaHeaderLength);
+            assert.equal(ranges.upgradeFileDestination?.start, fieldControl & 0x0002 ? OTA_HEADER_MIN_LENGTH + (fieldControl & 0x0001) : undefined);
+            assert.equal(ranges.maximumHardwareVersion?.end, fieldControl & 0x0004 ? header.otaHeaderLength : undefined);
+        }
+    });
+
+    it("rewrites header fields in place without moving the elements", () => {
+        const raw = buildImage(createHeaderForFieldControl(5), [createElement(UPGRADE_IMAGE_TAG_ID, PAYLOAD)]);
+        const parsed = parseImage(raw);
+        const edited = parseImage(serializeImage({ ...parsed.header, fileVersion: 0x01020305, otaHeaderString: "edited", maximumHardwareVersion: 9 }, parsed.raw));
+
+        assert.equal(edited.header.fileVersion, 0x01020305);
+        assert.equal(edited.header.otaHeaderString, "edited");
+        assert.equal(edited.header.maximumHardwareVersion, 9);
+        assert.deepEqual(edited.elements, parsed.elements);
+    });
+});
+
+describe("Telink 0xf000 elements", () => {
+    const info = new Uint8Array([0x5a, 0xa5]);
+    const raw = buildImage(createHeader(), [createElement(TELINK_AES_TAG_ID, PAYLOAD, info), createElement(UPGRADE_IMAGE_TAG_ID, PAYLOAD)]);
+    const parsed = parseImage(raw);
+
+    it("stores the 2 info bytes between the element length and the data", () => {
+        const bytes = new Uint8Array(raw);
+        const view = new DataView(raw);
+
+        assert.equal(view.getUint16(OTA_HEADER_MIN_LENGTH, true), TELINK_AES_TAG_ID);
+        assert.equal(view.getUint32(OTA_HEADER_MIN_LENGTH + 2, true), PAYLOAD.length);
+        assert.deepEqual(bytes.subarray(OTA_HEADER_MIN_LENGTH + 6, OTA_HEADER_MIN_LENGTH + 8), info);
+        assert.deepEqual(bytes.subarray(OTA_HEADER_MIN_LENGTH + 8, OTA_HEADER_MIN_LENGTH + 8 + PAYLOAD.length), PAYLOAD);
+        assert.equal(raw.byteLength, OTA_HEADER_MIN_LENGTH + 8 + PAYLOAD.length + 6 + PAYLOAD.length);
+    });
+
+    it("parses the info bytes as tag meta and continues after them", () => {
+        assert.equal(parsed.elements.length, 2);
+        assert.deepEqual(parsed.elements[0], { tagID: TELINK_AES_TAG_ID, length: PAYLOAD.length, tagMeta: info, data: PAYLOAD });
+        assert.deepEqual(parsed.elements[1], { tagID: UPGRADE_IMAGE_TAG_ID, length: PAYLOAD.length, tagMeta: undefined, data: PAYLOAD });
+        assert.equal(parsed.stack, "Telink (Encrypted)");
+    });
+
+    it("rebuilds the same bytes from the parsed elements", () => {
+        assert.deepEqual(new Uint8Array(buildImage(parsed.header, parsed.elements)), new Uint8Array(raw));
+    });
+});
+
+describe("Image Integrity Code", () => {
+    const header = createHeader();
+    const elements = updateImageIntegrity(header, [createElement(UPGRADE_IMAGE_TAG_ID, PAYLOAD), createElement(IMAGE_INTEGRITY_CODE_TAG_ID, new Uint8Array(16))]);
+    const raw = buildImage(header, elements);
+
+    it("regenerates a code that verifies", () => {
+        const check = verifyImageIntegrity(parseImage(raw));
+
+        assert.equal(check?.valid, true);
+        assert.deepEqual(check?.stored, check?.computed);
+    });
+
+    it("detects a corrupted byte of the header, the elements or the code", () => {
+        const integrityOffset = raw.byteLength - 16;
+
+        for (const offset of [10, OTA_HEADER_MIN_LENGTH + 6, integrityOffset]) {
+            const corrupted = new Uint8Array(raw.slice(0));
+
+            corrupted[offset] ^= 0x01;
+            assert.equal(verifyImageIntegrity(parseImage(corrupted.buffer))?.valid, false, `offset ${offset}`);
+        }
+    });
+
+    it("is absent without an integrity element", () => {
+        assert.equal(verifyImageIntegrity(parseImage(buildImage(header, [createElement(UPGRADE_IMAGE_TAG_ID, PAYLOAD)]))), undefined);
+    });
+});
+
+describe("applyHeaderChanges", () => {
+    const trailing = new Uint8Array([1, 2, 3, 4]);
+    const image = parseImage(createImageWithTrailingBytes(trailing));
+
+    it("keeps the bytes after the last element", () => {
+        const edited = applyHeaderChanges(image, { fileVersion: 0x01020305 });
+
+        assert.equal(edited.header.fileVersion, 0x01020305);
+        assert.equal(edited.raw.byteLength, image.raw.byteLength);
+        assert.deepEqual(new Uint8Array(edited.raw).subarray(-4), trailing);
+    });
+
+    it("keeps them when the header length changes", () => {
+        const edited = applyHeaderChanges(image, { minimumHardwareVersion: 1, maximumHardwareVersion: 2 });
+
+        assert.equal(edited.header.otaHeaderLength, OTA_HEADER_MIN_LENGTH + 4);
+        assert.equal(edited.header.totalImageSize, image.raw.byteLength + 4);
+        assert.deepEqual(new Uint8Array(edited.raw).subarray(-4), trailing);
+    });
+
+    it("regenerates the Image Integrity Code over them", () => {
+        const elements = [createElement(UPGRADE_IMAGE_TAG_ID, PAYLOAD), createElement(IMAGE_INTEGRITY_CODE_TAG_ID, new Uint8Array(16))];
+        const edited = applyHeaderChanges(parseImage(buildImage(createHeader(), elements, trailing)), { imageType: 2 }, true);
+
+        assert.deepEqual(new Uint8Array(edited.raw).subarray(-4), trailing);
+        assert.equal(verifyImageIntegrity(edited)?.valid, true);
+    });
+});
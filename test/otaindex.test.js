@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { describeIndexMerge, findIndexMatches, mergeIndexEntry, parseOtaIndex } from "../lib/otaindex.js";
+
+/**
+ * @typedef {import("../lib/ota.js").IndexMetadata} IndexMetadata
+ */
+
+/**
+ * Index entry with the fields `buildIndexMetadata` always sets.
+ * @param {Partial<IndexMetadata>} [fields]
+ * @returns {IndexMetadata}
+ */
+function createEntry(fields = {}) {
+    return {
+        fileName: "image.ota",
+        fileVersion: 0x01020304,
+        fileSize: 1024,
+        url: "./image.ota",
+        imageType: 0x0001,
+        manufacturerCode: 0x115f,
+        sha512: "aa",
+        otaHeaderString: "",
+        ...fields,
+    };
+}
+
+describe("mergeIndexEntry", () => {
+    it("updates an entry with a model ID from an image without one, warning about the older version", () => {
+        const existing = createEntry({ fileVersion: 0x01020305, sha512: "bb", modelId: "lumi.sensor_magnet.aq2" });
+        const merge = mergeIndexEntry([existing], createEntry({ hardwareVersionMin: 1, hardwareVersionMax: 5 }));
+
+        assert.equal(merge.action, "updated");
+        assert.equal(merge.index, 0);
+        assert.equal(merge.entries.length, 1);
+        assert.equal(merge.entries[0].modelId, "lumi.sensor_magnet.aq2");
+        assert.equal(merge.entries[0].fileVersion, 0x01020304);
+        assert.deepEqual(merge.warnings, ["older version: 0x01020304 replaces 0x01020305 of entry #1"]);
+    });
+
+    it("inserts an entry for another manufacturer code or image type", () => {
+        const merge = mergeIndexEntry([createEntry({ sha512: "bb" }), createEntry({ imageType: 2, sha512: "cc" })], createEntry({ manufacturerCode: 0x117c }));
+
+        assert.equal(merge.action, "inserted");
+        assert.equal(merge.index, 2);
+        assert.match(describeIndexMerge(merge), /^No matching entry, inserted as #3$/);
+    });
+
+    it("prefers the entry with the same file, then the one targeting the same devices", () => {
+        const entries = [
+            createEntry({ sha512: "bb", modelId: "other" }),
+            createEntry({ sha512: "cc", modelId: "model" }),
+            createEntry({ sha512: "aa", fileName: "renamed.ota", modelId: "other" }),
+        ];
+
+        assert.deepEqual(
+            findIndexMatches(entries, createEntry({ modelId: "model" })).map(({ index }) => index),
+            [2, 1, 0],
+        );
+        assert.deepEqual(
+            findIndexMatches(entries, createEntry({ sha512: "dd", modelId: "model" })).map(({ index }) => index),
+            [1, 0, 2],
+        );
+    });
+
+    it("reports other targets and duplicates", () => {
+        const models = mergeIndexEntry([createEntry({ sha512: "bb", modelId: "a" }), createEntry({ sha512: "cc", modelId: "b" })], createEntry({ fileVersion: 0x01020305, modelId: "c" }));
+        const duplicates = mergeIndexEntry([createEntry({ sha512: "bb" }), createEntry({ sha512: "cc" })], createEntry({ fileVersion: 0x01020305 }));
+
+        assert.equal(models.index, 0);
+        assert.deepEqual(models.warnings, ['entry #1 targets other devices, updating it changes modelId "a" → "c"']);
+        assert.equal(duplicates.index, 0);
+        assert.deepEqual(duplicates.warnings, ["duplicate entries for this image: #2 also match, only #1 is updated"]);
+    });
+
+    it("leaves an entry holding the same file unchanged", () => {
+        const merge = mergeIndexEntry([createEntry({ releaseNotes: "kept" })], createEntry());
+
+        assert.equal(merge.action, "unchanged");
+        assert.equal(merge.entries[0].releaseNotes, "kept");
+        assert.match(describeIndexMerge(merge), /^Same as entry #1 \(matched by sha512\)$/);
+    });
+});
+
+describe("parseOtaIndex", () => {
+    it("drops entries that are not objects and reports invalid fields", () => {
+        const { entries, problems } = parseOtaIndex(JSON.stringify([createEntry(), 1, { fileName: "x.ota" }]));
+
+        assert.equal(entries.length, 2);
+        assert.deepEqual(problems, ["entry #2 is not an object, dropped", "entry #3 (x.ota): missing or invalid manufacturerCode, imageType, fileVersion, url, sha512"]);
+    });
+
+    it("reports invalid JSON and non-array indexes", () => {
+        assert.match(parseOtaIndex("{").problems[0], /^invalid JSON: /);
+        assert.deepEqual(parseOtaIndex("{}"), { entries: [], problems: ["index must be a JSON array of entries"] });
+    });
+});
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { describe, it } from "node:test";
+
+import { sha256 } from "../lib/sha256.js";
+import { fromHex } from "./fixtures.js";
+
+describe("sha256", () => {
+    const text = /** @param {string} value */ (value) => new TextEncoder().encode(value);
+
+    it("matches the FIPS 180-4 example digests", () => {
+        assert.deepEqual(sha256(text("abc")), fromHex("ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"));
+        assert.deepEqual(
+            sha256(text("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq")),
+            fromHex("248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1"),
+        );
+    });
+
+    it("hashes empty input", () => {
+        assert.deepEqual(sha256(new Uint8Array(0)), fromHex("e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855"));
+    });
+
+    it("matches node:crypto across the padding boundaries", () => {
+        const bytes = Uint8Array.from({ length: 200 }, (_, i) => (i * 31 + 7) & 0xff);
+
+        for (let length = 0; length <= bytes.length; length += 1) {
+            const input = bytes.subarray(length % 3, length);
+
+            assert.deepEqual(sha256(input), new Uint8Array(createHash("sha256").update(input).digest()), `length ${input.length}`);
+        }
+    });
+});
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { TELINK_AES_TAG_ID, UPGRADE_IMAGE_TAG_ID, createElement, identifyImageZigbeeStack, parseImage } from "../lib/ota.js";
+import { detectZigbeeStacks } from "../lib/stack.js";
+import { STACK_PAYLOADS, createImageWith } from "./fixtures.js";
+
+describe("detectZigbeeStacks", () => {
+    for (const { name, label, payload } of STACK_PAYLOADS) {
+        it(`detects ${name}`, () => {
+            const [candidate, ...others] = detectZigbeeStacks([createElement(UPGRADE_IMAGE_TAG_ID, payload)]);
+
+            assert.equal(candidate.label, label);
+            assert.equal(candidate.elementIndex, 0);
+            assert.ok(candidate.matches.length > 0);
+            assert.deepEqual(others, []);
+        });
+
+        it(`reports ${name} as the stack of a parsed image`, () => {
+            assert.equal(parseImage(createImageWith([payload])).stack, label);
+        });
+    }
+
+    it("detects the Telink AES tag", () => {
+        const [candidate] = detectZigbeeStacks([createElement(TELINK_AES_TAG_ID, new Uint8Array(16))]);
+
+        assert.equal(candidate.label, "Telink (Encrypted)");
+        assert.equal(candidate.confidence, "medium");
+    });
+
+    it("ranks candidates by confidence, then element order", () => {
+        const k32w = STACK_PAYLOADS.find(({ name }) => name === "K32W / JN518x");
+        const realtek = STACK_PAYLOADS.find(({ name }) => name === "Realtek");
+        const candidates = detectZigbeeStacks([createElement(UPGRADE_IMAGE_TAG_ID, realtek?.payload ?? new Uint8Array()), createElement(UPGRADE_IMAGE_TAG_ID, k32w?.payload ?? new Uint8Array())]);
+
+        assert.deepEqual(
+            candidates.map(({ confidence, elementIndex }) => [confidence, elementIndex]),
+            [
+                ["high", 1],
+                ["low", 0],
+            ],
+        );
+    });
+
+    it("reports images without a known signature as Unknown", () => {
+        assert.deepEqual(detectZigbeeStacks([createElement(UPGRADE_IMAGE_TAG_ID, new Uint8Array(64).fill(0xff))]), []);
+        assert.equal(identifyImageZigbeeStack([]), "Unknown");
+    });
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { crc32 } from "../lib/crc32.js";
+import { UPGRADE_IMAGE_TAG_ID, createElement } from "../lib/ota.js";
+import { detectZigbeeStacks } from "../lib/stack.js";
+import { describeTelinkFirmware, isTelinkFirmware, parseTelinkFirmware } from "../lib/telink.js";
+import { createTelinkFirmware } from "./fixtures.js";
+
+describe("parseTelinkFirmware", () => {
+    const firmware = createTelinkFirmware();
+
+    it("decodes the startup header and validates the trailing CRC-32", () => {
+        const parsed = parseTelinkFirmware(firmware);
+
+        assert.equal(isTelinkFirmware(firmware), true);
+        assert.equal(parsed.buildVersion, 0x10023001);
+        assert.equal(parsed.chip, "TLSR8258");
+        assert.equal(parsed.size, firmware.length);
+        assert.equal(parsed.crc?.valid, true);
+        // the Telink SDK leaves out the final inversion of the CRC-32
+        assert.equal(parsed.crc?.stored, ~crc32(firmware.subarray(0, firmware.length - 4)) >>> 0);
+        assert.deepEqual(parsed.problems, []);
+        assert.equal(describeTelinkFirmware(parsed), "TLSR8258, build version 0x10023001, 64 bytes, CRC-32 valid");
+    });
+
+    it("reports a CRC-32 mismatch when a byte is corrupted", () => {
+        const corrupted = firmware.slice();
+
+        corrupted[0x30] ^= 0x01;
+
+        const parsed = parseTelinkFirmware(corrupted);
+
+        assert.equal(parsed.crc?.valid, false);
+        assert.match(parsed.problems.join("; "), /Firmware CRC-32 mismatch/);
+    });
+
+    it("detects the firmware with high confidence only when the CRC-32 is valid", () => {
+        const corrupted = firmware.slice();
+
+        corrupted[0x30] ^= 0x01;
+
+        assert.equal(detectZigbeeStacks([createElement(UPGRADE_IMAGE_TAG_ID, firmware)])[0].confidence, "high");
+        assert.equal(detectZigbeeStacks([createElement(UPGRADE_IMAGE_TAG_ID, corrupted)])[0].confidence, "medium");
+    });
+
+    it("reports the bytes after the firmware size", () => {
+        const padded = new Uint8Array(firmware.length + 16).fill(0xff);
+
+        padded.set(firmware);
+
+        const parsed = parseTelinkFirmware(padded);
+
+        assert.equal(parsed.crc?.valid, true);
+        assert.equal(parsed.trailingLength, 16);
+        assert.match(parsed.problems.join("; "), /16 bytes after the declared firmware size/);
+    });
+
+    it("reports a size field larger than the binary", () => {
+        const parsed = parseTelinkFirmware(firmware.subarray(0, 48));
+
+        assert.equal(parsed.crc, undefined);
+        assert.match(parsed.problems.join("; "), /Firmware size field is 64, binary holds 48 bytes/);
+    });
+
+    it("reports a boot flag that does not start the image", () => {
+        const unbootable = firmware.slice();
+
+        unbootable[0x08] = 0xff;
+
+        assert.equal(isTelinkFirmware(unbootable), true);
+        assert.match(parseTelinkFirmware(unbootable).problems.join("; "), /Boot flag is 0xff/);
+    });
+});